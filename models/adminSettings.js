@@ -9,6 +9,12 @@ const adminSettingsSchema = new mongoose.Schema(
       newSignup:         { type: Boolean, default: false },
       newPendingArtwork: { type: Boolean, default: false },
       newReport:         { type: Boolean, default: false },
+      suspectedDuplicate: { type: Boolean, default: false },
+      returnRequested:   { type: Boolean, default: false },
+      newDispute:        { type: Boolean, default: false },
+      disputeClosed:     { type: Boolean, default: false },
+      payoutFailed:      { type: Boolean, default: false },
+      webhookFailed:     { type: Boolean, default: false },
     },
 
     // Admin emails that receive notifications
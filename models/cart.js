@@ -0,0 +1,35 @@
+// models/cart.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+// Most pieces one checkout can take (keeps PaymentIntent metadata and tax calls small)
+export const MAX_CART_ITEMS = 20;
+
+/**
+ * One artwork (or print size) in a cart. Prices aren't stored; they're read
+ * from the listing when the buyer checks out.
+ */
+const CartItemSchema = new Schema(
+  {
+    imageId: { type: Types.ObjectId, ref: "Image", required: true },
+    variantId: { type: Types.ObjectId },   // print size, for listings sold in several sizes
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+/**
+ * Cart Schema
+ * One per buyer; emptied when a checkout is created from it.
+ */
+const CartSchema = new Schema(
+  {
+    userId: { type: Types.ObjectId, ref: "User", required: true, unique: true },
+    items: { type: [CartItemSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+const Cart = mongoose.models.Cart || mongoose.model("Cart", CartSchema);
+
+export default Cart;
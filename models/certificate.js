@@ -0,0 +1,78 @@
+// models/certificate.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+export const CERTIFICATE_STATUS = {
+  ACTIVE: "active",
+  SUPERSEDED: "superseded", // replaced by a reissued or transferred certificate
+};
+
+export const CERTIFICATE_REASON = {
+  SALE: "sale",
+  REISSUE: "reissue",
+  TRANSFER: "transfer",
+};
+
+/**
+ * Certificate of Authenticity Schema
+ * Issued when an artwork sells and signed by the platform (services/certificates.js).
+ * Certificates are never edited: a reissue or a transfer to a new collector
+ * supersedes the old one with a new certificate, so each one links to the
+ * certificate it replaced and the one that replaced it.
+ */
+const CertificateSchema = new Schema(
+  {
+    certificateId: { type: String, required: true, unique: true }, // public id, e.g. "COA-ABCD-EFGH-JKMN"
+    status: {
+      type: String,
+      enum: Object.values(CERTIFICATE_STATUS),
+      default: CERTIFICATE_STATUS.ACTIVE,
+      index: true,
+    },
+    reason: { type: String, enum: Object.values(CERTIFICATE_REASON), required: true },
+    note: { type: String },
+
+    orderId: { type: Types.ObjectId, ref: "Order", required: true, index: true },
+    imageId: { type: Types.ObjectId, ref: "Image", required: true },
+    artistUserId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+
+    // Collector the certificate is made out to (no account needed after a transfer)
+    holderUserId: { type: Types.ObjectId, ref: "User", index: true },
+    holderName: { type: String, required: true },
+
+    // The artwork as listed when it sold
+    artwork: {
+      title: { type: String, required: true },
+      artistName: { type: String, required: true },
+      category: { type: String },
+      dimensions: {
+        height: { type: Number },
+        width: { type: Number },
+        length: { type: Number },
+      },
+      isSigned: { type: Boolean },
+      isFramed: { type: Boolean },
+      printVariantLabel: { type: String },
+      editionNumber: { type: Number },
+      editionSize: { type: Number },
+      imageLink: { type: String },
+    },
+    saleDate: { type: Date, required: true }, // when the original order was paid
+    issuedAt: { type: Date, required: true },
+
+    previousCertificateId: { type: String },
+    supersededBy: { type: String },
+    supersededAt: { type: Date },
+
+    // "order_<orderId>" for the first certificate, "successor_<certificateId>"
+    // for a replacement: one certificate per sale and one successor per certificate
+    issueKey: { type: String, required: true, unique: true },
+    signature: { type: String, required: true }, // HMAC-SHA256 over the signed fields
+  },
+  { timestamps: true }
+);
+
+const Certificate =
+  mongoose.models.Certificate || mongoose.model("Certificate", CertificateSchema);
+
+export default Certificate;
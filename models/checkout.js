@@ -0,0 +1,97 @@
+// models/checkout.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Checkout Status
+ * pending → paid | failed | cancelled (failed can be retried)
+ */
+export const CHECKOUT_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const Money = { type: Number, min: 0, default: 0 }; // cents
+
+/**
+ * One artist's part of a checkout: their child orders, shipped together
+ * and taxed together. Amounts are the sums over those orders.
+ */
+const CheckoutSellerSchema = new Schema(
+  {
+    artistUserId: { type: Types.ObjectId, ref: "User", required: true },
+    artistName: { type: String },
+    orderIds: [{ type: Types.ObjectId, ref: "Order" }],
+
+    baseAmount: { ...Money },
+    discountAmount: { ...Money },
+    shippingAmount: { ...Money },
+    taxAmount: { ...Money },
+    totalAmount: { ...Money },
+
+    // Rate picked for the whole parcel (quoted on the seller's first order)
+    shippingQuote: {
+      carrier: { type: String },
+      serviceCode: { type: String },
+      serviceName: { type: String },
+      amount: { type: Number, min: 0 },
+      toZip: { type: String },
+      estBusinessDays: { type: Number },
+      quotedAt: { type: Date },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Checkout Schema
+ * Parent of the orders bought together from a cart: one PaymentIntent and
+ * one transfer_group for all of them. Each artwork stays its own Order
+ * (inventory, shipping, returns and payouts work per order as before).
+ */
+const CheckoutSchema = new Schema(
+  {
+    userId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+    status: {
+      type: String,
+      enum: { values: Object.values(CHECKOUT_STATUS), message: "Invalid checkout status" },
+      default: CHECKOUT_STATUS.PENDING,
+      index: true,
+    },
+
+    orderIds: [{ type: Types.ObjectId, ref: "Order" }],
+    sellers: { type: [CheckoutSellerSchema], default: [] },
+
+    deliveryDetails: {
+      name: { type: String },
+      address: { type: String },
+      city: { type: String },
+      state: { type: String },
+      zipCode: { type: String },
+      country: { type: String },
+    },
+
+    baseAmount: { ...Money },
+    discountAmount: { ...Money },
+    shippingAmount: { ...Money },
+    taxAmount: { ...Money },
+    totalAmount: { ...Money },
+
+    paymentIntentId: { type: String },
+    chargeId: { type: String, index: true },
+    transferGroup: { type: String },
+
+    paidAt: { type: Date },
+    cancelledAt: { type: Date },
+    failureReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+CheckoutSchema.index({ paymentIntentId: 1 }, { unique: true, sparse: true });
+
+const Checkout = mongoose.models.Checkout || mongoose.model("Checkout", CheckoutSchema);
+
+export default Checkout;
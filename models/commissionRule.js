@@ -0,0 +1,55 @@
+// models/commissionRule.js
+import mongoose from "mongoose";
+import { IMAGE_CATEGORY } from "./images.js";
+const { Schema, Types } = mongoose;
+
+/**
+ * Commission Rule Scope
+ * An order's rate comes from the most specific active rule:
+ * artist → promo → category → default. A grandfathered rate caps
+ * whatever that resolves to (see services/commission.js).
+ */
+export const COMMISSION_SCOPE = {
+  DEFAULT: "default",
+  CATEGORY: "category",
+  PROMO: "promo",             // Time-boxed; optionally limited to one category
+  ARTIST: "artist",           // Negotiated rate, higher or lower than the default
+  GRANDFATHERED: "grandfathered", // Artist keeps this rate unless a lower one applies
+};
+
+// The flat 3% of base every order used before commission rules existed
+export const LEGACY_COMMISSION_BPS = 300;
+
+/**
+ * Commission Rule Schema
+ * Rates are in basis points of the artwork's base price (300 = 3%).
+ */
+const CommissionRuleSchema = new Schema(
+  {
+    scope: {
+      type: String,
+      enum: { values: Object.values(COMMISSION_SCOPE), message: "Invalid commission scope" },
+      required: true,
+    },
+    rateBps: { type: Number, required: true, min: 0, max: 10000 },
+    label: { type: String, trim: true, maxLength: 120 },
+
+    artistUserId: { type: Types.ObjectId, ref: "User" },    // artist / grandfathered
+    category: { type: String, enum: IMAGE_CATEGORY },       // category / promo (optional)
+
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    active: { type: Boolean, default: true },
+
+    createdBy: { type: Types.ObjectId, ref: "AdminUser" },
+  },
+  { timestamps: true }
+);
+
+CommissionRuleSchema.index({ active: 1, scope: 1 });
+CommissionRuleSchema.index({ artistUserId: 1, scope: 1 });
+
+const CommissionRule =
+  mongoose.models.CommissionRule || mongoose.model("CommissionRule", CommissionRuleSchema);
+
+export default CommissionRule;
@@ -0,0 +1,31 @@
+// models/counter.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * Counter Schema
+ * Named sequences (e.g. invoice numbers). `seq` is the last number handed out.
+ */
+const CounterSchema = new Schema(
+  {
+    _id: { type: String },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Next number in the `name` sequence (1, 2, 3, …); atomic across processes
+ */
+CounterSchema.statics.nextValue = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.models.Counter || mongoose.model("Counter", CounterSchema);
+
+export default Counter;
@@ -0,0 +1,67 @@
+// models/coupon.js
+import mongoose from "mongoose";
+import { IMAGE_CATEGORY } from "./images.js";
+const { Schema, Types } = mongoose;
+
+export const COUPON_TYPE = {
+  PERCENT: "percent",   // percentOff of the artwork price
+  FIXED: "fixed",       // amountOffCents off the artwork price
+};
+
+/**
+ * Who gives up the discount
+ * platform: the artist is paid on the full price and the platform absorbs it
+ * artist: the artist is paid (and commissioned) on the discounted price
+ */
+export const COUPON_FUNDED_BY = {
+  PLATFORM: "platform",
+  ARTIST: "artist",
+};
+
+/**
+ * Coupon Schema
+ * A promo code buyers apply to a pending order before checkout.
+ * Discounts only ever come off the artwork price (never shipping or tax).
+ * Amounts are in cents.
+ */
+const CouponSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true, maxLength: 40 },
+    description: { type: String, trim: true, maxLength: 200 },
+
+    type: {
+      type: String,
+      enum: { values: Object.values(COUPON_TYPE), message: "Invalid coupon type" },
+      required: true,
+    },
+    percentOff: { type: Number, min: 1, max: 100 },
+    amountOffCents: { type: Number, min: 1 },
+    minSpendCents: { type: Number, min: 0, default: 0 },
+
+    startsAt: { type: Date },
+    expiresAt: { type: Date },
+
+    maxRedemptions: { type: Number, min: 1 },         // across all buyers; unset = unlimited
+    maxRedemptionsPerUser: { type: Number, min: 1 },  // unset = unlimited
+    redemptionCount: { type: Number, default: 0 },    // paid orders that used it + live reservations
+
+    // Empty = every category / every artist
+    categories: { type: [{ type: String, enum: IMAGE_CATEGORY }], default: [] },
+    artistUserIds: { type: [{ type: Types.ObjectId, ref: "User" }], default: [] },
+
+    fundedBy: {
+      type: String,
+      enum: { values: Object.values(COUPON_FUNDED_BY), message: "Invalid coupon funding" },
+      default: COUPON_FUNDED_BY.PLATFORM,
+    },
+    active: { type: Boolean, default: true },
+    createdBy: { type: Types.ObjectId, ref: "AdminUser" },
+  },
+  { timestamps: true }
+);
+
+CouponSchema.index({ active: 1, expiresAt: 1 });
+
+const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", CouponSchema);
+
+export default Coupon;
@@ -0,0 +1,42 @@
+// models/couponRedemption.js
+import mongoose from "mongoose";
+import { COUPON_FUNDED_BY } from "./coupon.js";
+const { Schema, Types } = mongoose;
+
+export const COUPON_REDEMPTION_STATUS = {
+  RESERVED: "reserved", // taken when the PaymentIntent is created; lapses with the inventory hold
+  REDEEMED: "redeemed", // the order was paid
+};
+
+/**
+ * Coupon Redemption Schema
+ * One per order that is paying (or has paid) with a coupon; counts toward
+ * the coupon's limits. Keyed by order so a retried payment can't count a
+ * redemption twice.
+ */
+const CouponRedemptionSchema = new Schema(
+  {
+    couponId: { type: Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    userId: { type: Types.ObjectId, ref: "User", required: true },
+    orderId: { type: Types.ObjectId, ref: "Order", required: true, unique: true },
+    discountCents: { type: Number, min: 0, required: true },
+    fundedBy: { type: String, enum: Object.values(COUPON_FUNDED_BY) },
+    status: {
+      type: String,
+      enum: Object.values(COUPON_REDEMPTION_STATUS),
+      default: COUPON_REDEMPTION_STATUS.REDEEMED,
+    },
+    expiresAt: { type: Date }, // reservations only
+  },
+  { timestamps: true }
+);
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1 });
+CouponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+CouponRedemptionSchema.index({ couponId: 1, status: 1, expiresAt: 1 });
+
+const CouponRedemption =
+  mongoose.models.CouponRedemption || mongoose.model("CouponRedemption", CouponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,135 @@
+// models/dispute.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Dispute Status (mirrors Stripe's dispute.status)
+ */
+export const DISPUTE_STATUS = {
+  WARNING_NEEDS_RESPONSE: "warning_needs_response", // Inquiry; no money moved yet
+  WARNING_UNDER_REVIEW: "warning_under_review",
+  WARNING_CLOSED: "warning_closed",
+  NEEDS_RESPONSE: "needs_response",                 // Evidence due by evidenceDueBy
+  UNDER_REVIEW: "under_review",                     // Evidence submitted, bank deciding
+  WON: "won",
+  LOST: "lost",
+};
+
+// Evidence can still be changed and submitted
+export const RESPONDABLE_DISPUTE_STATUSES = [
+  DISPUTE_STATUS.WARNING_NEEDS_RESPONSE,
+  DISPUTE_STATUS.NEEDS_RESPONSE,
+];
+
+export const CLOSED_DISPUTE_STATUSES = [
+  DISPUTE_STATUS.WARNING_CLOSED,
+  DISPUTE_STATUS.WON,
+  DISPUTE_STATUS.LOST,
+];
+
+// Stripe evidence fields that take an uploaded file id
+export const EVIDENCE_FILE_FIELDS = [
+  "shipping_documentation",
+  "customer_communication",
+  "receipt",
+  "uncategorized_file",
+];
+
+// Stripe evidence fields admins may write
+export const EVIDENCE_TEXT_FIELDS = [
+  "product_description",
+  "customer_name",
+  "customer_email_address",
+  "billing_address",
+  "shipping_address",
+  "shipping_carrier",
+  "shipping_tracking_number",
+  "shipping_date",
+  "refund_policy",
+  "refund_refusal_explanation",
+  "uncategorized_text",
+];
+
+/**
+ * A file uploaded to Stripe as dispute evidence
+ */
+const EvidenceFileSchema = new Schema(
+  {
+    field: { type: String, enum: EVIDENCE_FILE_FIELDS, required: true },
+    stripeFileId: { type: String, required: true },
+    url: { type: String },          // our stored copy
+    label: { type: String },
+    uploadedBy: { type: Types.ObjectId, ref: "AdminUser" },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * One webhook or admin step
+ */
+const DisputeEventSchema = new Schema(
+  {
+    type: { type: String, required: true },   // e.g. "charge.dispute.created", "evidence.submitted"
+    status: { type: String },
+    note: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Dispute Schema
+ * A chargeback (or inquiry) opened by the buyer's bank against an order's charge.
+ * Created and kept in sync from charge.dispute.* webhooks. Amounts are in cents.
+ */
+const DisputeSchema = new Schema(
+  {
+    stripeDisputeId: { type: String, required: true, unique: true },
+    orderId: { type: Types.ObjectId, ref: "Order", index: true },
+    chargeId: { type: String, index: true },
+    paymentIntentId: { type: String },
+    artistUserId: { type: Types.ObjectId, ref: "User", index: true },
+    buyerUserId: { type: Types.ObjectId, ref: "User" },
+
+    amount: { type: Number, min: 0, required: true },
+    currency: { type: String, default: "usd" },
+    reason: { type: String },   // Stripe reason, e.g. "product_not_received", "fraudulent"
+    status: {
+      type: String,
+      enum: { values: Object.values(DISPUTE_STATUS), message: "Invalid dispute status" },
+      required: true,
+      index: true,
+    },
+
+    evidenceDueBy: { type: Date, index: true },
+    isChargeRefundable: { type: Boolean },
+
+    // Order status to go back to if the dispute is won
+    orderStatusBeforeDispute: { type: String },
+
+    // Draft evidence, sent to Stripe on submit
+    evidence: { type: Object, default: {} },
+    evidenceFiles: { type: [EvidenceFileSchema], default: [] },
+    evidenceSubmittedAt: { type: Date },
+    evidenceSubmittedBy: { type: Types.ObjectId, ref: "AdminUser" },
+
+    adminNotes: { type: String, maxLength: [5000, "Notes should be less than 5000 characters"] },
+
+    // Deadline alerts already sent (see services/disputeMonitor.js)
+    alerts: {
+      warningSentAt: { type: Date },
+      urgentSentAt: { type: Date },
+    },
+
+    closedAt: { type: Date },
+    history: { type: [DisputeEventSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+DisputeSchema.index({ status: 1, evidenceDueBy: 1 });
+
+const Dispute = mongoose.models.Dispute || mongoose.model("Dispute", DisputeSchema);
+
+export default Dispute;
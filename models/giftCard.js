@@ -0,0 +1,60 @@
+// models/giftCard.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Gift Card Status
+ * pending (awaiting payment) → active → redeemed
+ * An active card can be voided by an admin.
+ */
+export const GIFT_CARD_STATUS = {
+  PENDING: "pending",
+  ACTIVE: "active",
+  REDEEMED: "redeemed",
+  VOID: "void",
+};
+
+/**
+ * Gift Card Schema
+ * Bought through Stripe like an order, but the money stays with the
+ * platform. Redeeming the code turns it into store credit for whoever
+ * redeems it. Amounts are in cents.
+ */
+const GiftCardSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    amountCents: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: { values: Object.values(GIFT_CARD_STATUS), message: "Invalid gift card status" },
+      default: GIFT_CARD_STATUS.PENDING,
+      index: true,
+    },
+
+    purchaserUserId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+    recipientName: { type: String, trim: true, maxLength: [100, "Name should be less than 100 characters"] },
+    recipientEmail: { type: String, trim: true, lowercase: true },
+    message: { type: String, maxLength: [500, "Message should be less than 500 characters"] },
+
+    paymentIntentId: { type: String },
+    chargeId: { type: String },
+    paidAt: { type: Date },
+    // Set on payment; redeemed credit keeps the same date
+    expiresAt: { type: Date },
+
+    redeemedByUserId: { type: Types.ObjectId, ref: "User" },
+    redeemedAt: { type: Date },
+    creditEntryId: { type: Types.ObjectId, ref: "StoreCreditEntry" },
+
+    voidedAt: { type: Date },
+    voidReason: { type: String },
+    voidedBy: { type: Types.ObjectId },
+  },
+  { timestamps: true }
+);
+
+GiftCardSchema.index({ paymentIntentId: 1 }, { unique: true, sparse: true });
+
+const GiftCard = mongoose.models.GiftCard || mongoose.model("GiftCard", GiftCardSchema);
+
+export default GiftCard;
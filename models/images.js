@@ -29,11 +29,189 @@ export const IMAGE_STAGE = {
   REJECTED: "rejected",
 };
 
+// Query filter for listings buyers can see: approved, and the artist can currently be paid
+export const LISTED_IMAGE_FILTER = { stage: IMAGE_STAGE.APPROVED, artistPayoutsDisabled: { $ne: true } };
+
 const STAGE_ENUM = {
   values: Object.values(IMAGE_STAGE),
   message: "Stage should be one of the following: [review, approved, rejected]",
 };
 
+// Define enum for auction lifecycle (scheduled/live is derived from startAt/endAt while "open")
+export const AUCTION_STATUS = {
+  OPEN: "open",           // accepting bids between startAt and endAt
+  CLOSING: "closing",     // claimed by the closing job
+  SOLD: "sold",           // winner picked and order created
+  UNSOLD: "unsold",       // no bids, reserve not met, or order could not be created
+  CANCELLED: "cancelled", // withdrawn by the artist before any bid
+};
+
+const AUCTION_STATUS_ENUM = {
+  values: Object.values(AUCTION_STATUS),
+  message: "Auction status should be one of the following: [open, closing, sold, unsold, cancelled]",
+};
+
+// Auction settings and outcome (amounts in dollars, like `price` and `currentBid`)
+const AuctionSchema = new Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    status: { type: String, enum: AUCTION_STATUS_ENUM, default: AUCTION_STATUS.OPEN },
+    startAt: { type: Date },
+    endAt: { type: Date },
+    startingBid: { type: Number, min: [1, "Starting bid should be greater than $0.99"] },
+    reservePrice: { type: Number, min: 0, default: 0 },
+    minIncrement: { type: Number, min: [1, "Minimum increment should be at least $1"], default: 5 },
+
+    // Anti-sniping: a bid inside the window pushes endAt out by extensionMinutes
+    antiSnipeWindowMinutes: { type: Number, min: 0, default: 2 },
+    extensionMinutes: { type: Number, min: 0, default: 2 },
+    extensionsCount: { type: Number, default: 0 },
+
+    // Number of visible bids (manual and automatic)
+    bidCount: { type: Number, default: 0 },
+    // Incremented on every bid submission; used as a compare-and-set guard
+    revision: { type: Number, default: 0 },
+
+    // Hidden maximum bids for proxy bidding; never returned unless selected explicitly
+    proxyBids: {
+      type: [
+        {
+          _id: false,
+          userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+          maxAmount: { type: Number, required: true },
+          createdAt: { type: Date, default: Date.now },
+          updatedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+
+    winnerUserId: { type: Schema.Types.ObjectId, ref: "User" },
+    winningBid: { type: Number },
+    orderId: { type: Schema.Types.ObjectId, ref: "Order" },
+    // When the closing job claimed it (a lease; see services/auction.js)
+    closingAt: { type: Date },
+    closedAt: { type: Date },
+    closeReason: { type: String },
+  },
+  { _id: false }
+);
+
+// Responsive renditions generated from uploaded originals
+export const IMAGE_VARIANT_SIZE = {
+  THUMB: "thumb",
+  MEDIUM: "medium",
+  LARGE: "large",
+};
+
+export const IMAGE_VARIANT_FORMAT = {
+  WEBP: "webp",
+  AVIF: "avif",
+};
+
+const ImageVariantSchema = new Schema(
+  {
+    size: { type: String, enum: Object.values(IMAGE_VARIANT_SIZE), required: true },
+    format: { type: String, enum: Object.values(IMAGE_VARIANT_FORMAT), required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+  },
+  { _id: false }
+);
+
+// Pixel dimensions and file size of the stored original
+const ImageMetaSchema = new Schema(
+  {
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+    format: { type: String },
+  },
+  { _id: false }
+);
+
+// What a gallery photo shows, so buyers know what they're looking at
+export const GALLERY_PHOTO_KIND = {
+  FRONT: "front",
+  BACK: "back",
+  SIGNATURE: "signature",
+  FRAME: "frame",
+  EDGE: "edge",
+  DETAIL: "detail",
+  OTHER: "other",
+};
+
+// Extra photos of a listing (the cover is the listing's own imageLink).
+// Each photo is moderated on its own; only approved photos are shown to buyers.
+const GalleryPhotoSchema = new Schema(
+  {
+    url: { type: String, required: true },
+    kind: { type: String, enum: Object.values(GALLERY_PHOTO_KIND), default: GALLERY_PHOTO_KIND.DETAIL },
+    caption: { type: String, maxLength: [200, "Caption should be less than 200 characters"], default: "" },
+    position: { type: Number, default: 0 },
+    stage: { type: String, enum: STAGE_ENUM, default: IMAGE_STAGE.REVIEW },
+    rejectionMessage: { type: String, default: "" },
+    reviewedByEmail: { type: String },
+    reviewedAt: { type: Date },
+    imageMeta: { type: ImageMetaSchema, default: undefined },
+    variants: { type: [ImageVariantSchema], default: undefined },
+  },
+  { timestamps: true }
+);
+
+// Limited edition of a single print size. Counts are in prints.
+const EditionSchema = new Schema(
+  {
+    size: { type: Number, min: [1, "Edition size should be at least 1"], required: true },
+    remaining: { type: Number, min: 0, required: true },
+    // Number given to the next print sold (1 of N, 2 of N, ...)
+    nextNumber: { type: Number, min: 1, default: 1 },
+  },
+  { _id: false }
+);
+
+// One print size with its own price and edition (e.g. 8x10 vs 16x20)
+const PrintVariantSchema = new Schema(
+  {
+    label: { type: String, required: true, maxLength: [40, "Variant label should be less than 40 characters"] },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 },
+    price: { type: Number, required: true, min: [1, "Price should be greater than $0.99"] }, // dollars
+    editionSize: { type: Number, min: [1, "Edition size should be at least 1"], required: true },
+    remaining: { type: Number, min: 0, required: true },
+    nextNumber: { type: Number, min: 1, default: 1 },
+  }
+);
+
+// A checkout's claim on one unit of stock while the buyer pays
+const InventoryHoldSchema = new Schema(
+  {
+    orderId: { type: Schema.Types.ObjectId, ref: "Order", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+    variantId: { type: Schema.Types.ObjectId }, // print size, when the listing has sizes
+    expiresAt: { type: Date, required: true },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Result of the perceptual-hash comparison against other artists' listings
+export const DUPLICATE_CHECK_STATUS = {
+  CLEAR: "clear",         // no near-duplicates from other users
+  SUSPECTED: "suspected", // flagged for admin review
+  DISMISSED: "dismissed", // an admin reviewed the matches and approved anyway
+};
+
+const DuplicateMatchSchema = new Schema(
+  {
+    imageId: { type: Schema.Types.ObjectId, ref: "Image", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+    distance: { type: Number, required: true }, // Hamming distance between hashes (0 = identical)
+  },
+  { _id: false }
+);
+
 // Define the ImageSchema using the Schema constructor
 const ImageSchema = new Schema(
   {
@@ -82,8 +260,11 @@ const ImageSchema = new Schema(
       {
         userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         amount: { type: Number, required: true },
+        createdAt: { type: Date, default: Date.now },
+        isAutomatic: { type: Boolean, default: false }, // placed by proxy bidding
       },
     ],
+    auction: { type: AuctionSchema, default: undefined },
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
 
     // Expanded dimensions with length
@@ -127,10 +308,46 @@ const ImageSchema = new Schema(
       enum: ["unsold", "sold"],
       default: "unsold",
     },    
+    // Hidden from the marketplace while Stripe has the artist's payouts disabled
+    artistPayoutsDisabled: { type: Boolean, default: false },
+
+    // The accepted offer that currently reserves the piece (see services/offers.js)
+    acceptedOfferId: { type: Schema.Types.ObjectId, ref: "Offer" },
+
+    // Set for files uploaded through POST /image/upload (empty for external links)
+    imageMeta: { type: ImageMetaSchema, default: undefined },
+    variants: { type: [ImageVariantSchema], default: undefined },
+
+    // Prints: either one edition at `price`, or several sizes with their own price and edition.
+    // Listings with neither are one-of-a-kind and sell out on the first sale.
+    edition: { type: EditionSchema, default: undefined },
+    printVariants: { type: [PrintVariantSchema], default: undefined },
+
+    // Stock held for buyers who are checking out (see services/inventory.js).
+    // holdsVersion changes on every write so concurrent reservations can't both win.
+    holds: { type: [InventoryHoldSchema], default: undefined, select: false },
+    holdsVersion: { type: Number, default: 0, select: false },
+
+    // Ordered detail shots (back, signature, frame, edges...)
+    gallery: { type: [GalleryPhotoSchema], default: undefined },
+
+    // 64-bit dHash (16 hex chars) used for duplicate / stolen-art detection
+    perceptualHash: { type: String },
+    duplicateCheck: {
+      status: { type: String, enum: Object.values(DUPLICATE_CHECK_STATUS) },
+      matches: { type: [DuplicateMatchSchema], default: undefined },
+      checkedAt: { type: Date },
+      reviewedByEmail: { type: String },
+    },
   },
   { timestamps: true }
 );
 
+ImageSchema.index({ "auction.enabled": 1, "auction.status": 1, "auction.endAt": 1 });
+ImageSchema.index({ "duplicateCheck.status": 1, createdAt: -1 });
+ImageSchema.index({ "holds.expiresAt": 1 }, { sparse: true });
+ImageSchema.index({ userId: 1, artistPayoutsDisabled: 1 });
+
 // Create the Image model using the ImageSchema, or retrieve it if it already exists
 const ImageModel =
   mongoose.models.ImageModel || mongoose.model("Image", ImageSchema);
@@ -0,0 +1,67 @@
+// models/ledgerEntry.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Ledger accounts
+ * Every transaction debits and credits the same total across these.
+ * seller_payable is the artist's balance (credit = the platform owes them).
+ */
+export const LEDGER_ACCOUNT = {
+  PLATFORM_CASH: "platform_cash",     // money held in the platform's Stripe balance
+  SELLER_PAYABLE: "seller_payable",   // owed to the artist
+  PLATFORM_FEES: "platform_fees",     // platform's share of the base price
+  TAX_PAYABLE: "tax_payable",         // tax collected from the buyer
+  STORE_CREDIT: "store_credit",       // buyers' store credit balances (debit = credit spent on an order)
+};
+
+export const LEDGER_ENTRY_TYPE = {
+  SALE: "sale",                       // base price of the artwork
+  DISCOUNT: "discount",               // promo code; debited to whoever funds it
+  SHIPPING: "shipping",
+  TAX: "tax",
+  PLATFORM_FEE: "platform_fee",       // platformHoldOnBase
+  REFUND: "refund",
+  DISPUTE: "dispute",                 // charge pulled back by a lost dispute
+  TRANSFER: "transfer",               // paid out to the artist's Stripe account
+  TRANSFER_REVERSAL: "transfer_reversal",
+};
+
+/**
+ * Ledger Entry Schema
+ * One line of a balanced transaction. Lines are derived from the order's
+ * own records (payment, refunds[], transfers[]) by services/ledger.js and
+ * keyed deterministically, so re-syncing an order never double-books.
+ * Amounts are in cents; exactly one of debit/credit is non-zero.
+ */
+const LedgerEntrySchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },   // `${txnId}:${account}:${type}`
+    txnId: { type: String, required: true, index: true },  // e.g. "sale:<orderId>", "refund:<refundId>"
+    type: {
+      type: String,
+      enum: { values: Object.values(LEDGER_ENTRY_TYPE), message: "Invalid ledger entry type" },
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: { values: Object.values(LEDGER_ACCOUNT), message: "Invalid ledger account" },
+      required: true,
+    },
+    debit: { type: Number, min: 0, default: 0 },
+    credit: { type: Number, min: 0, default: 0 },
+
+    artistUserId: { type: Types.ObjectId, ref: "User", required: true },
+    orderId: { type: Types.ObjectId, ref: "Order", required: true, index: true },
+    sourceId: { type: String },       // Stripe refund / transfer id when there is one
+    description: { type: String },
+    occurredAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+LedgerEntrySchema.index({ artistUserId: 1, account: 1, occurredAt: 1 });
+
+const LedgerEntry = mongoose.models.LedgerEntry || mongoose.model("LedgerEntry", LedgerEntrySchema);
+
+export default LedgerEntry;
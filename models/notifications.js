@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 const { Schema, Types } = mongoose;
 import UserModel from "./users.js";
 import sendEmail from "../services/email.js";
+import { buildOrderInvoice } from "../services/invoices.js";
 
 /**
  * Notification Types
@@ -14,6 +15,7 @@ export const NOTIFICATION_TYPE = {
   ORDER_SHIPPED: "order_shipped",
   ORDER_OUT_FOR_DELIVERY: "order_out_for_delivery",
   ORDER_DELIVERED: "order_delivered",
+  ORDER_REFUNDED: "order_refunded",
   PROFILE_VIEW: "profile_view",
   LIKE_RECEIVED: "like_received",
   IMAGE_APPROVED: "image_approved",
@@ -25,6 +27,31 @@ export const NOTIFICATION_TYPE = {
   MODERATION_SUSPENSION: "moderation_suspension", // User: account suspended
   MODERATION_BAN: "moderation_ban",             // User: account banned
   CONTENT_REMOVED: "content_removed",           // User: content removed by moderation
+  // Auctions
+  AUCTION_WON: "auction_won",                   // Winner: pay for the piece
+  AUCTION_LOST: "auction_lost",                 // Other bidders: auction closed without them
+  AUCTION_ENDED: "auction_ended",               // Artist: outcome of their auction
+  AUCTION_OUTBID: "auction_outbid",             // Bidder: someone beat their maximum bid
+  // Offers
+  OFFER_RECEIVED: "offer_received",             // Artist: a buyer made an offer
+  OFFER_COUNTERED: "offer_countered",           // Buyer/artist: the other side countered
+  OFFER_ACCEPTED: "offer_accepted",             // Buyer/artist: offer accepted, order created
+  OFFER_DECLINED: "offer_declined",             // Buyer/artist: offer declined or withdrawn
+  OFFER_EXPIRED: "offer_expired",               // Both: nobody responded in time
+  // Returns
+  RETURN_REQUESTED: "return_requested",         // Artist: buyer asked to return an order
+  RETURN_APPROVED: "return_approved",           // Buyer: ship it back (or refund issued)
+  RETURN_REJECTED: "return_rejected",           // Buyer: artist declined the return
+  RETURN_SHIPPED: "return_shipped",             // Artist: return is on its way / arrived
+  RETURN_CANCELLED: "return_cancelled",         // Artist: buyer withdrew the return
+  // Disputes
+  DISPUTE_OPENED: "dispute_opened",             // Artist: buyer's bank disputed the payment
+  DISPUTE_CLOSED: "dispute_closed",             // Artist: the bank decided
+  // Payouts
+  PAYOUT_SENT: "payout_sent",                   // Artist: automatic payout transferred
+  // Stripe Connect account
+  STRIPE_ACTION_REQUIRED: "stripe_action_required", // Artist: Stripe needs more information
+  STRIPE_PAYOUT_FAILED: "stripe_payout_failed",     // Artist: Stripe couldn't pay out to their bank
 };
 
 const TYPE_ENUM = {
@@ -59,6 +86,9 @@ const NotificationSchema = new Schema(
     orderId: { type: Types.ObjectId, ref: "Order" },
     imageId: { type: Types.ObjectId, ref: "Image" },
     reportId: { type: Types.ObjectId, ref: "Report" },
+    offerId: { type: Types.ObjectId, ref: "Offer" },
+    returnRequestId: { type: Types.ObjectId, ref: "ReturnRequest" },
+    disputeId: { type: Types.ObjectId, ref: "Dispute" },
 
     // Quick-render payload
     data: {
@@ -169,6 +199,8 @@ function notificationEmailMeta(doc) {
       return { subject: "Out for delivery", message: doc.message, cta: orderUrl && { label: "Track delivery", url: orderUrl } };
     case NOTIFICATION_TYPE.ORDER_DELIVERED:
       return { subject: "Delivered", message: doc.message, cta: orderUrl && { label: "View order", url: orderUrl } };
+    case NOTIFICATION_TYPE.ORDER_REFUNDED:
+      return { subject: "Your payment was refunded", message: doc.message, cta: orderUrl && { label: "View order", url: orderUrl } };
     case NOTIFICATION_TYPE.PROFILE_VIEW:
       return { subject: "Someone viewed your profile", message: doc.message };
     case NOTIFICATION_TYPE.LIKE_RECEIVED:
@@ -190,11 +222,68 @@ function notificationEmailMeta(doc) {
       return { subject: "Account terminated", message: doc.message };
     case NOTIFICATION_TYPE.CONTENT_REMOVED:
       return { subject: "Content removed", message: doc.message };
+    // Auctions
+    case NOTIFICATION_TYPE.AUCTION_WON:
+      return { subject: "You won the auction", message: doc.message, cta: orderUrl && { label: "Complete purchase", url: orderUrl } };
+    case NOTIFICATION_TYPE.AUCTION_LOST:
+      return { subject: "Auction ended", message: doc.message };
+    case NOTIFICATION_TYPE.AUCTION_OUTBID:
+      return { subject: "You've been outbid", message: doc.message };
+    case NOTIFICATION_TYPE.AUCTION_ENDED:
+      return { subject: "Your auction has ended", message: doc.message, cta: orderUrl && { label: "View order", url: orderUrl } };
+    // Offers
+    case NOTIFICATION_TYPE.OFFER_RECEIVED:
+      return { subject: "You received an offer", message: doc.message };
+    case NOTIFICATION_TYPE.OFFER_COUNTERED:
+      return { subject: "Counter-offer received", message: doc.message };
+    case NOTIFICATION_TYPE.OFFER_ACCEPTED:
+      return { subject: "Offer accepted", message: doc.message, cta: orderUrl && { label: "Complete purchase", url: orderUrl } };
+    case NOTIFICATION_TYPE.OFFER_DECLINED:
+      return { subject: "Offer declined", message: doc.message };
+    case NOTIFICATION_TYPE.OFFER_EXPIRED:
+      return { subject: "Offer expired", message: doc.message };
+    // Returns
+    case NOTIFICATION_TYPE.RETURN_REQUESTED:
+      return { subject: "Return requested", message: doc.message, cta: orderUrl && { label: "Review return", url: orderUrl } };
+    case NOTIFICATION_TYPE.RETURN_APPROVED:
+      return { subject: "Your return was approved", message: doc.message, cta: orderUrl && { label: "View return", url: orderUrl } };
+    case NOTIFICATION_TYPE.RETURN_REJECTED:
+      return { subject: "Your return was declined", message: doc.message, cta: orderUrl && { label: "View order", url: orderUrl } };
+    case NOTIFICATION_TYPE.RETURN_SHIPPED:
+      return { subject: "Return update", message: doc.message, cta: orderUrl && { label: "View return", url: orderUrl } };
+    case NOTIFICATION_TYPE.RETURN_CANCELLED:
+      return { subject: "Return cancelled", message: doc.message };
+    // Disputes
+    case NOTIFICATION_TYPE.DISPUTE_OPENED:
+      return { subject: "A payment was disputed", message: doc.message, cta: orderUrl && { label: "View order", url: orderUrl } };
+    case NOTIFICATION_TYPE.DISPUTE_CLOSED:
+      return { subject: "Dispute update", message: doc.message, cta: orderUrl && { label: "View order", url: orderUrl } };
+    // Payouts
+    case NOTIFICATION_TYPE.PAYOUT_SENT:
+      return { subject: "You've been paid", message: doc.message, cta: orderUrl && { label: "View sale", url: orderUrl } };
+    // Stripe Connect account
+    case NOTIFICATION_TYPE.STRIPE_ACTION_REQUIRED:
+      return { subject: "Action needed: update your payout details", message: doc.message };
+    case NOTIFICATION_TYPE.STRIPE_PAYOUT_FAILED:
+      return { subject: "A payout to your bank failed", message: doc.message };
     default:
       return { subject: doc.title || "Notification", message: doc.message };
   }
 }
 
+/** Files sent with the email: the receipt for a paid order */
+async function emailAttachments(doc) {
+  if (doc.type !== NOTIFICATION_TYPE.ORDER_PAID || !doc.orderId) return undefined;
+  try {
+    const invoice = await buildOrderInvoice(doc.orderId);
+    return [{ filename: invoice.filename, content: invoice.pdf, contentType: "application/pdf" }];
+  } catch (e) {
+    // Still send the email; the receipt can be downloaded from the order
+    console.error(`Invoice for order ${doc.orderId} failed:`, e?.message || e);
+    return undefined;
+  }
+}
+
 /** Post-save hook → send email */
 NotificationSchema.post("save", async function (doc) {
   try {
@@ -212,7 +301,7 @@ NotificationSchema.post("save", async function (doc) {
       cta: meta.cta,
     });
 
-    await sendEmail(recipient.email, meta.subject, html);
+    await sendEmail(recipient.email, meta.subject, html, await emailAttachments(doc));
   } catch (e) {
     console.error("Notification email send failed:", e?.message || e);
   }
@@ -0,0 +1,123 @@
+// models/offer.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Offer Status
+ * The status also tells whose turn it is to respond.
+ */
+export const OFFER_STATUS = {
+  PENDING: "pending",       // Waiting on the artist
+  COUNTERED: "countered",   // Artist countered, waiting on the buyer
+  ACCEPTED: "accepted",     // Order created at the agreed price
+  DECLINED: "declined",
+  WITHDRAWN: "withdrawn",   // Buyer pulled the offer
+  EXPIRED: "expired",       // Nobody responded before expiresAt
+};
+
+export const OPEN_OFFER_STATUSES = [OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED];
+
+const STATUS_ENUM = {
+  values: Object.values(OFFER_STATUS),
+  message: "Invalid offer status",
+};
+
+export const OFFER_PARTY = {
+  BUYER: "buyer",
+  ARTIST: "artist",
+};
+
+/**
+ * One step in the negotiation
+ */
+const OfferEventSchema = new Schema(
+  {
+    by: { type: String, enum: [...Object.values(OFFER_PARTY), "system"], required: true },
+    action: {
+      type: String,
+      enum: ["offer", "counter", "accept", "decline", "withdraw", "expire"],
+      required: true,
+    },
+    amount: { type: Number },
+    message: { type: String, maxLength: [500, "Message should be less than 500 characters"] },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Offer Schema
+ * A buyer's negotiation with an artist over one approved artwork.
+ * Amounts are in dollars, like Image.price.
+ */
+const OfferSchema = new Schema(
+  {
+    imageId: { type: Types.ObjectId, ref: "Image", required: true, index: true },
+    buyerUserId: { type: Types.ObjectId, ref: "User", required: true },
+    artistUserId: { type: Types.ObjectId, ref: "User", required: true },
+
+    // Amount currently on the table (latest offer or counter)
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, "Offer should be greater than $0.99"],
+    },
+    // List price when the offer was made
+    listPrice: { type: Number, required: true },
+
+    status: {
+      type: String,
+      enum: STATUS_ENUM,
+      default: OFFER_STATUS.PENDING,
+      index: true,
+    },
+
+    history: { type: [OfferEventSchema], default: [] },
+
+    // Reset every time the offer changes hands
+    expiresAt: { type: Date, required: true, index: true },
+
+    // Set once accepted
+    orderId: { type: Types.ObjectId, ref: "Order" },
+    acceptedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+OfferSchema.index({ buyerUserId: 1, createdAt: -1 });
+OfferSchema.index({ artistUserId: 1, createdAt: -1 });
+OfferSchema.index({ imageId: 1, buyerUserId: 1, status: 1 });
+
+/**
+ * Virtual: which party has to respond next (null when closed)
+ */
+OfferSchema.virtual("awaiting").get(function () {
+  if (this.status === OFFER_STATUS.PENDING) return OFFER_PARTY.ARTIST;
+  if (this.status === OFFER_STATUS.COUNTERED) return OFFER_PARTY.BUYER;
+  return null;
+});
+
+OfferSchema.set("toJSON", {
+  virtuals: true,
+  versionKey: false,
+  transform: (_doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+  },
+});
+
+/**
+ * Static: open offers whose deadline has passed
+ */
+OfferSchema.statics.findStale = function (now = new Date(), limit = 100) {
+  return this.find({
+    status: { $in: OPEN_OFFER_STATUSES },
+    expiresAt: { $lte: now },
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
+const Offer = mongoose.models.Offer || mongoose.model("Offer", OfferSchema);
+
+export default Offer;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { COMMISSION_SCOPE, LEGACY_COMMISSION_BPS } from "./commissionRule.js";
+import { COUPON_TYPE, COUPON_FUNDED_BY } from "./coupon.js";
 const { Schema } = mongoose;
 
 /** ===================== Enums ===================== */
@@ -18,6 +20,27 @@ const SHIPMENT_STATUS_ENUM = {
   message: "Shipment status should be one of the predefined values",
 };
 
+/** Payment / fulfilment state of the order (transitions live in services/orderLifecycle.js) */
+export const ORDER_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  COMPLETED: "completed",
+  DISPUTED: "disputed",
+  REFUNDED: "refunded",
+};
+
+/** Who made a status change */
+export const ORDER_ACTOR = {
+  BUYER: "buyer",
+  ARTIST: "artist",
+  ADMIN: "admin",
+  STRIPE: "stripe",
+  CARRIER: "carrier",
+  SYSTEM: "system",
+};
+
 /** Normalize carrier codes/slugs to TitleCase names used in schema enum */
 const toTitleCaseCarrier = (val) => {
   if (!val) return val;
@@ -47,6 +70,45 @@ const TrackingEventSchema = new Schema(
   { _id: false }
 );
 
+// One entry per change of `status` or `shipping.shipmentStatus`
+const StatusChangeSchema = new Schema(
+  {
+    field: { type: String, enum: ["status", "shipmentStatus"], required: true },
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: String, enum: Object.values(ORDER_ACTOR), required: true },
+    actorId: { type: Schema.Types.ObjectId },
+    reason: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Stripe transfer to the artist (POST /order/:id/payout); reversals reduce it
+const TransferRecordSchema = new Schema(
+  {
+    transferId: { type: String, required: true },
+    amount: { type: Number, min: 0, required: true },        // cents
+    reversedCents: { type: Number, min: 0, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Refund to the buyer (card and/or store credit; refundId is "credit_<entryId>" when no card refund)
+const RefundRecordSchema = new Schema(
+  {
+    refundId: { type: String, required: true },
+    amount: { type: Number, min: 0, required: true },        // cents
+    reversedCents: { type: Number, min: 0, default: 0 },     // clawed back from the artist
+    storeCreditCents: { type: Number, min: 0 },              // part of `amount` returned as store credit
+    reason: { type: String },
+    returnRequestId: { type: Schema.Types.ObjectId, ref: "ReturnRequest" },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const ShippingSchema = new Schema(
   {
     trackingNumber: { type: String, trim: true, uppercase: true, index: true },
@@ -100,6 +162,18 @@ const ShippingSchema = new Schema(
 /** ===================== Order ===================== */
 const Money = { type: Number, min: 0, default: 0 }; // cents, integers
 
+/** How the order came to be; non-direct orders are created by the server before the buyer checks out */
+export const ORDER_SOURCE = {
+  DIRECT: "direct",
+  AUCTION: "auction",
+  OFFER: "offer",
+};
+
+// Auction and offer orders are created server-side, so the buyer fills delivery details afterwards
+function deliveryRequired() {
+  return (this.source || ORDER_SOURCE.DIRECT) === ORDER_SOURCE.DIRECT;
+}
+
 const OrderSchema = new Schema(
   {
     imageId: { type: Schema.Types.ObjectId, ref: "Image", required: true },
@@ -126,27 +200,74 @@ const OrderSchema = new Schema(
     baseAmount: { ...Money },     // mirrors `price`
     shippingAmount: { ...Money },
     taxAmount: { ...Money },
-    totalAmount: { ...Money },    // base + shipping + tax
+    totalAmount: { ...Money },    // base - discount + shipping + tax
+
+    // Promo code applied before checkout (services/coupons.js); comes off the base only
+    discount: {
+      couponId: { type: Schema.Types.ObjectId, ref: "Coupon" },
+      code: { type: String },
+      type: { type: String, enum: Object.values(COUPON_TYPE) },
+      amountCents: { type: Number, min: 0 },
+      fundedBy: { type: String, enum: Object.values(COUPON_FUNDED_BY) },
+      appliedAt: { type: Date },
+    },
+    // Store credit paying part of the total (services/storeCredit.js); the
+    // PaymentIntent charges totalAmount minus this
+    storeCredit: {
+      appliedCents: { type: Number, min: 0 },
+      entryId: { type: Schema.Types.ObjectId, ref: "StoreCreditEntry" },
+      appliedAt: { type: Date },
+    },
+
+    // Receipt for a paid order (services/invoices.js); numbers are sequential
+    invoice: {
+      number: { type: String },
+      issuedAt: { type: Date },
+    },
 
     userAccountName: { type: String, required: true }, // buyer name at order time
 
     deliveryDetails: {
-      name: { type: String, required: true },
-      address: { type: String, required: true },
-      city: { type: String, required: true },
-      state: { type: String, required: true },
-      zipCode: { type: String, required: true },
-      country: { type: String, required: true },
+      name: { type: String, required: deliveryRequired },
+      address: { type: String, required: deliveryRequired },
+      city: { type: String, required: deliveryRequired },
+      state: { type: String, required: deliveryRequired },
+      zipCode: { type: String, required: deliveryRequired },
+      country: { type: String, required: deliveryRequired },
     },
 
+    source: {
+      type: String,
+      enum: Object.values(ORDER_SOURCE),
+      default: ORDER_SOURCE.DIRECT,
+    },
+    offerId: { type: Schema.Types.ObjectId, ref: "Offer" },
+    // Bought from a cart with other pieces under one PaymentIntent (models/checkout.js);
+    // such orders have no paymentIntentId of their own and are refunded by charge
+    checkoutId: { type: Schema.Types.ObjectId, ref: "Checkout", index: true },
+
+    // Prints: which size was bought and the number assigned when payment cleared
+    printVariantId: { type: Schema.Types.ObjectId },
+    printVariantLabel: { type: String },
+    editionNumber: { type: Number },
+    editionSize: { type: Number },
+    // Set once the sale has been taken out of the listing's inventory (guards double counting)
+    inventoryCommittedAt: { type: Date },
+    // Stock is held for this order until then (renewed when a PaymentIntent is issued)
+    reservedUntil: { type: Date },
+    // Agreed price (auction/offer); base amount can't be changed by the buyer
+    priceLocked: { type: Boolean, default: false },
+
     userId: { type: Schema.Types.ObjectId, ref: "User", required: true }, // buyer
 
     status: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded"],
-      default: "pending",
+      enum: Object.values(ORDER_STATUS),
+      default: ORDER_STATUS.PENDING,
       index: true,
     },
+    // Every status / shipment status change, oldest first
+    statusHistory: { type: [StatusChangeSchema], default: undefined },
 
     /** ===== Stripe refs ===== */
     paymentIntentId: { type: String },
@@ -158,9 +279,42 @@ const OrderSchema = new Schema(
     /** ===== Payout bookkeeping ===== */
     chargeId: { type: String, index: true },          // Stripe charge id
     transferGroup: { type: String, index: true },     // e.g. "order_<orderId>"
-    platformHoldOnBase: { ...Money },                 // 3% of base
-    sellerDueCents: { ...Money },                     // shipping + 97% base
-    sellerTransferredCents: { ...Money },             // amount already paid out
+    platformHoldOnBase: { ...Money },                 // commission on base
+    sellerDueCents: { ...Money },                     // shipping + base - commission (less artist-funded discount)
+    // Commission rule in force when checkout started (services/commission.js);
+    // orders without one use the legacy flat 3%
+    commission: {
+      rateBps: { type: Number, min: 0, max: 10000 },
+      scope: { type: String, enum: Object.values(COMMISSION_SCOPE) },
+      ruleId: { type: Schema.Types.ObjectId, ref: "CommissionRule" },
+      label: { type: String },
+      category: { type: String },
+      grandfathered: { type: Boolean },
+      resolvedAt: { type: Date },
+    },
+    sellerTransferredCents: { ...Money },             // amount already paid out (net of reversals)
+    transfers: { type: [TransferRecordSchema], default: undefined },
+    refundedCents: { ...Money },                      // total refunded to the buyer so far
+    refunds: { type: [RefundRecordSchema], default: undefined },
+    // Set once the payout engine has scheduled this order's automatic payout
+    payoutScheduledAt: { type: Date },
+    // Set while a dispute blocks payouts for this order
+    payoutHold: {
+      reason: { type: String },
+      disputeId: { type: Schema.Types.ObjectId, ref: "Dispute" },
+      since: { type: Date },
+    },
+
+    // Rate the buyer picked from a signed shipping quote (amount in cents)
+    shippingQuote: {
+      carrier: { type: String },
+      serviceCode: { type: String },
+      serviceName: { type: String },
+      amount: { type: Number, min: 0 },
+      toZip: { type: String },
+      estBusinessDays: { type: Number },
+      quotedAt: { type: Date },
+    },
 
     shipping: { type: ShippingSchema, default: {} },
   },
@@ -181,14 +335,19 @@ OrderSchema.pre("save", function (next) {
   const s = Math.max(0, Number(this.shippingAmount || 0));
   const t = Math.max(0, Number(this.taxAmount || 0));
 
-  this.totalAmount = b + s + t;
+  const d = Math.min(b, Math.max(0, Number(this.discount?.amountCents || 0)));
+
+  this.totalAmount = b - d + s + t;
 
-  // Auto-calc payout fields if not set
-  const hold = Math.round(b * 0.03);
+  // Auto-calc payout fields from the snapshotted commission rate; an
+  // artist-funded discount lowers the price the artist is paid (and charged) on
+  const rateBps = this.commission?.rateBps ?? LEGACY_COMMISSION_BPS;
+  const sellerBase = this.discount?.fundedBy === COUPON_FUNDED_BY.ARTIST ? b - d : b;
+  const hold = Math.round((sellerBase * rateBps) / 10000);
   if (!this.platformHoldOnBase || this.platformHoldOnBase !== hold) {
     this.platformHoldOnBase = hold;
   }
-  const due = s + (b - hold);
+  const due = s + (sellerBase - hold);
   if (!this.sellerDueCents || this.sellerDueCents !== due) {
     this.sellerDueCents = due;
   }
@@ -207,10 +366,12 @@ OrderSchema.index({ userId: 1, createdAt: -1 });
 OrderSchema.index({ artistUserId: 1, createdAt: -1 });
 OrderSchema.index({ paymentIntentId: 1 }, { unique: true, sparse: true });
 OrderSchema.index({ chargeId: 1 }, { sparse: true });
+OrderSchema.index({ "invoice.number": 1 }, { unique: true, sparse: true });
 OrderSchema.index({ transferGroup: 1 });
+OrderSchema.index({ status: 1, "shipping.deliveredAt": 1, payoutScheduledAt: 1 });
 
 /** ===================== Exports ===================== */
 const OrderModel =
   mongoose.models.Order || mongoose.model("Order", OrderSchema);
 export default OrderModel;
-export { ShippingSchema, TrackingEventSchema };
+export { ShippingSchema, TrackingEventSchema, StatusChangeSchema };
@@ -0,0 +1,75 @@
+// models/payout.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Payout Status
+ * scheduled → processing → paid
+ * Blocked payouts sit in `held` and are re-checked on every run;
+ * failed transfers are retried with backoff until MAX attempts.
+ */
+export const PAYOUT_STATUS = {
+  SCHEDULED: "scheduled",   // Waiting for the hold period to end
+  HELD: "held",             // Blocked by a return, dispute or the artist's Stripe account
+  PROCESSING: "processing", // Transfer in flight
+  PAID: "paid",
+  FAILED: "failed",         // Transfer failed; retried at nextAttemptAt (null = gave up)
+  CANCELLED: "cancelled",   // Nothing left to pay (refunded, lost dispute, paid manually)
+};
+
+// Statuses the engine picks up when nextAttemptAt comes around
+export const DUE_PAYOUT_STATUSES = [PAYOUT_STATUS.SCHEDULED, PAYOUT_STATUS.HELD, PAYOUT_STATUS.FAILED];
+
+/**
+ * One transfer attempt
+ */
+const PayoutAttemptSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    amount: { type: Number, min: 0 },
+    transferId: { type: String },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * Payout Schema
+ * The automatic transfer of an order's seller share once it has been
+ * delivered and the hold period has passed. Amounts are in cents.
+ */
+const PayoutSchema = new Schema(
+  {
+    orderId: { type: Types.ObjectId, ref: "Order", required: true, unique: true },
+    artistUserId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+    artistStripeId: { type: String },
+
+    status: {
+      type: String,
+      enum: { values: Object.values(PAYOUT_STATUS), message: "Invalid payout status" },
+      default: PAYOUT_STATUS.SCHEDULED,
+      index: true,
+    },
+
+    deliveredAt: { type: Date },
+    eligibleAt: { type: Date, required: true },  // deliveredAt + hold period
+    nextAttemptAt: { type: Date, index: true },  // null once finished or out of retries
+
+    amount: { type: Number, min: 0 },            // last amount attempted / paid
+    holdReason: { type: String },
+    lastError: { type: String },
+    attempts: { type: [PayoutAttemptSchema], default: [] },
+    // Bumped when Stripe definitively rejects a transfer, so the retry gets a fresh idempotency key
+    keyVersion: { type: Number, default: 0 },
+
+    transferId: { type: String },
+    paidAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+PayoutSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Payout = mongoose.models.Payout || mongoose.model("Payout", PayoutSchema);
+
+export default Payout;
@@ -0,0 +1,119 @@
+// models/returnRequest.js
+import mongoose from "mongoose";
+import { ShippingSchema } from "./orders.js";
+const { Schema, Types } = mongoose;
+
+/**
+ * Return Status
+ * requested → approved → shipped → received → refunded
+ * (approved goes straight to refunded when the artist doesn't need the piece back)
+ */
+export const RETURN_STATUS = {
+  REQUESTED: "requested",   // Waiting on the artist
+  APPROVED: "approved",     // Buyer should ship the piece back
+  REJECTED: "rejected",
+  SHIPPED: "shipped",       // Return tracking added by the buyer
+  RECEIVED: "received",     // Artist confirmed the piece came back; refund issued
+  REFUNDED: "refunded",
+  CANCELLED: "cancelled",   // Buyer withdrew the request
+};
+
+export const OPEN_RETURN_STATUSES = [
+  RETURN_STATUS.REQUESTED,
+  RETURN_STATUS.APPROVED,
+  RETURN_STATUS.SHIPPED,
+  RETURN_STATUS.RECEIVED,
+];
+
+export const RETURN_REASON = {
+  DAMAGED: "damaged",
+  NOT_AS_DESCRIBED: "not_as_described",
+  WRONG_ITEM: "wrong_item",
+  CHANGED_MIND: "changed_mind",
+  OTHER: "other",
+};
+
+export const MAX_RETURN_PHOTOS = 6;
+
+/**
+ * One step of the return
+ */
+const ReturnEventSchema = new Schema(
+  {
+    by: { type: String, enum: ["buyer", "artist", "admin", "system"], required: true },
+    action: {
+      type: String,
+      enum: ["request", "approve", "reject", "cancel", "ship", "deliver", "receive", "refund"],
+      required: true,
+    },
+    message: { type: String, maxLength: [1000, "Message should be less than 1000 characters"] },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Return Request Schema
+ * A buyer asking to send back (or be refunded for) a delivered order.
+ * Amounts are in cents, like Order.
+ */
+const ReturnRequestSchema = new Schema(
+  {
+    orderId: { type: Types.ObjectId, ref: "Order", required: true, index: true },
+    imageId: { type: Types.ObjectId, ref: "Image" },
+    buyerUserId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+    artistUserId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+
+    reason: {
+      type: String,
+      enum: { values: Object.values(RETURN_REASON), message: "Invalid return reason" },
+      required: true,
+    },
+    details: { type: String, maxLength: [2000, "Details should be less than 2000 characters"] },
+    photos: {
+      type: [String],
+      validate: {
+        validator: (photos) => photos.length <= MAX_RETURN_PHOTOS,
+        message: `At most ${MAX_RETURN_PHOTOS} photos`,
+      },
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: { values: Object.values(RETURN_STATUS), message: "Invalid return status" },
+      default: RETURN_STATUS.REQUESTED,
+      index: true,
+    },
+
+    // Buyer asked for store credit instead of a refund to their card
+    refundToStoreCredit: { type: Boolean, default: false },
+
+    // Set by the artist when approving
+    refundAmount: { type: Number, min: 0 },
+    requiresReturnShipment: { type: Boolean, default: true },
+    artistMessage: { type: String, maxLength: [1000, "Message should be less than 1000 characters"] },
+
+    // Buyer → artist shipment, tracked like outbound orders
+    returnShipping: { type: ShippingSchema, default: undefined },
+
+    // What actually went back to the buyer
+    refund: {
+      stripeRefundId: { type: String },
+      amount: { type: Number, min: 0 },
+      reversedCents: { type: Number, min: 0 },
+      storeCreditCents: { type: Number, min: 0 },
+      refundedAt: { type: Date },
+    },
+
+    history: { type: [ReturnEventSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.index({ status: 1, "returnShipping.nextPollAt": 1 });
+
+const ReturnRequest =
+  mongoose.models.ReturnRequest || mongoose.model("ReturnRequest", ReturnRequestSchema);
+
+export default ReturnRequest;
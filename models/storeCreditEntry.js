@@ -0,0 +1,74 @@
+// models/storeCreditEntry.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Store credit entry types
+ * Credits (amountCents > 0) are spendable lots; debits (< 0) record where
+ * credit went. `order_release` gives an order's credit back to the lots it
+ * came from.
+ */
+export const STORE_CREDIT_TYPE = {
+  GIFT_CARD: "gift_card",           // gift card redeemed
+  REFUND: "refund",                 // refund issued as store credit
+  ADJUSTMENT: "adjustment",         // added or removed by an admin
+  ORDER: "order",                   // applied to an order at checkout
+  ORDER_RELEASE: "order_release",   // order cancelled / credit removed before paying
+  EXPIRY: "expiry",                 // unused credit past its expiry date
+};
+
+/**
+ * Which lots a debit drew from
+ */
+const AllocationSchema = new Schema(
+  {
+    entryId: { type: Types.ObjectId, ref: "StoreCreditEntry", required: true },
+    amountCents: { type: Number, min: 0, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Store Credit Entry Schema
+ * Append-only history of a buyer's store credit. A buyer's balance is the
+ * `remainingCents` left on their unexpired credit lots; entries themselves
+ * are never edited apart from a lot's `remainingCents`.
+ */
+const StoreCreditEntrySchema = new Schema(
+  {
+    userId: { type: Types.ObjectId, ref: "User", required: true, index: true },
+    type: {
+      type: String,
+      enum: { values: Object.values(STORE_CREDIT_TYPE), message: "Invalid store credit entry type" },
+      required: true,
+    },
+    amountCents: { type: Number, required: true },   // signed: + credit, − debit
+
+    // Credit lots only: what's left to spend and until when (no date = never expires)
+    remainingCents: { type: Number, min: 0 },
+    expiresAt: { type: Date },
+
+    // Debits only
+    allocations: { type: [AllocationSchema], default: undefined },
+    // order_release: the order debit it gives back
+    reversesEntryId: { type: Types.ObjectId, ref: "StoreCreditEntry" },
+
+    orderId: { type: Types.ObjectId, ref: "Order", index: true },
+    giftCardId: { type: Types.ObjectId, ref: "GiftCard" },
+    note: { type: String, maxLength: [500, "Note should be less than 500 characters"] },
+    createdBy: { type: Types.ObjectId },              // admin for adjustments
+
+    // Stable per logical credit (e.g. per refund) so a retry can't credit twice
+    idempotencyKey: { type: String },
+  },
+  { timestamps: true }
+);
+
+StoreCreditEntrySchema.index({ userId: 1, createdAt: -1 });
+StoreCreditEntrySchema.index({ expiresAt: 1, remainingCents: 1 });
+StoreCreditEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+const StoreCreditEntry =
+  mongoose.models.StoreCreditEntry || mongoose.model("StoreCreditEntry", StoreCreditEntrySchema);
+
+export default StoreCreditEntry;
@@ -62,9 +62,28 @@ const UserSchema = new Schema(
     isGoogleUser: { type: Boolean, default: false },
     isVerified: { type: Boolean, default: false },
 
-    stripeAccountId: { type: String, default: null },
+    stripeAccountId: { type: String, default: null, index: true },
     stripeOnboardingCompleted: { type: Boolean, default: false },
     stripeOnboardingCompletedAt: { type: Date, default: null },
+    // Mirrored from Stripe by the account.updated / capability.updated webhooks
+    stripeDetailsSubmitted: { type: Boolean },
+    stripeChargesEnabled: { type: Boolean },
+    stripePayoutsEnabled: { type: Boolean },
+    stripeRequirements: {
+      currentlyDue: { type: [String], default: undefined },
+      pastDue: { type: [String], default: undefined },
+      eventuallyDue: { type: [String], default: undefined },
+      disabledReason: { type: String },
+      currentDeadline: { type: Date },
+    },
+    stripeAccountSyncedAt: { type: Date },
+    // Last payout Stripe couldn't deliver to the artist's bank
+    stripePayoutFailure: {
+      payoutId: { type: String },
+      code: { type: String },
+      message: { type: String },
+      at: { type: Date },
+    },
 
     likedImages: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Image' }],
 
@@ -0,0 +1,76 @@
+// models/webhookEvent.js
+import mongoose from "mongoose";
+const { Schema, Types } = mongoose;
+
+/**
+ * Webhook Event Status
+ * received → processing → processed | failed
+ * Failed events are not retried automatically; an admin replays them.
+ */
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: "received",
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+};
+
+/** Which endpoint (and signing secret) the event came in on */
+export const WEBHOOK_SOURCE = {
+  CONNECT: "connect",       // POST /webhook (orders, refunds, disputes)
+  DONATIONS: "donations",   // POST /api/web/donations/webhook
+};
+
+// Processed events are kept this long (well past Stripe's 3-day retry window)
+export const WEBHOOK_EVENT_RETENTION_DAYS = 90;
+
+/**
+ * One handler run (first delivery or a replay)
+ */
+const WebhookAttemptSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    status: { type: String, enum: [WEBHOOK_EVENT_STATUS.PROCESSED, WEBHOOK_EVENT_STATUS.FAILED] },
+    error: { type: String },
+    replayedBy: { type: Types.ObjectId, ref: "AdminUser" },
+  },
+  { _id: false }
+);
+
+/**
+ * Webhook Event Schema
+ * Every verified Stripe event, keyed by its id so retries of the same event
+ * run the handler at most once.
+ */
+const WebhookEventSchema = new Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    source: {
+      type: String,
+      enum: { values: Object.values(WEBHOOK_SOURCE), message: "Invalid webhook source" },
+      required: true,
+    },
+    type: { type: String, required: true },
+    livemode: { type: Boolean },
+    payload: { type: String, required: true },  // event JSON as Stripe signed it
+
+    status: {
+      type: String,
+      enum: { values: Object.values(WEBHOOK_EVENT_STATUS), message: "Invalid webhook event status" },
+      default: WEBHOOK_EVENT_STATUS.RECEIVED,
+    },
+    deliveries: { type: Number, default: 1 },   // times Stripe sent it
+    attempts: { type: [WebhookAttemptSchema], default: [] },
+    lastError: { type: String },
+    processingStartedAt: { type: Date },
+    processedAt: { type: Date },
+    expiresAt: { type: Date },                  // set once processed
+  },
+  { timestamps: true }
+);
+
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", WebhookEventSchema);
+
+export default WebhookEvent;
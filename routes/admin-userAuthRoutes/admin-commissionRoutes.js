@@ -0,0 +1,209 @@
+// routes/admin-userAuthRoutes/admin-commissionRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import CommissionRule, { COMMISSION_SCOPE } from "../../models/commissionRule.js";
+import UserModel from "../../models/users.js";
+import { IMAGE_CATEGORY } from "../../models/images.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { commissionFor, isRuleLive, DEFAULT_COMMISSION_BPS } from "../../services/commission.js";
+
+const router = express.Router();
+
+const ARTIST_SCOPES = [COMMISSION_SCOPE.ARTIST, COMMISSION_SCOPE.GRANDFATHERED];
+
+const optionalDate = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Validate a rule body (merged over the existing rule on update).
+ * Resolves with the fields to save, or throws an Error with `status`.
+ */
+async function ruleFields(body, existing = {}) {
+  const fail = (msg) => {
+    const e = new Error(msg);
+    e.status = 400;
+    throw e;
+  };
+
+  const scope = body.scope ?? existing.scope;
+  if (!Object.values(COMMISSION_SCOPE).includes(scope)) fail("Invalid scope");
+
+  const rateBps = Number(body.rateBps ?? existing.rateBps);
+  if (!Number.isInteger(rateBps) || rateBps < 0 || rateBps > 10000) {
+    fail("rateBps must be a whole number between 0 and 10000");
+  }
+
+  const startsAt = "startsAt" in body ? optionalDate(body.startsAt) : existing.startsAt ?? null;
+  const endsAt = "endsAt" in body ? optionalDate(body.endsAt) : existing.endsAt ?? null;
+  if (startsAt === undefined || endsAt === undefined) fail("Invalid startsAt/endsAt");
+  if (startsAt && endsAt && endsAt <= startsAt) fail("endsAt must be after startsAt");
+  if (scope === COMMISSION_SCOPE.PROMO && (!startsAt || !endsAt)) fail("Promo rules need startsAt and endsAt");
+
+  const category = ("category" in body ? body.category : existing.category) || null;
+  if (category && !IMAGE_CATEGORY.includes(category)) fail("Invalid category");
+  if (scope === COMMISSION_SCOPE.CATEGORY && !category) fail("Category rules need a category");
+
+  const artistUserId = ("artistUserId" in body ? body.artistUserId : existing.artistUserId) || null;
+  if (ARTIST_SCOPES.includes(scope)) {
+    if (!artistUserId || !mongoose.Types.ObjectId.isValid(artistUserId)) fail("Artist rules need artistUserId");
+    if (!(await UserModel.exists({ _id: artistUserId }))) fail("Artist not found");
+  }
+
+  return {
+    scope,
+    rateBps,
+    label: body.label ?? existing.label,
+    startsAt,
+    endsAt,
+    category: [COMMISSION_SCOPE.CATEGORY, COMMISSION_SCOPE.PROMO].includes(scope) ? category : null,
+    artistUserId: ARTIST_SCOPES.includes(scope) ? artistUserId : null,
+    active: typeof body.active === "boolean" ? body.active : existing.active ?? true,
+  };
+}
+
+const sendError = (res, error, where) => {
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+};
+
+/**
+ * GET /admin/commission
+ * All rules (filters: scope, artistUserId, active), each flagged with
+ * whether it applies right now
+ */
+router.get("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const { scope, artistUserId, active } = req.query;
+    const query = {};
+    if (scope && Object.values(COMMISSION_SCOPE).includes(scope)) query.scope = scope;
+    if (artistUserId && mongoose.Types.ObjectId.isValid(artistUserId)) query.artistUserId = artistUserId;
+    if (active === "true" || active === "false") query.active = active === "true";
+
+    const rules = await CommissionRule.find(query)
+      .sort({ scope: 1, createdAt: -1 })
+      .populate("artistUserId", "name email")
+      .lean();
+
+    const now = new Date();
+    res.json({
+      success: true,
+      data: {
+        fallbackRateBps: DEFAULT_COMMISSION_BPS,
+        rules: rules.map((r) => ({ ...r, live: isRuleLive(r, now) })),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/commission");
+  }
+});
+
+/**
+ * GET /admin/commission/preview?artistUserId=&category=&at=
+ * Which rule a sale would get
+ */
+router.get("/preview", isAdminAuthorized, async (req, res) => {
+  try {
+    const { artistUserId, category } = req.query;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ success: false, error: "Invalid date" });
+    if (artistUserId && !mongoose.Types.ObjectId.isValid(artistUserId)) {
+      return res.status(400).json({ success: false, error: "Invalid artistUserId" });
+    }
+
+    const applied = await commissionFor({ artistUserId, category, at });
+    res.json({ success: true, data: { ...applied, at } });
+  } catch (error) {
+    sendError(res, error, "GET /admin/commission/preview");
+  }
+});
+
+/**
+ * POST /admin/commission
+ * body: { scope, rateBps, label?, artistUserId?, category?, startsAt?, endsAt?, active? }
+ */
+router.post("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const fields = await ruleFields(req.body || {});
+    const rule = await CommissionRule.create({ ...fields, createdBy: req.admin?._id });
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, "POST /admin/commission");
+  }
+});
+
+/**
+ * POST /admin/commission/grandfather/:artistId
+ * Lock an artist's rate (the rate they'd get today unless rateBps is given).
+ * They still get any lower rate that applies later.
+ */
+router.post("/grandfather/:artistId", isAdminAuthorized, async (req, res) => {
+  try {
+    const { artistId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(artistId)) {
+      return res.status(400).json({ success: false, error: "Invalid artist id" });
+    }
+
+    const rateBps = req.body?.rateBps ?? (await commissionFor({ artistUserId: artistId })).rateBps;
+    const fields = await ruleFields({
+      scope: COMMISSION_SCOPE.GRANDFATHERED,
+      rateBps,
+      artistUserId: artistId,
+      label: req.body?.label || `Grandfathered at ${rateBps / 100}%`,
+    });
+
+    // One grandfathered rate per artist: retire any earlier one
+    await CommissionRule.updateMany(
+      { scope: COMMISSION_SCOPE.GRANDFATHERED, artistUserId: artistId, active: true },
+      { $set: { active: false } }
+    );
+    const rule = await CommissionRule.create({ ...fields, createdBy: req.admin?._id });
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, "POST /admin/commission/grandfather");
+  }
+});
+
+/**
+ * PATCH /admin/commission/:id
+ * Change a rule. Orders already snapshotted keep their rate.
+ */
+router.patch("/:id", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid rule id" });
+    }
+    const rule = await CommissionRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, error: "Commission rule not found" });
+
+    rule.set(await ruleFields(req.body || {}, rule.toObject()));
+    await rule.save();
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, "PATCH /admin/commission/:id");
+  }
+});
+
+/**
+ * DELETE /admin/commission/:id
+ * Rules are deactivated rather than removed so order snapshots still resolve
+ */
+router.delete("/:id", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid rule id" });
+    }
+    const rule = await CommissionRule.findByIdAndUpdate(req.params.id, { $set: { active: false } }, { new: true });
+    if (!rule) return res.status(404).json({ success: false, error: "Commission rule not found" });
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    sendError(res, error, "DELETE /admin/commission/:id");
+  }
+});
+
+export default router;
@@ -0,0 +1,230 @@
+// routes/admin-userAuthRoutes/admin-couponRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import Coupon, { COUPON_TYPE, COUPON_FUNDED_BY } from "../../models/coupon.js";
+import CouponRedemption, { COUPON_REDEMPTION_STATUS } from "../../models/couponRedemption.js";
+import { IMAGE_CATEGORY } from "../../models/images.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { normalizeCode } from "../../services/coupons.js";
+
+const router = express.Router();
+
+const optionalDate = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+const optionalPositiveInt = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+};
+
+/**
+ * Validate a coupon body (merged over the existing coupon on update).
+ * Resolves with the fields to save, or throws an Error with `status`.
+ */
+function couponFields(body, existing = {}) {
+  const fail = (msg) => {
+    const e = new Error(msg);
+    e.status = 400;
+    throw e;
+  };
+  const pick = (key) => (key in body ? body[key] : existing[key]);
+
+  const code = normalizeCode(pick("code"));
+  if (!/^[A-Z0-9_-]{3,40}$/.test(code)) fail("code must be 3-40 letters, digits, - or _");
+
+  const type = pick("type");
+  if (!Object.values(COUPON_TYPE).includes(type)) fail("Invalid type");
+
+  const percentOff = type === COUPON_TYPE.PERCENT ? optionalPositiveInt(pick("percentOff")) : null;
+  if (type === COUPON_TYPE.PERCENT && (!percentOff || percentOff > 100)) fail("percentOff must be 1-100");
+  const amountOffCents = type === COUPON_TYPE.FIXED ? optionalPositiveInt(pick("amountOffCents")) : null;
+  if (type === COUPON_TYPE.FIXED && !amountOffCents) fail("amountOffCents must be a positive whole number");
+
+  const minSpendCents = Number(pick("minSpendCents") || 0);
+  if (!Number.isInteger(minSpendCents) || minSpendCents < 0) fail("minSpendCents must be a whole number");
+
+  const startsAt = optionalDate(pick("startsAt"));
+  const expiresAt = optionalDate(pick("expiresAt"));
+  if (startsAt === undefined || expiresAt === undefined) fail("Invalid startsAt/expiresAt");
+  if (startsAt && expiresAt && expiresAt <= startsAt) fail("expiresAt must be after startsAt");
+
+  const maxRedemptions = optionalPositiveInt(pick("maxRedemptions"));
+  const maxRedemptionsPerUser = optionalPositiveInt(pick("maxRedemptionsPerUser"));
+  if (maxRedemptions === undefined || maxRedemptionsPerUser === undefined) {
+    fail("Redemption limits must be positive whole numbers");
+  }
+
+  const categories = [...new Set(pick("categories") || [])];
+  if (categories.some((c) => !IMAGE_CATEGORY.includes(c))) fail("Invalid category");
+  const artistUserIds = [...new Set((pick("artistUserIds") || []).map(String))];
+  if (artistUserIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) fail("Invalid artistUserIds");
+
+  const fundedBy = pick("fundedBy") || COUPON_FUNDED_BY.PLATFORM;
+  if (!Object.values(COUPON_FUNDED_BY).includes(fundedBy)) fail("Invalid fundedBy");
+  // Artists only fund discounts on their own work
+  if (fundedBy === COUPON_FUNDED_BY.ARTIST && !artistUserIds.length) {
+    fail("Artist-funded coupons must name the artists funding them");
+  }
+
+  return {
+    code,
+    description: pick("description"),
+    type,
+    percentOff,
+    amountOffCents,
+    minSpendCents,
+    startsAt,
+    expiresAt,
+    maxRedemptions,
+    maxRedemptionsPerUser,
+    categories,
+    artistUserIds,
+    fundedBy,
+    active: typeof body.active === "boolean" ? body.active : existing.active ?? true,
+  };
+}
+
+const sendError = (res, error, where) => {
+  if (error?.code === 11000) {
+    return res.status(409).json({ success: false, error: "A coupon with this code already exists" });
+  }
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+};
+
+/**
+ * GET /admin/coupons
+ * Coupons, newest first. Filters: active, q (code prefix)
+ */
+router.get("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active, q } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (active === "true" || active === "false") query.active = active === "true";
+    if (q) query.code = { $regex: `^${normalizeCode(q).replace(/[^A-Z0-9_-]/g, "")}` };
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum).lean(),
+      Coupon.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/coupons");
+  }
+});
+
+/**
+ * POST /admin/coupons
+ * body: { code, type, percentOff | amountOffCents, minSpendCents?, startsAt?, expiresAt?,
+ *         maxRedemptions?, maxRedemptionsPerUser?, categories?, artistUserIds?, fundedBy?, description? }
+ */
+router.post("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const coupon = await Coupon.create({ ...couponFields(req.body || {}), createdBy: req.admin?._id });
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    sendError(res, error, "POST /admin/coupons");
+  }
+});
+
+/**
+ * GET /admin/coupons/:id/redemptions
+ * Paid orders that used the coupon, newest first
+ */
+router.get("/:id/redemptions", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid coupon id" });
+    }
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    // Reservations by orders still being paid aren't redemptions yet
+    const query = { couponId: req.params.id, status: { $ne: COUPON_REDEMPTION_STATUS.RESERVED } };
+
+    const [redemptions, total, totals] = await Promise.all([
+      CouponRedemption.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("userId", "name email")
+        .populate("orderId", "artName artistName totalAmount status")
+        .lean(),
+      CouponRedemption.countDocuments(query),
+      CouponRedemption.aggregate([
+        { $match: { ...query, couponId: new mongoose.Types.ObjectId(req.params.id) } },
+        { $group: { _id: "$fundedBy", discountCents: { $sum: "$discountCents" }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        redemptions,
+        totals: Object.fromEntries(totals.map((t) => [t._id, { count: t.count, discountCents: t.discountCents }])),
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/coupons/:id/redemptions");
+  }
+});
+
+/**
+ * PATCH /admin/coupons/:id
+ * Change a coupon. Orders it was already applied to keep their discount
+ * unless it stops validating before checkout.
+ */
+router.patch("/:id", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid coupon id" });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, error: "Coupon not found" });
+
+    coupon.set(couponFields(req.body || {}, coupon.toObject()));
+    await coupon.save();
+    res.json({ success: true, data: coupon });
+  } catch (error) {
+    sendError(res, error, "PATCH /admin/coupons/:id");
+  }
+});
+
+/**
+ * DELETE /admin/coupons/:id
+ * Coupons are deactivated rather than removed so redemptions keep their code
+ */
+router.delete("/:id", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid coupon id" });
+    }
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, { $set: { active: false } }, { new: true });
+    if (!coupon) return res.status(404).json({ success: false, error: "Coupon not found" });
+    res.json({ success: true, data: coupon });
+  } catch (error) {
+    sendError(res, error, "DELETE /admin/coupons/:id");
+  }
+});
+
+export default router;
@@ -0,0 +1,246 @@
+// routes/admin-userAuthRoutes/admin-disputeRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import multer from "multer";
+import Dispute, {
+  DISPUTE_STATUS,
+  RESPONDABLE_DISPUTE_STATUSES,
+  EVIDENCE_FILE_FIELDS,
+} from "../../models/dispute.js";
+import OrderModel from "../../models/orders.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { receiveUpload } from "../../utils/upload.js";
+import { ACCEPTED_MIME_TYPES, MAX_UPLOAD_BYTES, processEvidencePhoto } from "../../services/imageProcessing.js";
+import { getStorage } from "../../services/storage/index.js";
+import {
+  collectEvidence,
+  pickEvidenceText,
+  uploadEvidenceFile,
+  submitEvidence,
+} from "../../services/disputes.js";
+
+const router = express.Router();
+
+// Stripe takes images and PDFs as dispute evidence
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype) && file.mimetype !== "application/pdf") {
+      const e = new Error("Unsupported file type. Please upload an image or a PDF.");
+      e.status = 400;
+      return cb(e);
+    }
+    cb(null, true);
+  },
+});
+
+const receiveEvidenceFile = receiveUpload(evidenceUpload, "file", "File is too large (max 25MB)");
+
+async function loadDispute(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid dispute id" });
+    return null;
+  }
+  const dispute = await Dispute.findById(req.params.id);
+  if (!dispute) {
+    res.status(404).json({ success: false, error: "Dispute not found" });
+    return null;
+  }
+  return dispute;
+}
+
+function requireRespondable(dispute, res) {
+  if (RESPONDABLE_DISPUTE_STATUSES.includes(dispute.status)) return true;
+  res.status(409).json({ success: false, error: `Dispute is ${dispute.status}; evidence can no longer be changed` });
+  return false;
+}
+
+/**
+ * GET /admin/disputes
+ * List disputes; `needsResponse=true` shows only those still waiting on evidence
+ */
+router.get("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, needsResponse } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (status && Object.values(DISPUTE_STATUS).includes(status)) {
+      query.status = status;
+    }
+    if (needsResponse === "true") {
+      query.status = { $in: RESPONDABLE_DISPUTE_STATUSES };
+    }
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .sort({ evidenceDueBy: 1, createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate("orderId", "artName artistName totalAmount status sellerTransferredCents")
+        .populate("artistUserId", "name email")
+        .lean(),
+      Dispute.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        disputes: disputes.map((d) => ({
+          ...d,
+          timeRemaining: RESPONDABLE_DISPUTE_STATUSES.includes(d.status) && d.evidenceDueBy
+            ? Math.max(0, new Date(d.evidenceDueBy).getTime() - Date.now())
+            : null,
+        })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("GET /admin/disputes error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /admin/disputes/:id
+ * Dispute with its order (including tracking events)
+ */
+router.get("/:id", isAdminAuthorized, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    const order = dispute.orderId ? await OrderModel.findById(dispute.orderId).lean() : null;
+    res.json({ success: true, data: { dispute, order } });
+  } catch (error) {
+    console.error("GET /admin/disputes/:id error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /admin/disputes/:id/evidence/collect
+ * Fill the evidence draft from the order's tracking, delivery and messages.
+ * body: { overwrite? } — replace fields an admin already edited
+ */
+router.post("/:id/evidence/collect", isAdminAuthorized, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute || !requireRespondable(dispute, res)) return;
+
+    await collectEvidence(dispute, { overwrite: req.body?.overwrite === true });
+    res.json({ success: true, data: dispute });
+  } catch (error) {
+    console.error("POST /admin/disputes/:id/evidence/collect error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+/**
+ * PUT /admin/disputes/:id/evidence
+ * Edit evidence text fields and notes. body: { evidence: {...}, adminNotes? }
+ */
+router.put("/:id/evidence", isAdminAuthorized, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute || !requireRespondable(dispute, res)) return;
+
+    const changes = pickEvidenceText(req.body?.evidence);
+    dispute.evidence = { ...(dispute.evidence || {}), ...changes };
+    dispute.markModified("evidence");
+    if (typeof req.body?.adminNotes === "string") dispute.adminNotes = req.body.adminNotes;
+    dispute.history.push({ type: "evidence.edited", note: Object.keys(changes).join(", ") });
+    await dispute.save();
+
+    res.json({ success: true, data: dispute });
+  } catch (error) {
+    console.error("PUT /admin/disputes/:id/evidence error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /admin/disputes/:id/evidence/files
+ * multipart: file, field (shipping_documentation | customer_communication | receipt | uncategorized_file), label?
+ * Replaces any file already attached to that field.
+ */
+router.post("/:id/evidence/files", isAdminAuthorized, receiveEvidenceFile, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute || !requireRespondable(dispute, res)) return;
+
+    const field = String(req.body?.field || "");
+    if (!EVIDENCE_FILE_FIELDS.includes(field)) {
+      return res.status(400).json({ success: false, error: `field must be one of: ${EVIDENCE_FILE_FIELDS.join(", ")}` });
+    }
+    if (!req.file) return res.status(400).json({ success: false, error: "file is required" });
+
+    let { buffer, mimetype: contentType } = req.file;
+    let ext = "pdf";
+    if (contentType !== "application/pdf") {
+      const processed = await processEvidencePhoto(buffer);
+      ({ buffer } = processed);
+      contentType = `image/${processed.format}`;
+      ext = processed.format;
+    }
+
+    const key = `disputes/${dispute._id}/${field}_${Date.now()}.${ext}`;
+    const [stored, stripeFileId] = await Promise.all([
+      getStorage().put(key, buffer, { contentType }),
+      uploadEvidenceFile({ buffer, name: `${field}.${ext}`, contentType }),
+    ]);
+
+    dispute.evidenceFiles = dispute.evidenceFiles.filter((f) => f.field !== field);
+    dispute.evidenceFiles.push({
+      field,
+      stripeFileId,
+      url: stored.url,
+      label: typeof req.body?.label === "string" ? req.body.label.slice(0, 200) : undefined,
+      uploadedBy: req.admin?._id,
+    });
+    dispute.history.push({ type: "evidence.file_uploaded", note: field });
+    await dispute.save();
+
+    res.status(201).json({ success: true, data: dispute });
+  } catch (error) {
+    console.error("POST /admin/disputes/:id/evidence/files error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Failed to upload evidence",
+    });
+  }
+});
+
+/**
+ * POST /admin/disputes/:id/submit
+ * Send the evidence to Stripe for the bank's review (final)
+ */
+router.post("/:id/submit", isAdminAuthorized, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    await submitEvidence(dispute, { adminId: req.admin?._id });
+    res.json({ success: true, data: dispute });
+  } catch (error) {
+    console.error("POST /admin/disputes/:id/submit error:", error);
+    res.status(error.status || error.statusCode || 500).json({
+      success: false,
+      error: error.status || error.statusCode ? error.message : "Failed to submit evidence",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+// routes/admin-userAuthRoutes/admin-earningsRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import LedgerEntry from "../../models/ledgerEntry.js";
+import UserModel from "../../models/users.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { artistBalance, artistStatement, syncArtistLedger } from "../../services/ledger.js";
+import { artistTaxSummary } from "../../services/taxSummary.js";
+import { sendStatement, sendReport, taxSummaryCSV, taxSummaryPDF } from "../../services/statements.js";
+
+const router = express.Router();
+
+async function loadArtist(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.artistId)) {
+    res.status(400).json({ success: false, error: "Invalid artist id" });
+    return null;
+  }
+  const artist = await UserModel.findById(req.params.artistId).select("name email").lean();
+  if (!artist) {
+    res.status(404).json({ success: false, error: "Artist not found" });
+    return null;
+  }
+  return artist;
+}
+
+/**
+ * GET /admin/earnings/:artistId
+ * The artist's balance (same shape as GET /my-earnings)
+ */
+router.get("/:artistId", isAdminAuthorized, async (req, res) => {
+  try {
+    const artist = await loadArtist(req, res);
+    if (!artist) return;
+
+    const balance = await artistBalance(artist._id);
+    res.json({ success: true, data: { artist, balance } });
+  } catch (error) {
+    console.error("GET /admin/earnings/:artistId error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /admin/earnings/:artistId/ledger
+ * Every ledger line of the artist's orders (all accounts), newest first
+ */
+router.get("/:artistId/ledger", isAdminAuthorized, async (req, res) => {
+  try {
+    const artist = await loadArtist(req, res);
+    if (!artist) return;
+
+    const { page = 1, limit = 50, account } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    await syncArtistLedger(artist._id);
+
+    const query = { artistUserId: artist._id };
+    if (account) query.account = String(account);
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query).sort({ occurredAt: -1, _id: -1 }).skip(skip).limit(limitNum).lean(),
+      LedgerEntry.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    console.error("GET /admin/earnings/:artistId/ledger error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /admin/earnings/:artistId/statements/:month?format=csv|pdf
+ */
+router.get("/:artistId/statements/:month", isAdminAuthorized, async (req, res) => {
+  try {
+    const artist = await loadArtist(req, res);
+    if (!artist) return;
+
+    const statement = await artistStatement(artist._id, req.params.month);
+    await sendStatement(res, statement, { format: req.query.format, artist });
+  } catch (error) {
+    console.error("GET /admin/earnings/:artistId/statements/:month error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+/**
+ * GET /admin/earnings/:artistId/tax-summary/:year?format=csv|pdf
+ */
+router.get("/:artistId/tax-summary/:year", isAdminAuthorized, async (req, res) => {
+  try {
+    const artist = await loadArtist(req, res);
+    if (!artist) return;
+
+    const summary = await artistTaxSummary(artist._id, req.params.year);
+    await sendReport(res, {
+      format: req.query.format,
+      filename: `immpression_tax_summary_${summary.year}_${artist._id}`,
+      data: { artist, summary },
+      csv: () => taxSummaryCSV(summary),
+      pdf: () => taxSummaryPDF(summary, { artist }),
+    });
+  } catch (error) {
+    console.error("GET /admin/earnings/:artistId/tax-summary/:year error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+// routes/admin-userAuthRoutes/admin-payoutRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import Payout, { PAYOUT_STATUS } from "../../models/payout.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { runPayouts, PAYOUT_HOLD_DAYS, MAX_PAYOUT_ATTEMPTS } from "../../services/payoutEngine.js";
+
+const router = express.Router();
+
+const ORDER_SUMMARY_FIELDS = "artName artistName totalAmount sellerDueCents sellerTransferredCents refundedCents status";
+
+function listPayouts(query, sort, limit = 50) {
+  return Payout.find(query)
+    .sort(sort)
+    .limit(limit)
+    .populate("orderId", ORDER_SUMMARY_FIELDS)
+    .populate("artistUserId", "name email")
+    .lean();
+}
+
+/**
+ * GET /admin/payouts/dashboard
+ * Upcoming, held and failed payouts plus totals per status
+ */
+router.get("/dashboard", isAdminAuthorized, async (_req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [byStatus, paidLast30d, upcoming, held, failed] = await Promise.all([
+      Payout.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: { $ifNull: ["$amount", 0] } } } },
+      ]),
+      Payout.aggregate([
+        { $match: { status: PAYOUT_STATUS.PAID, paidAt: { $gte: since } } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+      ]),
+      listPayouts({ status: PAYOUT_STATUS.SCHEDULED }, { eligibleAt: 1 }),
+      listPayouts({ status: PAYOUT_STATUS.HELD }, { updatedAt: -1 }),
+      listPayouts({ status: PAYOUT_STATUS.FAILED }, { nextAttemptAt: 1, updatedAt: -1 }),
+    ]);
+
+    const totals = Object.fromEntries(
+      Object.values(PAYOUT_STATUS).map((s) => {
+        const row = byStatus.find((b) => b._id === s);
+        return [s, { count: row?.count || 0, amount: row?.amount || 0 }];
+      })
+    );
+
+    res.json({
+      success: true,
+      data: {
+        policy: { holdDays: PAYOUT_HOLD_DAYS, maxAttempts: MAX_PAYOUT_ATTEMPTS },
+        totals,
+        paidLast30d: { count: paidLast30d[0]?.count || 0, amount: paidLast30d[0]?.amount || 0 },
+        upcoming,
+        held,
+        // Failed payouts with no nextAttemptAt have run out of retries
+        failed: failed.map((p) => ({ ...p, needsAttention: !p.nextAttemptAt })),
+      },
+    });
+  } catch (error) {
+    console.error("GET /admin/payouts/dashboard error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /admin/payouts
+ * Paginated list, optionally filtered by status or artist
+ */
+router.get("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, artistUserId } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (status && Object.values(PAYOUT_STATUS).includes(status)) query.status = status;
+    if (artistUserId && mongoose.Types.ObjectId.isValid(artistUserId)) query.artistUserId = artistUserId;
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate("orderId", ORDER_SUMMARY_FIELDS)
+        .populate("artistUserId", "name email")
+        .lean(),
+      Payout.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    console.error("GET /admin/payouts error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /admin/payouts/:id/retry
+ * Queue a failed or held payout for the next engine run
+ */
+router.post("/:id/retry", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid payout id" });
+    }
+
+    const payout = await Payout.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: [PAYOUT_STATUS.FAILED, PAYOUT_STATUS.HELD] } },
+      { $set: { nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!payout) {
+      return res.status(409).json({ success: false, error: "Only failed or held payouts can be retried" });
+    }
+
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    console.error("POST /admin/payouts/:id/retry error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /admin/payouts/run
+ * Run the payout engine now instead of waiting for the schedule
+ */
+router.post("/run", isAdminAuthorized, async (_req, res) => {
+  const result = await runPayouts();
+  if (result.error) return res.status(500).json({ success: false, error: result.error });
+  res.json({ success: true, data: result });
+});
+
+export default router;
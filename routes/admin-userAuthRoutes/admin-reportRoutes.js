@@ -10,17 +10,10 @@ import UserModel from "../../models/users.js";
 import ImageModel from "../../models/images.js";
 import Notification, { NOTIFICATION_TYPE } from "../../models/notifications.js";
 import { isAdminAuthorized } from "../../utils/authUtils.js";
-import cloudinary from "cloudinary";
+import { deleteStoredUrls, artworkUrls } from "../../services/storage/index.js";
 
 const router = express.Router();
 
-// Cloudinary config
-cloudinary.v2.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD,
-  api_key: process.env.CLOUDINARY_API,
-  api_secret: process.env.CLOUDINARY_SECRET,
-});
-
 /**
  * GET /admin/reports
  * List all reports with filtering and pagination
@@ -559,25 +552,8 @@ router.post("/:id/action/remove-content", isAdminAuthorized, async (req, res) =>
       });
     }
 
-    // Delete from Cloudinary
-    const extractPublicId = (url) => {
-      const parts = url.split("/");
-      const folder = parts[parts.length - 2];
-      const fileName = parts[parts.length - 1].split(".")[0];
-      return `${folder}/${fileName}`;
-    };
-
-    if (image.imageLink) {
-      const publicId = extractPublicId(image.imageLink);
-      try {
-        await cloudinary.v2.api.delete_resources([publicId], {
-          type: "upload",
-          resource_type: "image",
-        });
-      } catch (cloudError) {
-        console.error("Cloudinary deletion error:", cloudError);
-      }
-    }
+    // Delete stored files (original and variants); errors are logged and skipped
+    await deleteStoredUrls(artworkUrls(image));
 
     // Delete from database
     await ImageModel.findByIdAndDelete(report.targetImageId);
@@ -41,6 +41,18 @@ router.put("/", isAdminAuthorized, async (req, res) => {
         settings.notifications.newPendingArtwork = notifications.newPendingArtwork;
       if (typeof notifications.newReport === "boolean")
         settings.notifications.newReport = notifications.newReport;
+      if (typeof notifications.suspectedDuplicate === "boolean")
+        settings.notifications.suspectedDuplicate = notifications.suspectedDuplicate;
+      if (typeof notifications.returnRequested === "boolean")
+        settings.notifications.returnRequested = notifications.returnRequested;
+      if (typeof notifications.newDispute === "boolean")
+        settings.notifications.newDispute = notifications.newDispute;
+      if (typeof notifications.disputeClosed === "boolean")
+        settings.notifications.disputeClosed = notifications.disputeClosed;
+      if (typeof notifications.payoutFailed === "boolean")
+        settings.notifications.payoutFailed = notifications.payoutFailed;
+      if (typeof notifications.webhookFailed === "boolean")
+        settings.notifications.webhookFailed = notifications.webhookFailed;
     }
 
     if (Array.isArray(notificationEmails)) {
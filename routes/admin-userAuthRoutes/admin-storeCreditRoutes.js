@@ -0,0 +1,196 @@
+// routes/admin-userAuthRoutes/admin-storeCreditRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import GiftCard, { GIFT_CARD_STATUS } from "../../models/giftCard.js";
+import StoreCreditEntry, { STORE_CREDIT_TYPE } from "../../models/storeCreditEntry.js";
+import UserModel from "../../models/users.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import {
+  storeCreditBalance,
+  issueStoreCredit,
+  spendStoreCredit,
+  creditExpiryDate,
+} from "../../services/storeCredit.js";
+import { voidGiftCard, normalizeGiftCardCode } from "../../services/giftCards.js";
+
+const router = express.Router();
+
+const sendError = (res, error, where) => {
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+};
+
+const paging = (query) => {
+  const pageNum = Math.max(parseInt(query.page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+/**
+ * GET /admin/store-credit/summary
+ * What the platform owes buyers: unredeemed gift cards plus unexpired credit
+ */
+router.get("/summary", isAdminAuthorized, async (req, res) => {
+  try {
+    const now = new Date();
+    const [cards, credit] = await Promise.all([
+      GiftCard.aggregate([
+        { $match: { status: GIFT_CARD_STATUS.ACTIVE } },
+        { $group: { _id: null, count: { $sum: 1 }, amountCents: { $sum: "$amountCents" } } },
+      ]),
+      StoreCreditEntry.aggregate([
+        { $match: { remainingCents: { $gt: 0 }, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } },
+        { $group: { _id: "$type", amountCents: { $sum: "$remainingCents" }, lots: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const byType = Object.fromEntries(credit.map((c) => [c._id, { amountCents: c.amountCents, lots: c.lots }]));
+    const creditCents = credit.reduce((sum, c) => sum + c.amountCents, 0);
+    res.json({
+      success: true,
+      data: {
+        unredeemedGiftCards: { count: cards[0]?.count || 0, amountCents: cards[0]?.amountCents || 0 },
+        storeCredit: { amountCents: creditCents, byType },
+        totalLiabilityCents: (cards[0]?.amountCents || 0) + creditCents,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/store-credit/summary");
+  }
+});
+
+/**
+ * GET /admin/store-credit/gift-cards
+ * Gift cards, newest first. Filters: status, code, purchaserUserId
+ */
+router.get("/gift-cards", isAdminAuthorized, async (req, res) => {
+  try {
+    const { pageNum, limitNum, skip } = paging(req.query);
+    const query = {};
+    if (Object.values(GIFT_CARD_STATUS).includes(req.query.status)) query.status = req.query.status;
+    if (req.query.code) query.code = normalizeGiftCardCode(req.query.code);
+    if (mongoose.Types.ObjectId.isValid(req.query.purchaserUserId)) query.purchaserUserId = req.query.purchaserUserId;
+
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate("purchaserUserId", "name email")
+        .populate("redeemedByUserId", "name email")
+        .lean(),
+      GiftCard.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        giftCards,
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/store-credit/gift-cards");
+  }
+});
+
+/**
+ * POST /admin/store-credit/gift-cards/:id/void
+ * body: { reason, refund? } — void an unredeemed card; `refund` also refunds the purchaser
+ */
+router.post("/gift-cards/:id/void", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid gift card id" });
+    }
+    const reason = String(req.body?.reason || "").trim().slice(0, 500);
+    if (!reason) return res.status(400).json({ success: false, error: "reason is required" });
+
+    const card = await GiftCard.findById(req.params.id);
+    if (!card) return res.status(404).json({ success: false, error: "Gift card not found" });
+
+    const voided = await voidGiftCard(card, { adminId: req.admin?._id, reason, refund: req.body?.refund === true });
+    res.json({ success: true, data: voided });
+  } catch (error) {
+    sendError(res, error, "POST /admin/store-credit/gift-cards/:id/void");
+  }
+});
+
+/**
+ * GET /admin/store-credit/users/:userId
+ * A buyer's balance and full credit history (with the lots each debit used)
+ */
+router.get("/users/:userId", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, error: "Invalid user id" });
+    }
+    const { pageNum, limitNum, skip } = paging(req.query);
+    const query = { userId: req.params.userId };
+
+    const [balance, entries, total] = await Promise.all([
+      storeCreditBalance(req.params.userId),
+      StoreCreditEntry.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum).lean(),
+      StoreCreditEntry.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        balance,
+        entries,
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/store-credit/users/:userId");
+  }
+});
+
+/**
+ * POST /admin/store-credit/users/:userId/adjust
+ * body: { amountCents, note, expiresInDays? } — positive adds credit, negative removes it
+ */
+router.post("/users/:userId/adjust", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, error: "Invalid user id" });
+    }
+    const amount = Number(req.body?.amountCents);
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ success: false, error: "amountCents must be a non-zero whole number" });
+    }
+    const note = String(req.body?.note || "").trim().slice(0, 500);
+    if (!note) return res.status(400).json({ success: false, error: "note is required" });
+
+    const days = req.body?.expiresInDays;
+    if (days != null && (!Number.isInteger(Number(days)) || Number(days) < 0)) {
+      return res.status(400).json({ success: false, error: "expiresInDays must be a whole number (0 = never)" });
+    }
+    if (!(await UserModel.exists({ _id: req.params.userId }))) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    const fields = { type: STORE_CREDIT_TYPE.ADJUSTMENT, note, createdBy: req.admin?._id };
+    const entry = amount > 0
+      ? await issueStoreCredit({
+        ...fields,
+        userId: req.params.userId,
+        amountCents: amount,
+        ...(days != null ? { expiresAt: creditExpiryDate(new Date(), Number(days)) } : {}),
+      })
+      : await spendStoreCredit(req.params.userId, -amount, fields);
+
+    res.status(201).json({
+      success: true,
+      data: { entry, balance: await storeCreditBalance(req.params.userId) },
+    });
+  } catch (error) {
+    sendError(res, error, "POST /admin/store-credit/users/:userId/adjust");
+  }
+});
+
+export default router;
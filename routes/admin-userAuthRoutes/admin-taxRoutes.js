@@ -0,0 +1,64 @@
+// routes/admin-userAuthRoutes/admin-taxRoutes.js
+import express from "express";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { allTaxSummaries, reportingThresholdReport } from "../../services/taxSummary.js";
+import { sendReport, taxSummariesCSV, thresholdReportCSV } from "../../services/statements.js";
+
+const router = express.Router();
+
+function sendError(res, error, route) {
+  console.error(`${route} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+}
+
+/**
+ * GET /admin/tax/:year/summaries?format=csv
+ * Every artist's monthly summary for the year (bulk export)
+ */
+router.get("/:year/summaries", isAdminAuthorized, async (req, res) => {
+  try {
+    const list = await allTaxSummaries(req.params.year);
+    await sendReport(res, {
+      format: req.query.format,
+      filename: `immpression_tax_summaries_${req.params.year}`,
+      data: list,
+      csv: () => taxSummariesCSV(list),
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/tax/:year/summaries");
+  }
+});
+
+/**
+ * GET /admin/tax/:year/thresholds?amountCents=&transactions=&format=csv
+ * Sellers whose gross sales and number of sales both crossed the reporting
+ * limits (defaults from TAX_REPORTING_* env; override for state limits)
+ */
+router.get("/:year/thresholds", isAdminAuthorized, async (req, res) => {
+  try {
+    const limits = {};
+    for (const key of ["amountCents", "transactions"]) {
+      if (req.query[key] == null || req.query[key] === "") continue;
+      const n = Number(req.query[key]);
+      if (!Number.isInteger(n) || n < 0) {
+        return res.status(400).json({ success: false, error: `${key} must be a non-negative whole number` });
+      }
+      limits[key] = n;
+    }
+
+    const report = await reportingThresholdReport(req.params.year, limits);
+    await sendReport(res, {
+      format: req.query.format,
+      filename: `immpression_tax_thresholds_${req.params.year}`,
+      data: report,
+      csv: () => thresholdReportCSV(report),
+    });
+  } catch (error) {
+    sendError(res, error, "GET /admin/tax/:year/thresholds");
+  }
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from "express";
+import mongoose from "mongoose";
 // ✅ Use argon2 instead of bcrypt
 // import argon2 from "argon2";
 import bcrypt from "bcrypt";
@@ -6,22 +7,17 @@ import jwt from "jsonwebtoken";
 import AdminUserModel from "../../models/admin-users.js";
 import UserModel from "../../models/users.js"; // Import the User model
 import { isAdminAuthorized, generateAdminAuthToken, getAuthToken } from "../../utils/authUtils.js";
-import ImageModel from "../../models/images.js";
-import cloudinary from "cloudinary";
+import ImageModel, { DUPLICATE_CHECK_STATUS, IMAGE_STAGE } from "../../models/images.js";
+import { fullGallery } from "../../services/gallery.js";
+import { deleteStoredUrls, artworkUrls } from "../../services/storage/index.js";
+import { backfillPerceptualHashes } from "../../services/perceptualHash.js";
 import Notification, { NOTIFICATION_TYPE } from "../../models/notifications.js";
 import sendEmail from "../../services/email.js"; // your nodemailer wrapper
-import OrderModel from "../../models/orders.js";
+import OrderModel, { ORDER_STATUS } from "../../models/orders.js";
 
 
 const router = express.Router();
 
-// Make sure cloudinary config is set
-cloudinary.v2.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD,
-    api_key: process.env.CLOUDINARY_API,
-    api_secret: process.env.CLOUDINARY_SECRET,
-});
-
 router.post("/login", async (req, res) => {
     const { email, password } = req.body;
 
@@ -125,9 +121,18 @@ router.get("/all_images", isAdminAuthorized, async (req, res) => {
             }]
         } : {};
 
+        // only listings flagged as possible duplicates of another artist's work,
+        // or listings with detail photos waiting for moderation
+        const queryFlagged = (req.query.flagged === 'duplicates') ?
+            { 'duplicateCheck.status': DUPLICATE_CHECK_STATUS.SUSPECTED } :
+            (
+                req.query.flagged === 'gallery' ? { 'gallery.stage': IMAGE_STAGE.REVIEW } : {}
+            );
+
         const query = {
             ...queryStage,
             ...queryInput,
+            ...queryFlagged,
         };
 
         // count total #pages & return empty page if overbound
@@ -166,6 +171,10 @@ router.get("/all_images", isAdminAuthorized, async (req, res) => {
             stage: image.stage,
             soldStatus: image.soldStatus || 'unsold',
             isSold: image.soldStatus === 'sold',
+            duplicateStatus: image.duplicateCheck?.status || null,
+            suspectedMatchCount: image.duplicateCheck?.matches?.length || 0,
+            galleryCount: image.gallery?.length || 0,
+            pendingGalleryCount: (image.gallery || []).filter((p) => p.stage === IMAGE_STAGE.REVIEW).length,
         }));
 
         res.status(200).json({
@@ -200,6 +209,9 @@ router.get("/all_images/stats", isAdminAuthorized, async (_, res) => {
         });
         const approvedCount = await ImageModel.countDocuments({ stage: 'approved' });
         const rejectedCount = await ImageModel.countDocuments({ stage: 'rejected' });
+        const suspectedDuplicateCount = await ImageModel.countDocuments({
+            'duplicateCheck.status': DUPLICATE_CHECK_STATUS.SUSPECTED,
+        });
 
         res.status(200).json({
             success: true,
@@ -208,6 +220,7 @@ router.get("/all_images/stats", isAdminAuthorized, async (_, res) => {
                 pending: pendingCount,
                 approved: approvedCount,
                 rejected: rejectedCount,
+                suspectedDuplicates: suspectedDuplicateCount,
             }
         })
     }
@@ -220,6 +233,18 @@ router.get("/all_images/stats", isAdminAuthorized, async (_, res) => {
     }
 });
 
+// ✅ Hash older listings in batches so duplicate screening covers them
+router.post("/all_images/hash-backfill", isAdminAuthorized, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.body?.limit) || 50, 200);
+        const result = await backfillPerceptualHashes(limit);
+        res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error("Error backfilling perceptual hashes:", error);
+        res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+});
+
 // ✅ Get a single artwork by ID
 router.get("/art/:id", isAdminAuthorized, async (req, res) => {
     try {
@@ -230,7 +255,26 @@ router.get("/art/:id", isAdminAuthorized, async (req, res) => {
             return res.status(404).json({ success: false, error: "Artwork not found" });
         }
 
-        res.status(200).json({ success: true, art });
+        // Listings by other artists that look like this one (closest first)
+        const matches = art.duplicateCheck?.matches || [];
+        let suspectedMatches = [];
+        if (matches.length) {
+            const others = await ImageModel.find({ _id: { $in: matches.map((m) => m.imageId) } })
+                .select("_id userId artistName name imageLink stage soldStatus createdAt")
+                .lean();
+            const byId = new Map(others.map((o) => [String(o._id), o]));
+            suspectedMatches = matches
+                .filter((m) => byId.has(String(m.imageId)))
+                .map((m) => ({ ...byId.get(String(m.imageId)), distance: m.distance }));
+        }
+
+        res.status(200).json({
+            success: true,
+            art,
+            gallery: fullGallery(art),
+            duplicateStatus: art.duplicateCheck?.status || null,
+            suspectedMatches,
+        });
     } catch (error) {
         console.error("Error fetching artwork:", error);
         res.status(500).json({ success: false, error: "Internal Server Error" });
@@ -238,10 +282,13 @@ router.get("/art/:id", isAdminAuthorized, async (req, res) => {
 });
 
 // ✅ Admin-only route to approve an artwork
+// Detail photos are moderated one by one; send { approveGallery: true } to
+// also approve every photo still in review.
 router.put("/art/:id/approve", isAdminAuthorized, async (req, res) => {
     try {
         const { id } = req.params;
         const adminEmail = req.admin.email;
+        const approveGallery = req.body?.approveGallery === true;
 
         // we need the owner (recipient) to notify
         const art = await ImageModel.findById(id).lean();
@@ -249,14 +296,31 @@ router.put("/art/:id/approve", isAdminAuthorized, async (req, res) => {
             return res.status(404).json({ success: false, error: "Artwork not found" });
         }
 
+        const hasPendingPhotos =
+            approveGallery && (art.gallery || []).some((p) => p.stage === IMAGE_STAGE.REVIEW);
+
         const updatedArt = await ImageModel.findByIdAndUpdate(
             id,
             {
                 stage: "approved",
                 reviewedByEmail: adminEmail,
                 reviewedAt: new Date(),
+                // approving a flagged listing means the admin reviewed the matches
+                ...(art.duplicateCheck?.status === DUPLICATE_CHECK_STATUS.SUSPECTED && {
+                    "duplicateCheck.status": DUPLICATE_CHECK_STATUS.DISMISSED,
+                    "duplicateCheck.reviewedByEmail": adminEmail,
+                }),
+                // only when asked: detail photos still in review are approved along with the listing
+                ...(hasPendingPhotos && {
+                    "gallery.$[pending].stage": IMAGE_STAGE.APPROVED,
+                    "gallery.$[pending].reviewedByEmail": adminEmail,
+                    "gallery.$[pending].reviewedAt": new Date(),
+                }),
             },
-            { new: true }
+            {
+                new: true,
+                ...(hasPendingPhotos && { arrayFilters: [{ "pending.stage": IMAGE_STAGE.REVIEW }] }),
+            }
         );
 
         // ---- create in-app notification for the artist ----
@@ -400,7 +464,69 @@ router.get("/user/:id", isAdminAuthorized, async (req, res) => {
     }
 });
 
-// ✅ Admin-only route to delete an artwork by ID and remove it from Cloudinary
+// ✅ Admin-only route to approve or reject a single gallery photo
+const moderateGalleryPhoto = (stage) => async (req, res) => {
+    try {
+        const { id, photoId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(photoId)) {
+            return res.status(400).json({ success: false, error: "Invalid artwork or photo id" });
+        }
+        const adminEmail = req.admin.email;
+        const rejectionMessage = stage === IMAGE_STAGE.REJECTED ? (req.body?.rejectionMessage || "").trim() : "";
+
+        const art = await ImageModel.findOneAndUpdate(
+            { _id: id, "gallery._id": photoId },
+            {
+                $set: {
+                    "gallery.$.stage": stage,
+                    "gallery.$.rejectionMessage": rejectionMessage,
+                    "gallery.$.reviewedByEmail": adminEmail,
+                    "gallery.$.reviewedAt": new Date(),
+                },
+            },
+            { new: true }
+        );
+        if (!art) {
+            return res.status(404).json({ success: false, error: "Artwork or photo not found" });
+        }
+
+        // Let the artist know why a detail shot won't be shown
+        if (stage === IMAGE_STAGE.REJECTED) {
+            try {
+                await Notification.create({
+                    recipientUserId: art.userId,
+                    actorUserId: null,
+                    type: NOTIFICATION_TYPE.IMAGE_REJECTED,
+                    title: "Photo rejected",
+                    message: `A photo on “${art.name}” was rejected${rejectionMessage ? `: ${rejectionMessage}` : "."}`,
+                    imageId: art._id,
+                    data: {
+                        artName: art.name,
+                        artistName: art.artistName,
+                        imageLink: art.gallery.id(photoId)?.url,
+                        price: art.price,
+                    },
+                });
+            } catch (nErr) {
+                console.error("Create notification (photo rejected) failed:", nErr);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: stage === IMAGE_STAGE.APPROVED ? "Photo approved" : "Photo rejected",
+            gallery: fullGallery(art),
+        });
+    } catch (error) {
+        console.error("Error moderating gallery photo:", error);
+        res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+};
+
+router.put("/art/:id/gallery/:photoId/approve", isAdminAuthorized, moderateGalleryPhoto(IMAGE_STAGE.APPROVED));
+router.put("/art/:id/gallery/:photoId/reject", isAdminAuthorized, moderateGalleryPhoto(IMAGE_STAGE.REJECTED));
+
+// ✅ Admin-only route to delete an artwork by ID and remove its files from storage
 router.delete("/art/:id", isAdminAuthorized, async (req, res) => {
     try {
         const { id } = req.params;
@@ -414,26 +540,9 @@ router.delete("/art/:id", isAdminAuthorized, async (req, res) => {
             return res.status(404).json({ success: false, error: "Artwork not found" });
         }
 
-        const extractPublicId = (url) => {
-            const parts = url.split("/");
-            const folder = parts[parts.length - 2];
-            const fileName = parts[parts.length - 1].split(".")[0];
-            return `${folder}/${fileName}`;
-        };
-
-        const publicId = extractPublicId(image.imageLink);
-
-        let cloudinaryResult = { deleted: {} };
-        try {
-            cloudinaryResult = await cloudinary.v2.api.delete_resources([publicId], {
-                type: "upload",
-                resource_type: "image",
-            });
-            console.log(`🗑️ Cloudinary deletion result for ${publicId}:`, cloudinaryResult);
-        } catch (cloudError) {
-            console.error("Cloudinary deletion error (continuing):", cloudError);
-            // Handle Cloudinary API errors gracefully (log, skip, and continue)
-        }
+        // Storage errors are logged inside deleteStoredUrls (log, skip, and continue)
+        const storageResult = await deleteStoredUrls(artworkUrls(image));
+        console.log(`🗑️ Storage deletion result for artwork ${id}:`, storageResult);
 
         await ImageModel.findByIdAndDelete(id);
 
@@ -442,7 +551,7 @@ router.delete("/art/:id", isAdminAuthorized, async (req, res) => {
             message: "Artwork and image deleted successfully",
             deletedAssets: {
                 artworkId: id,
-                cloudinaryDeleted: cloudinaryResult.deleted,
+                cloudinaryDeleted: storageResult.deleted, // key kept for admin client compatibility
             },
         });
     } catch (error) {
@@ -451,7 +560,7 @@ router.delete("/art/:id", isAdminAuthorized, async (req, res) => {
     }
 });
 
-// ✅ Admin-only route to delete a user and their Cloudinary profile picture
+// ✅ Admin-only route to delete a user and their stored profile picture
 router.delete("/user/:id", isAdminAuthorized, async (req, res) => {
     try {
         const { id } = req.params;
@@ -470,56 +579,18 @@ router.delete("/user/:id", isAdminAuthorized, async (req, res) => {
         // Use the user's _id to filter artwork in the ImageModel
         const userImages = await ImageModel.find({ userId: id }); // Assuming userId is the field linking images to users
 
-        // Step 3: Extract and delete each image's public_id from Cloudinary
-        const publicIdsToDelete = [];
-        for (const image of userImages) {
-            const extractPublicId = (url) => {
-                const parts = url.split("/");
-                const folder = parts[parts.length - 2]; // e.g., 'artwork'
-                const fileName = parts[parts.length - 1].split(".")[0];
-                return `${folder}/${fileName}`;
-            };
-
-            const publicId = extractPublicId(image.imageLink);
-            publicIdsToDelete.push(publicId);
-        }
-
-        // Step 4: Delete all images from Cloudinary in bulk
-        let cloudinaryResult = { deleted: {} };
-        if (publicIdsToDelete.length > 0) {
-            try {
-                cloudinaryResult = await cloudinary.v2.api.delete_resources(publicIdsToDelete, {
-                    type: "upload",
-                    resource_type: "image",
-                });
-                console.log(`🗑️ Cloudinary deletion result for user's artwork:`, cloudinaryResult);
-            } catch (cloudError) {
-                console.error("Cloudinary deletion error (continuing with other deletions):", cloudError);
-                // Handle Cloudinary API errors gracefully (log, skip, and continue)
-            }
-        }
+        // Step 3 & 4: Delete every stored file for the user's artwork in bulk
+        // (storage errors are logged inside deleteStoredUrls; we continue with other deletions)
+        const storageResult = await deleteStoredUrls(userImages.flatMap(artworkUrls));
+        console.log(`🗑️ Storage deletion result for user's artwork:`, storageResult);
 
         // Step 5: Delete all images from MongoDB
         await ImageModel.deleteMany({ userId: id });
 
-        // Step 6: Delete the user's profile picture from Cloudinary if it exists
-        let profilePicPublicId;
-        if (user.profilePictureLink) {
-            const parts = user.profilePictureLink.split("/");
-            const folder = parts[parts.length - 2]; // should be 'artists'
-            const fileName = parts[parts.length - 1].split(".")[0];
-            profilePicPublicId = `${folder}/${fileName}`;
-
-            try {
-                const profilePicResult = await cloudinary.v2.api.delete_resources([profilePicPublicId], {
-                    type: "upload",
-                    resource_type: "image",
-                });
-                console.log(`🗑️ Cloudinary deletion result for profile picture ${profilePicPublicId}:`, profilePicResult);
-            } catch (cloudError) {
-                console.error("Cloudinary deletion error for profile picture (continuing):", cloudError);
-                // Handle Cloudinary API errors gracefully
-            }
+        // Step 6: Delete the user's profile picture from storage if we host it
+        if (user.profilePictureLink && user.profilePictureLink !== UserModel.schema.path("profilePictureLink").defaultValue) {
+            const profilePicResult = await deleteStoredUrls([user.profilePictureLink]);
+            console.log(`🗑️ Storage deletion result for profile picture:`, profilePicResult);
         }
 
         // Step 7: Delete the user from MongoDB
@@ -530,7 +601,7 @@ router.delete("/user/:id", isAdminAuthorized, async (req, res) => {
             userId: id,
             profilePictureDeleted: user.profilePictureLink ? true : false,
             artworkDeletedCount: userImages.length,
-            cloudinaryDeleted: cloudinaryResult.deleted,
+            cloudinaryDeleted: storageResult.deleted, // key kept for admin client compatibility
         };
 
         res.status(200).json({
@@ -568,14 +639,18 @@ router.get("/analytics", isAdminAuthorized, async (req, res) => {
 
         // --- Orders ---
         const totalOrders = await OrderModel.countDocuments();
-        const paidOrders = await OrderModel.countDocuments({ status: "paid" });
+        // Delivered orders move on to "completed" but still count as paid
+        const paidStatuses = [ORDER_STATUS.PAID, ORDER_STATUS.COMPLETED];
+        const paidOrders = await OrderModel.countDocuments({ status: { $in: paidStatuses } });
         const pendingOrders = await OrderModel.countDocuments({ status: "pending" });
         const failedOrders = await OrderModel.countDocuments({ status: "failed" });
         const refundedOrders = await OrderModel.countDocuments({ status: "refunded" });
+        const cancelledOrders = await OrderModel.countDocuments({ status: ORDER_STATUS.CANCELLED });
+        const disputedOrders = await OrderModel.countDocuments({ status: ORDER_STATUS.DISPUTED });
 
         // Revenue: sum totalAmount (in cents) for paid orders
         const revenueAgg = await OrderModel.aggregate([
-            { $match: { status: "paid" } },
+            { $match: { status: { $in: paidStatuses } } },
             { $group: { _id: null, total: { $sum: "$totalAmount" } } },
         ]);
         const totalRevenueCents = revenueAgg.length > 0 ? revenueAgg[0].total : 0;
@@ -608,6 +683,8 @@ router.get("/analytics", isAdminAuthorized, async (req, res) => {
                     pending: pendingOrders,
                     failed: failedOrders,
                     refunded: refundedOrders,
+                    cancelled: cancelledOrders,
+                    disputed: disputedOrders,
                     totalRevenueCents,
                     recent: recentOrders,
                 },
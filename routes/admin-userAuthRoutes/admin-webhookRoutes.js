@@ -0,0 +1,99 @@
+// routes/admin-userAuthRoutes/admin-webhookRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import WebhookEvent, { WEBHOOK_EVENT_STATUS, WEBHOOK_SOURCE } from "../../models/webhookEvent.js";
+import { isAdminAuthorized } from "../../utils/authUtils.js";
+import { isReplayable, replayWebhookEvent, STUCK_PROCESSING_MS } from "../../services/webhookEvents.js";
+
+const router = express.Router();
+
+/**
+ * GET /admin/webhooks
+ * Stored Stripe events, newest first. Filters: status, source, type;
+ * `stuck=true` lists events interrupted mid-processing.
+ */
+router.get("/", isAdminAuthorized, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, source, type, stuck } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = {};
+    if (status && Object.values(WEBHOOK_EVENT_STATUS).includes(status)) query.status = status;
+    if (source && Object.values(WEBHOOK_SOURCE).includes(source)) query.source = source;
+    if (type) query.type = String(type);
+    if (stuck === "true") {
+      query.status = WEBHOOK_EVENT_STATUS.PROCESSING;
+      query.processingStartedAt = { $lte: new Date(Date.now() - STUCK_PROCESSING_MS) };
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      WebhookEvent.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map((e) => ({ ...e, replayable: isReplayable(e) })),
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    console.error("GET /admin/webhooks error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /admin/webhooks/:id
+ * One event with its full payload and attempt history
+ */
+router.get("/:id", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid event id" });
+    }
+    const event = await WebhookEvent.findById(req.params.id).lean();
+    if (!event) return res.status(404).json({ success: false, error: "Webhook event not found" });
+
+    res.json({
+      success: true,
+      data: { ...event, payload: JSON.parse(event.payload), replayable: isReplayable(event) },
+    });
+  } catch (error) {
+    console.error("GET /admin/webhooks/:id error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /admin/webhooks/:id/replay
+ * Run a failed or stuck event's handler again with the stored payload
+ */
+router.post("/:id/replay", isAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid event id" });
+    }
+
+    const result = await replayWebhookEvent(req.params.id, { adminId: req.admin?._id });
+    const event = await WebhookEvent.findById(req.params.id).select("-payload").lean();
+    res.json({ success: result.status === WEBHOOK_EVENT_STATUS.PROCESSED, data: { ...result, event } });
+  } catch (error) {
+    console.error("POST /admin/webhooks/:id/replay error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,323 @@
+// routes/cartRoutes/cartRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import Cart, { MAX_CART_ITEMS } from "../../models/cart.js";
+import Checkout from "../../models/checkout.js";
+import OrderModel from "../../models/orders.js";
+import ImageModel, { IMAGE_STAGE } from "../../models/images.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import { getPurchaseOption } from "../../services/inventory.js";
+import { orderDiscount } from "../../services/coupons.js";
+import { pickDeliveryDetails } from "../../utils/address.js";
+import {
+  createCheckoutFromCart,
+  setSellerShipping,
+  preparePayment,
+  markCheckoutPaid,
+  cancelCheckout,
+  summarizeCheckout,
+} from "../../services/checkout.js";
+
+import Stripe from "stripe";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+const router = express.Router();
+
+const sendError = (res, error, where) => {
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// The cart with each line priced from its listing (prices are never stored)
+async function cartView(cart) {
+  const items = cart?.items || [];
+  const images = await ImageModel.find({ _id: { $in: items.map((i) => i.imageId) } })
+    .select("name artistName imageLink userId stage soldStatus price edition printVariants artistPayoutsDisabled auction.enabled")
+    .lean();
+
+  let subtotalCents = 0;
+  const lines = items.map((item) => {
+    const image = images.find((img) => String(img._id) === String(item.imageId));
+    const purchase = image ? getPurchaseOption(image, item.variantId) : { error: "This artwork is no longer available." };
+    const available = !!image && image.stage === IMAGE_STAGE.APPROVED && !image.artistPayoutsDisabled && !purchase.error;
+    const priceCents = available ? Math.round(Number(purchase.price) * 100) : null;
+    if (available) subtotalCents += priceCents;
+
+    return {
+      itemId: String(item._id),
+      imageId: String(item.imageId),
+      variantId: item.variantId ? String(item.variantId) : null,
+      variantLabel: purchase.label || null,
+      artName: image?.name,
+      artistName: image?.artistName,
+      artistUserId: image?.userId,
+      imageLink: image?.imageLink,
+      priceCents,
+      available,
+      error: available ? null : purchase.error || "This artwork is no longer available.",
+      addedAt: item.addedAt,
+    };
+  });
+
+  return { items: lines, subtotalCents, maxItems: MAX_CART_ITEMS };
+}
+
+// The buyer's checkout, or an error response
+async function loadBuyerCheckout(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid checkout id" });
+    return null;
+  }
+  const checkout = await Checkout.findById(req.params.id);
+  if (!checkout) {
+    res.status(404).json({ success: false, error: "Checkout not found" });
+    return null;
+  }
+  if (String(checkout.userId) !== String(req.user._id)) {
+    res.status(403).json({ success: false, error: "Not allowed" });
+    return null;
+  }
+  return checkout;
+}
+
+// Checkout with its orders' current amounts, grouped by seller
+async function checkoutView(checkout) {
+  const orders = await OrderModel.find({ _id: { $in: checkout.orderIds } })
+    .select("imageId artName artistName artistUserId imageLink printVariantLabel status baseAmount price discount shippingAmount taxAmount totalAmount")
+    .lean();
+  const summary = summarizeCheckout(orders, checkout.sellers);
+
+  return {
+    checkoutId: String(checkout._id),
+    status: checkout.status,
+    deliveryDetails: checkout.deliveryDetails,
+    paymentIntentId: checkout.paymentIntentId || null,
+    sellers: summary.sellers.map((s) => ({
+      ...s,
+      shippingQuote: s.shippingQuote || null,
+      orders: orders
+        .filter((o) => String(o.artistUserId) === String(s.artistUserId))
+        .map((o) => ({ ...o, coupon: orderDiscount(o).code })),
+    })),
+    totals: {
+      base: summary.baseAmount,
+      discount: summary.discountAmount,
+      shipping: summary.shippingAmount,
+      tax: summary.taxAmount,
+      total: summary.totalAmount,
+    },
+  };
+}
+
+/**
+ * GET /cart
+ */
+router.get("/cart", isUserAuthorized, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user._id }).lean();
+    res.json({ success: true, data: await cartView(cart) });
+  } catch (error) {
+    sendError(res, error, "GET /cart");
+  }
+});
+
+/**
+ * POST /cart/items
+ * body: { imageId, variantId? } — adding a piece that's already in the cart is a no-op
+ */
+router.post("/cart/items", isUserAuthorized, async (req, res) => {
+  try {
+    const { imageId, variantId } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(imageId) || (variantId && !mongoose.Types.ObjectId.isValid(variantId))) {
+      return res.status(400).json({ success: false, error: "Invalid imageId/variantId" });
+    }
+
+    const image = await ImageModel.findById(imageId).lean();
+    if (!image || image.stage !== IMAGE_STAGE.APPROVED || image.artistPayoutsDisabled) {
+      return res.status(404).json({ success: false, error: "Image not found." });
+    }
+    if (String(image.userId) === String(req.user._id)) {
+      return res.status(400).json({ success: false, error: "You can't buy your own artwork." });
+    }
+    if (image.auction?.enabled) {
+      return res.status(400).json({ success: false, error: "This artwork is sold by auction." });
+    }
+    const purchase = getPurchaseOption(image, variantId);
+    if (purchase.error) return res.status(purchase.status).json({ success: false, error: purchase.error });
+
+    const cart = (await Cart.findOne({ userId: req.user._id })) || new Cart({ userId: req.user._id });
+    // One line per piece/size: a checkout holds one unit of each
+    const exists = cart.items.some(
+      (i) => String(i.imageId) === String(image._id) && String(i.variantId || "") === String(purchase.variantId || "")
+    );
+    if (!exists) {
+      if (cart.items.length >= MAX_CART_ITEMS) {
+        return res.status(400).json({ success: false, error: `Your cart can hold at most ${MAX_CART_ITEMS} artworks.` });
+      }
+      cart.items.push({ imageId: image._id, variantId: purchase.variantId || undefined });
+      await cart.save();
+    }
+
+    res.status(exists ? 200 : 201).json({ success: true, data: await cartView(cart) });
+  } catch (error) {
+    sendError(res, error, "POST /cart/items");
+  }
+});
+
+/**
+ * DELETE /cart/items/:itemId
+ */
+router.delete("/cart/items/:itemId", isUserAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      return res.status(400).json({ success: false, error: "Invalid item id" });
+    }
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.user._id },
+      { $pull: { items: { _id: req.params.itemId } } },
+      { new: true }
+    ).lean();
+    res.json({ success: true, data: await cartView(cart) });
+  } catch (error) {
+    sendError(res, error, "DELETE /cart/items/:itemId");
+  }
+});
+
+/**
+ * DELETE /cart
+ */
+router.delete("/cart", isUserAuthorized, async (req, res) => {
+  try {
+    await Cart.updateOne({ userId: req.user._id }, { $set: { items: [] } });
+    res.json({ success: true, data: await cartView(null) });
+  } catch (error) {
+    sendError(res, error, "DELETE /cart");
+  }
+});
+
+/**
+ * POST /cart/checkout
+ * body: { deliveryDetails } — turn the cart into a checkout with one pending
+ * order per artwork (each held for the buyer). Next: quote shipping per seller
+ * with GET /order/:id/shipping-quote on the seller's first order, then
+ * PUT /checkouts/:id/sellers/:artistUserId/shipping.
+ */
+router.post("/cart/checkout", isUserAuthorized, async (req, res) => {
+  try {
+    const deliveryDetails = pickDeliveryDetails(req.body?.deliveryDetails);
+    if (!deliveryDetails?.zipCode) {
+      return res.status(400).json({ success: false, error: "deliveryDetails with a zipCode is required" });
+    }
+
+    const { checkout } = await createCheckoutFromCart(req.user, deliveryDetails);
+    res.status(201).json({ success: true, data: await checkoutView(checkout) });
+  } catch (error) {
+    sendError(res, error, "POST /cart/checkout");
+  }
+});
+
+/**
+ * GET /checkouts/:id
+ */
+router.get("/checkouts/:id", isUserAuthorized, async (req, res) => {
+  try {
+    const checkout = await loadBuyerCheckout(req, res);
+    if (!checkout) return;
+    res.json({ success: true, data: await checkoutView(checkout) });
+  } catch (error) {
+    sendError(res, error, "GET /checkouts/:id");
+  }
+});
+
+/**
+ * PUT /checkouts/:id/sellers/:artistUserId/shipping
+ * body: { quoteToken } — a rate quoted on that seller's first order
+ */
+router.put("/checkouts/:id/sellers/:artistUserId/shipping", isUserAuthorized, async (req, res) => {
+  try {
+    const checkout = await loadBuyerCheckout(req, res);
+    if (!checkout) return;
+
+    await setSellerShipping(checkout, req.params.artistUserId, req.body?.quoteToken);
+    res.json({ success: true, data: await checkoutView(checkout) });
+  } catch (error) {
+    sendError(res, error, "PUT /checkouts/:id/sellers/:artistUserId/shipping");
+  }
+});
+
+/**
+ * POST /checkouts/:id/payment-intent
+ * Tax every seller's parcel and create (or update) the single PaymentIntent
+ */
+router.post("/checkouts/:id/payment-intent", isUserAuthorized, async (req, res) => {
+  try {
+    const checkout = await loadBuyerCheckout(req, res);
+    if (!checkout) return;
+
+    const { paymentIntent } = await preparePayment(checkout, req.user);
+    res.json({
+      success: true,
+      data: {
+        ...(await checkoutView(checkout)),
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "POST /checkouts/:id/payment-intent");
+  }
+});
+
+/**
+ * POST /checkouts/:id/finalize
+ * Confirm with Stripe right after the client-side payment (the webhook does
+ * the same; whichever comes first settles the orders)
+ */
+router.post("/checkouts/:id/finalize", isUserAuthorized, async (req, res) => {
+  try {
+    const checkout = await loadBuyerCheckout(req, res);
+    if (!checkout) return;
+    if (!checkout.paymentIntentId) {
+      return res.status(409).json({ success: false, error: "Checkout has no payment yet" });
+    }
+
+    const pi = await stripe.paymentIntents.retrieve(checkout.paymentIntentId, { expand: ["latest_charge"] });
+    if (pi.metadata?.checkoutId !== String(checkout._id)) {
+      return res.status(400).json({ success: false, error: "PaymentIntent does not belong to this checkout" });
+    }
+    if (pi.status !== "succeeded") {
+      return res.status(409).json({ success: false, error: `Payment is ${pi.status}`, data: { status: pi.status } });
+    }
+
+    const settled = await markCheckoutPaid(checkout._id, pi);
+    res.json({ success: true, data: await checkoutView(settled) });
+  } catch (error) {
+    sendError(res, error, "POST /checkouts/:id/finalize");
+  }
+});
+
+/**
+ * POST /checkouts/:id/cancel
+ * body: { reason? } — cancel an unpaid checkout and put its pieces back on sale
+ */
+router.post("/checkouts/:id/cancel", isUserAuthorized, async (req, res) => {
+  try {
+    const checkout = await loadBuyerCheckout(req, res);
+    if (!checkout) return;
+
+    await cancelCheckout(checkout, {
+      actorId: req.user._id,
+      reason: String(req.body?.reason || "").trim().slice(0, 500) || "Cancelled by buyer",
+    });
+    res.json({ success: true, data: await checkoutView(checkout) });
+  } catch (error) {
+    sendError(res, error, "POST /checkouts/:id/cancel");
+  }
+});
+
+export default router;
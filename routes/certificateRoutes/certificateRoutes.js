@@ -0,0 +1,216 @@
+// routes/certificateRoutes/certificateRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import OrderModel from "../../models/orders.js";
+import Certificate, { CERTIFICATE_STATUS } from "../../models/certificate.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import {
+  normalizeCertificateId,
+  issueCertificateForOrder,
+  isCertificateSignatureValid,
+  publicCertificateView,
+  reissueCertificate,
+  transferCertificate,
+  certificatePDF,
+  certificateQRDataURL,
+} from "../../services/certificates.js";
+
+const router = express.Router();
+
+const sendError = (res, error, where) => {
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+};
+
+const findCertificate = (id) => Certificate.findOne({ certificateId: normalizeCertificateId(id) });
+
+const isHolder = (cert, user) => cert.holderUserId && String(cert.holderUserId) === String(user._id);
+const isArtist = (cert, user) => String(cert.artistUserId) === String(user._id);
+
+// Full view for the holder and the artist
+const certificateView = (cert) => ({
+  ...publicCertificateView(cert),
+  reason: cert.reason,
+  note: cert.note,
+  holderName: cert.holderName,
+  orderId: String(cert.orderId),
+});
+
+/**
+ * GET /certificates/mine
+ * Active certificates made out to the buyer
+ */
+router.get("/certificates/mine", isUserAuthorized, async (req, res) => {
+  try {
+    const certs = await Certificate.find({ holderUserId: req.user._id, status: CERTIFICATE_STATUS.ACTIVE })
+      .sort({ issuedAt: -1 })
+      .limit(200)
+      .lean();
+    res.json({ success: true, data: certs.map(certificateView) });
+  } catch (error) {
+    sendError(res, error, "GET /certificates/mine");
+  }
+});
+
+/**
+ * GET /certificates/issued
+ * Certificates for the artist's sold work, newest first (?status=active|superseded)
+ */
+router.get("/certificates/issued", isUserAuthorized, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const query = { artistUserId: req.user._id };
+    if (Object.values(CERTIFICATE_STATUS).includes(status)) query.status = status;
+
+    const [certs, total] = await Promise.all([
+      Certificate.find(query).sort({ issuedAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+      Certificate.countDocuments(query),
+    ]);
+    res.json({
+      success: true,
+      data: {
+        certificates: certs.map(certificateView),
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /certificates/issued");
+  }
+});
+
+/**
+ * GET /order/:id/certificate
+ * The order's current certificate — buyer or artist. Issued now if the sale
+ * didn't get one when it was paid.
+ */
+router.get("/order/:id/certificate", isUserAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+    const order = await OrderModel.findById(req.params.id).select("userId artistUserId paidAt").lean();
+    if (!order || ![String(order.userId), String(order.artistUserId)].includes(String(req.user._id))) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+    if (!order.paidAt) {
+      return res.status(409).json({ success: false, error: "Order hasn't been paid yet" });
+    }
+
+    await issueCertificateForOrder(order._id);
+    const cert = await Certificate.findOne({ orderId: order._id, status: CERTIFICATE_STATUS.ACTIVE }).sort({ issuedAt: -1 });
+    // After a resale the buyer no longer holds it; they can still verify it by id
+    if (!isArtist(cert, req.user) && !isHolder(cert, req.user)) {
+      return res.json({ success: true, data: publicCertificateView(cert) });
+    }
+    res.json({ success: true, data: { ...certificateView(cert), qrCode: await certificateQRDataURL(cert) } });
+  } catch (error) {
+    sendError(res, error, "GET /order/:id/certificate");
+  }
+});
+
+/**
+ * GET /certificates/:id/verify
+ * Public: whether a certificate is genuine and still current
+ */
+router.get("/certificates/:id/verify", async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id);
+    if (!cert) {
+      return res.status(404).json({ success: false, error: "No certificate with this ID", data: { genuine: false } });
+    }
+
+    const genuine = isCertificateSignatureValid(cert);
+    if (!genuine) console.error(`Certificate ${cert.certificateId} failed its signature check`);
+    res.json({
+      success: true,
+      data: {
+        genuine,
+        current: genuine && cert.status === CERTIFICATE_STATUS.ACTIVE,
+        ...(genuine ? publicCertificateView(cert) : { certificateId: cert.certificateId }),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /certificates/:id/verify");
+  }
+});
+
+/**
+ * GET /certificates/:id
+ * Holder or artist; includes the QR code as a data URL
+ */
+router.get("/certificates/:id", isUserAuthorized, async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id);
+    if (!cert || !(isHolder(cert, req.user) || isArtist(cert, req.user))) {
+      return res.status(404).json({ success: false, error: "Certificate not found" });
+    }
+    res.json({ success: true, data: { ...certificateView(cert), qrCode: await certificateQRDataURL(cert) } });
+  } catch (error) {
+    sendError(res, error, "GET /certificates/:id");
+  }
+});
+
+/**
+ * GET /certificates/:id/pdf
+ * Printable certificate with its QR code — holder or artist
+ */
+router.get("/certificates/:id/pdf", isUserAuthorized, async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id);
+    if (!cert || !(isHolder(cert, req.user) || isArtist(cert, req.user))) {
+      return res.status(404).json({ success: false, error: "Certificate not found" });
+    }
+    const pdf = await certificatePDF(cert);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${cert.certificateId}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    sendError(res, error, "GET /certificates/:id/pdf");
+  }
+});
+
+/**
+ * POST /certificates/:id/reissue
+ * body: { note? } — artist only. Supersedes the certificate with a fresh one
+ * for the same collector.
+ */
+router.post("/certificates/:id/reissue", isUserAuthorized, async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id);
+    if (!cert || !isArtist(cert, req.user)) {
+      return res.status(404).json({ success: false, error: "Certificate not found" });
+    }
+    const note = String(req.body?.note || "").trim().slice(0, 500) || undefined;
+    const reissued = await reissueCertificate(cert, { note });
+    res.status(201).json({ success: true, data: certificateView(reissued) });
+  } catch (error) {
+    sendError(res, error, "POST /certificates/:id/reissue");
+  }
+});
+
+/**
+ * POST /certificates/:id/transfer
+ * body: { toEmail?, toName?, note? } — artist only, when a collector resells.
+ * Supersedes the certificate with one made out to the new collector.
+ */
+router.post("/certificates/:id/transfer", isUserAuthorized, async (req, res) => {
+  try {
+    const cert = await findCertificate(req.params.id);
+    if (!cert || !isArtist(cert, req.user)) {
+      return res.status(404).json({ success: false, error: "Certificate not found" });
+    }
+    const { toEmail, toName } = req.body || {};
+    const note = String(req.body?.note || "").trim().slice(0, 500) || undefined;
+    const transferred = await transferCertificate(cert, { toEmail, toName, note });
+    res.status(201).json({ success: true, data: certificateView(transferred) });
+  } catch (error) {
+    sendError(res, error, "POST /certificates/:id/transfer");
+  }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+// routes/couponRoutes/couponRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import OrderModel from "../../models/orders.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import { applyCoupon, removeCoupon, orderDiscount } from "../../services/coupons.js";
+
+const router = express.Router();
+
+// The buyer's pending order, or an error response
+async function loadBuyerOrder(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid order id" });
+    return null;
+  }
+  const order = await OrderModel.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({ success: false, error: "Order not found" });
+    return null;
+  }
+  if (String(order.userId) !== String(req.user._id)) {
+    res.status(403).json({ success: false, error: "Not allowed" });
+    return null;
+  }
+  return order;
+}
+
+// Amounts the buyer sees; tax is recalculated at checkout
+const orderTotals = (order) => {
+  const discount = orderDiscount(order);
+  return {
+    orderId: String(order._id),
+    coupon: discount.amount ? { code: discount.code, amountCents: discount.amount } : null,
+    totals: {
+      base: order.baseAmount,
+      discount: discount.amount,
+      shipping: order.shippingAmount,
+      tax: order.taxAmount,
+      total: order.totalAmount,
+    },
+  };
+};
+
+/**
+ * POST /order/:id/coupon
+ * body: { code } — apply a promo code to a pending order (replaces any other)
+ */
+router.post("/order/:id/coupon", isUserAuthorized, async (req, res) => {
+  try {
+    const code = String(req.body?.code || "").trim();
+    if (!code) return res.status(400).json({ success: false, error: "code is required" });
+
+    const order = await loadBuyerOrder(req, res);
+    if (!order) return;
+
+    await applyCoupon(order, code);
+    res.json({ success: true, data: orderTotals(order) });
+  } catch (error) {
+    if (!error.status) console.error("POST /order/:id/coupon error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+/**
+ * DELETE /order/:id/coupon
+ * Remove the promo code from a pending order
+ */
+router.delete("/order/:id/coupon", isUserAuthorized, async (req, res) => {
+  try {
+    const order = await loadBuyerOrder(req, res);
+    if (!order) return;
+
+    await removeCoupon(order);
+    res.json({ success: true, data: orderTotals(order) });
+  } catch (error) {
+    if (!error.status) console.error("DELETE /order/:id/coupon error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+export default router;
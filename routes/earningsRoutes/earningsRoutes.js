@@ -0,0 +1,104 @@
+// routes/earningsRoutes/earningsRoutes.js
+import express from "express";
+import LedgerEntry, { LEDGER_ACCOUNT } from "../../models/ledgerEntry.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import { artistBalance, artistStatement, syncArtistLedger } from "../../services/ledger.js";
+import { artistTaxSummary } from "../../services/taxSummary.js";
+import { sendStatement, sendReport, taxSummaryCSV, taxSummaryPDF } from "../../services/statements.js";
+
+const router = express.Router();
+
+/**
+ * GET /my-earnings
+ * Balance of the signed-in artist: owed (split into held / pending / due),
+ * paid out, and lifetime totals. All cents.
+ */
+router.get("/my-earnings", isUserAuthorized, async (req, res) => {
+  try {
+    const balance = await artistBalance(req.user._id);
+    res.json({ success: true, data: balance });
+  } catch (error) {
+    console.error("GET /my-earnings error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /my-earnings/ledger
+ * The artist's ledger lines, newest first
+ */
+router.get("/my-earnings/ledger", isUserAuthorized, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    await syncArtistLedger(req.user._id);
+
+    const query = { artistUserId: req.user._id, account: LEDGER_ACCOUNT.SELLER_PAYABLE };
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("txnId type debit credit orderId sourceId description occurredAt")
+        .lean(),
+      LedgerEntry.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.map((e) => ({ ...e, amount: e.credit - e.debit })),
+      pagination: { currentPage: page, totalPages: Math.ceil(total / limit), total, limit },
+    });
+  } catch (error) {
+    console.error("GET /my-earnings/ledger error:", error);
+    res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /my-earnings/statements/:month?format=csv|pdf
+ * Monthly statement (month is YYYY-MM); JSON unless a format is given
+ */
+router.get("/my-earnings/statements/:month", isUserAuthorized, async (req, res) => {
+  try {
+    const statement = await artistStatement(req.user._id, req.params.month);
+    await sendStatement(res, statement, {
+      format: req.query.format,
+      artist: { name: req.user.name, email: req.user.email },
+    });
+  } catch (error) {
+    console.error("GET /my-earnings/statements/:month error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+/**
+ * GET /my-earnings/tax-summary/:year?format=csv|pdf
+ * Gross sales, refunds, platform fees and net payouts by month
+ */
+router.get("/my-earnings/tax-summary/:year", isUserAuthorized, async (req, res) => {
+  try {
+    const summary = await artistTaxSummary(req.user._id, req.params.year);
+    const artist = { name: req.user.name, email: req.user.email };
+    await sendReport(res, {
+      format: req.query.format,
+      filename: `immpression_tax_summary_${summary.year}`,
+      data: summary,
+      csv: () => taxSummaryCSV(summary),
+      pdf: () => taxSummaryPDF(summary, { artist }),
+    });
+  } catch (error) {
+    console.error("GET /my-earnings/tax-summary/:year error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
+export default router;
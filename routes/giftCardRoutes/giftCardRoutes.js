@@ -0,0 +1,111 @@
+// routes/giftCardRoutes/giftCardRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import GiftCard from "../../models/giftCard.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import { storeCreditBalance } from "../../services/storeCredit.js";
+import {
+  purchaseGiftCard,
+  activateGiftCard,
+  redeemGiftCard,
+  giftCardView,
+} from "../../services/giftCards.js";
+
+import Stripe from "stripe";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+const router = express.Router();
+
+const sendError = (res, error, where) => {
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+};
+
+/**
+ * POST /gift-cards
+ * body: { amountCents, recipientName?, recipientEmail?, message? }
+ * Starts a purchase; the card is activated (and emailed) once the payment succeeds.
+ */
+router.post("/gift-cards", isUserAuthorized, async (req, res) => {
+  try {
+    const { giftCard, paymentIntent } = await purchaseGiftCard(req.user, req.body || {});
+    res.status(201).json({
+      success: true,
+      data: { ...giftCardView(giftCard, req.user._id), clientSecret: paymentIntent.client_secret },
+    });
+  } catch (error) {
+    sendError(res, error, "POST /gift-cards");
+  }
+});
+
+/**
+ * GET /gift-cards/mine
+ * Gift cards the buyer has bought, newest first
+ */
+router.get("/gift-cards/mine", isUserAuthorized, async (req, res) => {
+  try {
+    const cards = await GiftCard.find({ purchaserUserId: req.user._id }).sort({ createdAt: -1 }).limit(100).lean();
+    res.json({ success: true, data: cards.map((c) => giftCardView(c, req.user._id)) });
+  } catch (error) {
+    sendError(res, error, "GET /gift-cards/mine");
+  }
+});
+
+/**
+ * POST /gift-cards/:id/finalize
+ * Confirm with Stripe right after paying (the webhook does the same)
+ */
+router.post("/gift-cards/:id/finalize", isUserAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid gift card id" });
+    }
+    const card = await GiftCard.findById(req.params.id);
+    if (!card || String(card.purchaserUserId) !== String(req.user._id)) {
+      return res.status(404).json({ success: false, error: "Gift card not found" });
+    }
+    if (!card.paymentIntentId) {
+      return res.status(409).json({ success: false, error: "Gift card has no payment yet" });
+    }
+
+    const pi = await stripe.paymentIntents.retrieve(card.paymentIntentId);
+    if (pi.status !== "succeeded") {
+      return res.status(409).json({ success: false, error: `Payment is ${pi.status}`, data: { status: pi.status } });
+    }
+
+    const active = await activateGiftCard(card._id, pi, { purchaserName: req.user.name });
+    res.json({ success: true, data: giftCardView(active, req.user._id) });
+  } catch (error) {
+    sendError(res, error, "POST /gift-cards/:id/finalize");
+  }
+});
+
+/**
+ * POST /gift-cards/redeem
+ * body: { code } — add a gift card's value to the buyer's store credit
+ */
+router.post("/gift-cards/redeem", isUserAuthorized, async (req, res) => {
+  try {
+    if (!String(req.body?.code || "").trim()) {
+      return res.status(400).json({ success: false, error: "code is required" });
+    }
+
+    const { giftCard, credit } = await redeemGiftCard(req.user, req.body.code);
+    res.json({
+      success: true,
+      data: {
+        amountCents: giftCard.amountCents,
+        expiresAt: credit.expiresAt,
+        balance: await storeCreditBalance(req.user._id),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "POST /gift-cards/redeem");
+  }
+});
+
+export default router;
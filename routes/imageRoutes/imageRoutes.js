@@ -20,6 +20,7 @@ import {
   validatePrice,
   validateImageLink,
 } from '../../utils/authUtils.js';
+import { receiveUpload } from '../../utils/upload.js';
 import { notifyAdmins } from '../../services/adminNotify.js';
 
 // Create a router instance with the router configuration
@@ -32,121 +33,486 @@ const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
 // Import the category type enum
-import { IMAGE_CATEGORY } from '../../models/images.js';
+import { IMAGE_CATEGORY, LISTED_IMAGE_FILTER } from '../../models/images.js';
 
 // Import the IMAGE_STAGE enum
-import { IMAGE_STAGE } from "../../models/images.js";
+import { IMAGE_STAGE, GALLERY_PHOTO_KIND } from "../../models/images.js";
 
-// POST route for uploading an image
-router.post('/image', isUserAuthorized, async (request, response) => {
-  try {
-    const userId = request.user._id;
-    const {
+// Auction status enum and bid rules
+import { AUCTION_STATUS } from "../../models/images.js";
+import {
+  AUCTION_PHASE,
+  MAX_AUCTION_DAYS,
+  getAuctionPhase,
+  getMinimumNextBid,
+  getExtendedEndAt,
+  resolveProxyBid,
+} from '../../services/auction.js';
+import Notification, { NOTIFICATION_TYPE } from '../../models/notifications.js';
+import {
+  processArtworkImage,
+  MAX_UPLOAD_BYTES,
+  ACCEPTED_MIME_TYPES,
+} from '../../services/imageProcessing.js';
+import { getStorage, deleteStoredUrls } from '../../services/storage/index.js';
+import { MAX_GALLERY_PHOTOS, publicGallery, fullGallery, planReorder } from '../../services/gallery.js';
+import { isEditioned, isSoldOut, planEditionUpdate } from '../../services/inventory.js';
+import { screenForDuplicates } from '../../services/perceptualHash.js';
+
+/**
+ * Validate the listing fields shared by POST /image and POST /image/upload.
+ * Returns { error } or { fields } ready for ImageModel.create.
+ */
+function validateArtworkFields(body, { requireImageLink = true } = {}) {
+  const {
+    artistName,
+    name,
+    imageLink,
+    price,
+    description,
+    category,
+    isSigned,
+    isFramed,
+    weight,       // <--- NEW
+  } = body;
+
+  // Multipart uploads may send dimensions as a JSON string
+  let { dimensions } = body;   // { height, width, length }
+  if (typeof dimensions === 'string') {
+    try {
+      dimensions = JSON.parse(dimensions);
+    } catch {
+      dimensions = undefined;
+    }
+  }
+
+  // Basic required fields
+  if (!artistName || !name || (requireImageLink && !imageLink) || price === undefined || !description || !category) {
+    return { error: 'Please fill in all fields, select a category, and select an image' };
+  }
+
+  // Dimensions: height, width, length are all required numbers > 0
+  const h = Number(dimensions?.height);
+  const w = Number(dimensions?.width);
+  const l = Number(dimensions?.length); // <--- NEW
+  if (!dimensions || [h, w, l].some(v => Number.isNaN(v))) {
+    return { error: 'Dimensions must include valid height, width, and length.' };
+  }
+  if (h <= 0 || w <= 0 || l <= 0) {
+    return { error: 'Dimensions must be positive numbers.' };
+  }
+
+  // Weight required number > 0
+  const weightNum = Number(weight);
+  if (Number.isNaN(weightNum) || weightNum <= 0) {
+    return { error: 'Weight is required and must be a positive number.' };
+  }
+
+  // Price validation
+  const price_val = validatePrice(price);
+  if (!price_val) {
+    return { error: 'Price should be a valid positive number' };
+  }
+
+  return {
+    fields: {
       artistName,
       name,
-      imageLink,
-      price,
+      price: price_val,
       description,
       category,
-      dimensions,   // { height, width, length }
-      isSigned,
-      isFramed,
-      weight,       // <--- NEW
-    } = request.body;
-
-    // Basic required fields
-    if (!artistName || !name || !imageLink || price === undefined || !description || !category) {
-      return response.status(400).json({
-        success: false,
-        error: 'Please fill in all fields, select a category, and select an image',
-      });
+      dimensions: {
+        height: h,
+        width: w,
+        length: l,         // <--- NEW
+      },
+      weight: weightNum,    // <--- NEW
+      // multipart sends booleans as strings
+      isSigned: isSigned === true || isSigned === 'true',
+      isFramed: isFramed === true || isFramed === 'true',
+    },
+  };
+}
+
+// Save a new listing and let the admins know it's waiting for review.
+// `buffer` holds the picture's bytes for duplicate screening.
+async function createPendingArtwork(data, buffer) {
+  const newImage = await ImageModel.create(data);
+
+  // Flag near-duplicates of other artists' work for review (fire-and-forget)
+  if (buffer) screenForDuplicates(newImage, buffer);
+
+  // Notify admins of new pending artwork (fire-and-forget)
+  notifyAdmins("newPendingArtwork", {
+    name: newImage.name,
+    artistName: newImage.artistName,
+    price: newImage.price,
+    category: newImage.category,
+  });
+
+  return newImage;
+}
+
+// POST route for uploading an image
+router.post('/image', isUserAuthorized, async (request, response) => {
+  try {
+    const userId = request.user._id;
+    const { imageLink } = request.body;
+
+    const { error, fields } = validateArtworkFields(request.body);
+    if (error) {
+      return response.status(400).json({ success: false, error });
     }
 
-    // Dimensions: height, width, length are all required numbers > 0
-    const h = Number(dimensions?.height);
-    const w = Number(dimensions?.width);
-    const l = Number(dimensions?.length); // <--- NEW
-    if (!dimensions || [h, w, l].some(v => Number.isNaN(v))) {
+    // Image URL validation + reachability
+    if (!validateImageLink(imageLink)) {
       return response.status(400).json({
         success: false,
-        error: 'Dimensions must include valid height, width, and length.',
+        error: `Image link (${imageLink}) is not valid`,
       });
     }
-    if (h <= 0 || w <= 0 || l <= 0) {
-      return response.status(400).json({
-        success: false,
-        error: 'Dimensions must be positive numbers.',
-      });
+    const res = await fetch(imageLink);
+    if (res.status !== 200) {
+      return response.status(400).json({ success: false, error: 'Image is not accessible' });
     }
 
-    // Weight required number > 0
-    const weightNum = Number(weight);
-    if (Number.isNaN(weightNum) || weightNum <= 0) {
-      return response.status(400).json({
-        success: false,
-        error: 'Weight is required and must be a positive number.',
+    // Create
+    const imageBuffer = Buffer.from(await res.arrayBuffer());
+    const newImage = await createPendingArtwork({ userId, imageLink, ...fields }, imageBuffer);
+
+    return response.status(200).json({
+      success: true,
+      image: newImage,
+      message: 'Image uploaded and saved successfully',
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      const errorMsg = Object.values(err.errors).map((e) => e.message).join(', ');
+      return response.status(400).json({ success: false, error: errorMsg });
+    }
+    console.error('Error Saving Image:', err);
+    return response.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Multer for original artwork files (kept in memory for sharp)
+const artworkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+      const e = new Error('Unsupported image type. Please upload a JPEG, PNG, WebP, AVIF or TIFF file.');
+      e.status = 400;
+      return cb(e);
+    }
+    cb(null, true);
+  },
+});
+
+const receiveArtworkFile = receiveUpload(artworkUpload, 'image', 'Image file is too large (max 25MB)');
+
+// Strip metadata, render the responsive variants and store everything under baseKey
+async function storeArtworkFile(buffer, baseKey) {
+  const processed = await processArtworkImage(buffer);
+
+  const storage = getStorage();
+  const original = await storage.put(`${baseKey}.${processed.original.format}`, processed.original.buffer, {
+    contentType: `image/${processed.original.format}`,
+  });
+  const variants = await Promise.all(
+    processed.variants.map(async (variant) => {
+      const uploaded = await storage.put(`${baseKey}_${variant.size}_${variant.format}.${variant.format}`, variant.buffer, {
+        contentType: `image/${variant.format}`,
       });
+      return {
+        size: variant.size,
+        format: variant.format,
+        url: uploaded.url,
+        width: variant.width,
+        height: variant.height,
+        bytes: variant.bytes,
+      };
+    })
+  );
+
+  return {
+    url: original.url,
+    buffer: processed.original.buffer,
+    imageMeta: {
+      width: processed.original.width,
+      height: processed.original.height,
+      bytes: processed.original.bytes,
+      format: processed.original.format,
+    },
+    variants,
+  };
+}
+
+// POST route for uploading an original artwork file (multipart field "image")
+router.post('/image/upload', isUserAuthorized, receiveArtworkFile, async (request, response) => {
+  try {
+    const userId = request.user._id;
+
+    if (!request.file) {
+      return response.status(400).json({ success: false, error: 'Please select an image' });
+    }
+
+    const { error, fields } = validateArtworkFields(request.body, { requireImageLink: false });
+    if (error) {
+      return response.status(400).json({ success: false, error });
+    }
+
+    const stored = await storeArtworkFile(request.file.buffer, `artwork/${userId}-${Date.now()}`);
+
+    const newImage = await createPendingArtwork({
+      userId,
+      imageLink: stored.url,
+      ...fields,
+      imageMeta: stored.imageMeta,
+      variants: stored.variants,
+    }, stored.buffer);
+
+    return response.status(200).json({
+      success: true,
+      image: newImage,
+      message: 'Image uploaded and saved successfully',
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      const errorMsg = Object.values(err.errors).map((e) => e.message).join(', ');
+      return response.status(400).json({ success: false, error: errorMsg });
     }
+    if (err.status === 400) {
+      return response.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error Uploading Image:', err);
+    return response.status(500).json({ success: false, error: err.message });
+  }
+});
+
+
+// ─── Listing Gallery (detail shots) ───────────────────────────────────────────
+
+// Load a listing owned by the current user, or send the error response
+async function loadOwnedImage(request, response) {
+  const { id } = request.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    response.status(400).json({ success: false, error: 'Invalid image ID' });
+    return null;
+  }
 
-    // Price validation
-    const price_val = validatePrice(price);
-    if (!price_val) {
+  const image = await ImageModel.findOne({ _id: id, userId: request.user._id });
+  if (!image) {
+    response.status(404).json({ success: false, error: 'Image not found or not authorized to edit' });
+    return null;
+  }
+  return image;
+}
+
+function findGalleryPhoto(image, photoId, response) {
+  const photo = mongoose.Types.ObjectId.isValid(photoId) ? image.gallery?.id(photoId) : null;
+  if (!photo) {
+    response.status(404).json({ success: false, error: 'Photo not found' });
+    return null;
+  }
+  return photo;
+}
+
+// POST route for adding a detail photo (multipart field "image", or an imageLink)
+router.post('/image/:id/gallery', isUserAuthorized, receiveArtworkFile, async (request, response) => {
+  try {
+    const image = await loadOwnedImage(request, response);
+    if (!image) return;
+
+    const gallery = image.gallery || [];
+    if (gallery.length >= MAX_GALLERY_PHOTOS) {
       return response.status(400).json({
         success: false,
-        error: 'Price should be a valid positive number',
+        error: `A listing can have at most ${MAX_GALLERY_PHOTOS} extra photos`,
       });
     }
 
-    // Image URL validation + reachability
-    if (!validateImageLink(imageLink)) {
+    const { kind, caption, imageLink } = request.body;
+    if (kind && !Object.values(GALLERY_PHOTO_KIND).includes(kind)) {
       return response.status(400).json({
         success: false,
-        error: `Image link (${imageLink}) is not valid`,
+        error: `Photo kind should be one of: ${Object.values(GALLERY_PHOTO_KIND).join(', ')}`,
       });
     }
-    const res = await fetch(imageLink);
-    if (res.status !== 200) {
-      return response.status(400).json({ success: false, error: 'Image is not accessible' });
+
+    let photoFields;
+    if (request.file) {
+      const stored = await storeArtworkFile(request.file.buffer, `artwork/${image._id}-gallery-${Date.now()}`);
+      photoFields = { url: stored.url, imageMeta: stored.imageMeta, variants: stored.variants };
+    } else if (imageLink) {
+      if (!validateImageLink(imageLink)) {
+        return response.status(400).json({
+          success: false,
+          error: `Image link (${imageLink}) is not valid`,
+        });
+      }
+      photoFields = { url: imageLink };
+    } else {
+      return response.status(400).json({ success: false, error: 'Please select an image' });
     }
 
-    // Create
-    const newImage = await ImageModel.create({
-      userId,
-      artistName,
-      name,
-      imageLink,
-      price: price_val,
-      description,
-      category,
-      dimensions: {
-        height: h,
-        width: w,
-        length: l,         // <--- NEW
+    const nextPosition = gallery.reduce((max, p) => Math.max(max, (p.position ?? 0) + 1), 0);
+
+    // Every new photo waits for moderation before buyers can see it
+    image.gallery = [
+      ...gallery,
+      {
+        ...photoFields,
+        kind: kind || GALLERY_PHOTO_KIND.DETAIL,
+        caption: caption || '',
+        position: nextPosition,
+        stage: IMAGE_STAGE.REVIEW,
       },
-      weight: weightNum,    // <--- NEW
-      isSigned: Boolean(isSigned),
-      isFramed: Boolean(isFramed),
-    });
+    ];
+    await image.save();
 
-    // Notify admins of new pending artwork (fire-and-forget)
-    notifyAdmins("newPendingArtwork", {
-      name: newImage.name,
-      artistName: newImage.artistName,
-      price: newImage.price,
-      category: newImage.category,
+    return response.status(201).json({
+      success: true,
+      message: 'Photo added and sent for review',
+      gallery: fullGallery(image),
     });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      const errorMsg = Object.values(err.errors).map((e) => e.message).join(', ');
+      return response.status(400).json({ success: false, error: errorMsg });
+    }
+    if (err.status === 400) {
+      return response.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error adding gallery photo:', err);
+    return response.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    return response.status(200).json({
-      success: true,
-      image: newImage,
-      message: 'Image uploaded and saved successfully',
+// PUT route for reordering detail photos ({ photoIds: [...] } in display order)
+router.put('/image/:id/gallery/order', isUserAuthorized, async (request, response) => {
+  try {
+    const image = await loadOwnedImage(request, response);
+    if (!image) return;
+
+    const { error, positions } = planReorder(image.gallery, request.body?.photoIds);
+    if (error) {
+      return response.status(400).json({ success: false, error });
+    }
+
+    image.gallery.forEach((photo) => {
+      photo.position = positions.get(String(photo._id));
     });
+    await image.save();
+
+    return response.status(200).json({ success: true, gallery: fullGallery(image) });
+  } catch (err) {
+    console.error('Error reordering gallery:', err);
+    return response.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PATCH route for editing a photo's caption or kind
+router.patch('/image/:id/gallery/:photoId', isUserAuthorized, async (request, response) => {
+  try {
+    const image = await loadOwnedImage(request, response);
+    if (!image) return;
+    const photo = findGalleryPhoto(image, request.params.photoId, response);
+    if (!photo) return;
+
+    const { caption, kind } = request.body;
+    if (kind !== undefined) {
+      if (!Object.values(GALLERY_PHOTO_KIND).includes(kind)) {
+        return response.status(400).json({
+          success: false,
+          error: `Photo kind should be one of: ${Object.values(GALLERY_PHOTO_KIND).join(', ')}`,
+        });
+      }
+      photo.kind = kind;
+    }
+    if (caption !== undefined && caption !== photo.caption) {
+      photo.caption = caption;
+      // Captions are moderated with the photo
+      photo.stage = IMAGE_STAGE.REVIEW;
+    }
+    await image.save();
+
+    return response.status(200).json({ success: true, gallery: fullGallery(image) });
   } catch (err) {
     if (err instanceof mongoose.Error.ValidationError) {
       const errorMsg = Object.values(err.errors).map((e) => e.message).join(', ');
       return response.status(400).json({ success: false, error: errorMsg });
     }
-    console.error('Error Saving Image:', err);
+    console.error('Error updating gallery photo:', err);
+    return response.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PUT route for making a detail photo the listing's cover (the old cover joins the gallery)
+router.put('/image/:id/gallery/:photoId/cover', isUserAuthorized, async (request, response) => {
+  try {
+    const image = await loadOwnedImage(request, response);
+    if (!image) return;
+    const photo = findGalleryPhoto(image, request.params.photoId, response);
+    if (!photo) return;
+
+    // Live listings can only be fronted by a photo a moderator has seen
+    if (image.stage === IMAGE_STAGE.APPROVED && photo.stage !== IMAGE_STAGE.APPROVED) {
+      return response.status(400).json({
+        success: false,
+        error: 'Only approved photos can be used as the cover',
+      });
+    }
+
+    const previousCover = {
+      url: image.imageLink,
+      imageMeta: image.imageMeta,
+      variants: image.variants,
+      kind: GALLERY_PHOTO_KIND.FRONT,
+      caption: '',
+      position: photo.position,
+      stage: image.stage === IMAGE_STAGE.APPROVED ? IMAGE_STAGE.APPROVED : IMAGE_STAGE.REVIEW,
+      reviewedByEmail: image.reviewedByEmail,
+      reviewedAt: image.reviewedAt,
+    };
+
+    image.imageLink = photo.url;
+    image.imageMeta = photo.imageMeta;
+    image.variants = photo.variants;
+    image.gallery = [
+      ...image.gallery.filter((p) => String(p._id) !== String(photo._id)),
+      previousCover,
+    ];
+    await image.save();
+
+    return response.status(200).json({
+      success: true,
+      imageLink: image.imageLink,
+      gallery: fullGallery(image),
+    });
+  } catch (err) {
+    console.error('Error setting cover photo:', err);
+    return response.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// DELETE route for removing a detail photo
+router.delete('/image/:id/gallery/:photoId', isUserAuthorized, async (request, response) => {
+  try {
+    const image = await loadOwnedImage(request, response);
+    if (!image) return;
+    const photo = findGalleryPhoto(image, request.params.photoId, response);
+    if (!photo) return;
+
+    const storedUrls = [photo.url, ...(photo.variants || []).map((v) => v.url)];
+    image.gallery.pull(photo._id);
+    await image.save();
+
+    await deleteStoredUrls(storedUrls);
+
+    return response.status(200).json({ success: true, gallery: fullGallery(image) });
+  } catch (err) {
+    console.error('Error deleting gallery photo:', err);
     return response.status(500).json({ success: false, error: err.message });
   }
 });
@@ -156,7 +522,7 @@ router.post('/image', isUserAuthorized, async (request, response) => {
 router.get('/all_images', isUserOptionallyAuthorized, async (request, response) => {
   try {
     const { page = 1, limit = 50 } = request.query;
-    const query = {};
+    const query = { artistPayoutsDisabled: { $ne: true } };
     const category = request.query.category;
 
     if (category) {
@@ -184,7 +550,7 @@ router.get('/all_images', isUserOptionallyAuthorized, async (request, response)
     const images = await ImageModel.find(query)
       .limit(limit)
       .skip(skip)
-      .select('_id userId artistName name description price imageLink views category createdAt stage dimensions weight isSigned isFramed soldStatus');
+      .select('_id userId artistName name description price imageLink views category createdAt stage dimensions weight isSigned isFramed soldStatus imageMeta variants');
 
     if (images.length === 0 && page > 1) {
       return response.status(200).json({ success: true, images: [] });
@@ -303,6 +669,13 @@ router.get('/image/:id', isUserAuthorized, async (request, response) => {
       weight: image.weight,
       isSigned: image.isSigned,
       isFramed: image.isFramed,
+      currentBid: image.currentBid,
+      auction: image.auction,             // Owner view includes the reserve price
+      imageMeta: image.imageMeta,
+      variants: image.variants,
+      gallery: fullGallery(image),        // Owner sees every photo with its review status
+      edition: image.edition,
+      printVariants: image.printVariants,
     };
 
     response.status(200).json(responseData);
@@ -452,7 +825,7 @@ router.get('/images', isUserAuthorized, async (req, res) => {
     }
 
     const images = await ImageModel.find(query)
-      .select('_id userId name imageLink stage soldStatus views likes price category createdAt dimensions weight isSigned isFramed');
+      .select('_id userId name imageLink stage soldStatus views likes price category createdAt dimensions weight isSigned isFramed imageMeta variants');
 
     const withFlags = images.map((img) => {
       const o = img.toObject();
@@ -510,10 +883,230 @@ router.get('/get-image-views/:id', async (req, res) => {
   }
 });
 
-// Route to place a bid
+// Route to sell an artwork as a limited edition or in several print sizes (owner only)
+// body: { editionSize } or { printVariants: [{ _id?, label, width, height, price, editionSize }] }
+router.put('/image/:id/edition', isUserAuthorized, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid image ID' });
+    }
+
+    const image = await ImageModel.findOne({ _id: id, userId });
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Image not found or not authorized to edit' });
+    }
+    if (image.auction?.enabled) {
+      return res.status(400).json({ success: false, error: 'Auctioned artworks cannot be sold as editions' });
+    }
+    if (!isEditioned(image) && image.soldStatus === 'sold') {
+      return res.status(400).json({ success: false, error: 'This artwork is already sold.' });
+    }
+
+    const plan = planEditionUpdate(image, req.body || {});
+    if (plan.error) {
+      return res.status(400).json({ success: false, error: plan.error });
+    }
+
+    image.edition = plan.edition;
+    image.printVariants = plan.printVariants;
+    // Adding prints to a sold-out edition puts it back on sale
+    image.soldStatus = isSoldOut({ edition: plan.edition, printVariants: plan.printVariants }) ? 'sold' : 'unsold';
+    await image.save();
+
+    res.status(200).json({
+      success: true,
+      edition: image.edition,
+      printVariants: image.printVariants,
+      soldStatus: image.soldStatus,
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      const errorMsg = Object.values(err.errors).map((e) => e.message).join(', ');
+      return res.status(400).json({ success: false, error: errorMsg });
+    }
+    console.error('Error updating edition:', err);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+});
+
+// Route to turn an edition back into a one-of-a-kind piece (only before any print sells)
+router.delete('/image/:id/edition', isUserAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid image ID' });
+    }
+
+    const image = await ImageModel.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Image not found or not authorized to edit' });
+    }
+
+    const hasSales =
+      (image.edition && image.edition.remaining < image.edition.size) ||
+      (image.printVariants || []).some((v) => v.remaining < v.editionSize);
+    if (hasSales) {
+      return res.status(409).json({ success: false, error: 'Prints have already been sold from this edition' });
+    }
+
+    image.edition = undefined;
+    image.printVariants = undefined;
+    image.soldStatus = 'unsold';
+    await image.save();
+
+    res.status(200).json({ success: true, message: 'Edition removed' });
+  } catch (err) {
+    console.error('Error removing edition:', err);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+});
+
+// Route to put an artwork up for auction (owner only, before any bid)
+router.put('/image/:id/auction', isUserAuthorized, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid image ID' });
+    }
+
+    const image = await ImageModel.findOne({ _id: id, userId });
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Image not found or not authorized to edit' });
+    }
+    if (image.stage !== IMAGE_STAGE.APPROVED) {
+      return res.status(400).json({ success: false, error: 'Only approved artworks can be auctioned' });
+    }
+    if (image.soldStatus === 'sold') {
+      return res.status(400).json({ success: false, error: 'This artwork is already sold.' });
+    }
+    if (isEditioned(image)) {
+      return res.status(400).json({ success: false, error: 'Editions and prints cannot be auctioned' });
+    }
+    if (image.auction?.enabled && image.auction.bidCount > 0) {
+      return res.status(409).json({ success: false, error: 'Auction settings cannot change after bidding has started' });
+    }
+    if (!req.user.stripeAccountId) {
+      return res.status(400).json({ success: false, error: 'Connect your Stripe account before starting an auction' });
+    }
+
+    const {
+      startAt,
+      endAt,
+      startingBid,
+      reservePrice = 0,
+      minIncrement = 5,
+      antiSnipeWindowMinutes = 2,
+      extensionMinutes = 2,
+    } = req.body || {};
+
+    const now = new Date();
+    const start = startAt ? new Date(startAt) : now;
+    const end = new Date(endAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({ success: false, error: 'startAt and endAt must be valid dates' });
+    }
+    if (end <= start || end <= now) {
+      return res.status(400).json({ success: false, error: 'endAt must be in the future and after startAt' });
+    }
+    if (end.getTime() - start.getTime() > MAX_AUCTION_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, error: `Auctions can run for at most ${MAX_AUCTION_DAYS} days` });
+    }
+
+    const startingBidVal = validatePrice(startingBid ?? image.price);
+    if (!startingBidVal || startingBidVal < 1) {
+      return res.status(400).json({ success: false, error: 'Starting bid should be a valid positive number' });
+    }
+    const reserveVal = Number(reservePrice);
+    const incrementVal = Number(minIncrement);
+    const windowVal = Number(antiSnipeWindowMinutes);
+    const extensionVal = Number(extensionMinutes);
+    if ([reserveVal, incrementVal, windowVal, extensionVal].some((v) => !Number.isFinite(v) || v < 0) || incrementVal < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'reservePrice, antiSnipeWindowMinutes and extensionMinutes must be non-negative; minIncrement must be at least 1',
+      });
+    }
+
+    image.auction = {
+      enabled: true,
+      status: AUCTION_STATUS.OPEN,
+      startAt: start,
+      endAt: end,
+      startingBid: startingBidVal,
+      reservePrice: reserveVal,
+      minIncrement: incrementVal,
+      antiSnipeWindowMinutes: windowVal,
+      extensionMinutes: extensionVal,
+      extensionsCount: 0,
+      bidCount: 0,
+      revision: 0,
+      proxyBids: [],
+    };
+    image.currentBid = 0;
+    image.highestBidder = undefined;
+    image.bids = [];
+    await image.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Auction scheduled successfully',
+      auction: image.auction,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      const errorMsg = Object.values(error.errors).map((e) => e.message).join(', ');
+      return res.status(400).json({ success: false, error: errorMsg });
+    }
+    console.error('Error scheduling auction:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Route to cancel an auction that has not received any bids
+router.delete('/image/:id/auction', isUserAuthorized, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid image ID' });
+    }
+
+    const updated = await ImageModel.findOneAndUpdate(
+      {
+        _id: id,
+        userId: req.user._id,
+        'auction.enabled': true,
+        'auction.status': AUCTION_STATUS.OPEN,
+        'auction.bidCount': 0,
+      },
+      { $set: { 'auction.enabled': false, 'auction.status': AUCTION_STATUS.CANCELLED } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only open auctions without bids can be cancelled',
+      });
+    }
+
+    res.status(200).json({ success: true, message: 'Auction cancelled' });
+  } catch (error) {
+    console.error('Error cancelling auction:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Route to place a bid on a live auction.
+// Every bid is a hidden maximum: the server bids on the caller's behalf
+// in increments, up to that maximum, whenever someone else bids.
 router.post('/place-bid/:imageId', isUserAuthorized, async (req, res) => {
   const { imageId } = req.params;
-  const { bidAmount } = req.body;
+  const maxBid = Number(req.body?.maxBid ?? req.body?.bidAmount);
   const userId = req.user._id;
 
   try {
@@ -523,47 +1116,126 @@ router.post('/place-bid/:imageId', isUserAuthorized, async (req, res) => {
         .json({ success: false, error: 'Invalid image ID' });
     }
 
-    const image = await ImageModel.findById(imageId);
-    if (!image) {
+    if (!Number.isFinite(maxBid) || maxBid <= 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Bid amount should be a valid positive number' });
+    }
+
+    const image = await ImageModel.findById(imageId).select('+auction.proxyBids');
+    // Only listed artworks take bids: approved, and not hidden while the artist can't be paid
+    if (!image || image.stage !== IMAGE_STAGE.APPROVED || image.artistPayoutsDisabled) {
       return res
         .status(404)
         .json({ success: false, error: 'Artwork not found' });
     }
 
-    if (bidAmount <= image.currentBid) {
+    if (!image.auction?.enabled) {
       return res
         .status(400)
-        .json({ success: false, error: 'Bid must be higher than current bid' });
+        .json({ success: false, error: 'This artwork is not up for auction' });
     }
 
-    // Ensure `bids` array is initialized
-    if (!image.bids) {
-      image.bids = [];
+    if (String(image.userId) === String(userId)) {
+      return res
+        .status(403)
+        .json({ success: false, error: 'You cannot bid on your own artwork' });
     }
 
-    // Find existing bid by user
-    const existingBidIndex = image.bids.findIndex(
-      (bid) => bid.userId.toString() === userId.toString()
-    );
+    const { anyBlock } = await Block.getMutualBlockStatus(userId, image.userId);
+    if (anyBlock) {
+      return res
+        .status(403)
+        .json({ success: false, error: 'You cannot bid on this artwork' });
+    }
 
-    if (existingBidIndex !== -1) {
-      // Update existing bid
-      image.bids[existingBidIndex].amount = bidAmount;
-    } else {
-      // Add new bid
-      image.bids.push({ userId, amount: bidAmount });
+    const now = new Date();
+    const phase = getAuctionPhase(image.auction, now);
+    if (phase === AUCTION_PHASE.SCHEDULED) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'This auction has not started yet', startAt: image.auction.startAt });
+    }
+    if (phase !== AUCTION_PHASE.LIVE) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'This auction has ended' });
     }
 
-    // Only update `bids`, `currentBid`, and `highestBidder`
-    await ImageModel.findByIdAndUpdate(imageId, {
-      $set: { currentBid: bidAmount, highestBidder: userId },
-      $push: { bids: { userId, amount: bidAmount } },
+    const result = resolveProxyBid({
+      image,
+      proxyBids: image.auction.proxyBids || [],
+      bidderId: userId,
+      maxAmount: maxBid,
+      now,
     });
+    if (result.error) {
+      return res
+        .status(400)
+        .json({ success: false, error: result.error, minimumBid: result.minimumBid });
+    }
+
+    const extendedEndAt = result.newBids.length ? getExtendedEndAt(image.auction, now) : null;
+
+    // Compare-and-set on the revision so concurrent bids are resolved one at a time
+    const updated = await ImageModel.findOneAndUpdate(
+      {
+        _id: imageId,
+        ...LISTED_IMAGE_FILTER,
+        'auction.status': AUCTION_STATUS.OPEN,
+        'auction.revision': image.auction.revision || 0,
+        'auction.endAt': { $gt: now },
+      },
+      {
+        $set: {
+          currentBid: result.currentBid,
+          highestBidder: result.highestBidder,
+          'auction.proxyBids': result.proxyBids,
+          ...(extendedEndAt ? { 'auction.endAt': extendedEndAt } : {}),
+        },
+        $push: {
+          bids: { $each: result.newBids.map((bid) => ({ ...bid, createdAt: now })) },
+        },
+        $inc: {
+          'auction.revision': 1,
+          'auction.bidCount': result.newBids.length,
+          ...(extendedEndAt ? { 'auction.extensionsCount': 1 } : {}),
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another bid was placed at the same time. Please refresh and try again.',
+      });
+    }
+
+    if (result.outbidUserId && String(result.outbidUserId) !== String(userId)) {
+      Notification.create({
+        recipientUserId: result.outbidUserId,
+        actorUserId: userId,
+        type: NOTIFICATION_TYPE.AUCTION_OUTBID,
+        title: "You've been outbid",
+        message: `Someone outbid your maximum on “${image.name}”. The current bid is $${result.currentBid}.`,
+        imageId: image._id,
+        data: { artName: image.name, artistName: image.artistName, imageLink: image.imageLink },
+      }).catch((err) => console.error('Outbid notification failed:', err));
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Bid placed successfully',
-      newBid: bidAmount,
+      message: result.leading
+        ? 'Bid placed successfully. You are the highest bidder.'
+        : 'Bid placed, but another bidder has a higher maximum.',
+      leading: result.leading,
+      currentBid: result.currentBid,
+      newBid: result.currentBid,
+      myMaxBid: maxBid,
+      endAt: updated.auction.endAt,
+      extended: Boolean(extendedEndAt),
+      minimumNextBid: getMinimumNextBid(updated),
     });
   } catch (error) {
     console.error('Error placing bid:', error);
@@ -571,7 +1243,7 @@ router.post('/place-bid/:imageId', isUserAuthorized, async (req, res) => {
   }
 });
 
-// Route to get the current highest bid for an image
+// Route to get the current highest bid and auction state for an image
 router.get('/current-bid/:imageId', isUserAuthorized, async (req, res) => {
   const { imageId } = req.params;
   const userId = req.user._id; // Get the logged-in user's ID
@@ -583,22 +1255,42 @@ router.get('/current-bid/:imageId', isUserAuthorized, async (req, res) => {
         .json({ success: false, error: 'Invalid image ID' });
     }
 
-    const image = await ImageModel.findById(imageId);
+    const image = await ImageModel.findById(imageId).select('+auction.proxyBids');
     if (!image) {
       return res
         .status(404)
         .json({ success: false, error: 'Artwork not found' });
     }
 
-    // Find this user's bid (if it exists)
-    const userBid = image.bids.find(
-      (bid) => bid.userId.toString() === userId.toString()
+    // Only the caller's own hidden maximum is ever returned
+    const myProxy = (image.auction?.proxyBids || []).find(
+      (p) => String(p.userId) === String(userId)
     );
 
+    // Highest bid this user has placed (if any)
+    const myBid = image.bids
+      .filter((bid) => bid.userId?.toString() === userId.toString())
+      .reduce((max, bid) => Math.max(max, bid.amount), 0);
+
+    const auction = image.auction?.enabled
+      ? {
+          phase: getAuctionPhase(image.auction),
+          status: image.auction.status,
+          startAt: image.auction.startAt,
+          endAt: image.auction.endAt,
+          bidCount: image.auction.bidCount,
+          minimumNextBid: getMinimumNextBid(image),
+          reserveMet: image.currentBid >= (image.auction.reservePrice || 0) && image.auction.bidCount > 0,
+          isLeading: String(image.highestBidder || '') === String(userId),
+        }
+      : null;
+
     res.status(200).json({
       success: true,
       currentBid: image.currentBid, // The highest bid on this artwork
-      myBid: userBid ? userBid.amount : 0, // Show user's bid, or 0 if they haven't bid
+      myBid, // Show user's bid, or 0 if they haven't bid
+      myMaxBid: myProxy ? myProxy.maxAmount : 0,
+      auction,
     });
   } catch (error) {
     console.error('Error fetching current bid:', error);
@@ -758,12 +1450,16 @@ router.post('/image/:id/unique-views', isUserAuthorized, async (req, res) => {
 
 // ─── Public Marketplace Routes ────────────────────────────────────────────────
 
+// Auction fields that are safe to show buyers (the reserve price stays private)
+const AUCTION_PUBLIC_FIELDS =
+  ' auction.enabled auction.status auction.startAt auction.endAt auction.startingBid auction.minIncrement auction.bidCount';
+
 // GET /marketplace — all approved, unsold artworks (public, no auth required)
 router.get('/marketplace', async (req, res) => {
   try {
     const { page = 1, limit = 48, category, sort = 'newest', q } = req.query;
 
-    const query = { stage: 'approved' };
+    const query = { ...LISTED_IMAGE_FILTER };
 
     if (category) {
       if (!IMAGE_CATEGORY.includes(category)) {
@@ -797,7 +1493,7 @@ router.get('/marketplace', async (req, res) => {
         .sort(sortOrder)
         .limit(Number(limit))
         .skip(skip)
-        .select('_id userId artistName name description price imageLink category createdAt dimensions weight isSigned isFramed views soldStatus'),
+        .select('_id userId artistName name description price imageLink category createdAt dimensions weight isSigned isFramed views soldStatus currentBid imageMeta variants edition printVariants' + AUCTION_PUBLIC_FIELDS),
       ImageModel.countDocuments(query),
       ImageModel.countDocuments({ ...query, soldStatus: 'sold' }),
     ]);
@@ -831,18 +1527,22 @@ router.get('/marketplace/:id', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid artwork ID' });
     }
 
-    const image = await ImageModel.findOne({ _id: id, stage: 'approved' })
-      .select('_id userId artistName name description price imageLink category createdAt dimensions weight isSigned isFramed views soldStatus');
+    const image = await ImageModel.findOne({ _id: id, ...LISTED_IMAGE_FILTER })
+      .select('_id userId artistName name description price imageLink category createdAt dimensions weight isSigned isFramed views soldStatus currentBid imageMeta variants gallery edition printVariants' + AUCTION_PUBLIC_FIELDS);
 
     if (!image) {
       return res.status(404).json({ success: false, error: 'Artwork not found' });
     }
 
+    // Only approved detail photos, cover first
+    const { gallery, ...rest } = image.toObject();
+
     res.status(200).json({
       success: true,
       image: {
-        ...image.toObject(),
+        ...rest,
         isSold: String(image.soldStatus || '').toLowerCase() === 'sold',
+        gallery: publicGallery(image),
       },
     });
   } catch (error) {
@@ -0,0 +1,41 @@
+// routes/mediaRoutes/mediaRoutes.js
+import express from "express";
+import { getStorage, STORAGE_DRIVER } from "../../services/storage/index.js";
+import { PRIVATE_PREFIX, verifySignature } from "../../services/storage/localStorage.js";
+
+const router = express.Router();
+
+/**
+ * GET /media/*
+ * Serves files written by the local storage driver.
+ * Keys under "private/" need a signature from storage.signedUrl().
+ */
+router.get("/*", (req, res) => {
+  const storage = getStorage();
+  if (storage.driver !== STORAGE_DRIVER.LOCAL) {
+    return res.status(404).json({ success: false, error: "Not found" });
+  }
+
+  const key = req.params[0] || "";
+  const { expires, signature } = req.query;
+
+  if ((key.startsWith(PRIVATE_PREFIX) || signature) && !verifySignature(key, expires, signature)) {
+    return res.status(403).json({ success: false, error: "Link is invalid or has expired" });
+  }
+
+  let filePath;
+  try {
+    filePath = storage.pathFor(key);
+  } catch {
+    return res.status(400).json({ success: false, error: "Invalid path" });
+  }
+
+  res.set("Cache-Control", key.startsWith(PRIVATE_PREFIX) ? "private, no-store" : "public, max-age=31536000, immutable");
+  return res.sendFile(filePath, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status === 404 || err.code === "ENOENT" ? 404 : 500).json({ success: false, error: "Not found" });
+    }
+  });
+});
+
+export default router;
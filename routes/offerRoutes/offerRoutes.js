@@ -0,0 +1,493 @@
+// routes/offerRoutes/offerRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import Offer, { OFFER_STATUS, OPEN_OFFER_STATUSES, OFFER_PARTY } from "../../models/offer.js";
+import ImageModel from "../../models/images.js";
+import OrderModel from "../../models/orders.js";
+import Block from "../../models/block.js";
+import Notification, { NOTIFICATION_TYPE } from "../../models/notifications.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import {
+  getOfferDeadline,
+  parseOfferAmount,
+  offerPartyOf,
+  offerUnavailableReason,
+  counterStatusFor,
+  isOfferStale,
+  claimArtworkForOffer,
+  releaseArtworkForOffer,
+  createOrderForOffer,
+  declineCompetingOffers,
+} from "../../services/offers.js";
+
+const router = express.Router();
+
+const IMAGE_SUMMARY_FIELDS = "name imageLink price artistName userId";
+
+function cleanMessage(value) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, 500) : undefined;
+}
+
+function notifyOffer({ recipientUserId, actorUserId, type, title, message, offer, image, orderId }) {
+  return Notification.create({
+    recipientUserId,
+    actorUserId,
+    type,
+    title,
+    message,
+    imageId: offer.imageId?._id || offer.imageId,
+    offerId: offer._id,
+    orderId,
+    data: {
+      artName: image?.name,
+      artistName: image?.artistName,
+      price: offer.amount,
+      imageLink: image?.imageLink,
+    },
+  }).catch((err) => console.error("Offer notification failed:", err?.message || err));
+}
+
+async function loadOffer(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({ success: false, error: "Invalid offer ID" });
+    return null;
+  }
+
+  const offer = await Offer.findById(id);
+  if (!offer) {
+    res.status(404).json({ success: false, error: "Offer not found" });
+    return null;
+  }
+
+  const party = offerPartyOf(offer, req.user._id);
+  if (!party) {
+    res.status(403).json({ success: false, error: "Not allowed" });
+    return null;
+  }
+
+  return { offer, party };
+}
+
+// Atomically move an open offer out of `fromStatus`; null if someone else got there first
+function claimOffer(offer, fromStatus, update, now = new Date()) {
+  return Offer.findOneAndUpdate(
+    { _id: offer._id, status: fromStatus, expiresAt: { $gt: now } },
+    update,
+    { new: true }
+  );
+}
+
+/**
+ * POST /marketplace/:id/offers
+ * Buyer makes an offer below the list price of an approved artwork
+ */
+router.post("/marketplace/:id/offers", isUserAuthorized, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const buyerUserId = req.user._id;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: "Invalid image ID" });
+    }
+
+    const amount = parseOfferAmount(req.body?.amount);
+    if (amount === null) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Offer should be a valid amount of at least $1" });
+    }
+
+    const image = await ImageModel.findById(id).select(`${IMAGE_SUMMARY_FIELDS} stage artistPayoutsDisabled soldStatus auction.enabled edition printVariants`).lean();
+    const reason = offerUnavailableReason(image);
+    if (reason) {
+      return res.status(reason === "Artwork not found" ? 404 : 400).json({ success: false, error: reason });
+    }
+
+    if (String(image.userId) === String(buyerUserId)) {
+      return res
+        .status(403)
+        .json({ success: false, error: "You cannot make an offer on your own artwork" });
+    }
+
+    const { anyBlock } = await Block.getMutualBlockStatus(buyerUserId, image.userId);
+    if (anyBlock) {
+      return res
+        .status(403)
+        .json({ success: false, error: "You cannot make an offer on this artwork" });
+    }
+
+    if (amount >= Number(image.price)) {
+      return res.status(400).json({
+        success: false,
+        error: "Offer should be below the list price. Buy it now instead.",
+        listPrice: image.price,
+      });
+    }
+
+    const existing = await Offer.findOne({
+      imageId: id,
+      buyerUserId,
+      status: { $in: OPEN_OFFER_STATUSES },
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "You already have an open offer on this artwork",
+        offerId: existing._id,
+      });
+    }
+
+    const offer = await Offer.create({
+      imageId: id,
+      buyerUserId,
+      artistUserId: image.userId,
+      amount,
+      listPrice: image.price,
+      status: OFFER_STATUS.PENDING,
+      expiresAt: getOfferDeadline(),
+      history: [{ by: OFFER_PARTY.BUYER, action: "offer", amount, message: cleanMessage(req.body?.message) }],
+    });
+
+    notifyOffer({
+      recipientUserId: image.userId,
+      actorUserId: buyerUserId,
+      type: NOTIFICATION_TYPE.OFFER_RECEIVED,
+      title: "New offer",
+      message: `${req.user.name || "A buyer"} offered $${amount} for “${image.name}” (listed at $${image.price}).`,
+      offer,
+      image,
+    });
+
+    return res.status(201).json({ success: true, offer });
+  } catch (error) {
+    console.error("Error creating offer:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /offers/sent
+ * Offers the current user has made as a buyer
+ */
+router.get("/offers/sent", isUserAuthorized, async (req, res) => {
+  try {
+    const filter = { buyerUserId: req.user._id };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const offers = await Offer.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate("imageId", IMAGE_SUMMARY_FIELDS);
+
+    return res.status(200).json({ success: true, offers });
+  } catch (error) {
+    console.error("Error fetching sent offers:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /offers/received
+ * Offers made on the current user's artworks
+ */
+router.get("/offers/received", isUserAuthorized, async (req, res) => {
+  try {
+    const filter = { artistUserId: req.user._id };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const offers = await Offer.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate("imageId", IMAGE_SUMMARY_FIELDS)
+      .populate("buyerUserId", "name profilePictureLink");
+
+    return res.status(200).json({ success: true, offers });
+  } catch (error) {
+    console.error("Error fetching received offers:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * GET /offers/:id
+ * Full negotiation history, visible to the buyer and the artist
+ */
+router.get("/offers/:id", isUserAuthorized, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+
+    await loaded.offer.populate("imageId", IMAGE_SUMMARY_FIELDS);
+    return res.status(200).json({ success: true, offer: loaded.offer, role: loaded.party });
+  } catch (error) {
+    console.error("Error fetching offer:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /offers/:id/accept
+ * The party whose turn it is accepts the amount on the table.
+ * Creates a pending order locked to that amount.
+ */
+router.post("/offers/:id/accept", isUserAuthorized, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+
+    if (offer.awaiting !== party) {
+      return res
+        .status(400)
+        .json({ success: false, error: "This offer is not waiting on you" });
+    }
+    if (isOfferStale(offer)) {
+      return res.status(409).json({ success: false, error: "This offer has expired" });
+    }
+
+    const image = await ImageModel.findById(offer.imageId).lean();
+    const reason = offerUnavailableReason(image);
+    if (reason) {
+      return res.status(400).json({ success: false, error: reason });
+    }
+
+    const now = new Date();
+    const previousStatus = offer.status;
+    const accepted = await claimOffer(offer, previousStatus, {
+      $set: { status: OFFER_STATUS.ACCEPTED, acceptedAt: now },
+      $push: { history: { by: party, action: "accept", amount: offer.amount, at: now } },
+    }, now);
+    if (!accepted) {
+      return res
+        .status(409)
+        .json({ success: false, error: "This offer has changed or expired. Please refresh." });
+    }
+
+    // Put the offer back on the table so it can be retried
+    const reopen = () =>
+      Promise.all([
+        Offer.updateOne(
+          { _id: accepted._id, status: OFFER_STATUS.ACCEPTED },
+          { $set: { status: previousStatus }, $unset: { acceptedAt: 1 }, $pop: { history: 1 } }
+        ),
+        releaseArtworkForOffer(accepted),
+      ]);
+
+    // Only one accepted offer at a time can hold the piece while its order awaits payment
+    if (!(await claimArtworkForOffer(accepted))) {
+      await reopen();
+      return res
+        .status(409)
+        .json({ success: false, error: "Another offer on this artwork was already accepted" });
+    }
+
+    let order;
+    try {
+      order = await createOrderForOffer(accepted, image);
+    } catch (err) {
+      await reopen();
+      return res
+        .status(err.status || 500)
+        .json({ success: false, error: err.status ? err.message : "Could not create the order" });
+    }
+
+    accepted.orderId = order._id;
+    await accepted.save();
+
+    await declineCompetingOffers(accepted, image.name);
+
+    const otherUserId = party === OFFER_PARTY.ARTIST ? accepted.buyerUserId : accepted.artistUserId;
+    notifyOffer({
+      recipientUserId: otherUserId,
+      actorUserId: req.user._id,
+      type: NOTIFICATION_TYPE.OFFER_ACCEPTED,
+      title: "Offer accepted",
+      message:
+        party === OFFER_PARTY.ARTIST
+          ? `Your $${accepted.amount} offer on “${image.name}” was accepted. Complete your purchase to claim it.`
+          : `${req.user.name || "The buyer"} accepted your $${accepted.amount} counter-offer on “${image.name}”.`,
+      offer: accepted,
+      image,
+      orderId: order._id,
+    });
+
+    return res.status(200).json({ success: true, offer: accepted, orderId: order._id });
+  } catch (error) {
+    console.error("Error accepting offer:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /offers/:id/counter
+ * The party whose turn it is proposes a new amount; the turn passes over
+ */
+router.post("/offers/:id/counter", isUserAuthorized, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+
+    if (offer.awaiting !== party) {
+      return res
+        .status(400)
+        .json({ success: false, error: "This offer is not waiting on you" });
+    }
+    if (isOfferStale(offer)) {
+      return res.status(409).json({ success: false, error: "This offer has expired" });
+    }
+
+    const amount = parseOfferAmount(req.body?.amount);
+    if (amount === null) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Counter-offer should be a valid amount of at least $1" });
+    }
+
+    const image = await ImageModel.findById(offer.imageId).lean();
+    const reason = offerUnavailableReason(image);
+    if (reason) {
+      return res.status(400).json({ success: false, error: reason });
+    }
+
+    if (amount > Number(image.price)) {
+      return res.status(400).json({
+        success: false,
+        error: "Counter-offer cannot be above the list price",
+        listPrice: image.price,
+      });
+    }
+    if (amount === offer.amount) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Counter-offer should differ from the current amount. Accept it instead." });
+    }
+
+    const now = new Date();
+    const nextStatus = counterStatusFor(party);
+    const countered = await claimOffer(offer, offer.status, {
+      $set: { status: nextStatus, amount, expiresAt: getOfferDeadline(now) },
+      $push: { history: { by: party, action: "counter", amount, message: cleanMessage(req.body?.message), at: now } },
+    }, now);
+    if (!countered) {
+      return res
+        .status(409)
+        .json({ success: false, error: "This offer has changed or expired. Please refresh." });
+    }
+
+    const otherUserId = party === OFFER_PARTY.ARTIST ? countered.buyerUserId : countered.artistUserId;
+    notifyOffer({
+      recipientUserId: otherUserId,
+      actorUserId: req.user._id,
+      type: NOTIFICATION_TYPE.OFFER_COUNTERED,
+      title: "Counter-offer",
+      message: `${req.user.name || "Someone"} countered with $${amount} for “${image.name}”.`,
+      offer: countered,
+      image,
+    });
+
+    return res.status(200).json({ success: true, offer: countered });
+  } catch (error) {
+    console.error("Error countering offer:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /offers/:id/decline
+ * The party whose turn it is turns the offer down
+ */
+router.post("/offers/:id/decline", isUserAuthorized, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+
+    if (offer.awaiting !== party) {
+      return res
+        .status(400)
+        .json({ success: false, error: "This offer is not waiting on you" });
+    }
+    if (isOfferStale(offer)) {
+      return res.status(409).json({ success: false, error: "This offer has expired" });
+    }
+
+    const now = new Date();
+    const declined = await claimOffer(offer, offer.status, {
+      $set: { status: OFFER_STATUS.DECLINED },
+      $push: { history: { by: party, action: "decline", message: cleanMessage(req.body?.message), at: now } },
+    }, now);
+    if (!declined) {
+      return res
+        .status(409)
+        .json({ success: false, error: "This offer has changed or expired. Please refresh." });
+    }
+
+    const image = await ImageModel.findById(offer.imageId).select(IMAGE_SUMMARY_FIELDS).lean();
+    const otherUserId = party === OFFER_PARTY.ARTIST ? declined.buyerUserId : declined.artistUserId;
+    notifyOffer({
+      recipientUserId: otherUserId,
+      actorUserId: req.user._id,
+      type: NOTIFICATION_TYPE.OFFER_DECLINED,
+      title: "Offer declined",
+      message: `The $${declined.amount} offer on “${image?.name || "the artwork"}” was declined.`,
+      offer: declined,
+      image,
+    });
+
+    return res.status(200).json({ success: true, offer: declined });
+  } catch (error) {
+    console.error("Error declining offer:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+/**
+ * POST /offers/:id/withdraw
+ * Buyer pulls an open offer at any point before it is accepted
+ */
+router.post("/offers/:id/withdraw", isUserAuthorized, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, party } = loaded;
+
+    if (party !== OFFER_PARTY.BUYER) {
+      return res
+        .status(403)
+        .json({ success: false, error: "Only the buyer can withdraw an offer" });
+    }
+
+    const withdrawn = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: { $in: OPEN_OFFER_STATUSES } },
+      {
+        $set: { status: OFFER_STATUS.WITHDRAWN },
+        $push: { history: { by: OFFER_PARTY.BUYER, action: "withdraw" } },
+      },
+      { new: true }
+    );
+    if (!withdrawn) {
+      return res
+        .status(400)
+        .json({ success: false, error: "This offer is no longer open" });
+    }
+
+    const image = await ImageModel.findById(offer.imageId).select(IMAGE_SUMMARY_FIELDS).lean();
+    notifyOffer({
+      recipientUserId: withdrawn.artistUserId,
+      actorUserId: req.user._id,
+      type: NOTIFICATION_TYPE.OFFER_DECLINED,
+      title: "Offer withdrawn",
+      message: `The buyer withdrew their $${withdrawn.amount} offer on “${image?.name || "your artwork"}”.`,
+      offer: withdrawn,
+      image,
+    });
+
+    return res.status(200).json({ success: true, offer: withdrawn });
+  } catch (error) {
+    console.error("Error withdrawing offer:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
+
+export default router;
@@ -1,10 +1,48 @@
 import express from "express";
-import OrderModel, { SHIPMENT_STATUS } from "../../models/orders.js";
-import ImageModel from "../../models/images.js";
+import mongoose from "mongoose";
+import OrderModel, { SHIPMENT_STATUS, ORDER_SOURCE, ORDER_STATUS, ORDER_ACTOR } from "../../models/orders.js";
+import ImageModel, { IMAGE_STAGE } from "../../models/images.js";
 import UserModel from "../../models/users.js";
-import { isUserAuthorized, isAdminAuthorized } from "../../utils/authUtils.js";
-import axios from 'axios';
+import { isUserAuthorized, isAdminAuthorized, isUserOrAdminAuthorized } from "../../utils/authUtils.js";
 import Notification, { NOTIFICATION_TYPE } from "../../models/notifications.js";
+import Offer, { OFFER_STATUS } from "../../models/offer.js";
+import { getPurchaseOption, commitSale, reserveInventory, releaseHold } from "../../services/inventory.js";
+import { signShippingQuote, verifyShippingQuote, SHIPPING_QUOTE_TTL_MINUTES } from "../../services/shippingQuote.js";
+import { pollReturnShipments } from "../../services/returns.js";
+import { handleDisputeEvent } from "../../services/disputes.js";
+import { handleConnectAccountEvent, syncConnectAccount } from "../../services/connectAccounts.js";
+import { recordOrderLedger } from "../../services/ledger.js";
+import { snapshotOrderCommission, commissionOnBase, orderCommission } from "../../services/commission.js";
+import {
+  orderDiscount,
+  refundedSubsidyCents,
+  revalidateOrderCoupon,
+  recordCouponRedemption,
+  releaseCouponRedemption,
+} from "../../services/coupons.js";
+import { registerWebhookHandler, processWebhookEvent } from "../../services/webhookEvents.js";
+import { WEBHOOK_SOURCE } from "../../models/webhookEvent.js";
+import ReturnRequest, { OPEN_RETURN_STATUSES } from "../../models/returnRequest.js";
+import {
+  SHIPPABLE_STATUSES,
+  canTransition,
+  canTransitionShipment,
+  transitionOrder,
+  transitionShipment,
+  applyOrderTransition,
+  buildTimeline,
+} from "../../services/orderLifecycle.js";
+import { trackShipment, mockTrackingAllowed, computeNextPollAt } from "../../services/shipmentTracking.js";
+import { CARRIER, getCarrier } from "../../services/carriers/index.js";
+import { getUpsToken } from "../../services/carriers/ups.js";
+import { getFedexToken } from "../../services/carriers/fedex.js";
+import { normAddr, zip5, pickDeliveryDetails } from "../../utils/address.js";
+import { handleCheckoutPaymentEvent, chargeShare } from "../../services/checkout.js";
+import { orderStoreCredit, revalidateOrderCredit, releaseOrderCredit } from "../../services/storeCredit.js";
+import { payOutOrderNow, payoutRemainingCents } from "../../services/payoutEngine.js";
+import { handleGiftCardPaymentEvent } from "../../services/giftCards.js";
+import { assignInvoiceNumber, buildOrderInvoice, isInvoiceable } from "../../services/invoices.js";
+import { issueCertificateForOrder } from "../../services/certificates.js";
 
 import Stripe from "stripe";
 
@@ -13,468 +51,28 @@ const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 const router = express.Router();
 import jwt from "jsonwebtoken";
 
-// Map AfterShip statuses → your SHIPMENT_STATUS enum
-const mapStatus = (s) => {
-  switch ((s || "").toLowerCase()) {
-    case "pending":
-    case "info_received":
-    case "inforeceived":
-    case "pre_transit": return SHIPMENT_STATUS.SHIPPED;
-    case "in_transit": return SHIPMENT_STATUS.IN_TRANSIT;
-    case "out_for_delivery": return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
-    case "delivered": return SHIPMENT_STATUS.DELIVERED;
-    case "available_for_pickup":
-    case "exception":
-    case "failed_attempt":
-    case "return_to_sender": return SHIPMENT_STATUS.EXCEPTION;
-    default: return SHIPMENT_STATUS.SHIPPED;
-  }
-};
+// Orders bought together from a cart are paid, re-addressed and cancelled through their checkout
+const checkoutOrderError = (order) =>
+  order.checkoutId ? `This order is part of checkout ${order.checkoutId}; use /checkouts/${order.checkoutId} instead.` : null;
 
 function getAuthToken(req) {
   const bearer = req.headers.authorization?.split(" ")[1];
   return bearer || req.cookies?.["auth-token"] || null;
 }
 
-// Normalize common slugs (your schema stores TitleCase carriers)
-const toTitleCaseCarrier = (slugOrName) => {
-  const s = String(slugOrName || "").toLowerCase();
-  if (s.includes("usps")) return "USPS";
-  if (s.includes("ups")) return "UPS";
-  if (s.includes("fedex")) return "FedEx";
-  if (s.includes("dhl")) return "DHL";
-  return slugOrName || "USPS";
-};
-
-// ===== UPS Direct Tracking (no AfterShip) =====
-
-// ---- UPS test-number helpers (put near other UPS helpers) ----
-
-// Public UPS demo numbers (or add your own)
-const UPS_TEST_NUMBERS = new Set([
-  "1Z12345E0291980793",
-  "1Z12345E1512345676",
-  "1Z12345E6615272234",
-  "1Z12345E0205271688",
-  "1Z12345E1392654435",
-  "1Z12345E6892410846",
-]);
-
-function isTestTrackingNumber(tn) {
-  const s = String(tn || "").toUpperCase().replace(/\s+/g, "");
-  return UPS_TEST_NUMBERS.has(s);
-}
-
-function formatYMD(d) {
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(d.getUTCDate()).padStart(2, "0");
-  return `${y}${m}${day}`; // UPS YYYYMMDD
-}
-
-function buildMockUpsTracking(tn) {
-  const now = new Date();
-  const tMinus = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
-
-  return {
-    trackResponse: {
-      shipment: [{
-        package: [{
-          trackingNumber: tn,
-          currentStatus: { code: "I", description: "In Transit" },
-          activity: [
-            {
-              date: formatYMD(tMinus(3)),
-              time: "083000",
-              status: { description: "Origin Scan" },
-              activityLocation: { address: { city: "New York", stateProvince: "NY", country: "US" } }
-            },
-            {
-              date: formatYMD(tMinus(1)),
-              time: "104500",
-              status: { description: "Departed UPS Facility" },
-              activityLocation: { address: { city: "Secaucus", stateProvince: "NJ", country: "US" } }
-            },
-            {
-              date: formatYMD(now),
-              time: "071500",
-              status: { description: "In Transit" },
-              activityLocation: { address: { city: "Philadelphia", stateProvince: "PA", country: "US" } }
-            }
-          ]
-        }]
-      }]
-    }
-  };
-}
-
-
-// Choose base by env
-const upsBase = () =>
-  (process.env.UPS_ENV || "cie").toLowerCase() === "prod"
-    ? "https://onlinetools.ups.com"
-    : "https://wwwcie.ups.com";
-
-// Token cache
-let UPS_TOKEN = null;
-let UPS_TOKEN_EXP = 0;
-
-// Get OAuth token (client credentials), caches until ~60s before expiry
-async function getUpsToken() {
-  const now = Math.floor(Date.now() / 1000);
-  if (UPS_TOKEN && UPS_TOKEN_EXP - 60 > now) return UPS_TOKEN;
-
-  const url = `${upsBase()}/security/v1/oauth/token`;
-  const auth = Buffer.from(
-    `${process.env.UPS_CLIENT_ID}:${process.env.UPS_CLIENT_SECRET}`
-  ).toString("base64");
-
-  // IMPORTANT: include scope=tracking
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    scope: "tracking",
-  }).toString();
-
-  let resp;
-  try {
-    resp = await axios.post(url, body, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        Authorization: `Basic ${auth}`,
-        Accept: "application/json",
-      },
-      validateStatus: () => true,
-    });
-  } catch (e) {
-    console.error("UPS OAuth network error:", e?.message || e);
-    throw new Error("UPS OAuth request failed");
-  }
-
-  if (resp.status !== 200) {
-    console.error("UPS OAuth error:", {
-      status: resp.status,
-      data: resp.data,
-    });
-    throw new Error(
-      resp.data?.error_description ||
-      resp.data?.error ||
-      "UPS OAuth rejected credentials"
-    );
-  }
-
-  UPS_TOKEN = resp.data?.access_token;
-  const expiresIn = Number(resp.data?.expires_in || 0);
-  UPS_TOKEN_EXP = Math.floor(Date.now() / 1000) + (expiresIn || 1800);
-
-  return UPS_TOKEN;
-}
-
-// ---- add this helper near your UPS helpers ----
-function parseUpsDate(ymd, hms) {
-  const d = String(ymd || "").replace(/\D/g, "");
-  if (d.length !== 8) return undefined;
-
-  const y = Number(d.slice(0, 4));
-  const m = Number(d.slice(4, 6));   // 01..12
-  const day = Number(d.slice(6, 8)); // 01..31
-
-  let hh = 0, mm = 0, ss = 0;
-  const t = String(hms || "").replace(/\D/g, "");
-  if (t.length >= 2) hh = Number(t.slice(0, 2));
-  if (t.length >= 4) mm = Number(t.slice(2, 4));
-  if (t.length >= 6) ss = Number(t.slice(4, 6));
-
-  const jsDate = new Date(Date.UTC(y, m - 1, day, hh, mm, ss));
-  return isNaN(jsDate.getTime()) ? undefined : jsDate;
-}
-
-// Map UPS status → your enum
-function mapUpsStatus(upsStatusObj = {}) {
-  // UPS response often has currentStatus: { code, description }
-  const code = String(upsStatusObj.code || "").toUpperCase();
-  const desc = String(upsStatusObj.description || "").toLowerCase();
-
-  // Try code first, then fallback on description keywords
-  if (code === "D" || /delivered/.test(desc)) return SHIPMENT_STATUS.DELIVERED;
-  if (code === "O" || /out for delivery/.test(desc)) return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
-  if (code === "I" || /in transit|arrived|departed|origin scan|destination scan/.test(desc))
-    return SHIPMENT_STATUS.IN_TRANSIT;
-  if (/exception|failed attempt|return to sender|hold/.test(desc))
-    return SHIPMENT_STATUS.EXCEPTION;
-
-  // Pre-transit / label created
-  if (/label created|information received|pre[- ]?transit|order processed/.test(desc))
-    return SHIPMENT_STATUS.SHIPPED;
-
-  return SHIPMENT_STATUS.SHIPPED;
-}
-
-// ===== UPS OAuth (multiple scopes) =====
-const UPS_TOKEN_CACHE = {}; // { scopeString: { token, exp } }
-
-async function getUpsTokenWithScopes(scopes = ["rating"]) {
-  const scopeKey = scopes.slice().sort().join(" ");
-  const cached = UPS_TOKEN_CACHE[scopeKey];
-  const now = Math.floor(Date.now() / 1000);
-  if (cached && cached.exp - 60 > now) return cached.token;
-
-  const url = `${upsBase()}/security/v1/oauth/token`;
-  const auth = Buffer.from(
-    `${process.env.UPS_CLIENT_ID}:${process.env.UPS_CLIENT_SECRET}`
-  ).toString("base64");
-
-  const body = new URLSearchParams({
-    grant_type: "client_credentials",
-    scope: scopeKey, // e.g. "rating" or "rating tracking"
-  }).toString();
-
-  const resp = await axios.post(url, body, {
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded",
-      Authorization: `Basic ${auth}`,
-      Accept: "application/json",
-    },
-    validateStatus: () => true,
-  });
-
-  if (resp.status !== 200) {
-    throw new Error(
-      resp.data?.error_description || resp.data?.error || "UPS OAuth (rating) failed"
-    );
-  }
-
-  const token = resp.data?.access_token;
-  const exp = now + Number(resp.data?.expires_in || 1800);
-  UPS_TOKEN_CACHE[scopeKey] = { token, exp };
-  return token;
-}
-
-
-// Fetch details from UPS Tracking API
-async function trackWithUPS(inquiryNumber) {
-  const token = await getUpsToken();
-  const transId = `${Date.now()}`;
-  const transactionSrc = process.env.UPS_TRANSACTION_SRC || "immpression";
-
-  const url = `${upsBase()}/api/track/v1/details/${encodeURIComponent(inquiryNumber)}`;
-  const resp = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      transId,
-      transactionSrc,
-      Accept: "application/json",
-    },
-    params: { locale: "en_US", returnSignature: "false" },
-    validateStatus: () => true,
-  });
-
-  if (resp.status >= 400) {
-    console.error("UPS Track error:", { status: resp.status, data: resp.data });
-    const msg =
-      resp.data?.response?.errors?.[0]?.message ||
-      resp.data?.response?.errors?.[0]?.code ||
-      resp.statusText ||
-      "UPS tracking failed";
-    const e = new Error(msg);
-    e.status = resp.status;
-    throw e;
-  }
-
-  return resp.data;
-}
-
-// Choose FedEx base by env
-const fedexBase = () =>
-  (process.env.FEDEX_ENV || "sandbox").toLowerCase() === "production"
-    ? "https://apis.fedex.com"
-    : "https://apis-sandbox.fedex.com";
-
-// Token cache
-let FEDEX_TOKEN = null;
-let FEDEX_TOKEN_EXP = 0;
-
-// Get FedEx OAuth token (client_credentials)
-async function getFedexToken() {
-  const now = Math.floor(Date.now() / 1000);
-  if (FEDEX_TOKEN && FEDEX_TOKEN_EXP - 60 > now) return FEDEX_TOKEN;
-
-  const env = String(process.env.FEDEX_ENV || "sandbox").trim().toLowerCase();
-  const clientId = (process.env.FEDEX_CLIENT_ID || "").trim();
-  const clientSecret = (process.env.FEDEX_CLIENT_SECRET || "").trim();
-
-  if (!clientId || !clientSecret) {
-    throw new Error("FedEx OAuth: missing FEDEX_CLIENT_ID / FEDEX_CLIENT_SECRET");
-  }
-
-  const url = `${fedexBase()}/oauth/token`;
-  const form = new URLSearchParams({
-    grant_type: "client_credentials",
-    client_id: clientId,
-    client_secret: clientSecret,
-    // Some tenants require scope; harmless if ignored:
-    // scope: "oob"
-  }).toString();
-
-  // Also send Basic auth just in case tenant expects it
-  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString("base64");
-
-  let resp;
-  try {
-    resp = await axios.post(url, form, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "Accept": "application/json",
-        "Authorization": `Basic ${basic}`, // extra redundancy
-      },
-      validateStatus: () => true,
-    });
-  } catch (e) {
-    console.error("FedEx OAuth network error:", e?.message || e);
-    throw new Error("FedEx OAuth request failed");
-  }
-
-  if (resp.status !== 200) {
-    const firstErr = (resp?.data?.errors && resp.data.errors[0]) || {};
-    console.error("FedEx OAuth error:", {
-      status: resp.status,
-      env,
-      base: fedexBase(),
-      clientId_preview: clientId.slice(0, 4) + "…" + clientId.slice(-4),
-      data: resp.data,
-    });
-    throw new Error(
-      firstErr?.message ||
-      firstErr?.code ||
-      resp?.data?.error_description ||
-      resp?.data?.error ||
-      `FedEx OAuth rejected credentials (status ${resp.status})`
-    );
-  }
-
-  FEDEX_TOKEN = resp.data?.access_token;
-  const expiresIn = Number(resp.data?.expires_in || 0);
-  FEDEX_TOKEN_EXP = Math.floor(Date.now() / 1000) + (expiresIn || 1800);
-
-  return FEDEX_TOKEN;
-}
-
-
-// Map FedEx status → your enum
-function mapFedexStatus(obj = {}) {
-  const raw = String(
-    obj?.description ||
-    obj?.statusByLocale ||
-    obj?.code ||
-    obj
-  ).toLowerCase();
-
-  if (/delivered/.test(raw)) return SHIPMENT_STATUS.DELIVERED;
-  if (/out for delivery/.test(raw)) return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
-  if (/in transit|on its way|departed|arrived|at fedex location|at local facility/.test(raw))
-    return SHIPMENT_STATUS.IN_TRANSIT;
-  if (/exception|failed|delivery exception|hold|return/.test(raw))
-    return SHIPMENT_STATUS.EXCEPTION;
-
-  if (/label created|shipment information sent|picked up|pre[- ]?transit|order processed/.test(raw))
-    return SHIPMENT_STATUS.SHIPPED;
-
-  return SHIPMENT_STATUS.SHIPPED;
-}
-
-// Parse FedEx scan date/time (already ISO in most responses)
-function parseFedexDate(iso) {
-  if (!iso) return undefined;
-  const d = new Date(iso);
-  return isNaN(d.getTime()) ? undefined : d;
-}
-
-// Call FedEx Track API
-async function trackWithFedex(trackingNumber) {
-  const token = await getFedexToken();
-  const url = `${fedexBase()}/track/v1/trackingnumbers`;
-
-  const payload = {
-    includeDetailedScans: true,
-    trackingInfo: [
-      {
-        trackingNumberInfo: { trackingNumber },
-      },
-    ],
-  };
-
-  const resp = await axios.post(url, payload, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    validateStatus: () => true,
-  });
-
-  if (resp.status >= 400) {
-    console.error("FedEx Track error:", { status: resp.status, data: resp.data });
-    const msg =
-      resp.data?.errors?.[0]?.message ||
-      resp.data?.errors?.[0]?.code ||
-      resp.statusText ||
-      "FedEx tracking failed";
-    const e = new Error(msg);
-    e.status = resp.status;
-    throw e;
-  }
-
-  return resp.data;
-}
+// Once the sale is committed: number the receipt and issue the certificate of
+// authenticity. A failure here only delays them (both are made on first request too).
+const issueSaleDocuments = (orderId) =>
+  Promise.all([
+    assignInvoiceNumber(orderId).catch((err) =>
+      console.error(`Invoice number for order ${orderId} failed:`, err?.message || err)),
+    issueCertificateForOrder(orderId).catch((err) =>
+      console.error(`Certificate for order ${orderId} failed:`, err?.message || err)),
+  ]);
 
 // tax helpers
 const cents = (n) => Math.round(Number(n || 0));
 
-// ===== Address normalization (ADD) =====
-const US_STATE_ABBR = {
-  ALABAMA: "AL", ALASKA: "AK", ARIZONA: "AZ", ARKANSAS: "AR", CALIFORNIA: "CA",
-  COLORADO: "CO", CONNECTICUT: "CT", DELAWARE: "DE", FLORIDA: "FL", GEORGIA: "GA",
-  HAWAII: "HI", IDAHO: "ID", ILLINOIS: "IL", INDIANA: "IN", IOWA: "IA", KANSAS: "KS",
-  KENTUCKY: "KY", LOUISIANA: "LA", MAINE: "ME", MARYLAND: "MD", MASSACHUSETTS: "MA",
-  MICHIGAN: "MI", MINNESOTA: "MN", MISSISSIPPI: "MS", MISSOURI: "MO", MONTANA: "MT",
-  NEBRASKA: "NE", NEVADA: "NV", "NEW HAMPSHIRE": "NH", "NEW JERSEY": "NJ",
-  "NEW MEXICO": "NM", "NEW YORK": "NY", "NORTH CAROLINA": "NC", "NORTH DAKOTA": "ND",
-  OHIO: "OH", OKLAHOMA: "OK", OREGON: "OR", PENNSYLVANIA: "PA", "RHODE ISLAND": "RI",
-  "SOUTH CAROLINA": "SC", "SOUTH DAKOTA": "SD", TENNESSEE: "TN", TEXAS: "TX",
-  UTAH: "UT", VERMONT: "VT", VIRGINIA: "VA", WASHINGTON: "WA", "WEST VIRGINIA": "WV",
-  WISCONSIN: "WI", WYOMING: "WY", "DISTRICT OF COLUMBIA": "DC"
-};
-
-function toIsoCountry(c) {
-  if (!c) return "US";
-  const s = String(c).trim().toUpperCase();
-  if (s === "US" || s === "USA" || s.includes("UNITED STATES")) return "US";
-  return s.length === 2 ? s : "US";
-}
-function toUsState(st) {
-  if (!st) return "";
-  const up = String(st).trim().toUpperCase();
-  if (up.length === 2) return up;
-  return US_STATE_ABBR[up] || up;
-}
-function toUsZip(z) {
-  const m = String(z || "").match(/\d{5}(-?\d{4})?/);
-  return m ? m[0].replace("-", "").slice(0, 9) : "";
-}
-
-// REPLACE your existing normAddr with this:
-function normAddr(a = {}) {
-  const line1 = a.line1 || a.address || "";
-  const city = a.city || "";
-  const stateRaw = a.state || a.stateCode || "";
-  const zipRaw = a.postal_code || a.zipCode || a.zip || "";
-  const countryRaw = a.country || "US";
-
-  const country = toIsoCountry(countryRaw);
-  const state = country === "US" ? toUsState(stateRaw) : stateRaw;
-  const postal_code = country === "US" ? toUsZip(zipRaw) : String(zipRaw || "");
-
-  return { line1, city, state, postal_code, country };
-}
-
 // Reserved reference words that Stripe blocks in Tax Calculations
 const RESERVED_TAX_REFERENCES = new Set(["shipping"]);
 function safeTaxRef(ref, fallback) {
@@ -485,23 +83,6 @@ function safeTaxRef(ref, fallback) {
 }
 
 
-// helpers (same file as routes or in a small util module)
-function computeNextPollAt(status, attempts = 0) {
-  // base cadence by status
-  const baseHours =
-    status === SHIPMENT_STATUS.OUT_FOR_DELIVERY ? 2 :
-    status === SHIPMENT_STATUS.IN_TRANSIT ? 6 :
-    status === SHIPMENT_STATUS.SHIPPED ? 12 :
-    status === SHIPMENT_STATUS.EXCEPTION ? 12 : 12;
-
-  // gentle backoff: +1h every 3 attempts, capped at 24h
-  const extra = Math.min(24 - baseHours, Math.floor((attempts || 0) / 3));
-  const hours = Math.min(baseHours + extra, 24);
-
-  const t = new Date();
-  t.setUTCHours(t.getUTCHours() + hours);
-  return t;
-}
 
 
 
@@ -527,31 +108,55 @@ router.get("/orderDetails/:id", async (req, res) => {
   }
 });
 
+/**
+ * GET /orderDetails/:id/invoice
+ * The receipt PDF for a paid order — for the buyer, the artist or an admin
+ */
+router.get("/orderDetails/:id/invoice", isUserOrAdminAuthorized, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+    const order = await OrderModel.findById(req.params.id).select("userId artistUserId paidAt").lean();
+    if (!order) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+    const isParty = req.user && [String(order.userId), String(order.artistUserId)].includes(String(req.user._id));
+    if (!req.admin && !isParty) {
+      return res.status(403).json({ success: false, error: "Not allowed" });
+    }
+    if (!isInvoiceable(order)) {
+      return res.status(409).json({ success: false, error: "Order hasn't been paid yet" });
+    }
+
+    const invoice = await buildOrderInvoice(order._id);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.filename}"`);
+    res.send(invoice.pdf);
+  } catch (error) {
+    console.error("Error building invoice:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : "Internal Server Error",
+    });
+  }
+});
+
 // === helper (place near other small helpers) ===
 const toCents = (n) => Math.max(0, Math.round(Number(n || 0) * 100));
 
-// CREATE ORDER  ✅ expects `price` in **USD dollars**; stores cents in DB
+// CREATE ORDER  ✅ price, names and image come from the listing; stores cents in DB
 router.post("/order", isUserAuthorized, async (req, res) => {
   try {
     const {
       imageId,
-      artName,
-      artistName,
-      price,            // dollars (e.g., 1.00)
-      imageLink,
-      deliveryDetails,
+      price,            // optional: dollars the buyer saw; must match the listing
+      variantId,        // print size, for listings sold in several sizes
     } = req.body || {};
+    const deliveryDetails = pickDeliveryDetails(req.body?.deliveryDetails);
 
     // Validate required fields
-    const priceUsd = Number(price);
-    if (
-      !imageId ||
-      !artName ||
-      !artistName ||
-      !deliveryDetails ||
-      !Number.isFinite(priceUsd) ||
-      priceUsd <= 0
-    ) {
+    if (!imageId || !deliveryDetails) {
       return res
         .status(400)
         .json({ success: false, error: "Missing/invalid order fields." });
@@ -559,15 +164,70 @@ router.post("/order", isUserAuthorized, async (req, res) => {
 
     // 🔎 Fetch image & seller (artist)
     const image = await ImageModel.findById(imageId).lean();
-    if (!image) {
+    if (!image || image.stage !== IMAGE_STAGE.APPROVED || image.artistPayoutsDisabled) {
       return res.status(404).json({ success: false, error: "Image not found." });
     }
 
-    // 🚫 Prevent buying already sold art
-    if (image.soldStatus === "sold") {
+    // 🚫 Prevent buying already sold art (or a sold-out edition / print size)
+    const purchase = getPurchaseOption(image, variantId);
+    if (purchase.error) {
+      return res
+        .status(purchase.status)
+        .json({ success: false, error: purchase.error });
+    }
+
+    const hasClientPrice = price !== undefined && price !== null && price !== "";
+
+    // 🚫 Auction pieces are sold to the winner by the closing job
+    if (image.auction?.enabled) {
       return res
         .status(400)
-        .json({ success: false, error: "This artwork is already sold." });
+        .json({ success: false, error: "This artwork is sold by auction." });
+    }
+
+    // 🔒 An accepted offer reserves the piece at the agreed price
+    const acceptedOffer = await Offer.findOne({ imageId, status: OFFER_STATUS.ACCEPTED })
+      .sort({ acceptedAt: -1 })
+      .lean();
+    if (acceptedOffer) {
+      const offerOrder = acceptedOffer.orderId
+        ? await OrderModel.findById(acceptedOffer.orderId)
+        : null;
+
+      if (offerOrder?.status === "pending") {
+        if (String(acceptedOffer.buyerUserId) !== String(req.user._id)) {
+          return res
+            .status(409)
+            .json({ success: false, error: "This artwork is reserved for an accepted offer." });
+        }
+        if (hasClientPrice && toCents(price) !== offerOrder.baseAmount) {
+          return res.status(409).json({
+            success: false,
+            error: `Price must match the accepted offer ($${acceptedOffer.amount}).`,
+          });
+        }
+
+        offerOrder.deliveryDetails = deliveryDetails;
+        await offerOrder.save();
+
+        return res.status(200).json({
+          success: true,
+          message: "Order updated with delivery details.",
+          order: offerOrder,
+          orderId: offerOrder._id,
+        });
+      }
+    }
+
+    // 🔒 Otherwise the listing sets the price; a stale price on the client is a conflict, not an override
+    if (hasClientPrice && toCents(price) !== toCents(purchase.price)) {
+      return res.status(409).json({
+        success: false,
+        error: purchase.label
+          ? `Price for ${purchase.label} is $${purchase.price}.`
+          : `Price for this artwork is $${purchase.price}.`,
+        price: purchase.price,
+      });
     }
 
     const artistUserId = image.userId;
@@ -585,14 +245,14 @@ router.post("/order", isUserAuthorized, async (req, res) => {
     }
 
     // ✅ Convert dollars → cents for storage/Stripe
-    const baseCents = toCents(priceUsd);
+    const baseCents = toCents(purchase.price);
     const shippingCents = 0; // filled later by shipping quote
     const taxCents = 0;      // filled later by /calculate-tax or PI creation
 
     const newOrder = new OrderModel({
-      imageId,
-      artName,
-      artistName,
+      imageId: image._id,
+      artName: image.name,
+      artistName: image.artistName,
 
       // money fields (all in cents)
       price: baseCents,             // legacy mirror
@@ -601,7 +261,7 @@ router.post("/order", isUserAuthorized, async (req, res) => {
       taxAmount: taxCents,
       totalAmount: baseCents + shippingCents + taxCents,
 
-      imageLink,
+      imageLink: image.imageLink,
       deliveryDetails,
 
       userAccountName: req.user.name,
@@ -610,10 +270,27 @@ router.post("/order", isUserAuthorized, async (req, res) => {
       artistUserId,
       artistStripeId: artist.stripeAccountId,
 
+      // prints
+      printVariantId: purchase.variantId || undefined,
+      printVariantLabel: purchase.label || undefined,
+      editionSize: purchase.editionSize || undefined,
+
       status: "pending",
     });
 
-    await newOrder.save();
+    // 🔒 Hold the piece while the buyer checks out
+    const hold = await reserveInventory(newOrder);
+    if (hold.error) {
+      return res.status(hold.status).json({ success: false, error: hold.error });
+    }
+    newOrder.reservedUntil = hold.expiresAt;
+
+    try {
+      await newOrder.save();
+    } catch (saveErr) {
+      await releaseHold(newOrder);
+      throw saveErr;
+    }
 
     return res.status(201).json({
       success: true,
@@ -631,13 +308,24 @@ router.post("/order", isUserAuthorized, async (req, res) => {
 
 // POST /orders/calculate-tax  ✅ computes for new fields; optional persist if orderId present
 router.post("/calculate-tax", async (req, res) => {
+  let order = null;
   try {
     const currency = (req.body.currency || "usd").toLowerCase();
-    const base = Math.round(Number(req.body.base));               // cents
-    const shipping = Math.round(Number(req.body.shipping || 0));  // cents
     const address = normAddr(req.body.address || {});
     const orderId = req.body.orderId || null; // optional: persist into that order
 
+    // An order is taxed on its own amounts, never on amounts sent with the request
+    if (orderId) {
+      order = await OrderModel.findOne({ _id: String(orderId), status: "pending" })
+        .select("baseAmount shippingAmount discount")
+        .lean();
+      if (!order) return res.status(404).json({ error: "Pending order not found" });
+    }
+
+    // An order's promo code comes off the taxed price
+    const base = order ? orderDiscount(order).chargedBase : Math.round(Number(req.body.base)); // cents
+    const shipping = order ? order.shippingAmount : Math.round(Number(req.body.shipping || 0));  // cents
+
     if (!Number.isFinite(base) || base <= 0) {
       return res.status(400).json({ error: "Invalid base" });
     }
@@ -663,21 +351,11 @@ router.post("/calculate-tax", async (req, res) => {
 
     const total = base + shipping + itemTax;
 
-    // ✅ If orderId provided, persist the breakdown
-    if (orderId) {
-      await OrderModel.findByIdAndUpdate(
-        orderId,
-        {
-          $set: {
-            baseAmount: base,
-            shippingAmount: shipping,
-            taxAmount: itemTax,
-            totalAmount: total,
-            // keep legacy mirror in sync:
-            price: base,
-          },
-        },
-        { new: true }
+    // ✅ If orderId provided, persist the tax (base/shipping are already on the order)
+    if (order) {
+      await OrderModel.updateOne(
+        { _id: order._id, status: "pending" },
+        { $set: { taxAmount: itemTax, totalAmount: total } }
       );
     }
 
@@ -686,20 +364,15 @@ router.post("/calculate-tax", async (req, res) => {
     console.error("calculate-tax error", e);
     // soft fallback with zero tax
     const currency = (req.body.currency || "usd").toLowerCase();
-    const base = Math.round(Number(req.body.base || 0));
-    const shipping = Math.round(Number(req.body.shipping || 0));
+    const base = order ? orderDiscount(order).chargedBase : Math.round(Number(req.body.base || 0));
+    const shipping = order ? order.shippingAmount : Math.round(Number(req.body.shipping || 0));
     const total = base + shipping;
 
-    if (req.body.orderId) {
-      await OrderModel.findByIdAndUpdate(req.body.orderId, {
-        $set: {
-          baseAmount: base,
-          shippingAmount: shipping,
-          taxAmount: 0,
-          totalAmount: total,
-          price: base,
-        },
-      });
+    if (order) {
+      await OrderModel.updateOne(
+        { _id: order._id, status: "pending" },
+        { $set: { taxAmount: 0, totalAmount: total } }
+      ).catch((err) => console.error("calculate-tax fallback persist error", err));
     }
 
     return res.status(200).json({
@@ -730,6 +403,10 @@ router.post("/create-payment-intent", isUserAuthorized, async (req, res) => {
     if (String(order.userId) !== String(req.user._id)) {
       return res.status(403).json({ error: "Not allowed" });
     }
+    if (![ORDER_STATUS.PENDING, ORDER_STATUS.FAILED].includes(order.status)) {
+      return res.status(400).json({ error: `Order is ${order.status}` });
+    }
+    if (order.checkoutId) return res.status(409).json({ error: checkoutOrderError(order) });
 
     // Seller must exist (we won't transfer now, but we’ll store the ID for later)
     const seller = order.artistStripeId;
@@ -746,11 +423,20 @@ router.post("/create-payment-intent", isUserAuthorized, async (req, res) => {
       return res.status(400).json({ error: "Invalid base amount on order" });
     }
 
-    // --- Compute tax fresh on server (cents) ---
+    // A promo code may have expired or run out since it was applied
+    try {
+      await revalidateOrderCoupon(order);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+    const discount = orderDiscount(order);
+
+    // --- Compute tax fresh on server (cents), on the discounted price ---
     const calc = await stripe.tax.calculations.create({
       currency,
       line_items: [
-        { amount: base, reference: "artwork", tax_behavior: "exclusive" },
+        { amount: discount.chargedBase, reference: "artwork", tax_behavior: "exclusive" },
         ...(shipping > 0
           ? [{ amount: shipping, reference: "shipping_cost", tax_behavior: "exclusive" }]
           : []),
@@ -763,11 +449,13 @@ router.post("/create-payment-intent", isUserAuthorized, async (req, res) => {
       calc.tax_amount_inclusive ??
       (calc.amount_total - calc.amount_subtotal);
 
-    const total = base + shipping + tax;
+    const total = discount.chargedBase + shipping + tax;
 
-    // --- Your policy: hold tax + 3% of base; seller can get shipping + 97% of base ---
-    const platformHoldOnBase = Math.round(base * 0.03); // 3% of base
-    const sellerDueCents = shipping + (base - platformHoldOnBase); // what seller can receive later
+    // --- Your policy: hold tax + commission on base; seller can get shipping + the rest of base ---
+    // (an artist-funded discount comes out of the seller's base; a platform-funded one doesn't)
+    const commission = await snapshotOrderCommission(order);
+    const platformHoldOnBase = commissionOnBase(discount.sellerBase, commission.rateBps);
+    const sellerDueCents = shipping + (discount.sellerBase - platformHoldOnBase); // what seller can receive later
 
     // --- Persist breakdown BEFORE creating the PI (UI consistency) ---
     order.baseAmount = base;
@@ -777,49 +465,90 @@ router.post("/create-payment-intent", isUserAuthorized, async (req, res) => {
     order.price = base; // legacy mirror
 
     // bookkeeping for later payouts
-    order.platformHoldOnBase = platformHoldOnBase;                 // 3% of base
-    order.sellerDueCents = sellerDueCents;                         // shipping + 97% base
+    order.platformHoldOnBase = platformHoldOnBase;                 // commission on base
+    order.sellerDueCents = sellerDueCents;                         // shipping + base - commission
     order.sellerTransferredCents = order.sellerTransferredCents || 0;
 
     const transferGroup = `order_${orderId}`;
     order.transferGroup = transferGroup;
+
+    // Store credit pays part of the total; it may no longer fit a lower total
+    try {
+      await revalidateOrderCredit(order);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      throw err;
+    }
+    const storeCredit = orderStoreCredit(order);
+    const charged = total - storeCredit;
+
+    // Take (or renew) the inventory hold before the buyer can pay
+    const hold = await reserveInventory(order);
+    if (hold.error) return res.status(hold.status).json({ error: hold.error });
+    order.reservedUntil = hold.expiresAt;
+
     await order.save();
 
-    // --- Create PI WITHOUT transfer_data/destination (funds stay on platform) ---
-    const idempotencyKey = `pi_order_${orderId}`; // prevents dupes on retry
-    const pi = await stripe.paymentIntents.create({
-      amount: total,
-      currency,
-      transfer_group: transferGroup, // lets you reference this payment when you transfer later
-      automatic_payment_methods: { enabled: true },
-      shipping: {
-        name: address.name || req.user?.name || "Customer",
-        address: {
-          line1: address.line1,
-          city: address.city,
-          state: address.state,
-          postal_code: address.postal_code,
-          country: address.country,
+    const metadata = {
+      orderId,
+      base: String(base),
+      shipping: String(shipping),
+      tax: String(tax),
+      total: String(total),
+      ...(discount.amount
+        ? { discount: String(discount.amount), couponCode: discount.code, discountFundedBy: discount.fundedBy }
+        : {}),
+      ...(storeCredit ? { storeCredit: String(storeCredit), charged: String(charged) } : {}),
+      platformHoldOnBase: String(platformHoldOnBase),
+      commissionBps: String(commission.rateBps),
+      sellerDueCents: String(sellerDueCents),
+      transferGroup,
+      sellerStripeAccountId: seller, // reference only
+    };
+
+    // An open PaymentIntent from an earlier attempt is updated to the new amount
+    let pi = order.paymentIntentId ? await stripe.paymentIntents.retrieve(order.paymentIntentId) : null;
+    if (pi?.status === "succeeded" || pi?.status === "processing") {
+      return res.status(409).json({ error: "Payment is already being processed." });
+    }
+    if (pi && pi.status !== "canceled") {
+      pi = await stripe.paymentIntents.update(pi.id, { amount: charged, metadata });
+    } else {
+      // --- Create PI WITHOUT transfer_data/destination (funds stay on platform) ---
+      // prevents dupes on retry; a cancelled PaymentIntent (store credit changed) needs a fresh one
+      const idempotencyKey = pi ? `pi_order_${orderId}_after_${pi.id}` : `pi_order_${orderId}`;
+      pi = await stripe.paymentIntents.create({
+        amount: charged,
+        currency,
+        transfer_group: transferGroup, // lets you reference this payment when you transfer later
+        automatic_payment_methods: { enabled: true },
+        shipping: {
+          name: address.name || req.user?.name || "Customer",
+          address: {
+            line1: address.line1,
+            city: address.city,
+            state: address.state,
+            postal_code: address.postal_code,
+            country: address.country,
+          },
         },
-      },
-      metadata: {
-        orderId,
-        base: String(base),
-        shipping: String(shipping),
-        tax: String(tax),
-        total: String(total),
-        platformHoldOnBase: String(platformHoldOnBase),
-        sellerDueCents: String(sellerDueCents),
-        transferGroup,
-        sellerStripeAccountId: seller, // reference only
-      },
-    }, { idempotencyKey });
+        metadata,
+      }, { idempotencyKey });
+    }
+
+    // Keep the PaymentIntent so a cancelled order can cancel it too
+    if (order.paymentIntentId !== pi.id) {
+      await OrderModel.updateOne({ _id: order._id }, { $set: { paymentIntentId: pi.id } });
+    }
 
     return res.json({
       clientSecret: pi.client_secret,
       orderId,
-      totals: { base, shipping, tax, total },
+      reservedUntil: order.reservedUntil,
+      totals: { base, discount: discount.amount, shipping, tax, total, storeCredit, charged },
+      ...(discount.amount ? { coupon: { code: discount.code, fundedBy: discount.fundedBy } } : {}),
       policy: {
+        commissionBps: commission.rateBps,
         platformHoldOnBase,
         sellerDueCents,
       },
@@ -948,137 +677,302 @@ router.post("/create-stripe-account", async (req, res) => {
 // });
 // Webhook handler for Stripe events
 
-// STRIPE WEBHOOK (raw body) — ensure this route is mounted with express.raw in your server file
-router.post("/webhook", express.raw({ type: "application/json" }), async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+/**
+ * A payment cleared after the last unit was sold to someone else
+ * (their hold lapsed and another buyer paid first). Refund it in full.
+ */
+async function refundSoldOutPayment(orderId, paymentIntentId) {
+  const refund = await stripe.refunds.create(
+    { payment_intent: paymentIntentId, metadata: { orderId: String(orderId), reason: "sold_out" } },
+    { idempotencyKey: `refund_sold_out_${orderId}` }
+  );
+  // Store credit that paid the rest goes back on the buyer's balance
+  const paid = await OrderModel.findById(orderId).select("storeCredit").lean();
+  const storeCredit = orderStoreCredit(paid);
+  const totalCents = refund.amount + storeCredit;
+
+  const order = await applyOrderTransition(orderId, ORDER_STATUS.REFUNDED, {
+    actor: ORDER_ACTOR.SYSTEM,
+    reason: "Sold out before payment completed",
+    set: {
+      refundedAt: new Date(),
+      refundedCents: totalCents,
+      failureReason: "Artwork sold out before the payment completed",
+      ...(storeCredit ? {
+        refunds: [{
+          refundId: `credit_${paid.storeCredit.entryId}`,
+          amount: storeCredit,
+          storeCreditCents: storeCredit,
+          reason: "sold_out",
+          createdAt: new Date(),
+        }],
+      } : {}),
+    },
+  });
+  if (!order) return null;
+  if (storeCredit) await releaseOrderCredit(paid, { note: "Sold out" });
+  recordOrderLedger(order._id);
+
+  console.error(`⚠️ Order ${orderId} was paid but the artwork is sold out; payment refunded`);
+
+  await Notification.create({
+    recipientUserId: order.userId,
+    actorUserId: order.artistUserId,
+    type: NOTIFICATION_TYPE.ORDER_REFUNDED,
+    title: "Payment refunded",
+    message: `Sorry, “${order.artName}” sold out before your payment went through. You've been refunded in full.`,
+    orderId: order._id,
+    imageId: order.imageId,
+    data: { artName: order.artName, price: order.totalAmount, imageLink: order.imageLink },
+  }).catch((err) => console.error("Refund notification failed:", err?.message || err));
+
+  return order;
+}
 
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error("❌ Webhook signature verification failed:", err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+/**
+ * Handle one Connect webhook event. Runs at most once per event id
+ * (see services/webhookEvents.js); throwing marks the event failed for replay.
+ */
+async function handleConnectEvent(event) {
+  // Cart checkouts carry checkoutId instead of orderId and settle all their orders at once
+  if (event.type.startsWith("payment_intent.") && event.data.object?.metadata?.checkoutId) {
+    await handleCheckoutPaymentEvent(event);
+    return;
+  }
+  // Gift card purchases aren't orders
+  if (event.type.startsWith("payment_intent.") && event.data.object?.metadata?.giftCardId) {
+    await handleGiftCardPaymentEvent(event);
+    return;
   }
 
-  try {
-    switch (event.type) {
-      case "payment_intent.succeeded": {
-        const pi = event.data.object;
-        const orderId = pi.metadata?.orderId;
-
-        // NEW: capture charge id & transfer group
-        const chargeId = typeof pi.latest_charge === "string"
-          ? pi.latest_charge
-          : pi.latest_charge?.id;
-
-        const base = Math.max(0, Math.round(Number(pi.metadata?.base || 0)));
-        const shipping = Math.max(0, Math.round(Number(pi.metadata?.shipping || 0)));
-        const tax = Math.max(0, Math.round(Number(pi.metadata?.tax || 0)));
-        const total = Math.max(0, Math.round(Number(pi.metadata?.total || base + shipping + tax)));
-        const transferGroup = pi.metadata?.transferGroup || `order_${orderId}`;
-
-        if (orderId) {
-          await OrderModel.findOneAndUpdate(
-            { _id: orderId },
-            {
-              status: "paid",
-              paymentIntentId: pi.id,
-              paidAt: new Date(),
-              baseAmount: base,
-              shippingAmount: shipping,
-              taxAmount: tax,
-              totalAmount: total,
-              price: base, // legacy mirror
-              // NEW:
-              transferGroup,
-              chargeId: chargeId || null,
-            }
+  switch (event.type) {
+    case "payment_intent.succeeded": {
+      const pi = event.data.object;
+      const orderId = pi.metadata?.orderId;
+
+      // NEW: capture charge id & transfer group
+      const chargeId = typeof pi.latest_charge === "string"
+        ? pi.latest_charge
+        : pi.latest_charge?.id;
+
+      const base = Math.max(0, Math.round(Number(pi.metadata?.base || 0)));
+      const shipping = Math.max(0, Math.round(Number(pi.metadata?.shipping || 0)));
+      const tax = Math.max(0, Math.round(Number(pi.metadata?.tax || 0)));
+      const total = Math.max(0, Math.round(Number(pi.metadata?.total || base + shipping + tax)));
+      const transferGroup = pi.metadata?.transferGroup || `order_${orderId}`;
+
+      if (orderId) {
+        // Refunded / cancelled orders stay that way (finalize-payment may have handled it first)
+        const paidFields = {
+          paymentIntentId: pi.id,
+          paidAt: new Date(),
+          baseAmount: base,
+          shippingAmount: shipping,
+          taxAmount: tax,
+          totalAmount: total,
+          price: base, // legacy mirror
+          // NEW:
+          transferGroup,
+          chargeId: chargeId || null,
+        };
+        let updated = await applyOrderTransition(orderId, ORDER_STATUS.PAID, {
+          from: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED],
+          actor: ORDER_ACTOR.STRIPE,
+          reason: "payment_intent.succeeded",
+          set: paidFields,
+        });
+        // Retried delivery of an event we didn't finish (e.g. the sold-out refund failed)
+        if (!updated) {
+          updated = await OrderModel.findOne({
+            _id: orderId,
+            status: ORDER_STATUS.PAID,
+            inventoryCommittedAt: { $exists: false },
+          });
+        }
+        // The buyer cancelled while the payment was in flight: give the money back
+        if (!updated && (await OrderModel.exists({ _id: orderId, status: ORDER_STATUS.CANCELLED }))) {
+          await stripe.refunds.create(
+            { payment_intent: pi.id, metadata: { orderId: String(orderId), reason: "order_cancelled" } },
+            { idempotencyKey: `refund_cancelled_${orderId}` }
           );
+          console.error(`⚠️ Order ${orderId} was paid after it was cancelled; payment refunded`);
+        }
+        if (!updated) break;
+        recordOrderLedger(orderId);
+        recordCouponRedemption(orderId).catch((err) =>
+          console.error(`Coupon redemption for order ${orderId} failed:`, err?.message || err));
+
+        // Take the sale out of inventory and assign the edition number (idempotent).
+        // Errors here fail the event so a retry or admin replay refunds an oversold buyer.
+        const sale = await commitSale(orderId);
+        if (sale.reason === "sold_out") {
+          await refundSoldOutPayment(orderId, pi.id);
+          break;
+        }
 
-          // Post-payment side effects (mark sold + notifications) — unchanged from your version
-          try {
-            const paidOrder = await OrderModel.findById(orderId).lean();
-            if (paidOrder) {
-              await ImageModel.findOneAndUpdate(
-                { _id: paidOrder.imageId, soldStatus: { $ne: "sold" } },
-                { soldStatus: "sold" },
-                { new: true }
-              );
-
-              await Notification.create({
-                recipientUserId: paidOrder.userId,
-                actorUserId: paidOrder.artistUserId,
-                type: NOTIFICATION_TYPE.ORDER_PAID,
-                title: "Payment successful",
-                message: `You purchased “${paidOrder.artName}”. We'll notify you when it ships.`,
-                orderId: paidOrder._id,
-                imageId: paidOrder.imageId,
-                data: { artName: paidOrder.artName, price: paidOrder.baseAmount, imageLink: paidOrder.imageLink },
-              });
-
-              await Notification.create({
-                recipientUserId: paidOrder.artistUserId,
-                actorUserId: paidOrder.userId,
-                type: NOTIFICATION_TYPE.ORDER_PAID,
-                title: "Payment received",
-                message: `Payment confirmed for "${paidOrder.artName}".`,
-                orderId: paidOrder._id,
-                imageId: paidOrder.imageId,
-                data: { artName: paidOrder.artName, price: paidOrder.baseAmount, imageLink: paidOrder.imageLink },
-              });
-
-              await Notification.create({
-                recipientUserId: paidOrder.artistUserId,
-                actorUserId: paidOrder.userId,
-                type: NOTIFICATION_TYPE.ORDER_NEEDS_SHIPPING,
-                title: "Action needed: Ship order",
-                message: `"${paidOrder.artName}" is paid and ready to ship. Add tracking info to notify the buyer.`,
-                orderId: paidOrder._id,
-                imageId: paidOrder.imageId,
-                data: { artName: paidOrder.artName, price: paidOrder.baseAmount, imageLink: paidOrder.imageLink },
-              });
-            }
-          } catch (nErr) {
-            console.error("⚠️ post-payment actions error:", nErr);
+        // Post-payment side effects (documents + notifications)
+        try {
+          // Number the receipt before the ORDER_PAID emails attach it
+          if (sale.committed) await issueSaleDocuments(orderId);
+
+          // finalize-payment already committed the sale and sent the notifications
+          const paidOrder = sale.reason === "already_committed" ? null : await OrderModel.findById(orderId).lean();
+          if (paidOrder) {
+
+            await Notification.create({
+              recipientUserId: paidOrder.userId,
+              actorUserId: paidOrder.artistUserId,
+              type: NOTIFICATION_TYPE.ORDER_PAID,
+              title: "Payment successful",
+              message: `You purchased “${paidOrder.artName}”. We'll notify you when it ships.`,
+              orderId: paidOrder._id,
+              imageId: paidOrder.imageId,
+              data: { artName: paidOrder.artName, price: paidOrder.baseAmount, imageLink: paidOrder.imageLink },
+            });
+
+            await Notification.create({
+              recipientUserId: paidOrder.artistUserId,
+              actorUserId: paidOrder.userId,
+              type: NOTIFICATION_TYPE.ORDER_PAID,
+              title: "Payment received",
+              message: `Payment confirmed for "${paidOrder.artName}".`,
+              orderId: paidOrder._id,
+              imageId: paidOrder.imageId,
+              data: { artName: paidOrder.artName, price: paidOrder.baseAmount, imageLink: paidOrder.imageLink },
+            });
+
+            await Notification.create({
+              recipientUserId: paidOrder.artistUserId,
+              actorUserId: paidOrder.userId,
+              type: NOTIFICATION_TYPE.ORDER_NEEDS_SHIPPING,
+              title: "Action needed: Ship order",
+              message: `"${paidOrder.artName}" is paid and ready to ship. Add tracking info to notify the buyer.`,
+              orderId: paidOrder._id,
+              imageId: paidOrder.imageId,
+              data: { artName: paidOrder.artName, price: paidOrder.baseAmount, imageLink: paidOrder.imageLink },
+            });
           }
+        } catch (nErr) {
+          console.error("⚠️ post-payment actions error:", nErr);
         }
-        break;
       }
+      break;
+    }
 
-      case "payment_intent.payment_failed": {
-        const pi = event.data.object;
-        const orderId = pi.metadata?.orderId;
-        if (orderId) {
-          await OrderModel.findOneAndUpdate(
-            { _id: orderId },
-            { status: "failed", paymentIntentId: pi.id, failureReason: pi.last_payment_error?.message }
-          );
+    case "payment_intent.payment_failed": {
+      const pi = event.data.object;
+      const orderId = pi.metadata?.orderId;
+      if (orderId) {
+        const failureFields = { paymentIntentId: pi.id, failureReason: pi.last_payment_error?.message };
+        const failed =
+          (await applyOrderTransition(orderId, ORDER_STATUS.FAILED, {
+            actor: ORDER_ACTOR.STRIPE,
+            reason: pi.last_payment_error?.message || "payment_intent.payment_failed",
+            set: failureFields,
+          })) ||
+          // Another failed attempt on an order that already failed once
+          (await OrderModel.findOneAndUpdate(
+            { _id: orderId, status: ORDER_STATUS.FAILED },
+            { $set: failureFields },
+            { new: true }
+          ));
+        // Let other buyers have the piece (and the promo code); a retry through
+        // create-payment-intent takes a new hold
+        if (failed) {
+          await releaseHold(failed);
+          await releaseCouponRedemption(failed);
         }
-        break;
       }
+      break;
+    }
 
-      case "charge.refunded": {
-        const charge = event.data.object;
-        const paymentIntentId = charge.payment_intent;
-        if (paymentIntentId) {
-          await OrderModel.findOneAndUpdate(
-            { paymentIntentId },
-            { status: "refunded", refundedAt: new Date() }
-          );
-          // (Optional) re-list art here if you want
+    case "payment_intent.canceled": {
+      const pi = event.data.object;
+      const orderId = pi.metadata?.orderId;
+      if (orderId) {
+        const order = await OrderModel.findOne({
+          _id: orderId,
+          status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED] },
+        });
+        if (order) {
+          await releaseHold(order);
+          await releaseCouponRedemption(order);
         }
-        break;
       }
+      break;
+    }
 
-      default:
-        // acknowledge all other events
-        break;
+    case "charge.refunded": {
+      const charge = event.data.object;
+      const paymentIntentId = charge.payment_intent;
+      const refundedOrder = paymentIntentId
+        ? await OrderModel.findOne({ paymentIntentId }).select("_id storeCredit").lean()
+        : null;
+      if (refundedOrder) {
+        // Partial refunds (returns) only move the running total
+        await OrderModel.updateOne(
+          { _id: refundedOrder._id },
+          { $max: { refundedCents: charge.amount_refunded || 0 } }
+        );
+        // Part paid with store credit isn't on the charge; refundOrder settles that part
+        if (charge.refunded && !orderStoreCredit(refundedOrder)) {
+          await applyOrderTransition(refundedOrder._id, ORDER_STATUS.REFUNDED, {
+            actor: ORDER_ACTOR.STRIPE,
+            reason: "charge.refunded",
+            set: { refundedAt: new Date() },
+          });
+        }
+        recordOrderLedger(refundedOrder._id);
+        // (Optional) re-list art here if you want
+      }
+      break;
+    }
+
+    case "charge.dispute.created":
+    case "charge.dispute.updated":
+    case "charge.dispute.closed":
+    case "charge.dispute.funds_withdrawn":
+    case "charge.dispute.funds_reinstated": {
+      await handleDisputeEvent(event);
+      break;
     }
 
-    return res.json({ received: true });
+    // Artist's Connect account: onboarding, capabilities, bank payouts
+    case "account.updated":
+    case "capability.updated":
+    case "payout.failed": {
+      await handleConnectAccountEvent(event);
+      break;
+    }
+
+    default:
+      // acknowledge all other events
+      break;
+  }
+}
+registerWebhookHandler(WEBHOOK_SOURCE.CONNECT, handleConnectEvent);
+
+// STRIPE WEBHOOK (raw body) — ensure this route is mounted with express.raw in your server file
+router.post("/webhook", express.raw({ type: "application/json" }), async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    console.error("❌ Webhook signature verification failed:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    // Failures are recorded for an admin to replay rather than left to Stripe's
+    // retries, which would re-run a half-finished handler
+    const { status, duplicate } = await processWebhookEvent(WEBHOOK_SOURCE.CONNECT, event);
+    return res.json({ received: true, status, ...(duplicate ? { duplicate } : {}) });
   } catch (err) {
-    console.error("❌ Error processing webhook:", err);
+    // The event couldn't even be stored; let Stripe retry it
+    console.error("❌ Error storing webhook event:", err);
     return res.status(500).json({ error: "Webhook processing failed" });
   }
 });
@@ -1106,11 +1000,8 @@ router.post("/check-stripe-status", async (req, res) => {
     const { id: stripeAccountId, details_submitted, charges_enabled, payouts_enabled, requirements = {} } = account;
     const { currently_due = [], disabled_reason } = requirements;
 
-    if (details_submitted && !user.stripeOnboardingCompleted) {
-      user.stripeOnboardingCompleted = true;
-      user.stripeOnboardingCompletedAt = new Date();
-      await user.save();
-    }
+    // Same sync as the account.updated webhook (onboarding flag, requirements, listings)
+    const synced = await syncConnectAccount(account);
 
     return res.status(200).json({
       success: true,
@@ -1120,7 +1011,7 @@ router.post("/check-stripe-status", async (req, res) => {
         details_submitted,
         charges_enabled,
         payouts_enabled,
-        onboarding_completed: user.stripeOnboardingCompleted,
+        onboarding_completed: (synced || user).stripeOnboardingCompleted,
         requirements: { currently_due, disabled_reason },
       },
     });
@@ -1177,7 +1068,11 @@ router.get("/my-orders", isUserAuthorized, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const ordersQuery = { userId: req.user._id, status: { $ne: "pending" } };
+    // Pending auction orders stay visible so the winner can complete payment
+    const ordersQuery = {
+      userId: req.user._id,
+      $or: [{ status: { $ne: "pending" } }, { source: ORDER_SOURCE.AUCTION }],
+    };
 
     const orders = await OrderModel.find(ordersQuery)
       .populate("imageId", "imageLink")
@@ -1213,52 +1108,40 @@ router.get("/my-orders", isUserAuthorized, async (req, res) => {
 });
 
 
-// UPDATE ORDER  ✅ allows patching new money fields; total recomputed by pre('save')
+// UPDATE ORDER  ✅ buyer can change delivery details while the order is pending
 router.put("/order/:id", isUserAuthorized, async (req, res) => {
   try {
     const { id } = req.params;
-    const {
-      status,
-      deliveryDetails,
-      artName,
-      artistName,
-      transactionId,
-
-      // new money fields (cents, integers)
-      baseAmount,
-      shippingAmount,
-      taxAmount,
-    } = req.body;
 
     const order = await OrderModel.findById(id);
     if (!order) return res.status(404).json({ success: false, error: "Order not found" });
 
-    // (optional) only buyer or seller can update — enforce as needed
-    const isBuyer = String(order.userId) === String(req.user._id);
-    const isSeller = String(order.artistUserId) === String(req.user._id);
-    if (!isBuyer && !isSeller) return res.status(403).json({ success: false, error: "Not allowed" });
+    // Only the buyer edits an order, and only before paying.
+    // Amounts, status and listing details are set by the server (listing, quotes, Stripe).
+    if (String(order.userId) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, error: "Not allowed" });
+    }
+    if (order.status !== ORDER_STATUS.PENDING) {
+      return res.status(409).json({ success: false, error: `Order is ${order.status} and can't be changed.` });
+    }
+    if (order.checkoutId) return res.status(409).json({ success: false, error: checkoutOrderError(order) });
 
-    if (status) order.status = status;
-    if (deliveryDetails) order.deliveryDetails = deliveryDetails;
-    if (artName) order.artName = artName;
-    if (artistName) order.artistName = artistName;
-    if (transactionId) order.transactionId = transactionId;
+    const deliveryDetails = pickDeliveryDetails(req.body?.deliveryDetails);
+    if (!deliveryDetails) {
+      return res.status(400).json({ success: false, error: "deliveryDetails is required" });
+    }
 
-    // ✅ money fields
-    const toPosInt = (n) => {
-      const v = Math.round(Number(n));
-      return Number.isFinite(v) && v >= 0 ? v : undefined;
-    };
-    const b = toPosInt(baseAmount);
-    const s = toPosInt(shippingAmount);
-    const t = toPosInt(taxAmount);
+    const previousZip = zip5(order.deliveryDetails?.zipCode);
+    for (const [field, value] of Object.entries(deliveryDetails)) {
+      order.set(`deliveryDetails.${field}`, value);
+    }
 
-    if (typeof b === "number") {
-      order.baseAmount = b;
-      order.price = b; // legacy mirror
+    // A quote is only good for the ZIP it was rated for
+    if (order.shippingQuote?.amount && zip5(order.deliveryDetails.zipCode) !== previousZip) {
+      order.shippingQuote = undefined;
+      order.shippingAmount = 0;
+      order.taxAmount = 0;
     }
-    if (typeof s === "number") order.shippingAmount = s;
-    if (typeof t === "number") order.taxAmount = t;
 
     // totalAmount will be recomputed by pre('save')
     const updated = await order.save();
@@ -1274,279 +1157,171 @@ router.put("/order/:id", isUserAuthorized, async (req, res) => {
   }
 });
 
-
-
-// ======================= FULL ENDPOINT: PATCH /order/:id/tracking ========================
-router.patch("/order/:id/tracking", isUserAuthorized, async (req, res) => {
+// APPLY SHIPPING — buyer picks one of the signed rates from /order/:id/shipping-quote
+router.put("/order/:id/shipping", isUserAuthorized, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { trackingNumber, carrier } = req.body;
+    const order = await OrderModel.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, error: "Order not found" });
 
-    if (!trackingNumber?.trim()) {
-      return res.status(400).json({ success: false, message: "trackingNumber is required" });
+    if (String(order.userId) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, error: "Not allowed" });
     }
-    const tn = trackingNumber.trim().toUpperCase();
-
-    const order = await OrderModel.findById(id);
-    if (!order) return res.status(404).json({ success: false, message: "Order not found" });
-    if (String(order.artistUserId) !== String(req.user._id)) {
-      return res.status(403).json({ success: false, message: "Not allowed to modify this order" });
+    if (order.status !== ORDER_STATUS.PENDING) {
+      return res.status(409).json({ success: false, error: `Order is ${order.status} and can't be changed.` });
     }
+    if (order.checkoutId) return res.status(409).json({ success: false, error: checkoutOrderError(order) });
 
-    const carrierLc = String(carrier || "").toLowerCase();
-    let status, events = [], titleCarrier;
+    const { quote, error } = verifyShippingQuote(req.body?.quoteToken, {
+      orderId: order._id,
+      toZip: zip5(order.deliveryDetails?.zipCode),
+    });
+    if (error) return res.status(400).json({ success: false, error });
+
+    order.shippingAmount = quote.amountCents;
+    order.taxAmount = 0; // recomputed when the PaymentIntent is created
+    order.shippingQuote = {
+      carrier: quote.carrier,
+      serviceCode: quote.serviceCode,
+      serviceName: quote.serviceName,
+      amount: quote.amountCents,
+      toZip: quote.toZip,
+      estBusinessDays: quote.estBusinessDays ?? undefined,
+      quotedAt: new Date(quote.iat * 1000),
+    };
 
-    // ======== UPS BRANCH (direct API, mock allowed in non-prod for test numbers) ========
-    if (carrierLc === "ups" || /^1Z[0-9A-Z]{16}$/.test(tn)) {
-      try {
-        const isProd = (process.env.UPS_ENV || "cie").toLowerCase() === "prod";
-        const allowMock = !isProd && (process.env.UPS_ALLOW_TEST_NUMBERS || "").toLowerCase() === "true";
-        const forceMock = !isProd && String(req.query.forceMock || "").trim() === "1";
-        const usedMock = forceMock || (allowMock && isTestTrackingNumber(tn));
-
-        const upsData = usedMock ? buildMockUpsTracking(tn) : await trackWithUPS(tn);
-        const pkg = upsData?.trackResponse?.shipment?.[0]?.package?.[0];
-        if (!pkg) {
-          return res.status(400).json({ success: false, message: "UPS returned no package data." });
-        }
+    const updated = await order.save();
 
-        status = mapUpsStatus(pkg.currentStatus || {});
-        const activities = Array.isArray(pkg?.activity) ? pkg.activity : [];
-        events = activities.map((a) => {
-          const dt = parseUpsDate(a?.date, a?.time);
-          const locParts = [
-            a?.activityLocation?.address?.city,
-            a?.activityLocation?.address?.stateProvince,
-            a?.activityLocation?.address?.country
-          ].filter(Boolean);
-          const event = {
-            status: String(a?.status?.description || a?.activityLocation?.address?.city || "").toLowerCase(),
-            message: a?.status?.description || a?.activityScan || "",
-            location: locParts.join(", "),
-          };
-          if (dt) event.datetime = dt;
-          return event;
-        });
-        titleCarrier = "UPS";
-
-        // write shipping fields
-        if (!order.shipping) order.shipping = {};
-        order.shipping.trackingNumber = tn;
-        order.shipping.carrier = titleCarrier;
-        order.shipping.shipmentStatus = status;
-        order.shipping.shippedAt = order.shipping.shippedAt || new Date();
-        order.shipping.trackingEvents = events.filter(
-          (e) => !("datetime" in e) || (e.datetime instanceof Date && !isNaN(e.datetime))
-        );
-        order.shipping.verified = order.shipping.verified || order.shipping.trackingEvents.length > 0;
-        if (status === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
-          order.shipping.deliveredAt = new Date();
-        }
+    return res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error("Error applying shipping quote:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
 
-        // seed polling fields
-        order.shipping.pollAttempts = 0;
-        order.shipping.lastPolledAt = null;
-        order.shipping.nextPollAt =
-          status === SHIPMENT_STATUS.DELIVERED ? null : computeNextPollAt(status, 0);
-
-        // notifications
-        if (status === SHIPMENT_STATUS.DELIVERED) {
-          Notification.create({
-            recipientUserId: order.userId,
-            actorUserId: order.artistUserId,
-            type: NOTIFICATION_TYPE.ORDER_DELIVERED,
-            title: "Delivered",
-            message: `“${order.artName}” was delivered.`,
-            orderId: order._id,
-            imageId: order.imageId,
-            data: { artName: order.artName, price: order.price, imageLink: order.imageLink },
-          }).catch(err => console.error("Notif create error:", err));
-        }
 
-        await order.save();
 
-        // Always tell buyer it's shipped if we just attached tracking
-        Notification.create({
-          recipientUserId: order.userId,
-          actorUserId: order.artistUserId,
-          type: NOTIFICATION_TYPE.ORDER_SHIPPED,
-          title: "Order shipped",
-          message: `Your “${order.artName}” has been shipped via ${order.shipping.carrier}.`,
-          orderId: order._id,
-          imageId: order.imageId,
-          data: { artName: order.artName, price: order.price, imageLink: order.imageLink },
-        }).catch(err => console.error("Notif create error:", err));
+// CANCEL ORDER — buyer backs out before paying; the hold and PaymentIntent are released
+router.post("/order/:id/cancel", isUserAuthorized, async (req, res) => {
+  try {
+    const order = await OrderModel.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, error: "Order not found" });
 
-        return res.status(200).json({
-          success: true,
-          message: usedMock ? "Tracking saved (mock UPS data)." : "Tracking saved and verified with UPS.",
-          data: { orderId: order._id, shipping: order.shipping },
-        });
-      } catch (e) {
-        const code = e.status || 400;
-        return res.status(code).json({ success: false, message: e.message || "UPS validation failed." });
-      }
+    if (String(order.userId) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, error: "Not allowed" });
+    }
+    if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+      return res.status(409).json({ success: false, error: `Order is ${order.status} and can't be cancelled.` });
     }
+    if (order.checkoutId) return res.status(409).json({ success: false, error: checkoutOrderError(order) });
 
-    // =============================== FEDEX BRANCH (direct API) ===============================
-    if (carrierLc === "fedex") {
+    // Stop the payment first; if it already went through the order can't be cancelled
+    if (order.paymentIntentId) {
       try {
-        const fedex = await trackWithFedex(tn);
-        const root = fedex?.output?.completeTrackResults?.[0]?.trackResults?.[0];
-        if (!root) {
-          return res.status(400).json({ success: false, message: "FedEx returned no track results." });
+        await stripe.paymentIntents.cancel(order.paymentIntentId);
+      } catch (err) {
+        if (err?.code !== "payment_intent_unexpected_state") throw err;
+        const pi = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+        if (pi.status !== "canceled") {
+          return res.status(409).json({ success: false, error: "Payment is already being processed." });
         }
+      }
+    }
 
-        const latest = root?.latestStatusDetail || {};
-        status = mapFedexStatus(latest);
-
-        const scans = Array.isArray(root?.scanEvents) ? root.scanEvents : [];
-        events = scans.map((ev) => {
-          const dt = parseFedexDate(ev?.date || ev?.dateTime || ev?.eventDateTime);
-          const addr = ev?.scanLocation || ev?.scanLocation?.address || ev?.location || {};
-          const locParts = [
-            addr?.city,
-            addr?.stateOrProvinceCode,
-            addr?.countryCode || addr?.countryName,
-          ].filter(Boolean);
-          const event = {
-            status: String(ev?.eventDescription || ev?.derivedStatus || "").toLowerCase(),
-            message: ev?.eventDescription || ev?.derivedStatus || latest?.description || "",
-            location: locParts.join(", "),
-          };
-          if (dt) event.datetime = dt;
-          return event;
-        });
-        titleCarrier = "FedEx";
-
-        if (!order.shipping) order.shipping = {};
-        order.shipping.trackingNumber = tn;
-        order.shipping.carrier = titleCarrier;
-        order.shipping.shipmentStatus = status;
-        order.shipping.shippedAt = order.shipping.shippedAt || new Date();
-        order.shipping.trackingEvents = events.filter(
-          (e) => !("datetime" in e) || (e.datetime instanceof Date && !isNaN(e.datetime))
-        );
-        order.shipping.verified = order.shipping.verified || order.shipping.trackingEvents.length > 0;
-
-        if (status === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
-          const deliveredScan = scans.find(s => /delivered/i.test(s?.eventDescription || ""));
-          order.shipping.deliveredAt = deliveredScan
-            ? parseFedexDate(deliveredScan?.date || deliveredScan?.dateTime || deliveredScan?.eventDateTime) || new Date()
-            : new Date();
-        }
+    transitionOrder(order, ORDER_STATUS.CANCELLED, {
+      actor: ORDER_ACTOR.BUYER,
+      actorId: req.user._id,
+      reason: String(req.body?.reason || "").slice(0, 500) || undefined,
+    });
+    await order.save();
+    await releaseHold(order);
+    await releaseOrderCredit(order);
+    await releaseCouponRedemption(order);
 
-        // seed polling fields
-        order.shipping.pollAttempts = 0;
-        order.shipping.lastPolledAt = null;
-        order.shipping.nextPollAt =
-          status === SHIPMENT_STATUS.DELIVERED ? null : computeNextPollAt(status, 0);
-
-        if (status === SHIPMENT_STATUS.DELIVERED) {
-          Notification.create({
-            recipientUserId: order.userId,
-            actorUserId: order.artistUserId,
-            type: NOTIFICATION_TYPE.ORDER_DELIVERED,
-            title: "Delivered",
-            message: `“${order.artName}” was delivered.`,
-            orderId: order._id,
-            imageId: order.imageId,
-            data: { artName: order.artName, price: order.price, imageLink: order.imageLink },
-          }).catch(err => console.error("Notif create error:", err));
-        }
+    return res.json({ success: true, data: order });
+  } catch (error) {
+    console.error("Error cancelling order:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
 
-        await order.save();
+// ORDER TIMELINE — every status and shipment change with who made it
+router.get("/order/:id/timeline", isUserAuthorized, async (req, res) => {
+  try {
+    const order = await OrderModel.findById(req.params.id)
+      .select("userId artistUserId source status shipping.shipmentStatus statusHistory createdAt")
+      .lean();
+    if (!order) return res.status(404).json({ success: false, error: "Order not found" });
 
-        Notification.create({
-          recipientUserId: order.userId,
-          actorUserId: order.artistUserId,
-          type: NOTIFICATION_TYPE.ORDER_SHIPPED,
-          title: "Order shipped",
-          message: `Your “${order.artName}” has been shipped via ${order.shipping.carrier}.`,
-          orderId: order._id,
-          imageId: order.imageId,
-          data: { artName: order.artName, price: order.price, imageLink: order.imageLink },
-        }).catch(err => console.error("Notif create error:", err));
+    const isBuyer = String(order.userId) === String(req.user._id);
+    const isSeller = String(order.artistUserId) === String(req.user._id);
+    if (!isBuyer && !isSeller) return res.status(403).json({ success: false, error: "Not allowed" });
 
-        return res.status(200).json({
-          success: true,
-          message: "Tracking saved and verified with FedEx.",
-          data: { orderId: order._id, shipping: order.shipping },
-        });
-      } catch (e) {
-        const code = e.status || 400;
-        return res.status(code).json({ success: false, message: e.message || "FedEx validation failed." });
-      }
-    }
+    return res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        status: order.status,
+        shipmentStatus: order.shipping?.shipmentStatus || SHIPMENT_STATUS.PENDING,
+        timeline: buildTimeline(order),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching order timeline:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error" });
+  }
+});
 
-    // ============================ AFTERSHIP FALLBACK (USPS/DHL/etc.) ============================
-    let created;
-    try {
-      created = await axios.post(
-        "https://api.aftership.com/v4/trackings",
-        {
-          tracking: {
-            tracking_number: tn,
-            ...(carrier ? { slug: String(carrier).toLowerCase() } : {}),
-          },
-        },
-        {
-          headers: {
-            "aftership-api-key": process.env.AFTERSHIP_API_KEY,
-            "Content-Type": "application/json",
-          },
-          validateStatus: () => true,
-        }
-      );
+// ======================= FULL ENDPOINT: PATCH /order/:id/tracking ========================
+router.patch("/order/:id/tracking", isUserAuthorized, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { trackingNumber, carrier } = req.body;
 
-      if (created.status !== 409 && created.status >= 400) {
-        const msg =
-          created.data?.meta?.message ||
-          created.data?.meta?.error?.type ||
-          "Invalid or unsupported tracking number.";
-        return res.status(400).json({ success: false, message: msg });
-      }
-    } catch {
-      return res.status(400).json({ success: false, message: "Tracking validation failed." });
+    if (!trackingNumber?.trim()) {
+      return res.status(400).json({ success: false, message: "trackingNumber is required" });
     }
+    const tn = trackingNumber.trim().toUpperCase();
 
-    const slugForGet = (carrier ? String(carrier).toLowerCase() : "auto");
-    const fetched = await axios.get(
-      `https://api.aftership.com/v4/trackings/${slugForGet}/${encodeURIComponent(tn)}`,
-      { headers: { "aftership-api-key": process.env.AFTERSHIP_API_KEY } }
-    );
-
-    const t = fetched.data?.data?.tracking;
-    if (!t) {
-      return res.status(400).json({ success: false, message: "Unable to retrieve tracking details." });
+    const order = await OrderModel.findById(id);
+    if (!order) return res.status(404).json({ success: false, message: "Order not found" });
+    if (String(order.artistUserId) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: "Not allowed to modify this order" });
     }
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ success: false, message: `Order is ${order.status}; only paid orders can be shipped.` });
+    }
+    const shipmentChange = { actor: ORDER_ACTOR.ARTIST, actorId: req.user._id, reason: `Tracking ${tn}` };
 
-    status = mapStatus(t.tag || t.subtag || t.status);
-    titleCarrier = toTitleCaseCarrier(t.slug || carrier);
+    // UPS/FedEx direct, USPS/DHL via EasyPost, AfterShip for the rest.
+    // Mock data: UPS demo numbers when allowed, or ?forceMock=1 outside production.
+    let tracked;
+    try {
+      tracked = await trackShipment(tn, carrier, {
+        allowMock: mockTrackingAllowed(),
+        forceMock: process.env.NODE_ENV !== "production" && String(req.query.forceMock || "").trim() === "1",
+      });
+    } catch (e) {
+      if (!e.status) console.error("Tracking lookup failed:", e?.response?.data || e?.message || e);
+      return res.status(e.status || 400).json({ success: false, message: e.status ? e.message : "Tracking validation failed." });
+    }
+    const status = tracked.status;
 
     if (!order.shipping) order.shipping = {};
+    if (!canTransitionShipment(order.shipping.shipmentStatus, status) && order.shipping.shipmentStatus !== status) {
+      return res.status(409).json({
+        success: false,
+        message: `Order shipment status can't change from ${order.shipping.shipmentStatus} to ${status}`,
+      });
+    }
     order.shipping.trackingNumber = tn;
-    order.shipping.carrier = titleCarrier;
-    order.shipping.shipmentStatus = status;
+    order.shipping.carrier = tracked.carrier;
+    transitionShipment(order, status, shipmentChange);
     order.shipping.shippedAt = order.shipping.shippedAt || new Date();
-    order.shipping.aftershipTrackingId = t.id;
-
-    const checkpoints = Array.isArray(t.checkpoints) ? t.checkpoints : [];
-    events = checkpoints.map((c) => {
-      const dt = c.checkpoint_time ? new Date(c.checkpoint_time) : undefined;
-      const event = {
-        status: String(c.tag || c.subtag || c.status || "").toLowerCase(),
-        message: c.message || c.checkpoint_message,
-        location: [c.city, c.state, c.country_name].filter(Boolean).join(", "),
-      };
-      if (dt && !isNaN(dt)) event.datetime = dt;
-      return event;
-    });
-
-    order.shipping.trackingEvents = events;
+    if (tracked.aftershipTrackingId) order.shipping.aftershipTrackingId = tracked.aftershipTrackingId;
+    order.shipping.trackingEvents = tracked.events;
     order.shipping.verified = order.shipping.verified || order.shipping.trackingEvents.length > 0;
     if (status === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
-      order.shipping.deliveredAt = new Date();
+      order.shipping.deliveredAt = tracked.deliveredAt || new Date();
     }
 
     // seed polling fields
@@ -1557,7 +1332,7 @@ router.patch("/order/:id/tracking", isUserAuthorized, async (req, res) => {
 
     await order.save();
 
-    // (Optional) notify shipped (kept same behavior as your original)
+    // Always tell buyer it's shipped if we just attached tracking
     Notification.create({
       recipientUserId: order.userId,
       actorUserId: order.artistUserId,
@@ -1584,7 +1359,11 @@ router.patch("/order/:id/tracking", isUserAuthorized, async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      message: "Tracking saved and verified.",
+      message: tracked.usedMock
+        ? `Tracking saved (mock ${tracked.carrier} data).`
+        : tracked.aftershipTrackingId
+          ? "Tracking saved and verified."
+          : `Tracking saved and verified with ${tracked.carrier}.`,
       data: { orderId: order._id, shipping: order.shipping },
     });
   } catch (error) {
@@ -1610,6 +1389,12 @@ router.delete("/order/:id", isAdminAuthorized, async (req, res) => {
       });
     }
 
+    await releaseHold(order);
+    // Credit on an unpaid order goes back to the buyer; on a paid one it was spent
+    if ([ORDER_STATUS.PENDING, ORDER_STATUS.FAILED].includes(order.status)) {
+      await releaseOrderCredit(order, { note: "Order deleted" });
+      await releaseCouponRedemption(order);
+    }
     await OrderModel.findByIdAndDelete(id);
 
     res.status(200).json({
@@ -1656,7 +1441,7 @@ router.get("/my-sales", isUserAuthorized, async (req, res) => {
     const skip = (page - 1) * limit;
 
     const statusFilter = (req.query.status || "").trim();
-    const query = { artistUserId: req.user._id, status: { $ne: "pending" } };
+    const query = { artistUserId: req.user._id, status: { $nin: [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED] } };
     if (statusFilter) {
       query.$or = [
         { status: new RegExp(`^${statusFilter}$`, "i") },
@@ -1762,106 +1547,30 @@ router.post("/shipping/ups-rates", async (req, res) => {
       return res.status(400).json({ success: false, error: "parcel must include positive weightLb, lengthIn, widthIn, heightIn" });
     }
 
-    // 3) Build UPS Rating request (REST v2403)
-    const token = await getUpsTokenWithScopes(["rating"]); // important!
-
-    const apiBase = (process.env.UPS_ENV || "cie").toLowerCase() === "prod"
-      ? "https://onlinetools.ups.com"
-      : "https://wwwcie.ups.com";
-
-    // Optional: include ShipperNumber for negotiated rates
-    const shipperNumber = (process.env.UPS_SHIPPER_NUMBER || "").trim();
-
-    const body = {
-      RateRequest: {
-        Request: { TransactionReference: { CustomerContext: "Immpression Rate Quote" } },
-        Shipment: {
-          Shipper: {
-            ...(shipperNumber ? { ShipperNumber: shipperNumber } : {}),
-            Address: {
-              PostalCode: fromZip.slice(0, 5),
-              CountryCode: shipTo.countryCode || "US"
-            }
-          },
-          ShipTo: {
-            Address: {
-              PostalCode: toZip.slice(0, 5),
-              CountryCode: shipTo.countryCode || "US",
-              ...(shipTo.stateCode ? { StateProvinceCode: shipTo.stateCode } : {}),
-              ...(shipTo.city ? { City: shipTo.city } : {}),
-              ResidentialAddressIndicator: shipTo.residential === true ? "" : undefined
-            }
-          },
-          // If you want rates for ALL services, omit Service.
-          // If you want to restrict, you can loop serviceCodes and make multiple calls,
-          // but UPS accepts Service per request. For simplicity we omit here.
-
-          Package: [{
-            PackagingType: { Code: "02" }, // Customer-supplied package
-            Dimensions: {
-              UnitOfMeasurement: { Code: "IN" },
-              Length: String(length),
-              Width: String(width),
-              Height: String(height)
-            },
-            PackageWeight: {
-              UnitOfMeasurement: { Code: "LBS" },
-              Weight: String(weight)
-            }
-          }],
-
-          // Ask UPS to include time-in-transit with rates:
-          DeliveryTimeInformation: { PackageBillType: "03" } // 03 = Non Document
-        },
-        // Get both list & negotiated if available:
-        AdditionalInfo: { ReturnTransitTimes: "Y", NegotiatedRatesIndicator: shipperNumber ? "Y" : undefined }
-      }
-    };
-
-    const resp = await axios.post(`${apiBase}/api/rating/v2403/Rate`, body, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-        Accept: "application/json"
+    // 3) Rate with UPS (every service, or each of serviceCodes)
+    const { rates, errors } = await getCarrier(CARRIER.UPS).rate({
+      from: { zip: fromZip, country: shipTo.countryCode || "US" },
+      to: {
+        zip: toZip,
+        country: shipTo.countryCode || "US",
+        state: shipTo.stateCode,
+        city: shipTo.city,
+        residential: shipTo.residential === true,
       },
-      validateStatus: () => true
+      parcel: { weightLb: weight, lengthIn: length, widthIn: width, heightIn: height },
+      services: serviceCodes,
     });
 
-    if (resp.status >= 400) {
-      return res.status(resp.status).json({
+    if (!rates.length && errors.length) {
+      return res.status(400).json({
         success: false,
-        error: resp.data?.response?.errors?.[0]?.message || "UPS rating failed",
-        raw: resp.data
+        error: errors[0].message || "UPS rating failed",
+        details: errors,
       });
     }
 
-    // 4) Normalize response
-    const rated = resp.data?.RateResponse?.RatedShipment || [];
-    const rows = (Array.isArray(rated) ? rated : [rated]).filter(Boolean).map(r => {
-      const serviceCode = r?.Service?.Code || null;
-      const serviceDesc = r?.Service?.Description || null;
-
-      // total charges (negotiated preferred, fallback published)
-      const negotiated = r?.NegotiatedRateCharges?.TotalCharge;
-      const published = r?.TotalCharges;
-      const money = negotiated?.MonetaryValue || published?.MonetaryValue || null;
-      const currency = negotiated?.CurrencyCode || published?.CurrencyCode || "USD";
-
-      // time-in-transit
-      const days =
-        Number(r?.GuaranteedDelivery?.BusinessDaysInTransit) ||
-        Number(r?.TimeInTransit?.ServiceSummary?.EstimatedArrival?.BusinessDaysInTransit) ||
-        null;
-
-      return {
-        carrier: "UPS",
-        serviceCode,
-        serviceName: serviceDesc || serviceCode,
-        amount: money ? Number(money) : null,
-        currency,
-        estBusinessDays: days,
-      };
-    }).filter(x => x.amount !== null);
+    // 4) Keep rows with a price
+    const rows = rates.filter(x => x.amount !== null);
 
     // Optional filter by desired services
     const filtered = serviceCodes.length
@@ -1883,13 +1592,21 @@ router.post("/shipping/ups-rates", async (req, res) => {
   }
 });
 
-// ===== SHIPPING QUOTE FOR AN ORDER (UPS) =====
-// GET /order/:id/shipping-quote?services=03,02,12&debug=1
+// ===== SHIPPING QUOTE FOR AN ORDER =====
+// GET /order/:id/shipping-quote?carrier=ups&services=03,02,12&debug=1
+// carrier: ups (default), fedex, usps or dhl; without services UPS quotes Ground, the others every service
 router.get("/order/:id/shipping-quote", isUserAuthorized, async (req, res) => {
   try {
     const { id } = req.params;
     const debug = String(req.query.debug || "").trim() === "1";
 
+    let adapter;
+    try {
+      adapter = getCarrier(String(req.query.carrier || "").trim() || CARRIER.UPS);
+    } catch (e) {
+      return res.status(e.status || 400).json({ success: false, error: e.message });
+    }
+
     const order = await OrderModel.findById(id).lean();
     if (!order) return res.status(404).json({ success: false, error: "Order not found" });
 
@@ -1904,9 +1621,8 @@ router.get("/order/:id/shipping-quote", isUserAuthorized, async (req, res) => {
     const toZipRaw = order?.deliveryDetails?.zipCode || "";
 
     // Sanitize ZIPs to 5-digit
-    const five = (z) => (String(z || "").match(/\d{5}/)?.[0] || "").slice(0, 5);
-    const fromZip = five(fromZipRaw);
-    const toZip = five(toZipRaw);
+    const fromZip = zip5(fromZipRaw);
+    const toZip = zip5(toZipRaw);
 
     if (!fromZip) return res.status(400).json({ success: false, error: "Seller zipcode missing/invalid" });
     if (!toZip) return res.status(400).json({ success: false, error: "Order delivery ZIP missing/invalid" });
@@ -1918,18 +1634,6 @@ router.get("/order/:id/shipping-quote", isUserAuthorized, async (req, res) => {
       widthIn: 16,
       heightIn: 4,
     };
-    const weight = String(Math.max(0.1, Number(parcel.weightLb)));
-    const length = String(Math.max(1, Number(parcel.lengthIn)));
-    const width = String(Math.max(1, Number(parcel.widthIn)));
-    const height = String(Math.max(1, Number(parcel.heightIn)));
-
-    // Env + token
-    const isProd = (process.env.UPS_ENV || "cie").toLowerCase() === "prod";
-    const apiBase = isProd ? "https://onlinetools.ups.com" : "https://wwwcie.ups.com";
-    const token = await getUpsTokenWithScopes(["rating"]);
-
-    // Use ShipperNumber only in prod (negotiated rates)
-    const shipperNumber = isProd ? (process.env.UPS_SHIPPER_NUMBER || "").trim() : "";
 
     // Services to rate
     const serviceCodes =
@@ -1937,139 +1641,17 @@ router.get("/order/:id/shipping-quote", isUserAuthorized, async (req, res) => {
         .split(",")
         .map(s => s.trim())
         .filter(Boolean);
-    const servicesToTry = serviceCodes.length ? serviceCodes : ["03"]; // 03 = UPS Ground
-
-    const buildRateBody = (serviceCode) => ({
-      RateRequest: {
-        Request: { TransactionReference: { CustomerContext: "Immpression Order Quote" } },
-        Shipment: {
-          PickupType: { Code: "01" }, // 01=Daily pickup
-
-          Shipper: {
-            ...(shipperNumber ? { ShipperNumber: shipperNumber } : {}),
-            Address: {
-              PostalCode: fromZip,
-              CountryCode: "US",
-            },
-          },
-          ShipFrom: {
-            Address: {
-              PostalCode: fromZip,
-              CountryCode: "US",
-            },
-          },
-          ShipTo: {
-            Address: {
-              PostalCode: toZip,
-              CountryCode: "US",
-              ResidentialAddressIndicator: "", // treat as residential
-            },
-          },
-
-          Service: { Code: serviceCode },
-
-          Package: [{
-            PackagingType: { Code: "02" }, // customer-supplied
-            Dimensions: {
-              UnitOfMeasurement: { Code: "IN" },
-              Length: length,
-              Width: width,
-              Height: height,
-            },
-            PackageWeight: {
-              UnitOfMeasurement: { Code: "LBS" },
-              Weight: weight,
-            },
-          }],
-        },
-        AdditionalInfo: {
-          ReturnTransitTimes: "Y",
-          NegotiatedRatesIndicator: shipperNumber ? "Y" : undefined,
-        },
-      },
+    const servicesToTry = serviceCodes.length
+      ? serviceCodes
+      : adapter.name === CARRIER.UPS ? ["03"] : []; // 03 = UPS Ground
+
+    const { rates, errors: serviceErrors } = await adapter.rate({
+      from: { zip: fromZip, country: "US" },
+      to: { zip: toZip, country: "US", residential: true }, // treat as residential
+      parcel,
+      services: servicesToTry,
     });
 
-    const results = await Promise.allSettled(
-      servicesToTry.map(async (svc) => {
-        const body = buildRateBody(svc);
-        const resp = await axios.post(`${apiBase}/api/rating/v2403/Rate`, body, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-            Accept: "application/json",
-          },
-          validateStatus: () => true,
-        });
-
-        if (resp.status >= 400) {
-          const upsErr =
-            resp.data?.response?.errors?.[0] ||
-            resp.data?.response?.Errors?.Error?.[0] ||
-            resp.data?.Fault ||
-            resp.data;
-          console.error("UPS Rating error:", JSON.stringify(upsErr, null, 2), {
-            fromZip, toZip, env: process.env.UPS_ENV, service: svc, usedShipperNumber: Boolean(shipperNumber),
-          });
-          throw {
-            code: upsErr?.code || upsErr?.Code || String(resp.status),
-            message: upsErr?.message || upsErr?.responseStatus?.description || "UPS rating failed",
-            service: svc,
-          };
-        }
-
-        // Normalize one response
-        const rated = resp.data?.RateResponse?.RatedShipment || [];
-        const rows = (Array.isArray(rated) ? rated : [rated]).filter(Boolean).map((r) => {
-          const serviceCode = r?.Service?.Code || svc;
-          const serviceName = r?.Service?.Description || serviceCode;
-
-          const published = r?.TotalCharges || r?.ShipmentTotalCharges; // some tenants use ShipmentTotalCharges
-          const negotiated = r?.NegotiatedRateCharges?.TotalCharge;
-
-          // Keep both list & negotiated, select best available
-          const listAmount = published?.MonetaryValue != null ? parseFloat(published.MonetaryValue) : null;
-          const negotiatedAmount = negotiated?.MonetaryValue != null ? parseFloat(negotiated.MonetaryValue) : null;
-          const listCurrency = published?.CurrencyCode || "USD";
-          const negotiatedCurrency = negotiated?.CurrencyCode || listCurrency;
-
-          // choose negotiated if present, else list
-          const amount = negotiatedAmount ?? listAmount;
-          const currency = negotiatedAmount != null ? negotiatedCurrency : listCurrency;
-
-          const days =
-            Number(r?.GuaranteedDelivery?.BusinessDaysInTransit) ||
-            Number(r?.TimeInTransit?.ServiceSummary?.EstimatedArrival?.BusinessDaysInTransit) ||
-            null;
-
-          return {
-            carrier: "UPS",
-            serviceCode,
-            serviceName,
-            // main price used by UI:
-            amount: typeof amount === "number" && !Number.isNaN(amount) ? amount : null,
-            currency,
-            // extras so you can compare in UI if desired:
-            listAmount,
-            negotiatedAmount,
-            estBusinessDays: days,
-            _rawLite: debug ? { // tiny debug subset; avoids massive payloads
-              Money: { list: published, negotiated: r?.NegotiatedRateCharges },
-              Codes: { serviceCode },
-            } : undefined,
-          };
-        });
-
-        return rows;
-      })
-    );
-
-    const rates = [];
-    const serviceErrors = [];
-    for (const r of results) {
-      if (r.status === "fulfilled") rates.push(...r.value);
-      else serviceErrors.push(r.reason);
-    }
-
     // Keep only rows that have a real > 0 price
     const priced = rates.filter(x => typeof x.amount === "number" && x.amount > 0);
 
@@ -2077,27 +1659,33 @@ router.get("/order/:id/shipping-quote", isUserAuthorized, async (req, res) => {
       // If nothing priced, surface error instead of sending $0
       return res.status(400).json({
         success: false,
-        error: "No billable UPS rate returned for this shipment.",
+        error: `No billable ${adapter.name} rate returned for this shipment.`,
         details: {
-          fromZip, toZip, env: process.env.UPS_ENV,
+          fromZip, toZip, carrier: adapter.name, mock: adapter.mock || undefined,
           servicesTried: servicesToTry,
           serviceErrors: serviceErrors.length ? serviceErrors : undefined,
-          hint: "Check parcel weight/dims, PickupType/Service, and ZIPs. In CIE, avoid ShipperNumber.",
-          debugRaw: debug ? "Enable server logs to inspect full UPS payload." : undefined,
+          hint: "Check parcel weight/dims, service codes, and ZIPs.",
+          debugRaw: debug ? `Enable server logs to inspect the full ${adapter.name} payload.` : undefined,
         },
       });
     }
 
+    // 🔏 Each rate comes with a token the buyer sends back to PUT /order/:id/shipping
+    for (const rate of priced) {
+      rate.quoteToken = signShippingQuote({ orderId: order._id, toZip, ...rate });
+    }
+
     const cheapest = [...priced].sort((a, b) => a.amount - b.amount)[0];
     const fastest = [...priced].sort((a, b) => (a.estBusinessDays ?? 999) - (b.estBusinessDays ?? 999))[0];
 
     return res.json({
       success: true,
       parcelDefaultsUsed: parcel,
+      quoteExpiresInMinutes: SHIPPING_QUOTE_TTL_MINUTES,
       rates: priced,
       picks: { cheapest, fastest },
       partialErrors: serviceErrors.length ? serviceErrors : undefined,
-      meta: debug ? { fromZip, toZip, env: process.env.UPS_ENV, servicesTried: servicesToTry } : undefined,
+      meta: debug ? { fromZip, toZip, carrier: adapter.name, mock: adapter.mock, servicesTried: servicesToTry } : undefined,
     });
   } catch (err) {
     console.error("shipping-quote error:", err?.response?.data || err);
@@ -2225,7 +1813,7 @@ async function pollDueHandler(req, res) {
     const now = new Date();
     const due = await OrderModel.find({
       "shipping.trackingNumber": { $exists: true, $ne: null },
-      "shipping.shipmentStatus": { $ne: SHIPMENT_STATUS.DELIVERED },
+      "shipping.shipmentStatus": { $nin: [SHIPMENT_STATUS.DELIVERED, SHIPMENT_STATUS.RETURNED] },
       $or: [
         { "shipping.nextPollAt": { $lte: now } },
         { "shipping.nextPollAt": { $exists: false } }
@@ -2239,88 +1827,23 @@ async function pollDueHandler(req, res) {
 
     for (const order of due) {
       const tn = order.shipping?.trackingNumber;
-      const carrierName = String(order.shipping?.carrier || "").toLowerCase();
       const prevStatus = order.shipping?.shipmentStatus || null;
       const attempts = order.shipping?.pollAttempts || 0;
 
       try {
-        let newStatus = prevStatus;
-        let newEvents = order.shipping?.trackingEvents || [];
-
-        if (carrierName === "ups" || /^1Z[0-9A-Z]{16}$/.test(tn)) {
-          const data = await trackWithUPS(tn);
-          const pkg = data?.trackResponse?.shipment?.[0]?.package?.[0];
-          if (!pkg) throw new Error("UPS: no package data");
-          newStatus = mapUpsStatus(pkg.currentStatus || {});
-          const acts = Array.isArray(pkg.activity) ? pkg.activity : [];
-          newEvents = acts.map(a => {
-            const dt = parseUpsDate(a?.date, a?.time);
-            const loc = [a?.activityLocation?.address?.city, a?.activityLocation?.address?.stateProvince, a?.activityLocation?.address?.country]
-              .filter(Boolean).join(", ");
-            const ev = {
-              status: String(a?.status?.description || "").toLowerCase(),
-              message: a?.status?.description || a?.activityScan || "",
-              location: loc,
-            };
-            if (dt) ev.datetime = dt;
-            return ev;
-          }).filter(e => !("datetime" in e) || (e.datetime instanceof Date && !isNaN(e.datetime)));
-          if (newStatus === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
-            order.shipping.deliveredAt = new Date();
-          }
-        } else if (carrierName === "fedex") {
-          const fedex = await trackWithFedex(tn);
-          const root = fedex?.output?.completeTrackResults?.[0]?.trackResults?.[0];
-          if (!root) throw new Error("FedEx: no track results");
-          const latest = root?.latestStatusDetail || {};
-          newStatus = mapFedexStatus(latest);
-          const scans = Array.isArray(root?.scanEvents) ? root.scanEvents : [];
-          newEvents = scans.map(ev => {
-            const dt = parseFedexDate(ev?.date || ev?.dateTime || ev?.eventDateTime);
-            const addr = ev?.scanLocation || ev?.scanLocation?.address || ev?.location || {};
-            const loc = [addr?.city, addr?.stateOrProvinceCode, addr?.countryCode || addr?.countryName]
-              .filter(Boolean).join(", ");
-            const e = {
-              status: String(ev?.eventDescription || ev?.derivedStatus || "").toLowerCase(),
-              message: ev?.eventDescription || ev?.derivedStatus || latest?.description || "",
-              location: loc,
-            };
-            if (dt) e.datetime = dt;
-            return e;
-          }).filter(e => !("datetime" in e) || (e.datetime instanceof Date && !isNaN(e.datetime)));
-          if (newStatus === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
-            const deliveredScan = scans.find(s => /delivered/i.test(s?.eventDescription || ""));
-            order.shipping.deliveredAt = deliveredScan
-              ? parseFedexDate(deliveredScan?.date || deliveredScan?.dateTime || deliveredScan?.eventDateTime) || new Date()
-              : new Date();
-          }
-        } else {
-          const slug = carrierName || "auto";
-          const fetched = await axios.get(
-            `https://api.aftership.com/v4/trackings/${slug}/${encodeURIComponent(tn)}`,
-            { headers: { "aftership-api-key": process.env.AFTERSHIP_API_KEY } }
-          );
-          const t = fetched.data?.data?.tracking;
-          if (!t) throw new Error("AfterShip: no tracking");
-          newStatus = mapStatus(t.tag || t.subtag || t.status);
-          const cps = Array.isArray(t.checkpoints) ? t.checkpoints : [];
-          newEvents = cps.map(c => {
-            const dt = c.checkpoint_time ? new Date(c.checkpoint_time) : undefined;
-            const ev = {
-              status: String(c.tag || c.subtag || c.status || "").toLowerCase(),
-              message: c.message || c.checkpoint_message,
-              location: [c.city, c.state, c.country_name].filter(Boolean).join(", "),
-            };
-            if (dt && !isNaN(dt)) ev.datetime = dt;
-            return ev;
-          });
-          if (newStatus === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
-            order.shipping.deliveredAt = new Date();
-          }
+        const tracked = await trackShipment(tn, order.shipping?.carrier, { allowMock: mockTrackingAllowed() });
+        let newStatus = tracked.status;
+        if (newStatus === SHIPMENT_STATUS.DELIVERED && !order.shipping.deliveredAt) {
+          order.shipping.deliveredAt = tracked.deliveredAt || new Date();
         }
 
-        order.shipping.trackingEvents = newEvents;
-        order.shipping.shipmentStatus = newStatus;
+        order.shipping.trackingEvents = tracked.events;
+        // Ignore carrier updates that would move a finished shipment backwards
+        if (canTransitionShipment(prevStatus, newStatus)) {
+          transitionShipment(order, newStatus, { actor: ORDER_ACTOR.CARRIER, reason: "Tracking poll" });
+        } else {
+          newStatus = order.shipping.shipmentStatus;
+        }
         order.shipping.lastPolledAt = new Date();
         order.shipping.pollAttempts = attempts + 1;
 
@@ -2371,7 +1894,10 @@ async function pollDueHandler(req, res) {
       }
     }
 
-    return res.json({ ok: true, processed: due.length, results });
+    // Return shipments heading back to artists ride along on the same schedule
+    const returns = await pollReturnShipments();
+
+    return res.json({ ok: true, processed: due.length, results, returns });
   } catch (e) {
     console.error("poll-due error", e);
     return res.status(500).json({ ok: false, error: "poll failed" });
@@ -2394,11 +1920,18 @@ router.post("/finalize-payment", isUserAuthorized, async (req, res) => {
     if (String(order.userId) !== String(req.user._id)) {
       return res.status(403).json({ success: false, error: "Not allowed" });
     }
+    if (order.checkoutId) return res.status(409).json({ success: false, error: checkoutOrderError(order) });
 
     // If already paid, return quickly (idempotent)
     if ((order.status || "").toLowerCase() === "paid") {
       return res.json({ success: true, data: { orderId: String(order._id), status: "already_paid" } });
     }
+    if ((order.status || "").toLowerCase() === "refunded") {
+      return res.status(409).json({ success: false, error: "This payment was refunded.", data: { orderId: String(order._id), status: "refunded" } });
+    }
+    if (!canTransition(order.status, ORDER_STATUS.PAID)) {
+      return res.status(409).json({ success: false, error: `Order is ${order.status}`, data: { orderId: String(order._id), status: order.status } });
+    }
 
     // Pull PI (expand latest_charge so we can save chargeId)
     const pi = await stripe.paymentIntents.retrieve(String(paymentIntentId), { expand: ["latest_charge"] });
@@ -2428,7 +1961,11 @@ router.post("/finalize-payment", isUserAuthorized, async (req, res) => {
     const totalCents    = toPosInt(pi?.metadata?.total,       baseCents + shippingCents + taxCents);
 
     // ✅ Persist order state
-    order.status = "paid";
+    transitionOrder(order, ORDER_STATUS.PAID, {
+      actor: ORDER_ACTOR.BUYER,
+      actorId: req.user._id,
+      reason: "finalize-payment",
+    });
     order.paymentIntentId = pi.id;
     order.paidAt = new Date();
     order.baseAmount = baseCents;
@@ -2441,13 +1978,26 @@ router.post("/finalize-payment", isUserAuthorized, async (req, res) => {
     order.transferGroup = order.transferGroup || transferGroup;
 
     await order.save();
-
-    // ✅ Mark image SOLD (idempotent)
-    await ImageModel.findOneAndUpdate(
-      { _id: order.imageId, soldStatus: { $ne: "sold" } },
-      { soldStatus: "sold" },
-      { new: true }
-    );
+    // Idempotent with the webhook
+    recordOrderLedger(order._id);
+    recordCouponRedemption(order).catch((err) =>
+      console.error(`Coupon redemption for order ${order._id} failed:`, err?.message || err));
+
+    // ✅ Take the sale out of inventory / mark SOLD (idempotent with the webhook)
+    const sale = await commitSale(order._id);
+    if (sale.reason === "sold_out") {
+      await refundSoldOutPayment(order._id, pi.id);
+      return res.status(409).json({
+        success: false,
+        error: "This artwork sold out before your payment went through. You've been refunded in full.",
+        data: { orderId: String(order._id), status: "refunded" },
+      });
+    }
+    // The webhook got here first and already notified everyone
+    if (sale.reason === "already_committed") {
+      return res.json({ success: true, data: { orderId: String(order._id), status: order.status } });
+    }
+    if (sale.committed) await issueSaleDocuments(order._id);
 
     // ✅ Notifications (best-effort)
     const notifData = { artName: order.artName, price: order.baseAmount, imageLink: order.imageLink };
@@ -2493,7 +2043,7 @@ router.get("/order/:id/payout-preview", isAdminAuthorized, async (req, res) => {
   try {
     const order = await OrderModel.findById(req.params.id).lean();
     if (!order) return res.status(404).json({ success: false, error: "Order not found" });
-    if (!order.paymentIntentId || !order.chargeId)
+    if (!order.chargeId)
       return res.status(400).json({ success: false, error: "Order has no charge yet" });
 
     // Pull charge w/ balance transaction to read Stripe fees & net
@@ -2504,20 +2054,32 @@ router.get("/order/:id/payout-preview", isAdminAuthorized, async (req, res) => {
     const base     = posInt(order.baseAmount ?? order.price);
     const shipping = posInt(order.shippingAmount);
     const tax      = posInt(order.taxAmount);
-    const stripeFee = posInt(bt.fee);
-    const net       = posInt(bt.net);  // gross - stripeFee
-
-    const platformHoldOnBase = Math.round(base * 0.03); // 3%
-    const sellerTarget = Math.max(0, (net - tax) - platformHoldOnBase);
+    // A cart checkout's charge is shared; each order takes its part of the fee
+    const { fee: stripeFee, net } = chargeShare(order, bt);  // net = gross - stripeFee
+
+    const commission = orderCommission(order);
+    const { platformHoldOnBase } = commission;
+    const discount = orderDiscount(order);
+    const refunded = posInt(order.refundedCents);
+    // A platform-funded discount is made up to the seller out of the platform's share
+    // (and taken back in step with refunds)
+    // Store credit paid part of the total without going through the charge
+    const storeCredit = orderStoreCredit(order);
+    const sellerTarget = Math.max(0,
+      (net + storeCredit - tax) - platformHoldOnBase + discount.platformFunded - refunded - refundedSubsidyCents(order));
     const alreadySent  = posInt(order.sellerTransferredCents || 0);
-    const remaining    = Math.max(0, sellerTarget - alreadySent);
+    // What POST /order/:id/payout (and the payout engine) would send now
+    const remaining    = payoutRemainingCents(order);
 
     return res.json({
       success: true,
       data: {
-        amounts: { base, shipping, tax, total: posInt(order.totalAmount) },
+        amounts: { base, discount: discount.amount, shipping, tax, total: posInt(order.totalAmount) },
         stripe:  { fee: stripeFee, net },
-        policy:  { platformHoldOnBase },
+        storeCredit,
+        policy:  { platformHoldOnBase, sellerDueCents: posInt(order.sellerDueCents), commission, discount },
+        refunded,
+        payoutHold: order.payoutHold?.since ? order.payoutHold : null,
         seller:  { target: sellerTarget, alreadySent, remaining }
       }
     });
@@ -2535,80 +2097,32 @@ router.post("/order/:id/payout", isAdminAuthorized, async (req, res) => {
   try {
     const order = await OrderModel.findById(req.params.id);
     if (!order) return res.status(404).json({ success: false, error: "Order not found" });
-    if ((order.status || "").toLowerCase() !== "paid")
+    if (![ORDER_STATUS.PAID, ORDER_STATUS.COMPLETED].includes(order.status))
       return res.status(400).json({ success: false, error: "Order not paid" });
     if (!order.artistStripeId)
       return res.status(400).json({ success: false, error: "Seller not connected to Stripe" });
     if (!order.chargeId)
       return res.status(400).json({ success: false, error: "Order chargeId missing" });
-
-    // Read Stripe fee + net from the charge’s balance transaction
-    const charge = await stripe.charges.retrieve(order.chargeId, { expand: ["balance_transaction"] });
-    const bt = charge.balance_transaction;
-    if (!bt) return res.status(409).json({ success: false, error: "Balance transaction not available yet" });
-
-    const base     = posInt(order.baseAmount ?? order.price);
-    const shipping = posInt(order.shippingAmount);
-    const tax      = posInt(order.taxAmount);
-    const stripeFee = posInt(bt.fee);
-    const net       = posInt(bt.net);
-
-    // Policy: hold 100% of tax + 3% of base; pay remainder after Stripe fee
-    const platformHoldOnBase = Math.round(base * 0.03);
-    const sellerTarget = Math.max(0, (net - tax) - platformHoldOnBase);
-
-    // Respect previous partial payouts
-    const alreadySent = posInt(order.sellerTransferredCents || 0);
-    let remaining = Math.max(0, sellerTarget - alreadySent);
-
-    // Optional cap (e.g., to split into chunks)
-    const cap = posInt(req.body?.amountCents);
-    if (cap > 0) remaining = Math.min(remaining, cap);
-
-    if (remaining === 0) {
+    if (order.payoutHold?.since)
+      return res.status(409).json({ success: false, error: `Payout on hold: ${order.payoutHold.reason}` });
+    // Wait for an open return to settle; its refund comes out of the seller's share
+    if (await ReturnRequest.exists({ orderId: order._id, status: { $in: OPEN_RETURN_STATUSES } }))
+      return res.status(409).json({ success: false, error: "Order has an open return" });
+
+    // Same share, claim and idempotency key as the payout engine, so the two can't both pay it
+    const payout = await payOutOrderNow(order._id, { capCents: posInt(req.body?.amountCents) });
+    const seller = { alreadySent: payout.alreadySent, remaining: payout.remaining };
+    if (!payout.transfer) {
       return res.status(200).json({
         success: true,
-        message: "Nothing to pay (already paid out or not enough net funds).",
-        data: { sellerTarget, alreadySent, remaining: 0 }
+        message: "Nothing to pay (already paid out).",
+        data: { seller },
       });
     }
 
-    // Create transfer linked to the original charge
-    const transferGroup = order.transferGroup || `order_${order._id}`;
-    const idempotencyKey = `transfer_order_${order._id}_${alreadySent + remaining}`;
-
-    const transfer = await stripe.transfers.create({
-      amount: remaining,
-      currency: "usd",
-      destination: order.artistStripeId,
-      transfer_group: transferGroup,
-      source_transaction: order.chargeId, // ensures funds come from this charge when available
-      metadata: {
-        orderId: String(order._id),
-        base: String(base),
-        shipping: String(shipping),
-        tax: String(tax),
-        stripeFee: String(stripeFee),
-        platformHoldOnBase: String(platformHoldOnBase)
-      }
-    }, { idempotencyKey });
-
-    // Bookkeeping
-    order.sellerTransferredCents = (order.sellerTransferredCents || 0) + remaining;
-    await order.save();
-
-    return res.status(200).json({
-      success: true,
-      data: {
-        transfer,
-        seller: {
-          target: sellerTarget,
-          alreadySent: order.sellerTransferredCents,
-          remaining: Math.max(0, sellerTarget - order.sellerTransferredCents)
-        }
-      }
-    });
+    return res.status(200).json({ success: true, data: { transfer: payout.transfer, seller } });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message });
     console.error("Error creating payout:", error);
     return res.status(500).json({ success: false, error: error.message || "Payout failed" });
   }
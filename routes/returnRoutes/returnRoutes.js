@@ -0,0 +1,450 @@
+// routes/returnRoutes/returnRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import multer from "multer";
+import ReturnRequest, {
+  RETURN_STATUS,
+  RETURN_REASON,
+  OPEN_RETURN_STATUSES,
+  MAX_RETURN_PHOTOS,
+} from "../../models/returnRequest.js";
+import OrderModel, { ORDER_ACTOR, SHIPMENT_STATUS } from "../../models/orders.js";
+import { NOTIFICATION_TYPE } from "../../models/notifications.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import { receiveUpload } from "../../utils/upload.js";
+import { notifyAdmins } from "../../services/adminNotify.js";
+import { ACCEPTED_MIME_TYPES, MAX_UPLOAD_BYTES, processEvidencePhoto } from "../../services/imageProcessing.js";
+import { getStorage } from "../../services/storage/index.js";
+import { validateRefundAmount } from "../../services/refunds.js";
+import { trackShipment, mockTrackingAllowed, computeNextPollAt } from "../../services/shipmentTracking.js";
+import {
+  returnUnavailableReason,
+  returnWindowEndsAt,
+  notifyReturn,
+  refundReturn,
+} from "../../services/returns.js";
+
+const router = express.Router();
+
+// Multer for return photos (kept in memory for sharp)
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_RETURN_PHOTOS },
+  fileFilter: (_req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+      const e = new Error("Unsupported image type. Please upload a JPEG, PNG, WebP, AVIF or TIFF file.");
+      e.status = 400;
+      return cb(e);
+    }
+    cb(null, true);
+  },
+});
+
+const receivePhotos = receiveUpload(photoUpload, "photos", "Image file is too large (max 25MB)", {
+  maxCount: MAX_RETURN_PHOTOS,
+  tooManyMessage: `At most ${MAX_RETURN_PHOTOS} photos`,
+});
+
+function cleanMessage(value, max = 1000) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, max) : undefined;
+}
+
+// Which side of the return the current user is on (null for strangers)
+function partyOf(returnRequest, userId) {
+  if (String(returnRequest.buyerUserId) === String(userId)) return "buyer";
+  if (String(returnRequest.artistUserId) === String(userId)) return "artist";
+  return null;
+}
+
+// Load a return the current user is part of, or answer with an error
+async function loadReturn(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, error: "Invalid return id" });
+    return {};
+  }
+  const returnRequest = await ReturnRequest.findById(id);
+  const party = returnRequest && partyOf(returnRequest, req.user._id);
+  if (!returnRequest || !party) {
+    res.status(404).json({ success: false, error: "Return not found" });
+    return {};
+  }
+  return { returnRequest, party };
+}
+
+// Move a return on only if it is still in `from`; null when someone got there first
+function advanceReturn(returnRequest, from, set, event) {
+  return ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: { $in: from } },
+    { $set: set, $push: { history: { ...event, at: new Date() } } },
+    { new: true, runValidators: true }
+  );
+}
+
+function conflict(res) {
+  return res.status(409).json({ success: false, error: "This return has changed. Please refresh." });
+}
+
+/**
+ * POST /order/:id/returns — buyer asks to return a delivered order
+ * multipart: reason, details?, refundTo? ("store_credit"), photos[] (up to 6)
+ */
+router.post("/order/:id/returns", isUserAuthorized, receivePhotos, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+
+    const order = await OrderModel.findById(id);
+    if (!order || String(order.userId) !== String(req.user._id)) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    const unavailable = returnUnavailableReason(order);
+    if (unavailable) return res.status(400).json({ success: false, error: unavailable });
+
+    const reason = String(req.body?.reason || "");
+    if (!Object.values(RETURN_REASON).includes(reason)) {
+      return res.status(400).json({ success: false, error: "Please choose a return reason" });
+    }
+
+    const open = await ReturnRequest.exists({ orderId: order._id, status: { $in: OPEN_RETURN_STATUSES } });
+    if (open) {
+      return res.status(409).json({ success: false, error: "A return is already open for this order" });
+    }
+
+    const returnId = new mongoose.Types.ObjectId();
+    const storage = getStorage();
+    const photos = [];
+    for (const [i, file] of (req.files || []).entries()) {
+      const processed = await processEvidencePhoto(file.buffer);
+      const stored = await storage.put(`returns/${order._id}/${returnId}_${i}.${processed.format}`, processed.buffer, {
+        contentType: `image/${processed.format}`,
+      });
+      photos.push(stored.url);
+    }
+
+    const details = cleanMessage(req.body?.details, 2000);
+    const returnRequest = await ReturnRequest.create({
+      _id: returnId,
+      orderId: order._id,
+      imageId: order.imageId,
+      buyerUserId: order.userId,
+      artistUserId: order.artistUserId,
+      reason,
+      details,
+      photos,
+      refundToStoreCredit: req.body?.refundTo === "store_credit",
+      history: [{ by: "buyer", action: "request", message: details }],
+    });
+
+    notifyReturn({
+      recipientUserId: order.artistUserId,
+      actorUserId: order.userId,
+      type: NOTIFICATION_TYPE.RETURN_REQUESTED,
+      title: "Return requested",
+      message: `The buyer of “${order.artName}” asked to return it (${reason.replace(/_/g, " ")}).`,
+      returnRequest,
+      order,
+    });
+    notifyAdmins("returnRequested", {
+      artName: order.artName,
+      artistName: order.artistName,
+      orderId: String(order._id),
+      reason,
+    });
+
+    return res.status(201).json({ success: true, data: returnRequest });
+  } catch (err) {
+    console.error("POST /order/:id/returns error:", err);
+    return res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : "Failed to request return",
+    });
+  }
+});
+
+/**
+ * GET /order/:id/returns — returns on an order (buyer or artist)
+ */
+router.get("/order/:id/returns", isUserAuthorized, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid order id" });
+    }
+
+    const order = await OrderModel.findById(id).select("userId artistUserId shipping status").lean();
+    const userId = String(req.user._id);
+    if (!order || (String(order.userId) !== userId && String(order.artistUserId) !== userId)) {
+      return res.status(404).json({ success: false, error: "Order not found" });
+    }
+
+    const returns = await ReturnRequest.find({ orderId: id }).sort({ createdAt: -1 }).lean();
+    return res.json({
+      success: true,
+      data: {
+        returns,
+        windowEndsAt: returnWindowEndsAt(order),
+        canRequest: String(order.userId) === userId
+          && !returnUnavailableReason(order)
+          && !returns.some((r) => OPEN_RETURN_STATUSES.includes(r.status)),
+      },
+    });
+  } catch (err) {
+    console.error("GET /order/:id/returns error:", err);
+    return res.status(500).json({ success: false, error: "Failed to load returns" });
+  }
+});
+
+/**
+ * GET /returns/:id
+ */
+router.get("/returns/:id", isUserAuthorized, async (req, res) => {
+  try {
+    const { returnRequest } = await loadReturn(req, res);
+    if (!returnRequest) return;
+    return res.json({ success: true, data: returnRequest });
+  } catch (err) {
+    console.error("GET /returns/:id error:", err);
+    return res.status(500).json({ success: false, error: "Failed to load return" });
+  }
+});
+
+/**
+ * POST /returns/:id/approve — artist accepts the return
+ * body: { refundAmountCents?, requiresReturnShipment?, message? }
+ * Without a return shipment the buyer is refunded right away.
+ */
+router.post("/returns/:id/approve", isUserAuthorized, async (req, res) => {
+  try {
+    const { returnRequest, party } = await loadReturn(req, res);
+    if (!returnRequest) return;
+    if (party !== "artist") return res.status(403).json({ success: false, error: "Only the artist can approve a return" });
+    if (returnRequest.status !== RETURN_STATUS.REQUESTED) return conflict(res);
+
+    const order = await OrderModel.findById(returnRequest.orderId);
+    if (!order) return res.status(404).json({ success: false, error: "Order not found" });
+
+    const { amountCents, error } = validateRefundAmount(order, req.body?.refundAmountCents);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const requiresReturnShipment = req.body?.requiresReturnShipment !== false;
+    const message = cleanMessage(req.body?.message);
+    let updated = await advanceReturn(
+      returnRequest,
+      [RETURN_STATUS.REQUESTED],
+      { status: RETURN_STATUS.APPROVED, refundAmount: amountCents, requiresReturnShipment, artistMessage: message },
+      { by: "artist", action: "approve", message }
+    );
+    if (!updated) return conflict(res);
+
+    const dollars = `$${(amountCents / 100).toFixed(2)}`;
+    if (!requiresReturnShipment) {
+      ({ returnRequest: updated } = await refundReturn(updated, { actor: ORDER_ACTOR.ARTIST, actorId: req.user._id }));
+    }
+
+    notifyReturn({
+      recipientUserId: order.userId,
+      actorUserId: order.artistUserId,
+      type: NOTIFICATION_TYPE.RETURN_APPROVED,
+      title: "Return approved",
+      message: requiresReturnShipment
+        ? `Your return of “${order.artName}” was approved. Ship it back and add tracking to get ${dollars} refunded.`
+        : `Your return of “${order.artName}” was approved. You don't need to send it back.`,
+      returnRequest: updated,
+      order,
+    });
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    console.error("POST /returns/:id/approve error:", err);
+    return res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : "Failed to approve return",
+    });
+  }
+});
+
+/**
+ * POST /returns/:id/reject — artist declines the return
+ * body: { message }
+ */
+router.post("/returns/:id/reject", isUserAuthorized, async (req, res) => {
+  try {
+    const { returnRequest, party } = await loadReturn(req, res);
+    if (!returnRequest) return;
+    if (party !== "artist") return res.status(403).json({ success: false, error: "Only the artist can reject a return" });
+
+    const message = cleanMessage(req.body?.message);
+    if (!message) return res.status(400).json({ success: false, error: "Please tell the buyer why" });
+
+    const updated = await advanceReturn(
+      returnRequest,
+      [RETURN_STATUS.REQUESTED],
+      { status: RETURN_STATUS.REJECTED, artistMessage: message },
+      { by: "artist", action: "reject", message }
+    );
+    if (!updated) return conflict(res);
+
+    const order = await OrderModel.findById(updated.orderId).lean();
+    if (order) {
+      notifyReturn({
+        recipientUserId: order.userId,
+        actorUserId: order.artistUserId,
+        type: NOTIFICATION_TYPE.RETURN_REJECTED,
+        title: "Return declined",
+        message: `Your return of “${order.artName}” was declined: ${message}`,
+        returnRequest: updated,
+        order,
+      });
+    }
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    console.error("POST /returns/:id/reject error:", err);
+    return res.status(500).json({ success: false, error: "Failed to reject return" });
+  }
+});
+
+/**
+ * POST /returns/:id/cancel — buyer withdraws the return before shipping it
+ */
+router.post("/returns/:id/cancel", isUserAuthorized, async (req, res) => {
+  try {
+    const { returnRequest, party } = await loadReturn(req, res);
+    if (!returnRequest) return;
+    if (party !== "buyer") return res.status(403).json({ success: false, error: "Only the buyer can cancel a return" });
+
+    const updated = await advanceReturn(
+      returnRequest,
+      [RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED],
+      { status: RETURN_STATUS.CANCELLED },
+      { by: "buyer", action: "cancel" }
+    );
+    if (!updated) return conflict(res);
+
+    const order = await OrderModel.findById(updated.orderId).lean();
+    if (order) {
+      notifyReturn({
+        recipientUserId: order.artistUserId,
+        actorUserId: order.userId,
+        type: NOTIFICATION_TYPE.RETURN_CANCELLED,
+        title: "Return cancelled",
+        message: `The buyer cancelled their return of “${order.artName}”.`,
+        returnRequest: updated,
+        order,
+      });
+    }
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    console.error("POST /returns/:id/cancel error:", err);
+    return res.status(500).json({ success: false, error: "Failed to cancel return" });
+  }
+});
+
+/**
+ * PATCH /returns/:id/tracking — buyer adds the return shipment's tracking
+ * body: { trackingNumber, carrier }
+ */
+router.patch("/returns/:id/tracking", isUserAuthorized, async (req, res) => {
+  try {
+    const { returnRequest, party } = await loadReturn(req, res);
+    if (!returnRequest) return;
+    if (party !== "buyer") return res.status(403).json({ success: false, error: "Only the buyer can add return tracking" });
+    if (returnRequest.status !== RETURN_STATUS.APPROVED || !returnRequest.requiresReturnShipment) {
+      return res.status(409).json({ success: false, error: "This return isn't waiting for a shipment" });
+    }
+
+    const trackingNumber = String(req.body?.trackingNumber || "").trim().toUpperCase();
+    const carrier = String(req.body?.carrier || "").trim();
+    if (!trackingNumber || !carrier) {
+      return res.status(400).json({ success: false, error: "trackingNumber and carrier are required" });
+    }
+
+    const tracked = await trackShipment(trackingNumber, carrier, { allowMock: mockTrackingAllowed() });
+    const status = tracked.status || SHIPMENT_STATUS.SHIPPED;
+    const returnShipping = {
+      trackingNumber,
+      carrier: tracked.carrier,
+      shipmentStatus: status,
+      trackingEvents: tracked.events,
+      aftershipTrackingId: tracked.aftershipTrackingId,
+      shippedAt: new Date(),
+      deliveredAt: tracked.deliveredAt,
+      lastPolledAt: new Date(),
+      pollAttempts: 0,
+      nextPollAt: status === SHIPMENT_STATUS.DELIVERED ? null : computeNextPollAt(status, 0),
+    };
+
+    const updated = await advanceReturn(
+      returnRequest,
+      [RETURN_STATUS.APPROVED],
+      { status: RETURN_STATUS.SHIPPED, returnShipping },
+      { by: "buyer", action: "ship", message: `${tracked.carrier} ${trackingNumber}` }
+    );
+    if (!updated) return conflict(res);
+
+    const order = await OrderModel.findById(updated.orderId).lean();
+    if (order) {
+      notifyReturn({
+        recipientUserId: order.artistUserId,
+        actorUserId: order.userId,
+        type: NOTIFICATION_TYPE.RETURN_SHIPPED,
+        title: "Return shipped",
+        message: `The buyer shipped “${order.artName}” back via ${tracked.carrier} (${trackingNumber}).`,
+        returnRequest: updated,
+        order,
+      });
+    }
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    console.error("PATCH /returns/:id/tracking error:", err?.response?.data || err);
+    return res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : "Failed to add return tracking",
+    });
+  }
+});
+
+/**
+ * POST /returns/:id/received — artist confirms the piece came back; refunds the buyer
+ */
+router.post("/returns/:id/received", isUserAuthorized, async (req, res) => {
+  try {
+    const { returnRequest, party } = await loadReturn(req, res);
+    if (!returnRequest) return;
+    if (party !== "artist") return res.status(403).json({ success: false, error: "Only the artist can confirm a return" });
+
+    // RECEIVED is kept if the refund fails, so the artist can retry.
+    // Approved returns without a shipment land here too when their refund failed.
+    const from = returnRequest.requiresReturnShipment
+      ? [RETURN_STATUS.SHIPPED, RETURN_STATUS.RECEIVED]
+      : [RETURN_STATUS.APPROVED, RETURN_STATUS.RECEIVED];
+    const updated = await advanceReturn(
+      returnRequest,
+      from,
+      { status: RETURN_STATUS.RECEIVED },
+      { by: "artist", action: "receive", message: cleanMessage(req.body?.message) }
+    );
+    if (!updated) return conflict(res);
+
+    const { returnRequest: refunded } = await refundReturn(updated, {
+      actor: ORDER_ACTOR.ARTIST,
+      actorId: req.user._id,
+    });
+
+    return res.json({ success: true, data: refunded });
+  } catch (err) {
+    console.error("POST /returns/:id/received error:", err);
+    return res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : "Failed to refund return",
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import ImageModel from '../../models/images.js';
+import ImageModel, { LISTED_IMAGE_FILTER } from '../../models/images.js';
 import { searchPublicArt } from '../../services/publicArt.js';
 
 const router = express.Router();
@@ -20,7 +20,7 @@ router.get('/', async (req, res) => {
 
   const [marketplaceSettled, publicDomainSettled] = await Promise.allSettled([
     ImageModel.find({
-      stage: 'approved',
+      ...LISTED_IMAGE_FILTER,
       $or: [
         { name: regex },
         { artistName: regex },
@@ -1,5 +1,5 @@
 import express from "express";
-import Image from "../../models/images.js";
+import Image, { LISTED_IMAGE_FILTER } from "../../models/images.js";
 
 const router = express.Router();
 
@@ -18,7 +18,7 @@ const STATIC_PAGES = [
 router.get("/sitemap.xml", async (req, res) => {
   try {
     const artworks = await Image.find(
-      { stage: "approved" },
+      LISTED_IMAGE_FILTER,
       { _id: 1, name: 1, artistName: 1, updatedAt: 1 }
     ).lean();
 
@@ -0,0 +1,132 @@
+// routes/storeCreditRoutes/storeCreditRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import OrderModel from "../../models/orders.js";
+import StoreCreditEntry from "../../models/storeCreditEntry.js";
+import { isUserAuthorized } from "../../utils/authUtils.js";
+import {
+  storeCreditBalance,
+  applyStoreCredit,
+  removeStoreCredit,
+  orderStoreCredit,
+} from "../../services/storeCredit.js";
+
+const router = express.Router();
+
+const sendError = (res, error, where) => {
+  if (!error.status) console.error(`${where} error:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : "Internal Server Error",
+  });
+};
+
+// The buyer's order, or an error response
+async function loadBuyerOrder(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: "Invalid order id" });
+    return null;
+  }
+  const order = await OrderModel.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({ success: false, error: "Order not found" });
+    return null;
+  }
+  if (String(order.userId) !== String(req.user._id)) {
+    res.status(403).json({ success: false, error: "Not allowed" });
+    return null;
+  }
+  return order;
+}
+
+// Amounts the buyer sees; the card is charged what credit doesn't cover
+const orderTotals = async (order) => {
+  const storeCredit = orderStoreCredit(order);
+  return {
+    orderId: String(order._id),
+    totals: { total: order.totalAmount, storeCredit, charged: Math.max(0, order.totalAmount - storeCredit) },
+    balance: await storeCreditBalance(order.userId),
+  };
+};
+
+/**
+ * GET /store-credit
+ * Spendable balance and the next amount due to expire
+ */
+router.get("/store-credit", isUserAuthorized, async (req, res) => {
+  try {
+    res.json({ success: true, data: await storeCreditBalance(req.user._id) });
+  } catch (error) {
+    sendError(res, error, "GET /store-credit");
+  }
+});
+
+/**
+ * GET /store-credit/history
+ * Every credit and debit on the buyer's balance, newest first
+ */
+router.get("/store-credit/history", isUserAuthorized, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const query = { userId: req.user._id };
+
+    const [entries, total] = await Promise.all([
+      StoreCreditEntry.find(query)
+        .select("-idempotencyKey -allocations -createdBy")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("orderId", "artName")
+        .lean(),
+      StoreCreditEntry.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "GET /store-credit/history");
+  }
+});
+
+/**
+ * POST /order/:id/store-credit
+ * body: { amountCents? } — pay part of a pending order with store credit
+ * (omit the amount to use as much as possible). Call /create-payment-intent
+ * afterwards for the rest.
+ */
+router.post("/order/:id/store-credit", isUserAuthorized, async (req, res) => {
+  try {
+    const order = await loadBuyerOrder(req, res);
+    if (!order) return;
+
+    await applyStoreCredit(order, req.body?.amountCents);
+    res.json({ success: true, data: await orderTotals(order) });
+  } catch (error) {
+    sendError(res, error, "POST /order/:id/store-credit");
+  }
+});
+
+/**
+ * DELETE /order/:id/store-credit
+ * Put the credit on a pending order back on the buyer's balance
+ */
+router.delete("/order/:id/store-credit", isUserAuthorized, async (req, res) => {
+  try {
+    const order = await loadBuyerOrder(req, res);
+    if (!order) return;
+
+    await removeStoreCredit(order);
+    res.json({ success: true, data: await orderTotals(order) });
+  } catch (error) {
+    sendError(res, error, "DELETE /order/:id/store-credit");
+  }
+});
+
+export default router;
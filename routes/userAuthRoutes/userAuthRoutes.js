@@ -32,7 +32,13 @@ import dotenv from 'dotenv';
 // Load environment variables from the .env file
 dotenv.config();
 
-import cloudinary from 'cloudinary';
+import multer from 'multer';
+import { getStorage, deleteStoredUrls } from '../../services/storage/index.js';
+import {
+  processProfilePicture,
+  MAX_UPLOAD_BYTES,
+  ACCEPTED_MIME_TYPES,
+} from '../../services/imageProcessing.js';
 
 // Import OAuth2Client from google-auth-library
 import { OAuth2Client } from 'google-auth-library';
@@ -45,10 +51,11 @@ import { generateOtpEmailTemplate, generatePasswordResetEmailTemplate } from '..
 import sendEmail from '../../services/email.js';
 import { notifyAdmins } from '../../services/adminNotify.js';
 
-cloudinary.v2.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD,
-  api_key: process.env.CLOUDINARY_API,
-  api_secret: process.env.CLOUDINARY_SECRET,
+// Profile picture uploads are kept in memory for sharp
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => cb(null, ACCEPTED_MIME_TYPES.includes(file.mimetype)),
 });
 
 // helper
@@ -476,6 +483,55 @@ router.put('/profile-picture', async (request, response) => {
   }
 });
 
+// Route for uploading a new profile picture (multipart field "image")
+router.post(
+  '/profile-picture/upload',
+  isUserAuthorized,
+  avatarUpload.single('image'),
+  async (request, response) => {
+    try {
+      if (!request.file) {
+        return response.status(400).json({
+          success: false,
+          error: 'Please select a JPEG, PNG, WebP, AVIF or TIFF image',
+        });
+      }
+
+      const avatar = await processProfilePicture(request.file.buffer);
+      const stored = await getStorage().put(
+        `artists/${request.user._id}-${Date.now()}.${avatar.format}`,
+        avatar.buffer,
+        { contentType: `image/${avatar.format}` }
+      );
+
+      const user = await UserModel.findById(request.user._id);
+      const previousLink = user.profilePictureLink;
+      user.profilePictureLink = stored.url;
+      await user.save();
+
+      // Remove the old picture if we stored it (the shared default lives outside our folders)
+      if (previousLink && previousLink !== stored.url && previousLink !== UserModel.schema.path('profilePictureLink').defaultValue) {
+        await deleteStoredUrls([previousLink]);
+      }
+
+      response.status(200).json({
+        success: true,
+        message: 'Profile picture updated successfully',
+        profilePictureLink: stored.url,
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return response.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Error uploading profile picture:', error);
+      response.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+      });
+    }
+  }
+);
+
 // Route for deleting profile picture
 // Update delete-profile-picture route
 router.post('/delete-profile-picture', async (req, res) => {
@@ -483,21 +539,16 @@ router.post('/delete-profile-picture', async (req, res) => {
   console.log('DELETING', public_id);
 
   try {
-    const result = await cloudinary.v2.api.delete_resources(
-      [`artists/${public_id}`],
-      {
-        type: 'upload',
-        resource_type: 'image',
-      }
-    );
+    const key = `artists/${public_id}`;
+    const result = await getStorage().delete([key]);
 
-    if (result.deleted[public_id] === 'deleted') {
+    if (result.deleted[key] === 'deleted') {
       console.log(`Image ${public_id} deleted successfully`);
       res.json({ success: true });
     } else {
       res.status(500).json({
         success: false,
-        message: 'Image not found or already deleted in Cloudinary',
+        message: 'Image not found or already deleted in storage',
       });
     }
   } catch (error) {
@@ -1,6 +1,8 @@
 // routes/webDonationsRoutes/webDonationsRoutes.js
 import express from "express";
 import Stripe from "stripe";
+import { WEBHOOK_SOURCE } from "../../models/webhookEvent.js";
+import { registerWebhookHandler, processWebhookEvent } from "../../services/webhookEvents.js";
 
 const router = express.Router();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -73,6 +75,25 @@ router.post("/donations/create-checkout-session", async (req, res) => {
   }
 });
 
+/**
+ * Handle one donations webhook event (at most once per event id, see
+ * services/webhookEvents.js)
+ */
+async function handleDonationEvent(event) {
+  switch (event.type) {
+    case "checkout.session.completed": {
+      const session = event.data.object;
+      // TODO: record donation in your DB, send thank-you email, etc.
+      // session.amount_total (cents), session.customer_email, session.id, session.metadata
+      break;
+    }
+    // Add more events if you need (payment_intent.succeeded, charge.refunded, etc.)
+    default:
+      break;
+  }
+}
+registerWebhookHandler(WEBHOOK_SOURCE.DONATIONS, handleDonationEvent);
+
 /**
  * Stripe webhook for donations (separate path/secret from your Connect webhook).
  * Set DONATIONS_WEBHOOK_SECRET in your env.
@@ -96,20 +117,10 @@ router.post(
     }
 
     try {
-      switch (event.type) {
-        case "checkout.session.completed": {
-          const session = event.data.object;
-          // TODO: record donation in your DB, send thank-you email, etc.
-          // session.amount_total (cents), session.customer_email, session.id, session.metadata
-          break;
-        }
-        // Add more events if you need (payment_intent.succeeded, charge.refunded, etc.)
-        default:
-          break;
-      }
-      res.json({ received: true });
+      const { status, duplicate } = await processWebhookEvent(WEBHOOK_SOURCE.DONATIONS, event);
+      res.json({ received: true, status, ...(duplicate ? { duplicate } : {}) });
     } catch (err) {
-      console.error("Error handling donations webhook:", err);
+      console.error("Error storing donations webhook event:", err);
       res.status(500).json({ error: "Webhook processing failed" });
     }
   }
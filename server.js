@@ -19,6 +19,23 @@ import imageRoutes from "./routes/imageRoutes/imageRoutes.js";
 // Import order handling routes
 import orderRoutes from "./routes/orderRoutes/orderRoutes.js";
 
+// Make-an-offer negotiation routes
+import offerRoutes from "./routes/offerRoutes/offerRoutes.js";
+
+// Return requests and refunds
+import returnRoutes from "./routes/returnRoutes/returnRoutes.js";
+
+// Artist earnings ledger and statements
+import earningsRoutes from "./routes/earningsRoutes/earningsRoutes.js";
+import couponRoutes from "./routes/couponRoutes/couponRoutes.js";
+import cartRoutes from "./routes/cartRoutes/cartRoutes.js";
+import storeCreditRoutes from "./routes/storeCreditRoutes/storeCreditRoutes.js";
+import giftCardRoutes from "./routes/giftCardRoutes/giftCardRoutes.js";
+import certificateRoutes from "./routes/certificateRoutes/certificateRoutes.js";
+
+// Files stored by the local storage driver
+import mediaRoutes from "./routes/mediaRoutes/mediaRoutes.js";
+
 // Import admin authentication/protected routes
 import adminAuthRoutes from "./routes/admin-userAuthRoutes/admin-userAuthRoutes.js";
 
@@ -39,6 +56,14 @@ import adminSettingsRoutes from "./routes/admin-userAuthRoutes/admin-settingsRou
 import adminPublicArtRoutes from "./routes/admin-userAuthRoutes/admin-publicArtRoutes.js";
 import adminFeaturedArticlesRoutes from "./routes/admin-userAuthRoutes/admin-featuredArticlesRoutes.js";
 import adminFinanceRoutes from "./routes/admin-userAuthRoutes/admin-financeRoutes.js";
+import adminDisputeRoutes from "./routes/admin-userAuthRoutes/admin-disputeRoutes.js";
+import adminPayoutRoutes from "./routes/admin-userAuthRoutes/admin-payoutRoutes.js";
+import adminEarningsRoutes from "./routes/admin-userAuthRoutes/admin-earningsRoutes.js";
+import adminTaxRoutes from "./routes/admin-userAuthRoutes/admin-taxRoutes.js";
+import adminWebhookRoutes from "./routes/admin-userAuthRoutes/admin-webhookRoutes.js";
+import adminCommissionRoutes from "./routes/admin-userAuthRoutes/admin-commissionRoutes.js";
+import adminCouponRoutes from "./routes/admin-userAuthRoutes/admin-couponRoutes.js";
+import adminStoreCreditRoutes from "./routes/admin-userAuthRoutes/admin-storeCreditRoutes.js";
 import featuredArticlesRoutes from "./routes/featuredArticlesRoutes/featuredArticlesRoutes.js";
 import adminBlogRoutes from "./routes/admin-userAuthRoutes/admin-blogRoutes.js";
 import blogRoutes from "./routes/blogRoutes/blogRoutes.js";
@@ -57,6 +82,14 @@ import sitemapRoutes from "./routes/sitemapRoutes/sitemapRoutes.js";
 
 // SLA Monitor service
 import { startSLAMonitor } from "./services/slaMonitor.js";
+import { startDisputeMonitor } from "./services/disputeMonitor.js";
+
+// Auction closing, offer expiry, checkout hold and artist payout jobs
+import { startAuctionCloser } from "./services/auction.js";
+import { startOfferExpiry } from "./services/offers.js";
+import { startHoldExpiry } from "./services/inventory.js";
+import { startPayoutEngine } from "./services/payoutEngine.js";
+import { startStoreCreditExpiry } from "./services/storeCredit.js";
 
 // Import the MongoDB connection URL from config file
 import { MONGO_URL } from "./config/config.js";
@@ -172,6 +205,17 @@ app.post("/refresh-token", (req, res) => {
 app.use("/", authRoutes);
 app.use("/", imageRoutes);
 app.use("/", orderRoutes);
+app.use("/", offerRoutes);
+app.use("/", returnRoutes);
+app.use("/", earningsRoutes);
+app.use("/", couponRoutes);
+app.use("/", cartRoutes);
+app.use("/", storeCreditRoutes);
+app.use("/", giftCardRoutes);
+app.use("/", certificateRoutes);
+
+// Locally stored media (dev/test storage driver)
+app.use("/media", mediaRoutes);
 
 // Notifications at /notifications (avoids clobbering "/")
 app.use("/notifications", notificationRoutes);
@@ -193,6 +237,14 @@ app.use("/api/admin/public-art", adminPublicArtRoutes);
 app.use("/api/admin/articles", adminFeaturedArticlesRoutes);
 app.use("/api/admin/blog", adminBlogRoutes);
 app.use("/api/admin/finance", adminFinanceRoutes);
+app.use("/api/admin/disputes", adminDisputeRoutes);
+app.use("/api/admin/payouts", adminPayoutRoutes);
+app.use("/api/admin/earnings", adminEarningsRoutes);
+app.use("/api/admin/tax", adminTaxRoutes);
+app.use("/api/admin/webhooks", adminWebhookRoutes);
+app.use("/api/admin/commission", adminCommissionRoutes);
+app.use("/api/admin/coupons", adminCouponRoutes);
+app.use("/api/admin/store-credit", adminStoreCreditRoutes);
 
 // Public featured articles (web-app landing page)
 app.use("/api/articles", featuredArticlesRoutes);
@@ -223,6 +275,18 @@ mongoose
     console.log("MongoDB connection successful");
     // Start SLA Monitor for report deadline tracking (Apple Guideline 1.2)
     startSLAMonitor(15); // Check every 15 minutes
+    // Alert admins before chargeback evidence is due
+    startDisputeMonitor(30); // Check every 30 minutes
+    // Close finished auctions and create the winners' orders
+    startAuctionCloser(1); // Check every minute
+    // Expire offers nobody responded to in time
+    startOfferExpiry(15); // Check every 15 minutes
+    // Clear checkout holds buyers walked away from
+    startHoldExpiry(5); // Check every 5 minutes
+    // Pay artists once delivered orders clear the hold period
+    startPayoutEngine(15); // Check every 15 minutes
+    // Expire old store credit and give back credit held by unpaid orders
+    startStoreCreditExpiry(60); // Check every hour
   })
   .catch((error) => {
     console.error("Error connecting to MongoDB:", error);
@@ -5,7 +5,7 @@ import sendEmail from "./email.js";
  * Send an admin notification email if the relevant toggle is enabled.
  * Fire-and-forget — never throws, so callers don't need try/catch.
  *
- * @param {"newSignup"|"newPendingArtwork"|"newReport"} event
+ * @param {"newSignup"|"newPendingArtwork"|"newReport"|"suspectedDuplicate"|"returnRequested"|"newDispute"|"disputeClosed"|"payoutFailed"|"webhookFailed"} event
  * @param {object} data  - context fields used to build the email body
  */
 export async function notifyAdmins(event, data = {}) {
@@ -56,6 +56,83 @@ export async function notifyAdmins(event, data = {}) {
           <hr/>
           <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
         </div>`;
+    } else if (event === "suspectedDuplicate") {
+      subject = "Possible Duplicate Artwork — Immpression";
+      html = `
+        <div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+          <h2 style="color:#0f172a">Possible Re-listed Artwork</h2>
+          <p><strong>New listing:</strong> ${data.name || "—"} by ${data.artistName || "—"}</p>
+          <p><strong>Looks like:</strong> ${data.matchName || "—"} by ${data.matchArtistName || "—"}</p>
+          <p><strong>Matches found:</strong> ${data.matchCount ?? "—"}</p>
+          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+          <hr/>
+          <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
+        </div>`;
+    } else if (event === "returnRequested") {
+      subject = "Return Requested — Immpression";
+      html = `
+        <div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+          <h2 style="color:#0f172a">Buyer Requested a Return</h2>
+          <p><strong>Artwork:</strong> ${data.artName || "—"} by ${data.artistName || "—"}</p>
+          <p><strong>Order:</strong> ${data.orderId || "—"}</p>
+          <p><strong>Reason:</strong> ${(data.reason || "—").replace(/_/g, " ")}</p>
+          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+          <hr/>
+          <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
+        </div>`;
+    } else if (event === "newDispute") {
+      subject = "Payment Disputed — Immpression";
+      html = `
+        <div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+          <h2 style="color:#0f172a">New Chargeback</h2>
+          <p><strong>Artwork:</strong> ${data.artName || "—"} by ${data.artistName || "—"}</p>
+          <p><strong>Order:</strong> ${data.orderId || "—"}</p>
+          <p><strong>Amount:</strong> ${data.amount || "—"}</p>
+          <p><strong>Reason:</strong> ${(data.reason || "—").replace(/_/g, " ")}</p>
+          <p><strong>Evidence due:</strong> ${data.evidenceDueBy ? new Date(data.evidenceDueBy).toLocaleString() : "—"}</p>
+          <p><strong>Already paid to artist:</strong> ${data.sellerPaid || "—"}</p>
+          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+          <hr/>
+          <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
+        </div>`;
+    } else if (event === "disputeClosed") {
+      subject = "Dispute Closed — Immpression";
+      html = `
+        <div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+          <h2 style="color:#0f172a">Dispute Closed: ${data.outcome || "—"}</h2>
+          <p><strong>Artwork:</strong> ${data.artName || "—"}</p>
+          <p><strong>Order:</strong> ${data.orderId || "—"}</p>
+          <p><strong>Amount:</strong> ${data.amount || "—"}</p>
+          <p><strong>Already paid to artist:</strong> ${data.sellerPaid || "—"}</p>
+          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+          <hr/>
+          <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
+        </div>`;
+    } else if (event === "payoutFailed") {
+      subject = "Artist Payout Failed — Immpression";
+      html = `
+        <div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+          <h2 style="color:#0f172a">Automatic Payout Gave Up</h2>
+          <p><strong>Artwork:</strong> ${data.artName || "—"} by ${data.artistName || "—"}</p>
+          <p><strong>Order:</strong> ${data.orderId || "—"}</p>
+          <p><strong>Amount:</strong> ${data.amount || "—"}</p>
+          <p><strong>Last error:</strong> ${data.error || "—"}</p>
+          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+          <hr/>
+          <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
+        </div>`;
+    } else if (event === "webhookFailed") {
+      subject = "Stripe Webhook Failed — Immpression";
+      html = `
+        <div style="font-family:Arial,sans-serif;max-width:560px;margin:auto">
+          <h2 style="color:#0f172a">Webhook Event Needs a Replay</h2>
+          <p><strong>Event:</strong> ${data.type || "—"} (${data.eventId || "—"})</p>
+          <p><strong>Endpoint:</strong> ${data.source || "—"}</p>
+          <p><strong>Error:</strong> ${data.error || "—"}</p>
+          <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
+          <hr/>
+          <p style="color:#94a3b8;font-size:12px">Immpression Admin Notifications</p>
+        </div>`;
     } else {
       return;
     }
@@ -0,0 +1,450 @@
+// services/auction.js
+/**
+ * Auction Service
+ * Bid rules for timed auctions (minimum next bid, anti-sniping)
+ * and the closing job that picks a winner, creates the winner's
+ * order and notifies everyone who took part.
+ */
+
+import ImageModel, { AUCTION_STATUS } from "../models/images.js";
+import OrderModel, { ORDER_SOURCE } from "../models/orders.js";
+import UserModel from "../models/users.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+
+export const AUCTION_PHASE = {
+  SCHEDULED: "scheduled",
+  LIVE: "live",
+  ENDED: "ended",
+};
+
+// Longest auction an artist can configure
+export const MAX_AUCTION_DAYS = 30;
+
+const MINUTE = 60 * 1000;
+// A close still CLOSING after this long was interrupted (crash/redeploy) and is claimed again
+const CLOSING_LEASE_MS = 10 * MINUTE;
+
+/**
+ * Derive the phase of an auction at a given time.
+ * Anything other than an "open" auction is considered ended.
+ */
+export function getAuctionPhase(auction, now = new Date()) {
+  if (!auction?.enabled) return null;
+  if (auction.status !== AUCTION_STATUS.OPEN) return AUCTION_PHASE.ENDED;
+
+  const t = now.getTime();
+  if (auction.startAt && t < new Date(auction.startAt).getTime()) return AUCTION_PHASE.SCHEDULED;
+  if (auction.endAt && t >= new Date(auction.endAt).getTime()) return AUCTION_PHASE.ENDED;
+  return AUCTION_PHASE.LIVE;
+}
+
+/**
+ * Lowest amount the next bid may be: the starting bid while nobody
+ * has bid yet, otherwise the current bid plus the minimum increment.
+ */
+export function getMinimumNextBid(image) {
+  const auction = image?.auction || {};
+  const startingBid = Number(auction.startingBid || image?.price || 1);
+  if (!auction.bidCount) return startingBid;
+  return Number(image.currentBid || 0) + Number(auction.minIncrement || 1);
+}
+
+/**
+ * Anti-sniping: if a bid lands inside the closing window, return the
+ * new end time. Returns null when the end time should not move.
+ */
+export function getExtendedEndAt(auction, now = new Date()) {
+  const windowMs = Number(auction?.antiSnipeWindowMinutes || 0) * MINUTE;
+  const extensionMs = Number(auction?.extensionMinutes || 0) * MINUTE;
+  if (!auction?.endAt || windowMs <= 0 || extensionMs <= 0) return null;
+
+  const endAt = new Date(auction.endAt).getTime();
+  const remaining = endAt - now.getTime();
+  if (remaining <= 0 || remaining > windowMs) return null;
+
+  return new Date(Math.max(endAt, now.getTime() + extensionMs));
+}
+
+/**
+ * Proxy bidding: resolve a new maximum bid against the current leader.
+ *
+ * Every bid is treated as a hidden maximum. The visible price only rises
+ * to one increment above the runner-up's maximum (capped at the leader's
+ * maximum), and to the reserve price once the leader's maximum covers it.
+ * Ties go to the earlier bidder.
+ *
+ * Returns { error, minimumBid? } when the bid is not acceptable, otherwise
+ * { currentBid, highestBidder, newBids, proxyBids, leading, outbidUserId }.
+ */
+export function resolveProxyBid({ image, proxyBids = [], bidderId, maxAmount, now = new Date() }) {
+  const auction = image?.auction || {};
+  const bidder = String(bidderId);
+  const increment = Number(auction.minIncrement || 1);
+  const reserve = Number(auction.reservePrice || 0);
+  const hasLeader = Boolean(auction.bidCount && image.highestBidder);
+  const leader = hasLeader ? String(image.highestBidder) : null;
+  const currentBid = Number(image.currentBid || 0);
+
+  // Legacy bids placed before proxy bidding have no stored maximum
+  const maxOf = (userId) =>
+    proxyBids.find((p) => String(p.userId) === String(userId))?.maxAmount ?? currentBid;
+
+  // Lift the price to the reserve once the leader's maximum covers it
+  const withReserve = (price, leaderMax) =>
+    reserve > price && leaderMax >= reserve ? reserve : price;
+
+  const upsertProxy = (list) => {
+    const existing = list.find((p) => String(p.userId) === bidder);
+    if (existing) {
+      return list.map((p) =>
+        String(p.userId) === bidder ? { ...p, maxAmount, updatedAt: now } : p
+      );
+    }
+    return [...list, { userId: bidderId, maxAmount, createdAt: now, updatedAt: now }];
+  };
+
+  const plain = proxyBids.map((p) => ({
+    userId: p.userId,
+    maxAmount: p.maxAmount,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  }));
+
+  // The leader is raising their own hidden maximum
+  if (leader === bidder) {
+    const leaderMax = maxOf(bidder);
+    if (maxAmount <= leaderMax) {
+      return { error: `Your maximum bid is already $${leaderMax}. Enter a higher amount to raise it.` };
+    }
+    const price = withReserve(currentBid, maxAmount);
+    return {
+      currentBid: price,
+      highestBidder: bidderId,
+      newBids: price > currentBid ? [{ userId: bidderId, amount: price, isAutomatic: true }] : [],
+      proxyBids: upsertProxy(plain),
+      leading: true,
+      outbidUserId: null,
+    };
+  }
+
+  const minimumBid = getMinimumNextBid(image);
+  if (maxAmount < minimumBid) {
+    return { error: `Bid must be at least $${minimumBid}`, minimumBid };
+  }
+
+  const proxies = upsertProxy(plain);
+
+  // First bid of the auction opens at the starting bid
+  if (!hasLeader) {
+    const price = withReserve(minimumBid, maxAmount);
+    return {
+      currentBid: price,
+      highestBidder: bidderId,
+      newBids: [{ userId: bidderId, amount: price, isAutomatic: price !== maxAmount }],
+      proxyBids: proxies,
+      leading: true,
+      outbidUserId: null,
+    };
+  }
+
+  const leaderMax = maxOf(leader);
+
+  // The current leader's maximum holds: record the bid and counter it automatically
+  if (leaderMax >= maxAmount) {
+    const price = withReserve(Math.min(leaderMax, maxAmount + increment), leaderMax);
+    return {
+      currentBid: price,
+      highestBidder: image.highestBidder,
+      newBids: [
+        { userId: bidderId, amount: maxAmount, isAutomatic: false },
+        { userId: image.highestBidder, amount: price, isAutomatic: true },
+      ],
+      proxyBids: proxies,
+      leading: false,
+      outbidUserId: null,
+    };
+  }
+
+  // The new bidder takes the lead; the previous leader's maximum is spent
+  const price = withReserve(Math.min(maxAmount, leaderMax + increment), maxAmount);
+  return {
+    currentBid: price,
+    highestBidder: bidderId,
+    newBids: [
+      ...(leaderMax > currentBid
+        ? [{ userId: image.highestBidder, amount: leaderMax, isAutomatic: true }]
+        : []),
+      { userId: bidderId, amount: price, isAutomatic: price !== maxAmount },
+    ],
+    proxyBids: proxies,
+    leading: true,
+    outbidUserId: image.highestBidder,
+  };
+}
+
+/**
+ * Pick the winner of a finished auction.
+ * Returns { winnerUserId, winningBid } or { reason } when nobody wins.
+ */
+export function pickAuctionWinner(image) {
+  const auction = image?.auction || {};
+  if (!auction.bidCount || !image.highestBidder) return { reason: "no_bids" };
+
+  const winningBid = Number(image.currentBid || 0);
+  if (winningBid < Number(auction.reservePrice || 0)) return { reason: "reserve_not_met" };
+
+  return { winnerUserId: image.highestBidder, winningBid };
+}
+
+/**
+ * Unique bidder ids on an image, excluding an optional user (the winner)
+ */
+function distinctBidderIds(image, excludeUserId) {
+  const exclude = excludeUserId ? String(excludeUserId) : null;
+  const ids = new Set();
+  for (const bid of image.bids || []) {
+    const id = bid?.userId ? String(bid.userId) : null;
+    if (id && id !== exclude) ids.add(id);
+  }
+  return [...ids];
+}
+
+function notify(payload) {
+  return Notification.create(payload).catch((err) =>
+    console.error("Auction notification failed:", err?.message || err)
+  );
+}
+
+/**
+ * Create the pending order the winner pays through the regular checkout.
+ * Delivery details are added by the winner before payment.
+ */
+async function createWinnerOrder(image, winnerUserId, winningBid) {
+  const [artist, winner] = await Promise.all([
+    UserModel.findById(image.userId).lean(),
+    UserModel.findById(winnerUserId).lean(),
+  ]);
+  if (!artist?.stripeAccountId) throw new Error("Artist not connected to Stripe");
+  if (!winner) throw new Error("Winning bidder no longer exists");
+
+  // An interrupted close may already have created it
+  const existing = await OrderModel.findOne({
+    imageId: image._id,
+    userId: winnerUserId,
+    source: ORDER_SOURCE.AUCTION,
+    createdAt: { $gte: image.auction.endAt },
+  });
+  if (existing) return existing;
+
+  const baseCents = Math.max(0, Math.round(Number(winningBid) * 100));
+
+  return OrderModel.create({
+    imageId: image._id,
+    imageLink: image.imageLink,
+    artName: image.name,
+    artistName: image.artistName,
+    artistUserId: image.userId,
+    artistStripeId: artist.stripeAccountId,
+    price: baseCents,
+    baseAmount: baseCents,
+    userAccountName: winner.name || winner.email,
+    userId: winnerUserId,
+    source: ORDER_SOURCE.AUCTION,
+    priceLocked: true,
+    status: "pending",
+  });
+}
+
+// Auctions the closing job should (re)claim: ended and open, or a close that never finished
+function closableAuctionFilter(now) {
+  return {
+    "auction.enabled": true,
+    "auction.endAt": { $lte: now },
+    $or: [
+      { "auction.status": AUCTION_STATUS.OPEN },
+      {
+        "auction.status": AUCTION_STATUS.CLOSING,
+        $or: [
+          { "auction.closingAt": { $lte: new Date(now.getTime() - CLOSING_LEASE_MS) } },
+          { "auction.closingAt": { $exists: false } },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Close a single auction. The image is claimed atomically so that
+ * overlapping runs of the job never close the same auction twice; a claim
+ * older than CLOSING_LEASE_MS is taken over.
+ */
+export async function closeAuction(imageId, now = new Date()) {
+  const claimedAt = new Date();
+  const image = await ImageModel.findOneAndUpdate(
+    { _id: imageId, ...closableAuctionFilter(now) },
+    { $set: { "auction.status": AUCTION_STATUS.CLOSING, "auction.closingAt": claimedAt } },
+    { new: true }
+  );
+  if (!image) return null;
+
+  const outcome = pickAuctionWinner(image);
+  const data = { artName: image.name, artistName: image.artistName, imageLink: image.imageLink };
+
+  let order = null;
+  let closeReason = outcome.reason;
+  if (outcome.winnerUserId) {
+    try {
+      order = await createWinnerOrder(image, outcome.winnerUserId, outcome.winningBid);
+      closeReason = "won";
+    } catch (err) {
+      console.error(`Auction ${image._id}: could not create winner order:`, err?.message || err);
+      closeReason = "order_failed";
+    }
+  }
+
+  const sold = Boolean(order);
+  const settled = await ImageModel.updateOne(
+    { _id: image._id, "auction.status": AUCTION_STATUS.CLOSING, "auction.closingAt": claimedAt },
+    {
+      $set: {
+        "auction.status": sold ? AUCTION_STATUS.SOLD : AUCTION_STATUS.UNSOLD,
+        "auction.closedAt": now,
+        "auction.closeReason": closeReason,
+        ...(sold
+          ? {
+              "auction.winnerUserId": outcome.winnerUserId,
+              "auction.winningBid": outcome.winningBid,
+              "auction.orderId": order._id,
+            }
+          : {}),
+      },
+    }
+  );
+  // Our lease ran out and another run took over the close
+  if (!settled.modifiedCount) return null;
+
+  if (sold) {
+    await notify({
+      recipientUserId: outcome.winnerUserId,
+      actorUserId: image.userId,
+      type: NOTIFICATION_TYPE.AUCTION_WON,
+      title: "You won the auction",
+      message: `Your bid of $${outcome.winningBid} won “${image.name}”. Add your delivery details and complete payment to claim it.`,
+      orderId: order._id,
+      imageId: image._id,
+      data: { ...data, price: order.baseAmount },
+    });
+  }
+
+  const losingMessage =
+    closeReason === "reserve_not_met"
+      ? `The auction for “${image.name}” ended without meeting the reserve price.`
+      : `The auction for “${image.name}” has ended. Another bidder won this piece.`;
+
+  await Promise.all(
+    distinctBidderIds(image, sold ? outcome.winnerUserId : null).map((userId) =>
+      notify({
+        recipientUserId: userId,
+        actorUserId: image.userId,
+        type: NOTIFICATION_TYPE.AUCTION_LOST,
+        title: "Auction ended",
+        message: losingMessage,
+        imageId: image._id,
+        data,
+      })
+    )
+  );
+
+  const artistMessage = {
+    won: `“${image.name}” sold at auction for $${outcome.winningBid}. We'll let you know once the winner pays.`,
+    reserve_not_met: `The auction for “${image.name}” ended below your reserve price, so the piece was not sold.`,
+    no_bids: `The auction for “${image.name}” ended without any bids.`,
+    order_failed: `The auction for “${image.name}” ended, but we could not create the winner's order. Make sure your Stripe account is connected.`,
+  }[closeReason];
+
+  await notify({
+    recipientUserId: image.userId,
+    type: NOTIFICATION_TYPE.AUCTION_ENDED,
+    title: "Your auction has ended",
+    message: artistMessage,
+    orderId: order?._id,
+    imageId: image._id,
+    data,
+  });
+
+  return { imageId: String(image._id), closeReason, orderId: order ? String(order._id) : null };
+}
+
+/**
+ * Close every open auction whose end time has passed (and any close that was interrupted)
+ */
+export async function closeDueAuctions() {
+  try {
+    const now = new Date();
+    const due = await ImageModel.find(closableAuctionFilter(now))
+      .select("_id")
+      .limit(50)
+      .lean();
+
+    const results = [];
+    for (const { _id } of due) {
+      try {
+        const result = await closeAuction(_id, now);
+        if (result) results.push(result);
+      } catch (err) {
+        console.error(`Auction ${_id}: close failed:`, err);
+        results.push({ imageId: String(_id), error: err.message });
+      }
+    }
+
+    return { due: due.length, closed: results.filter((r) => !r.error).length, results };
+  } catch (error) {
+    console.error("Auction closer error:", error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the auction closing interval
+ * Runs every minute by default so winners are picked promptly
+ */
+let closerInterval = null;
+
+export function startAuctionCloser(intervalMinutes = 1) {
+  if (closerInterval) {
+    console.log("Auction Closer: Already running");
+    return;
+  }
+
+  console.log(`Auction Closer: Starting with ${intervalMinutes} minute interval`);
+
+  closeDueAuctions().then((result) => {
+    console.log("Auction Closer: Initial check complete", result);
+  });
+
+  closerInterval = setInterval(
+    () => {
+      closeDueAuctions().then((result) => {
+        if (result.closed > 0) {
+          console.log(`Auction Closer: Closed ${result.closed} auction(s)`);
+        }
+      });
+    },
+    intervalMinutes * 60 * 1000
+  );
+}
+
+export function stopAuctionCloser() {
+  if (closerInterval) {
+    clearInterval(closerInterval);
+    closerInterval = null;
+    console.log("Auction Closer: Stopped");
+  }
+}
+
+export default {
+  startAuctionCloser,
+  stopAuctionCloser,
+  closeDueAuctions,
+  closeAuction,
+};
@@ -0,0 +1,25 @@
+// services/carriers/common.js
+// Small helpers shared by the carrier adapters
+
+export function carrierError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// Drop events whose timestamp didn't parse (Mongoose would reject them)
+export const validEvents = (events) =>
+  events.filter((e) => !("datetime" in e) || (e.datetime instanceof Date && !isNaN(e.datetime)));
+
+// Parcel with every dimension at least a sane minimum (UPS/FedEx reject zeros)
+export function normalizeParcel(parcel = {}) {
+  return {
+    weightLb: Math.max(0.1, Number(parcel.weightLb) || 0),
+    lengthIn: Math.max(1, Number(parcel.lengthIn) || 0),
+    widthIn: Math.max(1, Number(parcel.widthIn) || 0),
+    heightIn: Math.max(1, Number(parcel.heightIn) || 0),
+  };
+}
+
+// Street lines of an address, blanks dropped
+export const streetLines = (address = {}) => [address.street1, address.street2].filter((l) => String(l || "").trim());
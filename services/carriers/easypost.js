@@ -0,0 +1,294 @@
+// services/carriers/easypost.js
+/**
+ * EasyPost adapter: USPS and DHL Express (and anything else on the EasyPost
+ * account) through one API key. EASYPOST_API_KEY decides the mode — EZTK…
+ * test keys never buy real postage.
+ */
+
+import EasyPostClient from "@easypost/api";
+import { SHIPMENT_STATUS } from "../../models/orders.js";
+import { carrierError, validEvents, normalizeParcel } from "./common.js";
+import { mockRates, mockValidateAddress, mockLabel, mockToken, mockTrackingStatus } from "./mock.js";
+
+let client = null;
+
+function easyPost() {
+  const apiKey = (process.env.EASYPOST_API_KEY || "").trim();
+  if (!apiKey) throw carrierError("EASYPOST_API_KEY is not configured", 500);
+  if (!client) client = new EasyPostClient(apiKey);
+  return client;
+}
+
+export const easyPostConfigured = () => Boolean((process.env.EASYPOST_API_KEY || "").trim());
+
+// Our carrier name → EasyPost's (rates come back with EasyPost's name)
+const EASYPOST_CARRIER = { USPS: "USPS", DHL: "DHLExpress" };
+
+// EasyPost's test tracking codes; each always reports the same status
+export const EASYPOST_TEST_CODES = {
+  EZ1000000001: "pre_transit",
+  EZ2000000002: "in_transit",
+  EZ3000000003: "out_for_delivery",
+  EZ4000000004: "delivered",
+  EZ5000000005: "return_to_sender",
+  EZ6000000006: "failure",
+  EZ7000000007: "unknown",
+};
+
+export const isEasyPostTestCode = (tn) => String(tn || "").toUpperCase() in EASYPOST_TEST_CODES;
+
+// Test codes are answered offline, and only outside production
+export const easyPostTestCodeAllowed = (tn) => process.env.NODE_ENV !== "production" && isEasyPostTestCode(tn);
+
+// Map EasyPost tracker status → SHIPMENT_STATUS
+export function mapEasyPostStatus(s) {
+  switch (String(s || "").toLowerCase()) {
+    case "in_transit": return SHIPMENT_STATUS.IN_TRANSIT;
+    case "out_for_delivery": return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
+    case "delivered": return SHIPMENT_STATUS.DELIVERED;
+    case "available_for_pickup":
+    case "return_to_sender":
+    case "failure":
+    case "cancelled":
+    case "error": return SHIPMENT_STATUS.EXCEPTION;
+    default: return SHIPMENT_STATUS.SHIPPED; // unknown, pre_transit
+  }
+}
+
+// Rethrow EasyPost client errors with a status the routes can pass on
+function easyPostError(e, fallback) {
+  if (e?.status) throw e;
+  console.error("EasyPost error:", e?.code || e?.name, e?.message);
+  throw carrierError(e?.message || fallback, e?.statusCode >= 400 && e?.statusCode < 500 ? 400 : 502);
+}
+
+const easyPostAddress = (a = {}) => ({
+  name: a.name,
+  company: a.company,
+  street1: a.street1,
+  street2: a.street2,
+  city: a.city,
+  state: a.state,
+  zip: a.zip,
+  country: a.country || "US",
+  phone: a.phone,
+  ...(a.residential !== undefined ? { residential: a.residential !== false } : {}),
+});
+
+// EasyPost wants ounces
+const easyPostParcel = (parcel) => {
+  const p = normalizeParcel(parcel);
+  return { weight: Math.ceil(p.weightLb * 16 * 10) / 10, length: p.lengthIn, width: p.widthIn, height: p.heightIn };
+};
+
+const rateRow = (carrier) => (r) => ({
+  carrier,
+  serviceCode: r.service,
+  serviceName: `${carrier} ${r.service}`,
+  amount: Number.isFinite(Number(r.rate)) ? Number(r.rate) : null,
+  currency: r.currency || "USD",
+  listAmount: Number.isFinite(Number(r.list_rate)) ? Number(r.list_rate) : null,
+  estBusinessDays: r.delivery_days ?? r.est_delivery_days ?? null,
+  rateId: r.id,
+});
+
+// Tracker in EasyPost's shape for the mock mode
+export function buildMockEasyPostTracker(tn, carrier, { status, now = new Date() } = {}) {
+  const order = ["pre_transit", "in_transit", "out_for_delivery", "delivered"];
+  const last = Math.max(0, order.indexOf(status));
+  const details = order.slice(0, last + 1).map((s, i) => ({
+    status: s,
+    message: s.replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase()),
+    datetime: new Date(now.getTime() - (last - i) * 24 * 60 * 60 * 1000).toISOString(),
+    tracking_location: { city: i < 2 ? "Chicago" : "Brooklyn", state: i < 2 ? "IL" : "NY", country: "US" },
+  }));
+  // Exception-type statuses follow the in-transit scan
+  if (!order.includes(status)) {
+    details.push({
+      status,
+      message: String(status).replace(/_/g, " "),
+      datetime: now.toISOString(),
+      tracking_location: { city: "Brooklyn", state: "NY", country: "US" },
+    });
+  }
+  return { id: `trk_mock_${mockToken(tn, 12, "0123456789abcdef")}`, tracking_code: tn, carrier, status, tracking_details: details };
+}
+
+// SHIPMENT_STATUS → EasyPost tracker status, for mock numbers
+const MOCK_TRACKER_STATUS = {
+  [SHIPMENT_STATUS.SHIPPED]: "pre_transit",
+  [SHIPMENT_STATUS.IN_TRANSIT]: "in_transit",
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: "out_for_delivery",
+  [SHIPMENT_STATUS.DELIVERED]: "delivered",
+};
+
+// Mock-mode services
+const MOCK_SERVICES = {
+  USPS: [
+    { code: "GroundAdvantage", name: "USPS GroundAdvantage", base: 5.5, perLb: 0.65, days: 4 },
+    { code: "Priority", name: "USPS Priority", base: 9, perLb: 1.1, days: 2 },
+    { code: "Express", name: "USPS Express", base: 30, perLb: 2.4, days: 1 },
+  ],
+  DHL: [
+    { code: "ExpressWorldwideNonDoc", name: "DHL ExpressWorldwideNonDoc", base: 42, perLb: 3, days: 2 },
+    { code: "DomesticExpress", name: "DHL DomesticExpress", base: 35, perLb: 2.6, days: 1 },
+  ],
+};
+
+// Mock tracking numbers in each carrier's format
+const MOCK_TRACKING_NUMBER = {
+  USPS: (seed) => `9400${mockToken(seed, 18)}`,
+  DHL: (seed) => mockToken(seed, 10),
+};
+
+/**
+ * EasyPost adapter for one carrier ("USPS" or "DHL"). `mock` answers every
+ * call offline; EasyPost's EZ… test codes are always answered offline
+ * outside production.
+ */
+export function createEasyPostCarrier({ carrier = "USPS", mock = false } = {}) {
+  const epCarrier = EASYPOST_CARRIER[carrier] || carrier;
+
+  async function createShipment(request) {
+    return easyPost().Shipment.create({
+      from_address: easyPostAddress(request.from),
+      to_address: easyPostAddress(request.to),
+      parcel: easyPostParcel(request.parcel),
+      ...(request.reference ? { reference: String(request.reference) } : {}),
+    });
+  }
+
+  const ratesOf = (shipment, wanted) =>
+    (shipment.rates || [])
+      .filter((r) => r.carrier === epCarrier)
+      .filter((r) => !wanted.length || wanted.includes(r.service))
+      .map(rateRow(carrier));
+
+  return {
+    name: carrier,
+    mock,
+
+    async rate(request) {
+      const wanted = (request.services || []).filter(Boolean);
+      if (mock) {
+        const all = MOCK_SERVICES[carrier] || [];
+        const list = wanted.length ? all.filter((s) => wanted.includes(s.code)) : all;
+        return { rates: mockRates(carrier, list, request), errors: [] };
+      }
+
+      try {
+        const shipment = await createShipment(request);
+        const errors = (shipment.messages || [])
+          .filter((m) => !m.carrier || m.carrier === epCarrier)
+          .map((m) => ({ code: m.type || "rate_error", message: m.message }));
+        return { rates: ratesOf(shipment, wanted), errors };
+      } catch (e) {
+        return { rates: [], errors: [{ code: e?.code || "easypost_error", message: e?.message || "EasyPost rating failed" }] };
+      }
+    },
+
+    async track(trackingNumber, { forceMock = false } = {}) {
+      const tn = String(trackingNumber || "").trim().toUpperCase();
+      const usedMock = mock || forceMock || easyPostTestCodeAllowed(tn);
+
+      let tracker;
+      if (usedMock) {
+        tracker = buildMockEasyPostTracker(tn, epCarrier, {
+          status: EASYPOST_TEST_CODES[tn] || MOCK_TRACKER_STATUS[mockTrackingStatus(tn)],
+        });
+      } else {
+        try {
+          tracker = await easyPost().Tracker.create({ tracking_code: tn, carrier: epCarrier });
+        } catch (e) {
+          easyPostError(e, `${carrier} tracking failed`);
+        }
+      }
+
+      const details = Array.isArray(tracker?.tracking_details) ? tracker.tracking_details : [];
+      const status = mapEasyPostStatus(tracker?.status);
+      const delivered = details.filter((d) => d.status === "delivered").pop();
+      return {
+        carrier,
+        status,
+        events: validEvents(details.map((d) => {
+          const event = {
+            status: String(d.status || "").toLowerCase(),
+            message: d.message || d.description || "",
+            location: [d.tracking_location?.city, d.tracking_location?.state, d.tracking_location?.country]
+              .filter(Boolean).join(", "),
+          };
+          if (d.datetime) event.datetime = new Date(d.datetime);
+          return event;
+        })),
+        deliveredAt: status === SHIPMENT_STATUS.DELIVERED
+          ? (delivered?.datetime ? new Date(delivered.datetime) : new Date())
+          : undefined,
+        usedMock,
+      };
+    },
+
+    async validateAddress(address) {
+      if (mock) return mockValidateAddress(address);
+
+      let verified;
+      try {
+        verified = await easyPost().Address.create({ ...easyPostAddress(address), verify: ["delivery"] });
+      } catch (e) {
+        easyPostError(e, "Address validation failed");
+      }
+
+      const delivery = verified?.verifications?.delivery || {};
+      return {
+        valid: Boolean(delivery.success),
+        address: {
+          ...address,
+          street1: verified?.street1 || address.street1,
+          street2: verified?.street2 || address.street2,
+          city: verified?.city || address.city,
+          state: verified?.state || address.state,
+          zip: String(verified?.zip || address.zip || "").slice(0, 5),
+          country: verified?.country || address.country || "US",
+          ...(verified?.residential != null ? { residential: verified.residential } : {}),
+        },
+        messages: delivery.success ? [] : (delivery.errors || []).map((e) => e.message).filter(Boolean),
+      };
+    },
+
+    async buyLabel(request) {
+      if (mock) {
+        const { rates } = await this.rate({ ...request, services: request.serviceCode ? [request.serviceCode] : [] });
+        const rate = rates.find((r) => r.serviceCode === request.serviceCode) || rates[0];
+        return mockLabel(carrier, { ...request, serviceCode: rate?.serviceCode }, MOCK_TRACKING_NUMBER[carrier] || ((seed) => mockToken(seed, 12)), rate);
+      }
+
+      try {
+        const shipment = await createShipment(request);
+        const candidates = (shipment.rates || []).filter((r) => r.carrier === epCarrier);
+        // Named service, otherwise the cheapest one
+        const rate = request.serviceCode
+          ? candidates.find((r) => r.service === request.serviceCode)
+          : candidates.sort((a, b) => Number(a.rate) - Number(b.rate))[0];
+        if (!rate) throw carrierError(`${carrier} doesn't offer ${request.serviceCode || "any service"} for this shipment`);
+
+        const bought = await easyPost().Shipment.buy(shipment.id, rate);
+        return {
+          carrier,
+          serviceCode: rate.service,
+          trackingNumber: bought.tracking_code,
+          shipmentId: bought.id,
+          amount: Number(bought.selected_rate?.rate ?? rate.rate),
+          currency: bought.selected_rate?.currency || rate.currency || "USD",
+          label: {
+            format: String(bought.postage_label?.label_file_type || "image/png").split("/").pop().toUpperCase(),
+            url: bought.postage_label?.label_url,
+          },
+          usedMock: false,
+        };
+      } catch (e) {
+        easyPostError(e, `${carrier} label purchase failed`);
+      }
+    },
+  };
+}
+
+export default createEasyPostCarrier;
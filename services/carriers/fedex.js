@@ -0,0 +1,412 @@
+// services/carriers/fedex.js
+/**
+ * FedEx adapter (direct REST APIs: OAuth, Rate, Track, Address Validation
+ * and Ship). FEDEX_ENV=production uses the live host; anything else the sandbox.
+ */
+
+import axios from "axios";
+import { SHIPMENT_STATUS } from "../../models/orders.js";
+import { carrierError, validEvents, normalizeParcel, streetLines } from "./common.js";
+import { mockRates, mockValidateAddress, mockLabel, mockToken, mockTrackingStatus } from "./mock.js";
+
+// Choose FedEx base by env
+const fedexBase = () =>
+  (process.env.FEDEX_ENV || "sandbox").toLowerCase() === "production"
+    ? "https://apis.fedex.com"
+    : "https://apis-sandbox.fedex.com";
+
+// Token cache
+let FEDEX_TOKEN = null;
+let FEDEX_TOKEN_EXP = 0;
+
+// Get FedEx OAuth token (client_credentials)
+export async function getFedexToken() {
+  const now = Math.floor(Date.now() / 1000);
+  if (FEDEX_TOKEN && FEDEX_TOKEN_EXP - 60 > now) return FEDEX_TOKEN;
+
+  const env = String(process.env.FEDEX_ENV || "sandbox").trim().toLowerCase();
+  const clientId = (process.env.FEDEX_CLIENT_ID || "").trim();
+  const clientSecret = (process.env.FEDEX_CLIENT_SECRET || "").trim();
+
+  if (!clientId || !clientSecret) {
+    throw new Error("FedEx OAuth: missing FEDEX_CLIENT_ID / FEDEX_CLIENT_SECRET");
+  }
+
+  const url = `${fedexBase()}/oauth/token`;
+  const form = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_id: clientId,
+    client_secret: clientSecret,
+    // Some tenants require scope; harmless if ignored:
+    // scope: "oob"
+  }).toString();
+
+  // Also send Basic auth just in case tenant expects it
+  const basic = Buffer.from(`${clientId}:${clientSecret}`).toString("base64");
+
+  let resp;
+  try {
+    resp = await axios.post(url, form, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "Accept": "application/json",
+        "Authorization": `Basic ${basic}`, // extra redundancy
+      },
+      validateStatus: () => true,
+    });
+  } catch (e) {
+    console.error("FedEx OAuth network error:", e?.message || e);
+    throw new Error("FedEx OAuth request failed");
+  }
+
+  if (resp.status !== 200) {
+    const firstErr = (resp?.data?.errors && resp.data.errors[0]) || {};
+    console.error("FedEx OAuth error:", {
+      status: resp.status,
+      env,
+      base: fedexBase(),
+      clientId_preview: clientId.slice(0, 4) + "…" + clientId.slice(-4),
+      data: resp.data,
+    });
+    throw new Error(
+      firstErr?.message ||
+      firstErr?.code ||
+      resp?.data?.error_description ||
+      resp?.data?.error ||
+      `FedEx OAuth rejected credentials (status ${resp.status})`
+    );
+  }
+
+  FEDEX_TOKEN = resp.data?.access_token;
+  const expiresIn = Number(resp.data?.expires_in || 0);
+  FEDEX_TOKEN_EXP = Math.floor(Date.now() / 1000) + (expiresIn || 1800);
+
+  return FEDEX_TOKEN;
+}
+
+async function fedexPost(path, body) {
+  const token = await getFedexToken();
+  return axios.post(`${fedexBase()}${path}`, body, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+      "X-locale": "en_US",
+    },
+    validateStatus: () => true,
+  });
+}
+
+const fedexErrorMessage = (resp, fallback) =>
+  resp.data?.errors?.[0]?.message || resp.data?.errors?.[0]?.code || resp.statusText || fallback;
+
+const accountNumber = () => {
+  const value = (process.env.FEDEX_ACCOUNT_NUMBER || "").trim();
+  if (!value) throw carrierError("FEDEX_ACCOUNT_NUMBER is required for FedEx rates and labels", 500);
+  return { value };
+};
+
+// ===== Tracking =====
+
+// Map FedEx status → your enum
+export function mapFedexStatus(obj = {}) {
+  const raw = String(
+    obj?.description ||
+    obj?.statusByLocale ||
+    obj?.code ||
+    obj
+  ).toLowerCase();
+
+  if (/delivered/.test(raw)) return SHIPMENT_STATUS.DELIVERED;
+  if (/out for delivery/.test(raw)) return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
+  if (/in transit|on its way|departed|arrived|at fedex location|at local facility/.test(raw))
+    return SHIPMENT_STATUS.IN_TRANSIT;
+  if (/exception|failed|delivery exception|hold|return/.test(raw))
+    return SHIPMENT_STATUS.EXCEPTION;
+
+  if (/label created|shipment information sent|picked up|pre[- ]?transit|order processed/.test(raw))
+    return SHIPMENT_STATUS.SHIPPED;
+
+  return SHIPMENT_STATUS.SHIPPED;
+}
+
+// Parse FedEx scan date/time (already ISO in most responses)
+export function parseFedexDate(iso) {
+  if (!iso) return undefined;
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+// Call FedEx Track API
+export async function trackWithFedex(trackingNumber) {
+  const payload = {
+    includeDetailedScans: true,
+    trackingInfo: [
+      {
+        trackingNumberInfo: { trackingNumber },
+      },
+    ],
+  };
+
+  const resp = await fedexPost("/track/v1/trackingnumbers", payload);
+
+  if (resp.status >= 400) {
+    console.error("FedEx Track error:", { status: resp.status, data: resp.data });
+    throw carrierError(fedexErrorMessage(resp, "FedEx tracking failed"), resp.status);
+  }
+
+  return resp.data;
+}
+
+// Scans for each status a mock shipment can be in (newest last)
+const MOCK_FEDEX_SCANS = [
+  { description: "Shipment information sent to FedEx", status: SHIPMENT_STATUS.SHIPPED, city: "Memphis", state: "TN" },
+  { description: "Departed FedEx location", status: SHIPMENT_STATUS.IN_TRANSIT, city: "Memphis", state: "TN" },
+  { description: "On FedEx vehicle for delivery", status: SHIPMENT_STATUS.OUT_FOR_DELIVERY, city: "Newark", state: "NJ" },
+  { description: "Delivered", status: SHIPMENT_STATUS.DELIVERED, city: "Newark", state: "NJ" },
+];
+
+// Track result in FedEx's shape, one scan per day up to `status`
+export function buildMockFedexTracking(tn, { status = SHIPMENT_STATUS.IN_TRANSIT, now = new Date() } = {}) {
+  const last = Math.max(0, MOCK_FEDEX_SCANS.findIndex((s) => s.status === status));
+  const scans = MOCK_FEDEX_SCANS.slice(0, last + 1);
+  const statusText = {
+    [SHIPMENT_STATUS.SHIPPED]: "Label created",
+    [SHIPMENT_STATUS.IN_TRANSIT]: "In transit",
+    [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: "Out for delivery",
+    [SHIPMENT_STATUS.DELIVERED]: "Delivered",
+  }[scans[last].status];
+
+  return {
+    output: {
+      completeTrackResults: [{
+        trackingNumber: tn,
+        trackResults: [{
+          latestStatusDetail: { description: statusText },
+          scanEvents: scans
+            .map((s, i) => ({
+              date: new Date(now.getTime() - (last - i) * 24 * 60 * 60 * 1000).toISOString(),
+              eventDescription: s.description,
+              scanLocation: { city: s.city, stateOrProvinceCode: s.state, countryCode: "US" },
+            }))
+            .reverse(), // FedEx lists the latest scan first
+        }],
+      }],
+    },
+  };
+}
+
+function fedexEvents(root) {
+  const latest = root?.latestStatusDetail || {};
+  const scans = Array.isArray(root?.scanEvents) ? root.scanEvents : [];
+  return validEvents(scans.map((ev) => {
+    const dt = parseFedexDate(ev?.date || ev?.dateTime || ev?.eventDateTime);
+    const addr = ev?.scanLocation || ev?.location || {};
+    const event = {
+      status: String(ev?.eventDescription || ev?.derivedStatus || "").toLowerCase(),
+      message: ev?.eventDescription || ev?.derivedStatus || latest?.description || "",
+      location: [addr?.city, addr?.stateOrProvinceCode, addr?.countryCode || addr?.countryName]
+        .filter(Boolean).join(", "),
+    };
+    if (dt) event.datetime = dt;
+    return event;
+  }));
+}
+
+// ===== Rating, addresses and labels =====
+
+// Mock-mode services
+const MOCK_SERVICES = [
+  { code: "FEDEX_GROUND", name: "FedEx Ground", base: 9.75, perLb: 0.85, days: 4 },
+  { code: "FEDEX_EXPRESS_SAVER", name: "FedEx Express Saver", base: 15, perLb: 1.35, days: 3 },
+  { code: "FEDEX_2_DAY", name: "FedEx 2Day", base: 21, perLb: 1.85, days: 2 },
+  { code: "STANDARD_OVERNIGHT", name: "FedEx Standard Overnight", base: 36, perLb: 2.7, days: 1 },
+];
+
+const fedexAddress = (a = {}) => ({
+  streetLines: streetLines(a),
+  city: a.city,
+  stateOrProvinceCode: a.state,
+  postalCode: String(a.zip || "").slice(0, 5),
+  countryCode: a.country || "US",
+  ...(a.residential !== undefined ? { residential: a.residential !== false } : {}),
+});
+
+const fedexPackage = (parcel) => {
+  const p = normalizeParcel(parcel);
+  return {
+    weight: { units: "LB", value: p.weightLb },
+    dimensions: { length: Math.ceil(p.lengthIn), width: Math.ceil(p.widthIn), height: Math.ceil(p.heightIn), units: "IN" },
+  };
+};
+
+const transitDays = {
+  ONE_DAY: 1, TWO_DAYS: 2, THREE_DAYS: 3, FOUR_DAYS: 4, FIVE_DAYS: 5, SIX_DAYS: 6, SEVEN_DAYS: 7,
+};
+
+function rateRow(d) {
+  const details = Array.isArray(d?.ratedShipmentDetails) ? d.ratedShipmentDetails : [];
+  const account = details.find((r) => r?.rateType === "ACCOUNT") || details[0] || {};
+  const list = details.find((r) => r?.rateType === "LIST");
+  const amount = Number(account.totalNetCharge);
+  return {
+    carrier: "FedEx",
+    serviceCode: d?.serviceType || null,
+    serviceName: d?.serviceName || d?.serviceType || null,
+    amount: Number.isFinite(amount) ? amount : null,
+    currency: account.currency || "USD",
+    listAmount: list && Number.isFinite(Number(list.totalNetCharge)) ? Number(list.totalNetCharge) : null,
+    estBusinessDays: transitDays[d?.operationalDetail?.transitTime] || null,
+  };
+}
+
+/**
+ * FedEx adapter. `mock` answers every call offline; `forceMock` does the
+ * same for a single lookup.
+ */
+export function createFedexCarrier({ mock = false } = {}) {
+  return {
+    name: "FedEx",
+    mock,
+
+    async rate(request) {
+      const wanted = (request.services || []).filter(Boolean);
+      if (mock) {
+        const list = wanted.length ? MOCK_SERVICES.filter((s) => wanted.includes(s.code)) : MOCK_SERVICES;
+        return { rates: mockRates("FedEx", list, request), errors: [] };
+      }
+
+      const body = {
+        accountNumber: accountNumber(),
+        requestedShipment: {
+          shipper: { address: fedexAddress(request.from) },
+          recipient: { address: fedexAddress({ residential: true, ...request.to }) },
+          pickupType: "DROPOFF_AT_FEDEX_LOCATION",
+          rateRequestType: ["ACCOUNT", "LIST"],
+          requestedPackageLineItems: [fedexPackage(request.parcel)],
+          // A single service when one was asked for, otherwise every service on the lane
+          ...(wanted.length === 1 ? { serviceType: wanted[0] } : {}),
+        },
+        carrierCodes: ["FDXE", "FDXG"],
+      };
+
+      const resp = await fedexPost("/rate/v1/rates/quotes", body);
+      if (resp.status >= 400) {
+        console.error("FedEx Rate error:", { status: resp.status, data: resp.data });
+        const err = resp.data?.errors?.[0] || {};
+        return {
+          rates: [],
+          errors: [{ code: err.code || String(resp.status), message: err.message || "FedEx rating failed" }],
+        };
+      }
+
+      const rates = (resp.data?.output?.rateReplyDetails || [])
+        .map(rateRow)
+        .filter((r) => !wanted.length || wanted.includes(r.serviceCode));
+      return { rates, errors: [] };
+    },
+
+    async track(trackingNumber, { forceMock = false } = {}) {
+      const tn = String(trackingNumber || "").trim().toUpperCase();
+      const usedMock = mock || forceMock;
+      const fedex = usedMock
+        ? buildMockFedexTracking(tn, { status: mockTrackingStatus(tn) })
+        : await trackWithFedex(tn);
+      const root = fedex?.output?.completeTrackResults?.[0]?.trackResults?.[0];
+      if (!root) throw carrierError("FedEx returned no track results.");
+
+      const status = mapFedexStatus(root?.latestStatusDetail || {});
+      const scans = Array.isArray(root?.scanEvents) ? root.scanEvents : [];
+      const deliveredScan = scans.find((sc) => /delivered/i.test(sc?.eventDescription || ""));
+      return {
+        carrier: "FedEx",
+        status,
+        events: fedexEvents(root),
+        deliveredAt: status === SHIPMENT_STATUS.DELIVERED
+          ? parseFedexDate(deliveredScan?.date || deliveredScan?.dateTime || deliveredScan?.eventDateTime) || new Date()
+          : undefined,
+        usedMock,
+      };
+    },
+
+    async validateAddress(address) {
+      if (mock) return mockValidateAddress(address);
+
+      const resp = await fedexPost("/address/v1/addresses/resolve", {
+        addressesToValidate: [{ address: fedexAddress(address) }],
+      });
+      if (resp.status >= 400) {
+        throw carrierError(fedexErrorMessage(resp, "FedEx address validation failed"), resp.status);
+      }
+
+      const resolved = resp.data?.output?.resolvedAddresses?.[0] || {};
+      const lines = resolved.streetLinesToken || [];
+      const valid = resolved.attributes?.DPV === "true" || resolved.attributes?.Resolved === "true";
+      return {
+        valid,
+        address: {
+          ...address,
+          street1: lines[0] || address.street1,
+          street2: lines[1] || address.street2,
+          city: resolved.city || address.city,
+          state: resolved.stateOrProvinceCode || address.state,
+          zip: String(resolved.postalCode || address.zip || "").slice(0, 5),
+          country: resolved.countryCode || address.country || "US",
+        },
+        messages: valid ? [] : (resolved.customerMessages || []).map((m) => m.message || m.code).filter(Boolean),
+      };
+    },
+
+    async buyLabel(request) {
+      const serviceCode = request.serviceCode || "FEDEX_GROUND";
+      if (mock) {
+        const { rates } = await this.rate({ ...request, services: [serviceCode] });
+        return mockLabel("FedEx", { ...request, serviceCode }, (seed) => mockToken(seed, 12), rates[0]);
+      }
+
+      const party = (a) => ({
+        contact: { personName: a.name, ...(a.phone ? { phoneNumber: a.phone } : {}) },
+        address: fedexAddress(a),
+      });
+      const body = {
+        accountNumber: accountNumber(),
+        labelResponseOptions: "LABEL",
+        requestedShipment: {
+          shipper: party(request.from),
+          recipients: [party(request.to)],
+          pickupType: "DROPOFF_AT_FEDEX_LOCATION",
+          serviceType: serviceCode,
+          packagingType: "YOUR_PACKAGING",
+          shippingChargesPayment: { paymentType: "SENDER" },
+          labelSpecification: { imageType: "PDF", labelStockType: "PAPER_4X6" },
+          requestedPackageLineItems: [{
+            ...fedexPackage(request.parcel),
+            ...(request.reference ? { customerReferences: [{ customerReferenceType: "CUSTOMER_REFERENCE", value: String(request.reference).slice(0, 30) }] } : {}),
+          }],
+        },
+      };
+
+      const resp = await fedexPost("/ship/v1/shipments", body);
+      if (resp.status >= 400) {
+        console.error("FedEx Ship error:", { status: resp.status, data: resp.data });
+        throw carrierError(fedexErrorMessage(resp, "FedEx label purchase failed"), resp.status);
+      }
+
+      const shipment = resp.data?.output?.transactionShipments?.[0] || {};
+      const piece = shipment.pieceResponses?.[0] || {};
+      const doc = piece.packageDocuments?.[0] || {};
+      const charge = shipment.completedShipmentDetail?.shipmentRating?.shipmentRateDetails?.[0];
+      return {
+        carrier: "FedEx",
+        serviceCode,
+        trackingNumber: piece.trackingNumber || shipment.masterTrackingNumber,
+        shipmentId: shipment.masterTrackingNumber,
+        amount: charge?.totalNetCharge != null ? Number(charge.totalNetCharge) : null,
+        currency: charge?.currency || "USD",
+        label: { format: "PDF", ...(doc.url ? { url: doc.url } : { data: doc.encodedLabel }) },
+        usedMock: false,
+      };
+    },
+  };
+}
+
+export default createFedexCarrier;
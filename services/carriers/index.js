@@ -0,0 +1,79 @@
+// services/carriers/index.js
+/**
+ * Carrier Adapters
+ * One interface for every carrier we ship with:
+ *
+ *   rate({ from, to, parcel, services })   → { rates: [{ carrier, serviceCode, serviceName, amount, currency, estBusinessDays }], errors }
+ *   track(trackingNumber, { allowMock, forceMock }) → { carrier, status, events, deliveredAt, usedMock }
+ *   validateAddress(address)               → { valid, address, messages }
+ *   buyLabel({ from, to, parcel, serviceCode, reference }) → { carrier, serviceCode, trackingNumber, shipmentId, amount, currency, label, usedMock }
+ *
+ * Addresses are { name, street1, street2, city, state, zip, country, phone, residential },
+ * parcels { weightLb, lengthIn, widthIn, heightIn }, amounts dollars.
+ *
+ * UPS and FedEx use their own APIs; USPS and DHL go through EasyPost.
+ * Each adapter has a deterministic mock mode that never leaves the process,
+ * on for every carrier when CARRIER_MOCK=true outside production.
+ */
+
+import { createUpsCarrier, isUpsTrackingNumber } from "./ups.js";
+import { createFedexCarrier } from "./fedex.js";
+import { createEasyPostCarrier, isEasyPostTestCode } from "./easypost.js";
+import { carrierError } from "./common.js";
+
+export { easyPostConfigured, easyPostTestCodeAllowed } from "./easypost.js";
+
+export const CARRIER = {
+  UPS: "UPS",
+  FEDEX: "FedEx",
+  USPS: "USPS",
+  DHL: "DHL",
+};
+
+export function carrierMockEnabled() {
+  return process.env.NODE_ENV !== "production" && (process.env.CARRIER_MOCK || "").toLowerCase() === "true";
+}
+
+// Our carrier name for a slug or display name, or null if we have no adapter for it
+export function carrierName(value) {
+  const s = String(value || "").replace(/\s+/g, "").toLowerCase();
+  return Object.values(CARRIER).find((c) => c.toLowerCase() === s) || null;
+}
+
+// The carrier a tracking number belongs to: the one given, else what the number looks like
+export function detectCarrier(trackingNumber, carrier) {
+  const named = carrierName(carrier);
+  if (named) return named;
+  if (isUpsTrackingNumber(trackingNumber)) return CARRIER.UPS;
+  if (isEasyPostTestCode(trackingNumber)) return CARRIER.USPS;
+  return null;
+}
+
+const factories = {
+  [CARRIER.UPS]: (mock) => createUpsCarrier({ mock }),
+  [CARRIER.FEDEX]: (mock) => createFedexCarrier({ mock }),
+  [CARRIER.USPS]: (mock) => createEasyPostCarrier({ carrier: CARRIER.USPS, mock }),
+  [CARRIER.DHL]: (mock) => createEasyPostCarrier({ carrier: CARRIER.DHL, mock }),
+};
+
+const cache = new Map();
+
+/**
+ * Adapter for `carrier` ("ups", "FedEx", "usps", …). `mock` defaults to
+ * carrierMockEnabled(). Throws a 400 for carriers we have no adapter for.
+ */
+export function getCarrier(carrier, { mock = carrierMockEnabled() } = {}) {
+  const name = carrierName(carrier);
+  if (!name) throw carrierError(`Unsupported carrier: ${carrier}`);
+
+  const key = `${name}:${mock ? "mock" : "live"}`;
+  if (!cache.has(key)) cache.set(key, factories[name](Boolean(mock)));
+  return cache.get(key);
+}
+
+export default {
+  CARRIER,
+  getCarrier,
+  detectCarrier,
+  carrierMockEnabled,
+};
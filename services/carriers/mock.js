@@ -0,0 +1,122 @@
+// services/carriers/mock.js
+/**
+ * Deterministic carrier responses for offline use
+ * Every adapter has a mock mode (tests, local development, CARRIER_MOCK=true)
+ * built on these helpers: the same request always gets the same rates,
+ * tracking numbers and address results, and nothing leaves the process.
+ */
+
+import crypto from "crypto";
+import { SHIPMENT_STATUS } from "../../models/orders.js";
+
+// Stable digest of anything JSON-serialisable
+const digest = (value) => crypto.createHash("sha256").update(JSON.stringify(value ?? null)).digest("hex");
+
+/**
+ * `length` characters derived from `seed`, drawn from `alphabet`. Pure.
+ */
+export function mockToken(seed, length, alphabet = "0123456789") {
+  const hex = digest(seed);
+  let out = "";
+  for (let i = 0; out.length < length; i += 2) {
+    out += alphabet[parseInt(hex.slice(i % 64, (i % 64) + 2), 16) % alphabet.length];
+  }
+  return out;
+}
+
+// Rough distance band between two US ZIPs (1 = same area … 8 = across the country)
+export function mockZone(fromZip, toZip) {
+  const a = Number(String(fromZip || "").slice(0, 3)) || 0;
+  const b = Number(String(toZip || "").slice(0, 3)) || 0;
+  return Math.min(8, 1 + Math.floor(Math.abs(a - b) / 125));
+}
+
+/**
+ * Rates for `services` ([{ code, name, base, perLb, days }]) priced from the
+ * parcel's billable weight and the zone. Amounts are dollars, like the live APIs.
+ */
+export function mockRates(carrier, services, { from, to, parcel } = {}) {
+  const zone = mockZone(from?.zip, to?.zip);
+  const actual = Number(parcel?.weightLb) || 1;
+  const dimensional = ((Number(parcel?.lengthIn) || 1) * (Number(parcel?.widthIn) || 1) * (Number(parcel?.heightIn) || 1)) / 139;
+  const billable = Math.ceil(Math.max(actual, dimensional));
+
+  return services.map((s) => ({
+    carrier,
+    serviceCode: s.code,
+    serviceName: s.name,
+    amount: Math.round((s.base + s.perLb * billable * (1 + zone / 8)) * 100) / 100,
+    currency: "USD",
+    estBusinessDays: s.days == null ? null : Math.max(1, s.days + Math.floor(zone / 4) - 1),
+  }));
+}
+
+/**
+ * Address check that accepts anything with a street, city, state and a
+ * 5-digit ZIP (ZIP+4 is trimmed), and upper-cases it like carriers do.
+ */
+export function mockValidateAddress(address = {}) {
+  const zip = String(address.zip || "").trim().match(/^(\d{5})(?:-?\d{4})?$/)?.[1];
+  const messages = [];
+  if (!String(address.street1 || "").trim()) messages.push("Street address is required");
+  if (!String(address.city || "").trim()) messages.push("City is required");
+  if (!/^[A-Za-z]{2}$/.test(String(address.state || "").trim())) messages.push("State must be a 2-letter code");
+  if (!zip) messages.push("ZIP code must have 5 digits");
+
+  const upper = (v) => (v ? String(v).trim().toUpperCase() : undefined);
+  return {
+    valid: messages.length === 0,
+    address: {
+      ...address,
+      street1: upper(address.street1),
+      street2: upper(address.street2),
+      city: upper(address.city),
+      state: upper(address.state),
+      zip: zip || address.zip,
+      country: upper(address.country) || "US",
+    },
+    messages,
+    usedMock: true,
+  };
+}
+
+/**
+ * A label that can't be shipped with: same inputs, same tracking number.
+ * `trackingNumber(seed)` formats the carrier's number.
+ */
+export function mockLabel(carrier, request, trackingNumber, rate) {
+  const seed = { carrier, from: request.from, to: request.to, parcel: request.parcel, reference: request.reference };
+  const tn = trackingNumber(seed);
+  return {
+    carrier,
+    serviceCode: request.serviceCode,
+    trackingNumber: tn,
+    shipmentId: `mock_${mockToken(seed, 16, "0123456789abcdef")}`,
+    amount: rate?.amount ?? null,
+    currency: "USD",
+    label: { format: "TXT", data: Buffer.from(`MOCK ${carrier} LABEL ${tn}`).toString("base64") },
+    usedMock: true,
+  };
+}
+
+// Statuses a mock tracking number can be in, picked by its digest
+export const MOCK_TRACKING_STATUSES = [
+  SHIPMENT_STATUS.SHIPPED,
+  SHIPMENT_STATUS.IN_TRANSIT,
+  SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+  SHIPMENT_STATUS.DELIVERED,
+];
+
+export function mockTrackingStatus(trackingNumber) {
+  const n = parseInt(digest(String(trackingNumber || "").toUpperCase()).slice(0, 8), 16);
+  return MOCK_TRACKING_STATUSES[n % MOCK_TRACKING_STATUSES.length];
+}
+
+export default {
+  mockToken,
+  mockZone,
+  mockRates,
+  mockValidateAddress,
+  mockLabel,
+  mockTrackingStatus,
+};
@@ -0,0 +1,566 @@
+// services/carriers/ups.js
+/**
+ * UPS adapter (direct REST APIs: OAuth, Rating, Tracking, Address
+ * Validation and Shipping). UPS_ENV=prod uses the live host; anything else
+ * the CIE test host.
+ */
+
+import axios from "axios";
+import { SHIPMENT_STATUS } from "../../models/orders.js";
+import { carrierError, validEvents, normalizeParcel, streetLines } from "./common.js";
+import { mockRates, mockValidateAddress, mockLabel, mockToken, mockTrackingStatus } from "./mock.js";
+
+const isProd = () => (process.env.UPS_ENV || "cie").toLowerCase() === "prod";
+
+// Choose base by env
+const upsBase = () => (isProd() ? "https://onlinetools.ups.com" : "https://wwwcie.ups.com");
+
+// ---- UPS test-number helpers ----
+
+// Public UPS demo numbers (or add your own)
+const UPS_TEST_NUMBERS = new Set([
+  "1Z12345E0291980793",
+  "1Z12345E1512345676",
+  "1Z12345E6615272234",
+  "1Z12345E0205271688",
+  "1Z12345E1392654435",
+  "1Z12345E6892410846",
+]);
+
+export function isTestTrackingNumber(tn) {
+  const s = String(tn || "").toUpperCase().replace(/\s+/g, "");
+  return UPS_TEST_NUMBERS.has(s);
+}
+
+export const isUpsTrackingNumber = (tn) => /^1Z[0-9A-Z]{16}$/.test(String(tn || "").toUpperCase());
+
+function formatYMD(d) {
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const day = String(d.getUTCDate()).padStart(2, "0");
+  return `${y}${m}${day}`; // UPS YYYYMMDD
+}
+
+// UPS currentStatus for each status a mock shipment can be in
+const MOCK_UPS_STATUS = {
+  [SHIPMENT_STATUS.SHIPPED]: { code: "M", description: "Label Created" },
+  [SHIPMENT_STATUS.IN_TRANSIT]: { code: "I", description: "In Transit" },
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: { code: "O", description: "Out For Delivery Today" },
+  [SHIPMENT_STATUS.DELIVERED]: { code: "D", description: "Delivered" },
+};
+
+// Tracking response in UPS's shape; the demo numbers are always "In Transit"
+export function buildMockUpsTracking(tn, { status = SHIPMENT_STATUS.IN_TRANSIT, now = new Date() } = {}) {
+  const tMinus = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const currentStatus = MOCK_UPS_STATUS[status] || MOCK_UPS_STATUS[SHIPMENT_STATUS.IN_TRANSIT];
+
+  const activity = [
+    {
+      date: formatYMD(tMinus(3)),
+      time: "083000",
+      status: { description: "Origin Scan" },
+      activityLocation: { address: { city: "New York", stateProvince: "NY", country: "US" } }
+    },
+    {
+      date: formatYMD(tMinus(1)),
+      time: "104500",
+      status: { description: "Departed UPS Facility" },
+      activityLocation: { address: { city: "Secaucus", stateProvince: "NJ", country: "US" } }
+    },
+    {
+      date: formatYMD(now),
+      time: "071500",
+      status: { description: currentStatus.description },
+      activityLocation: { address: { city: "Philadelphia", stateProvince: "PA", country: "US" } }
+    }
+  ];
+
+  return {
+    trackResponse: {
+      shipment: [{
+        package: [{
+          trackingNumber: tn,
+          currentStatus,
+          // A label that was only just created hasn't been scanned anywhere
+          activity: status === SHIPMENT_STATUS.SHIPPED ? [] : activity,
+        }]
+      }]
+    }
+  };
+}
+
+// ===== UPS OAuth =====
+
+// Token cache
+let UPS_TOKEN = null;
+let UPS_TOKEN_EXP = 0;
+
+// Get OAuth token (client credentials), caches until ~60s before expiry
+export async function getUpsToken() {
+  const now = Math.floor(Date.now() / 1000);
+  if (UPS_TOKEN && UPS_TOKEN_EXP - 60 > now) return UPS_TOKEN;
+
+  const url = `${upsBase()}/security/v1/oauth/token`;
+  const auth = Buffer.from(
+    `${process.env.UPS_CLIENT_ID}:${process.env.UPS_CLIENT_SECRET}`
+  ).toString("base64");
+
+  // IMPORTANT: include scope=tracking
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    scope: "tracking",
+  }).toString();
+
+  let resp;
+  try {
+    resp = await axios.post(url, body, {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${auth}`,
+        Accept: "application/json",
+      },
+      validateStatus: () => true,
+    });
+  } catch (e) {
+    console.error("UPS OAuth network error:", e?.message || e);
+    throw new Error("UPS OAuth request failed");
+  }
+
+  if (resp.status !== 200) {
+    console.error("UPS OAuth error:", {
+      status: resp.status,
+      data: resp.data,
+    });
+    throw new Error(
+      resp.data?.error_description ||
+      resp.data?.error ||
+      "UPS OAuth rejected credentials"
+    );
+  }
+
+  UPS_TOKEN = resp.data?.access_token;
+  const expiresIn = Number(resp.data?.expires_in || 0);
+  UPS_TOKEN_EXP = Math.floor(Date.now() / 1000) + (expiresIn || 1800);
+
+  return UPS_TOKEN;
+}
+
+const UPS_TOKEN_CACHE = {}; // { scopeString: { token, exp } }
+
+export async function getUpsTokenWithScopes(scopes = ["rating"]) {
+  const scopeKey = scopes.slice().sort().join(" ");
+  const cached = UPS_TOKEN_CACHE[scopeKey];
+  const now = Math.floor(Date.now() / 1000);
+  if (cached && cached.exp - 60 > now) return cached.token;
+
+  const url = `${upsBase()}/security/v1/oauth/token`;
+  const auth = Buffer.from(
+    `${process.env.UPS_CLIENT_ID}:${process.env.UPS_CLIENT_SECRET}`
+  ).toString("base64");
+
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    scope: scopeKey, // e.g. "rating" or "rating tracking"
+  }).toString();
+
+  const resp = await axios.post(url, body, {
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Basic ${auth}`,
+      Accept: "application/json",
+    },
+    validateStatus: () => true,
+  });
+
+  if (resp.status !== 200) {
+    throw new Error(
+      resp.data?.error_description || resp.data?.error || `UPS OAuth (${scopeKey}) failed`
+    );
+  }
+
+  const token = resp.data?.access_token;
+  const exp = now + Number(resp.data?.expires_in || 1800);
+  UPS_TOKEN_CACHE[scopeKey] = { token, exp };
+  return token;
+}
+
+async function upsPost(path, body, scopes) {
+  const token = await getUpsTokenWithScopes(scopes);
+  return axios.post(`${upsBase()}${path}`, body, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      transId: `${Date.now()}`,
+      transactionSrc: process.env.UPS_TRANSACTION_SRC || "immpression",
+    },
+    validateStatus: () => true,
+  });
+}
+
+const upsErrorOf = (data) =>
+  data?.response?.errors?.[0] ||
+  data?.response?.Errors?.Error?.[0] ||
+  data?.Fault ||
+  data;
+
+// ===== Tracking =====
+
+export function parseUpsDate(ymd, hms) {
+  const d = String(ymd || "").replace(/\D/g, "");
+  if (d.length !== 8) return undefined;
+
+  const y = Number(d.slice(0, 4));
+  const m = Number(d.slice(4, 6));   // 01..12
+  const day = Number(d.slice(6, 8)); // 01..31
+
+  let hh = 0, mm = 0, ss = 0;
+  const t = String(hms || "").replace(/\D/g, "");
+  if (t.length >= 2) hh = Number(t.slice(0, 2));
+  if (t.length >= 4) mm = Number(t.slice(2, 4));
+  if (t.length >= 6) ss = Number(t.slice(4, 6));
+
+  const jsDate = new Date(Date.UTC(y, m - 1, day, hh, mm, ss));
+  return isNaN(jsDate.getTime()) ? undefined : jsDate;
+}
+
+// Map UPS status → SHIPMENT_STATUS
+export function mapUpsStatus(upsStatusObj = {}) {
+  // UPS response often has currentStatus: { code, description }
+  const code = String(upsStatusObj.code || "").toUpperCase();
+  const desc = String(upsStatusObj.description || "").toLowerCase();
+
+  // Try code first, then fallback on description keywords
+  if (code === "D" || /delivered/.test(desc)) return SHIPMENT_STATUS.DELIVERED;
+  if (code === "O" || /out for delivery/.test(desc)) return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
+  if (code === "I" || /in transit|arrived|departed|origin scan|destination scan/.test(desc))
+    return SHIPMENT_STATUS.IN_TRANSIT;
+  if (/exception|failed attempt|return to sender|hold/.test(desc))
+    return SHIPMENT_STATUS.EXCEPTION;
+
+  // Pre-transit / label created
+  if (/label created|information received|pre[- ]?transit|order processed/.test(desc))
+    return SHIPMENT_STATUS.SHIPPED;
+
+  return SHIPMENT_STATUS.SHIPPED;
+}
+
+// Fetch details from UPS Tracking API
+export async function trackWithUPS(inquiryNumber) {
+  const token = await getUpsToken();
+  const transId = `${Date.now()}`;
+  const transactionSrc = process.env.UPS_TRANSACTION_SRC || "immpression";
+
+  const url = `${upsBase()}/api/track/v1/details/${encodeURIComponent(inquiryNumber)}`;
+  const resp = await axios.get(url, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      transId,
+      transactionSrc,
+      Accept: "application/json",
+    },
+    params: { locale: "en_US", returnSignature: "false" },
+    validateStatus: () => true,
+  });
+
+  if (resp.status >= 400) {
+    console.error("UPS Track error:", { status: resp.status, data: resp.data });
+    const msg =
+      resp.data?.response?.errors?.[0]?.message ||
+      resp.data?.response?.errors?.[0]?.code ||
+      resp.statusText ||
+      "UPS tracking failed";
+    throw carrierError(msg, resp.status);
+  }
+
+  return resp.data;
+}
+
+function upsEvents(pkg) {
+  const activities = Array.isArray(pkg?.activity) ? pkg.activity : [];
+  return validEvents(activities.map((a) => {
+    const dt = parseUpsDate(a?.date, a?.time);
+    const event = {
+      status: String(a?.status?.description || "").toLowerCase(),
+      message: a?.status?.description || a?.activityScan || "",
+      location: [
+        a?.activityLocation?.address?.city,
+        a?.activityLocation?.address?.stateProvince,
+        a?.activityLocation?.address?.country,
+      ].filter(Boolean).join(", "),
+    };
+    if (dt) event.datetime = dt;
+    return event;
+  }));
+}
+
+// ===== Rating =====
+
+// Mock-mode services: Ground, 3 Day Select, 2nd Day Air, Next Day Air
+const MOCK_SERVICES = [
+  { code: "03", name: "UPS Ground", base: 9.5, perLb: 0.9, days: 4 },
+  { code: "12", name: "UPS 3 Day Select", base: 14, perLb: 1.3, days: 3 },
+  { code: "02", name: "UPS 2nd Day Air", base: 22, perLb: 1.9, days: 2 },
+  { code: "01", name: "UPS Next Day Air", base: 38, perLb: 2.8, days: 1 },
+];
+
+function buildRateBody({ from, to, parcel }, serviceCode) {
+  // ShipperNumber (negotiated rates) only in prod; CIE rejects most test accounts
+  const shipperNumber = isProd() ? (process.env.UPS_SHIPPER_NUMBER || "").trim() : "";
+  const p = normalizeParcel(parcel);
+
+  return {
+    RateRequest: {
+      Request: { TransactionReference: { CustomerContext: "Immpression Rate Quote" } },
+      Shipment: {
+        PickupType: { Code: "01" }, // 01=Daily pickup
+        Shipper: {
+          ...(shipperNumber ? { ShipperNumber: shipperNumber } : {}),
+          Address: { PostalCode: String(from.zip).slice(0, 5), CountryCode: from.country || "US" },
+        },
+        ShipFrom: {
+          Address: { PostalCode: String(from.zip).slice(0, 5), CountryCode: from.country || "US" },
+        },
+        ShipTo: {
+          Address: {
+            PostalCode: String(to.zip).slice(0, 5),
+            CountryCode: to.country || "US",
+            ...(to.state ? { StateProvinceCode: to.state } : {}),
+            ...(to.city ? { City: to.city } : {}),
+            ...(to.residential !== false ? { ResidentialAddressIndicator: "" } : {}),
+          },
+        },
+        // Without a service UPS "shops" every service available on the lane
+        ...(serviceCode ? { Service: { Code: serviceCode } } : {}),
+        Package: [{
+          PackagingType: { Code: "02" }, // customer-supplied
+          Dimensions: {
+            UnitOfMeasurement: { Code: "IN" },
+            Length: String(p.lengthIn),
+            Width: String(p.widthIn),
+            Height: String(p.heightIn),
+          },
+          PackageWeight: {
+            UnitOfMeasurement: { Code: "LBS" },
+            Weight: String(p.weightLb),
+          },
+        }],
+        // Ask UPS to include time-in-transit with rates
+        DeliveryTimeInformation: { PackageBillType: "03" }, // 03 = Non Document
+      },
+      AdditionalInfo: {
+        ReturnTransitTimes: "Y",
+        NegotiatedRatesIndicator: shipperNumber ? "Y" : undefined,
+      },
+    },
+  };
+}
+
+// One RatedShipment → rate row (amounts in dollars; negotiated preferred over list)
+function rateRow(r, fallbackCode) {
+  const serviceCode = r?.Service?.Code || fallbackCode || null;
+  const published = r?.TotalCharges || r?.ShipmentTotalCharges; // some tenants use ShipmentTotalCharges
+  const negotiated = r?.NegotiatedRateCharges?.TotalCharge;
+
+  const listAmount = published?.MonetaryValue != null ? parseFloat(published.MonetaryValue) : null;
+  const negotiatedAmount = negotiated?.MonetaryValue != null ? parseFloat(negotiated.MonetaryValue) : null;
+  const amount = negotiatedAmount ?? listAmount;
+
+  return {
+    carrier: "UPS",
+    serviceCode,
+    serviceName: r?.Service?.Description || serviceCode,
+    amount: typeof amount === "number" && !Number.isNaN(amount) ? amount : null,
+    currency: (negotiatedAmount != null ? negotiated?.CurrencyCode : published?.CurrencyCode) || "USD",
+    listAmount,
+    negotiatedAmount,
+    estBusinessDays:
+      Number(r?.GuaranteedDelivery?.BusinessDaysInTransit) ||
+      Number(r?.TimeInTransit?.ServiceSummary?.EstimatedArrival?.BusinessDaysInTransit) ||
+      null,
+  };
+}
+
+async function rateOne(request, serviceCode) {
+  const path = serviceCode ? "/api/rating/v2403/Rate" : "/api/rating/v2403/Shop";
+  const resp = await upsPost(path, buildRateBody(request, serviceCode), ["rating"]);
+
+  if (resp.status >= 400) {
+    const upsErr = upsErrorOf(resp.data);
+    console.error("UPS Rating error:", JSON.stringify(upsErr, null, 2), {
+      fromZip: request.from?.zip, toZip: request.to?.zip, env: process.env.UPS_ENV, service: serviceCode,
+    });
+    throw {
+      code: upsErr?.code || upsErr?.Code || String(resp.status),
+      message: upsErr?.message || upsErr?.responseStatus?.description || "UPS rating failed",
+      service: serviceCode,
+    };
+  }
+
+  const rated = resp.data?.RateResponse?.RatedShipment || [];
+  return (Array.isArray(rated) ? rated : [rated]).filter(Boolean).map((r) => rateRow(r, serviceCode));
+}
+
+// ===== Address validation =====
+
+function parseCandidate(c = {}, fallback = {}) {
+  const k = c.AddressKeyFormat || {};
+  const lines = Array.isArray(k.AddressLine) ? k.AddressLine : [k.AddressLine].filter(Boolean);
+  return {
+    ...fallback,
+    street1: lines[0] || fallback.street1,
+    street2: lines[1] || undefined,
+    city: k.PoliticalDivision2 || fallback.city,
+    state: k.PoliticalDivision1 || fallback.state,
+    zip: k.PostcodePrimaryLow || fallback.zip,
+    country: k.CountryCode || fallback.country || "US",
+  };
+}
+
+/**
+ * UPS adapter. `mock` answers every call offline; `track(…, { allowMock })`
+ * also mocks the UPS demo numbers.
+ */
+export function createUpsCarrier({ mock = false } = {}) {
+  return {
+    name: "UPS",
+    mock,
+
+    async rate(request) {
+      const services = request.services?.length ? request.services : [null];
+      if (mock) {
+        const wanted = services.filter(Boolean);
+        const list = wanted.length ? MOCK_SERVICES.filter((s) => wanted.includes(s.code)) : MOCK_SERVICES;
+        return { rates: mockRates("UPS", list, request), errors: [] };
+      }
+
+      const results = await Promise.allSettled(services.map((svc) => rateOne(request, svc)));
+      const rates = [];
+      const errors = [];
+      for (const r of results) {
+        if (r.status === "fulfilled") rates.push(...r.value);
+        else errors.push(r.reason);
+      }
+      return { rates, errors };
+    },
+
+    async track(trackingNumber, { allowMock = false, forceMock = false } = {}) {
+      const tn = String(trackingNumber || "").trim().toUpperCase();
+      const demo = isTestTrackingNumber(tn);
+      const usedMock = mock || forceMock || (allowMock && demo);
+      const data = usedMock
+        ? buildMockUpsTracking(tn, demo ? {} : { status: mockTrackingStatus(tn) })
+        : await trackWithUPS(tn);
+      const pkg = data?.trackResponse?.shipment?.[0]?.package?.[0];
+      if (!pkg) throw carrierError("UPS returned no package data.");
+
+      const status = mapUpsStatus(pkg.currentStatus || {});
+      return {
+        carrier: "UPS",
+        status,
+        events: upsEvents(pkg),
+        deliveredAt: status === SHIPMENT_STATUS.DELIVERED ? new Date() : undefined,
+        usedMock,
+      };
+    },
+
+    async validateAddress(address) {
+      if (mock) return mockValidateAddress(address);
+
+      const body = {
+        XAVRequest: {
+          AddressKeyFormat: {
+            ConsigneeName: address.name,
+            AddressLine: streetLines(address),
+            PoliticalDivision2: address.city,
+            PoliticalDivision1: address.state,
+            PostcodePrimaryLow: String(address.zip || "").slice(0, 5),
+            CountryCode: address.country || "US",
+          },
+        },
+      };
+      const resp = await upsPost("/api/addressvalidation/v2/1?maximumcandidatelistsize=1", body, ["addressvalidation"]);
+      if (resp.status >= 400) {
+        throw carrierError(upsErrorOf(resp.data)?.message || "UPS address validation failed", resp.status);
+      }
+
+      const xav = resp.data?.XAVResponse || {};
+      const candidates = Array.isArray(xav.Candidate) ? xav.Candidate : [xav.Candidate].filter(Boolean);
+      const valid = "ValidAddressIndicator" in xav;
+      return {
+        valid,
+        address: candidates.length ? parseCandidate(candidates[0], address) : address,
+        messages: valid ? [] : ["NoCandidatesIndicator" in xav ? "UPS couldn't find this address" : "UPS found more than one match"],
+      };
+    },
+
+    async buyLabel(request) {
+      const serviceCode = request.serviceCode || "03"; // UPS Ground
+      if (mock) {
+        const { rates } = await this.rate({ ...request, services: [serviceCode] });
+        return mockLabel("UPS", { ...request, serviceCode }, (seed) => `1Z${mockToken(seed, 16, "0123456789ABCDEFGHJKLMNPRSTUVWXY")}`, rates[0]);
+      }
+
+      const shipperNumber = (process.env.UPS_SHIPPER_NUMBER || "").trim();
+      if (!shipperNumber) throw carrierError("UPS_SHIPPER_NUMBER is required to buy UPS labels", 500);
+
+      const party = (a) => ({
+        Name: String(a.name || a.company || "").slice(0, 35),
+        ...(a.phone ? { Phone: { Number: a.phone } } : {}),
+        Address: {
+          AddressLine: streetLines(a),
+          City: a.city,
+          StateProvinceCode: a.state,
+          PostalCode: String(a.zip || "").slice(0, 5),
+          CountryCode: a.country || "US",
+        },
+      });
+      const p = normalizeParcel(request.parcel);
+      const body = {
+        ShipmentRequest: {
+          Request: { RequestOption: "nonvalidate" },
+          Shipment: {
+            Description: String(request.reference || "Artwork").slice(0, 35),
+            Shipper: { ...party(request.from), ShipperNumber: shipperNumber },
+            ShipFrom: party(request.from),
+            ShipTo: party(request.to),
+            PaymentInformation: { ShipmentCharge: { Type: "01", BillShipper: { AccountNumber: shipperNumber } } },
+            Service: { Code: serviceCode },
+            Package: {
+              Packaging: { Code: "02" },
+              Dimensions: {
+                UnitOfMeasurement: { Code: "IN" },
+                Length: String(p.lengthIn),
+                Width: String(p.widthIn),
+                Height: String(p.heightIn),
+              },
+              PackageWeight: { UnitOfMeasurement: { Code: "LBS" }, Weight: String(p.weightLb) },
+            },
+          },
+          LabelSpecification: { LabelImageFormat: { Code: "GIF" } },
+        },
+      };
+
+      const resp = await upsPost("/api/shipments/v2403/ship", body, ["shipping"]);
+      if (resp.status >= 400) {
+        throw carrierError(upsErrorOf(resp.data)?.message || "UPS label purchase failed", resp.status);
+      }
+
+      const results = resp.data?.ShipmentResponse?.ShipmentResults || {};
+      const pkg = Array.isArray(results.PackageResults) ? results.PackageResults[0] : results.PackageResults;
+      const charges = results.NegotiatedRateCharges?.TotalCharge || results.ShipmentCharges?.TotalCharges;
+      return {
+        carrier: "UPS",
+        serviceCode,
+        trackingNumber: pkg?.TrackingNumber,
+        shipmentId: results.ShipmentIdentificationNumber,
+        amount: charges?.MonetaryValue != null ? parseFloat(charges.MonetaryValue) : null,
+        currency: charges?.CurrencyCode || "USD",
+        label: { format: "GIF", data: pkg?.ShippingLabel?.GraphicImage },
+        usedMock: false,
+      };
+    },
+  };
+}
+
+export default createUpsCarrier;
@@ -0,0 +1,327 @@
+// services/certificates.js
+/**
+ * Certificates of Authenticity
+ * One certificate per sold artwork, made out to the buyer and signed with an
+ * HMAC over its contents, so GET /certificates/:id/verify can tell a genuine
+ * certificate from an edited or made-up one. The QR code on the printed
+ * certificate links to that endpoint.
+ *
+ * When a collector resells, the artist transfers the certificate: the old
+ * one is superseded and a new one is issued to the new holder (same for a
+ * plain reissue, e.g. to correct a name).
+ */
+
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import Certificate, { CERTIFICATE_STATUS, CERTIFICATE_REASON } from "../models/certificate.js";
+import OrderModel from "../models/orders.js";
+import ImageModel from "../models/images.js";
+import UserModel from "../models/users.js";
+
+// No 0/O, 1/I/L: ids get read off paper and typed in by hand
+const ID_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function certificateError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+function certificateSecret() {
+  const secret = process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("CERTIFICATE_SECRET or JWT_SECRET must be set");
+  return secret;
+}
+
+/**
+ * A random public id like "COA-ABCD-EFGH-JKMN"
+ */
+export function generateCertificateId() {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map((b) => ID_ALPHABET[b % ID_ALPHABET.length]).join("");
+  return `COA-${chars.match(/.{4}/g).join("-")}`;
+}
+
+/**
+ * Ids as typed from a printed certificate → stored form. Pure.
+ */
+export function normalizeCertificateId(id) {
+  const chars = String(id || "").toUpperCase().replace(/[^A-Z0-9]/g, "").replace(/^COA/, "");
+  return chars.length === 12 ? `COA-${chars.match(/.{4}/g).join("-")}` : String(id || "");
+}
+
+/**
+ * Where the QR code points
+ */
+export function certificateVerifyUrl(certificateId) {
+  const base = process.env.CERTIFICATE_VERIFY_BASE_URL || process.env.APP_BASE_URL || "https://immpression.art";
+  return `${base.replace(/\/+$/, "")}/certificates/${encodeURIComponent(certificateId)}/verify`;
+}
+
+const iso = (d) => (d ? new Date(d).toISOString() : null);
+
+/**
+ * The signed fields, in a fixed order. Pure.
+ */
+export function certificatePayload(cert) {
+  const a = cert.artwork || {};
+  return JSON.stringify([
+    cert.certificateId,
+    String(cert.orderId),
+    String(cert.imageId),
+    String(cert.artistUserId),
+    cert.holderName,
+    a.title,
+    a.artistName,
+    a.category ?? null,
+    a.dimensions?.height ?? null,
+    a.dimensions?.width ?? null,
+    a.dimensions?.length ?? null,
+    Boolean(a.isSigned),
+    Boolean(a.isFramed),
+    a.printVariantLabel ?? null,
+    a.editionNumber ?? null,
+    a.editionSize ?? null,
+    iso(cert.saleDate),
+    iso(cert.issuedAt),
+    cert.previousCertificateId ?? null,
+  ]);
+}
+
+/**
+ * HMAC-SHA256 of the signed fields (hex). Pure given the secret.
+ */
+export function signCertificate(cert, secret = certificateSecret()) {
+  return crypto.createHmac("sha256", secret).update(certificatePayload(cert)).digest("hex");
+}
+
+/**
+ * Whether `cert.signature` matches its contents. Pure given the secret.
+ */
+export function isCertificateSignatureValid(cert, secret = certificateSecret()) {
+  const expected = Buffer.from(signCertificate(cert, secret), "hex");
+  const actual = Buffer.from(String(cert.signature || ""), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * What anyone scanning the QR code sees: the artwork and its history, not
+ * who owns it. Pure.
+ */
+export function publicCertificateView(cert) {
+  const a = cert.artwork || {};
+  return {
+    certificateId: cert.certificateId,
+    status: cert.status,
+    artwork: {
+      title: a.title,
+      artistName: a.artistName,
+      category: a.category,
+      dimensions: a.dimensions,
+      isSigned: Boolean(a.isSigned),
+      isFramed: Boolean(a.isFramed),
+      printVariantLabel: a.printVariantLabel,
+      editionNumber: a.editionNumber,
+      editionSize: a.editionSize,
+      imageLink: a.imageLink,
+    },
+    saleDate: cert.saleDate,
+    issuedAt: cert.issuedAt,
+    previousCertificateId: cert.previousCertificateId,
+    supersededBy: cert.supersededBy,
+  };
+}
+
+/**
+ * Create and sign a certificate. `fields.issueKey` makes this idempotent:
+ * a repeat returns the certificate created the first time.
+ */
+async function createCertificate(fields) {
+  for (let attempt = 0; ; attempt += 1) {
+    const cert = { ...fields, certificateId: generateCertificateId(), issuedAt: new Date() };
+    try {
+      return await Certificate.create({ ...cert, signature: signCertificate(cert) });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      const existing = await Certificate.findOne({ issueKey: fields.issueKey });
+      if (existing) return existing;
+      if (attempt >= 2) throw err; // id collision: draw again
+    }
+  }
+}
+
+/**
+ * Certificate for a sold order, made out to the buyer (once per order)
+ */
+export async function issueCertificateForOrder(orderId) {
+  const existing = await Certificate.findOne({ issueKey: `order_${orderId}` });
+  if (existing) return existing;
+
+  const order = await OrderModel.findById(orderId).lean();
+  if (!order) throw certificateError("Order not found", 404);
+  if (!order.paidAt) throw certificateError("Order hasn't been paid", 409);
+
+  const image = await ImageModel.findById(order.imageId)
+    .select("name category dimensions isSigned isFramed imageLink")
+    .lean();
+
+  return createCertificate({
+    reason: CERTIFICATE_REASON.SALE,
+    orderId: order._id,
+    imageId: order.imageId,
+    artistUserId: order.artistUserId,
+    holderUserId: order.userId,
+    holderName: order.userAccountName,
+    artwork: {
+      title: order.artName,
+      artistName: order.artistName,
+      category: image?.category,
+      dimensions: image?.dimensions
+        ? { height: image.dimensions.height, width: image.dimensions.width, length: image.dimensions.length }
+        : undefined,
+      isSigned: Boolean(image?.isSigned),
+      isFramed: Boolean(image?.isFramed),
+      printVariantLabel: order.printVariantLabel,
+      editionNumber: order.editionNumber,
+      editionSize: order.editionSize,
+      imageLink: order.imageLink,
+    },
+    saleDate: order.paidAt,
+    issueKey: `order_${order._id}`,
+  });
+}
+
+/**
+ * Replace an active certificate with a new one (same artwork and sale date).
+ * `holder` is { userId?, name } for a transfer; omitted for a reissue.
+ */
+async function supersedeCertificate(cert, { reason, note, holder }) {
+  if (cert.status !== CERTIFICATE_STATUS.ACTIVE) {
+    throw certificateError(`Certificate was superseded by ${cert.supersededBy}`, 409);
+  }
+
+  const successor = await createCertificate({
+    reason,
+    note,
+    orderId: cert.orderId,
+    imageId: cert.imageId,
+    artistUserId: cert.artistUserId,
+    holderUserId: holder ? holder.userId : cert.holderUserId,
+    holderName: holder ? holder.name : cert.holderName,
+    artwork: cert.artwork,
+    saleDate: cert.saleDate,
+    previousCertificateId: cert.certificateId,
+    issueKey: `successor_${cert.certificateId}`,
+  });
+
+  await Certificate.updateOne(
+    { _id: cert._id, status: CERTIFICATE_STATUS.ACTIVE },
+    { $set: { status: CERTIFICATE_STATUS.SUPERSEDED, supersededBy: successor.certificateId, supersededAt: successor.issuedAt } }
+  );
+  return successor;
+}
+
+/**
+ * New copy of a certificate for the same holder
+ */
+export function reissueCertificate(cert, { note } = {}) {
+  return supersedeCertificate(cert, { reason: CERTIFICATE_REASON.REISSUE, note });
+}
+
+/**
+ * Make the certificate out to a new collector. `toEmail` links it to their
+ * account when they have one; otherwise `toName` is required.
+ */
+export async function transferCertificate(cert, { toEmail, toName, note } = {}) {
+  const email = String(toEmail || "").trim().toLowerCase();
+  const user = email ? await UserModel.findOne({ email }).select("name").lean() : null;
+  if (email && !user) throw certificateError("No account uses that email; give the collector's name instead.", 404);
+
+  const name = String(toName || "").trim().slice(0, 200) || user?.name;
+  if (!name) throw certificateError("toEmail or toName is required");
+  if (user && String(user._id) === String(cert.holderUserId)) {
+    throw certificateError("The certificate is already made out to this collector.", 409);
+  }
+
+  return supersedeCertificate(cert, {
+    reason: CERTIFICATE_REASON.TRANSFER,
+    note,
+    holder: { userId: user?._id, name },
+  });
+}
+
+/**
+ * Certificate → PDF with its QR code. Resolves with a Buffer.
+ */
+export async function certificatePDF(cert) {
+  const appName = process.env.APP_NAME || "Immpression";
+  const qr = await QRCode.toBuffer(certificateVerifyUrl(cert.certificateId), { margin: 1, width: 240 });
+  const a = cert.artwork || {};
+  const dims = a.dimensions?.height && a.dimensions?.width
+    ? [a.dimensions.height, a.dimensions.width, a.dimensions.length].filter((n) => n).join(" × ")
+    : null;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 60 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(22).text("Certificate of Authenticity", { align: "center" });
+    doc.moveDown(0.3).fontSize(11).fillColor("#555").text(appName, { align: "center" });
+    doc.fillColor("#000").moveDown(1.5);
+
+    const field = (label, value) => {
+      if (value == null || value === "") return;
+      doc.font("Helvetica-Bold").fontSize(11).text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(String(value));
+    };
+    field("Title", a.title);
+    field("Artist", a.artistName);
+    field("Category", a.category);
+    field("Dimensions", dims);
+    field("Print", a.printVariantLabel);
+    field("Edition", a.editionNumber ? (a.editionSize ? `${a.editionNumber} of ${a.editionSize}` : a.editionNumber) : null);
+    field("Signed by the artist", a.isSigned ? "Yes" : "No");
+    field("Framed", a.isFramed ? "Yes" : "No");
+    doc.moveDown();
+    field("Issued to", cert.holderName);
+    field("Date of sale", new Date(cert.saleDate).toISOString().slice(0, 10));
+    field("Issued", new Date(cert.issuedAt).toISOString().slice(0, 10));
+    field("Replaces", cert.previousCertificateId);
+    doc.moveDown();
+    field("Certificate ID", cert.certificateId);
+
+    doc.image(qr, doc.page.width / 2 - 70, doc.y + 20, { width: 140 });
+    doc.y += 170;
+    doc.font("Helvetica").fontSize(9).fillColor("#555")
+      .text(`Scan or visit ${certificateVerifyUrl(cert.certificateId)} to verify.`, { align: "center" });
+    doc.text(`Signature ${cert.signature}`, { align: "center" });
+
+    doc.end();
+  });
+}
+
+/**
+ * QR code for the verify link, as a PNG data URL
+ */
+export function certificateQRDataURL(cert) {
+  return QRCode.toDataURL(certificateVerifyUrl(cert.certificateId), { margin: 1, width: 240 });
+}
+
+export default {
+  generateCertificateId,
+  normalizeCertificateId,
+  certificateVerifyUrl,
+  certificatePayload,
+  signCertificate,
+  isCertificateSignatureValid,
+  publicCertificateView,
+  issueCertificateForOrder,
+  reissueCertificate,
+  transferCertificate,
+  certificatePDF,
+  certificateQRDataURL,
+};
@@ -0,0 +1,615 @@
+// services/checkout.js
+/**
+ * Cart Checkout
+ * Turns a buyer's cart into one child Order per artwork under a parent
+ * Checkout, and charges them all with a single PaymentIntent in one
+ * transfer_group. Each artist's pieces ship as one parcel: shipping is
+ * quoted and taxed per seller, then spread over that seller's orders so
+ * refunds, returns and payouts keep working order by order.
+ */
+
+import Stripe from "stripe";
+import Cart, { MAX_CART_ITEMS } from "../models/cart.js";
+import Checkout, { CHECKOUT_STATUS } from "../models/checkout.js";
+import OrderModel, { ORDER_STATUS, ORDER_ACTOR } from "../models/orders.js";
+import ImageModel, { IMAGE_STAGE } from "../models/images.js";
+import UserModel from "../models/users.js";
+import Offer, { OFFER_STATUS } from "../models/offer.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+import { getPurchaseOption, reserveInventory, releaseHold, commitSale } from "./inventory.js";
+import { applyOrderTransition } from "./orderLifecycle.js";
+import { snapshotOrderCommission } from "./commission.js";
+import {
+  orderDiscount,
+  revalidateOrderCoupon,
+  recordCouponRedemption,
+  releaseCouponRedemption,
+} from "./coupons.js";
+import { recordOrderLedger } from "./ledger.js";
+import { refundOrder } from "./refunds.js";
+import { assignInvoiceNumber } from "./invoices.js";
+import { issueCertificateForOrder } from "./certificates.js";
+import { verifyShippingQuote } from "./shippingQuote.js";
+import { normAddr, zip5 } from "../utils/address.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+const sameId = (a, b) => String(a) === String(b);
+
+function checkoutError(message, status = 400, details) {
+  const e = new Error(message);
+  e.status = status;
+  if (details) e.details = details;
+  return e;
+}
+
+/**
+ * Split `total` cents across `weights` in proportion, to the cent
+ * (largest remainder). Pure.
+ */
+export function allocateCents(total, weights) {
+  const amount = posInt(total);
+  const w = weights.map(posInt);
+  const sum = w.reduce((a, b) => a + b, 0);
+  if (!w.length) return [];
+  if (!sum) return w.map((_, i) => (i === 0 ? amount : 0));
+
+  const exact = w.map((x) => (amount * x) / sum);
+  const parts = exact.map(Math.floor);
+  let left = amount - parts.reduce((a, b) => a + b, 0);
+  const byRemainder = exact.map((x, i) => [x - parts[i], i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) {
+    if (left <= 0) break;
+    parts[i] += 1;
+    left -= 1;
+  }
+  return parts;
+}
+
+/**
+ * Per-seller groups and checkout totals from its child orders. Pure.
+ */
+export function summarizeCheckout(orders, previousSellers = []) {
+  const sellers = [];
+  for (const o of orders) {
+    let s = sellers.find((x) => sameId(x.artistUserId, o.artistUserId));
+    if (!s) {
+      const prev = previousSellers.find((x) => sameId(x.artistUserId, o.artistUserId));
+      s = {
+        artistUserId: o.artistUserId,
+        artistName: o.artistName,
+        orderIds: [],
+        baseAmount: 0,
+        discountAmount: 0,
+        shippingAmount: 0,
+        taxAmount: 0,
+        totalAmount: 0,
+        ...(prev?.shippingQuote?.amount != null ? { shippingQuote: prev.shippingQuote.toObject?.() ?? prev.shippingQuote } : {}),
+      };
+      sellers.push(s);
+    }
+    const discount = orderDiscount(o);
+    s.orderIds.push(o._id);
+    s.baseAmount += posInt(o.baseAmount);
+    s.discountAmount += discount.amount;
+    s.shippingAmount += posInt(o.shippingAmount);
+    s.taxAmount += posInt(o.taxAmount);
+    s.totalAmount += discount.chargedBase + posInt(o.shippingAmount) + posInt(o.taxAmount);
+  }
+
+  const totals = { baseAmount: 0, discountAmount: 0, shippingAmount: 0, taxAmount: 0, totalAmount: 0 };
+  for (const s of sellers) for (const k of Object.keys(totals)) totals[k] += s[k];
+  return { sellers, ...totals };
+}
+
+/**
+ * A child order's share of the checkout's single charge: its part of the
+ * Stripe fee and the net left after it. Orders paid on their own take the
+ * whole balance transaction. Pure.
+ */
+export function chargeShare(order, balanceTransaction) {
+  const fee = posInt(balanceTransaction.fee);
+  if (!order.checkoutId) return { fee, net: posInt(balanceTransaction.net) };
+
+  const total = posInt(order.totalAmount);
+  const gross = posInt(balanceTransaction.amount) || total;
+  const share = Math.round((fee * total) / gross);
+  return { fee: share, net: Math.max(0, total - share) };
+}
+
+async function loadChildOrders(checkout) {
+  const orders = await OrderModel.find({ _id: { $in: checkout.orderIds } });
+  // Keep cart order
+  return checkout.orderIds.map((id) => orders.find((o) => sameId(o._id, id))).filter(Boolean);
+}
+
+async function refreshTotals(checkout, orders) {
+  checkout.set(summarizeCheckout(orders, checkout.sellers));
+  await checkout.save();
+  return checkout;
+}
+
+/**
+ * Why a cart line can't be bought, or null. Mirrors POST /order.
+ */
+async function cartLineProblem(image, item, buyerId) {
+  if (!image || image.stage !== IMAGE_STAGE.APPROVED || image.artistPayoutsDisabled) {
+    return "This artwork is no longer available.";
+  }
+  if (sameId(image.userId, buyerId)) return "You can't buy your own artwork.";
+  const purchase = getPurchaseOption(image, item.variantId);
+  if (purchase.error) return purchase.error;
+  if (image.auction?.enabled) return "This artwork is sold by auction.";
+
+  const offer = await Offer.findOne({ imageId: image._id, status: OFFER_STATUS.ACCEPTED })
+    .sort({ acceptedAt: -1 })
+    .select("orderId")
+    .lean();
+  if (offer?.orderId && (await OrderModel.exists({ _id: offer.orderId, status: ORDER_STATUS.PENDING }))) {
+    return "This artwork is reserved for an accepted offer.";
+  }
+  return null;
+}
+
+/**
+ * Create a checkout (and its pending child orders, each holding its piece)
+ * from the buyer's cart, then empty the cart. Throws 409 with `details`
+ * listing the lines that can't be bought; nothing is created then.
+ */
+export async function createCheckoutFromCart(user, deliveryDetails) {
+  const cart = await Cart.findOne({ userId: user._id });
+  const items = cart?.items || [];
+  if (!items.length) throw checkoutError("Your cart is empty.");
+  if (items.length > MAX_CART_ITEMS) throw checkoutError(`A checkout can hold at most ${MAX_CART_ITEMS} artworks.`);
+
+  const images = await ImageModel.find({ _id: { $in: items.map((i) => i.imageId) } }).lean();
+  const artistIds = [...new Set(images.map((img) => String(img.userId)))];
+  const artists = await UserModel.find({ _id: { $in: artistIds } }).select("stripeAccountId").lean();
+
+  const problems = [];
+  const orders = [];
+  for (const item of items) {
+    const image = images.find((img) => sameId(img._id, item.imageId));
+    const artist = image && artists.find((a) => sameId(a._id, image.userId));
+    const problem =
+      (await cartLineProblem(image, item, user._id)) ||
+      (!artist?.stripeAccountId ? "The artist can't take payments right now." : null);
+    if (problem) {
+      problems.push({ itemId: String(item._id), imageId: String(item.imageId), error: problem });
+      continue;
+    }
+
+    const purchase = getPurchaseOption(image, item.variantId);
+    const baseCents = Math.round(Number(purchase.price) * 100);
+    orders.push(new OrderModel({
+      imageId: image._id,
+      artName: image.name,
+      artistName: image.artistName,
+      price: baseCents,
+      baseAmount: baseCents,
+      shippingAmount: 0,
+      taxAmount: 0,
+      totalAmount: baseCents,
+      imageLink: image.imageLink,
+      deliveryDetails,
+      userAccountName: user.name,
+      userId: user._id,
+      artistUserId: image.userId,
+      artistStripeId: artist.stripeAccountId,
+      printVariantId: purchase.variantId || undefined,
+      printVariantLabel: purchase.label || undefined,
+      editionSize: purchase.editionSize || undefined,
+      status: ORDER_STATUS.PENDING,
+    }));
+  }
+  if (problems.length) throw checkoutError("Some artworks in your cart can't be bought.", 409, problems);
+
+  // Hold every piece before creating anything; give them all back if one fails
+  const held = [];
+  for (const order of orders) {
+    const hold = await reserveInventory(order);
+    if (hold.error) {
+      await Promise.all(held.map(releaseHold));
+      throw checkoutError(`${order.artName}: ${hold.error}`, hold.status);
+    }
+    order.reservedUntil = hold.expiresAt;
+    held.push(order);
+  }
+
+  const checkout = new Checkout({ userId: user._id, deliveryDetails });
+  checkout.transferGroup = `checkout_${checkout._id}`;
+  try {
+    for (const order of orders) {
+      order.checkoutId = checkout._id;
+      order.transferGroup = checkout.transferGroup;
+      await order.save();
+    }
+    checkout.orderIds = orders.map((o) => o._id);
+    await refreshTotals(checkout, orders);
+  } catch (err) {
+    await Promise.all(held.map(releaseHold));
+    await OrderModel.deleteMany({ checkoutId: checkout._id });
+    throw err;
+  }
+
+  cart.items = [];
+  await cart.save();
+  return { checkout, orders };
+}
+
+function assertPending(checkout) {
+  if (![CHECKOUT_STATUS.PENDING, CHECKOUT_STATUS.FAILED].includes(checkout.status)) {
+    throw checkoutError(`Checkout is ${checkout.status}`, 409);
+  }
+}
+
+/**
+ * Apply a shipping rate to one seller's parcel. The quote comes from
+ * GET /order/:id/shipping-quote on that seller's first order and is spread
+ * over their orders by price.
+ */
+export async function setSellerShipping(checkout, artistUserId, quoteToken) {
+  assertPending(checkout);
+  const seller = checkout.sellers.find((s) => sameId(s.artistUserId, artistUserId));
+  if (!seller) throw checkoutError("No artworks from this artist in the checkout.", 404);
+
+  const { quote, error } = verifyShippingQuote(quoteToken, {
+    orderId: seller.orderIds[0],
+    toZip: zip5(checkout.deliveryDetails?.zipCode),
+  });
+  if (error) throw checkoutError(error);
+
+  const orders = await loadChildOrders(checkout);
+  const sellerOrders = orders.filter((o) => sameId(o.artistUserId, artistUserId));
+  const shares = allocateCents(quote.amountCents, sellerOrders.map((o) => o.baseAmount));
+  sellerOrders.forEach((o, i) => {
+    o.shippingAmount = shares[i];
+    o.taxAmount = 0; // recomputed when the PaymentIntent is created
+  });
+  await Promise.all(sellerOrders.map((o) => o.save()));
+  for (const o of orders) if (!sameId(o.artistUserId, artistUserId)) o.taxAmount = 0;
+  await Promise.all(orders.filter((o) => !sameId(o.artistUserId, artistUserId) && o.isModified()).map((o) => o.save()));
+
+  seller.shippingQuote = {
+    carrier: quote.carrier,
+    serviceCode: quote.serviceCode,
+    serviceName: quote.serviceName,
+    amount: quote.amountCents,
+    toZip: quote.toZip,
+    estBusinessDays: quote.estBusinessDays ?? undefined,
+    quotedAt: new Date(quote.iat * 1000),
+  };
+  return refreshTotals(checkout, orders);
+}
+
+/**
+ * Tax one seller's parcel with Stripe Tax: each artwork on its discounted
+ * price, plus the parcel's shipping spread back over the orders.
+ * Resolves with tax cents per order (same order as `orders`).
+ */
+async function taxSellerOrders(orders, address) {
+  const shipping = orders.reduce((sum, o) => sum + posInt(o.shippingAmount), 0);
+  const calc = await stripe.tax.calculations.create({
+    currency: "usd",
+    line_items: [
+      ...orders.map((o) => ({
+        amount: orderDiscount(o).chargedBase,
+        reference: `order_${o._id}`,
+        tax_behavior: "exclusive",
+      })),
+      ...(shipping > 0 ? [{ amount: shipping, reference: "shipping_cost", tax_behavior: "exclusive" }] : []),
+    ],
+    customer_details: { address, address_source: "shipping" },
+    expand: ["line_items"],
+  });
+
+  const total = calc.tax_amount_exclusive ?? calc.tax_amount_inclusive ?? (calc.amount_total - calc.amount_subtotal);
+  const lines = calc.line_items?.data || [];
+  if (!lines.length) {
+    return allocateCents(total, orders.map((o) => orderDiscount(o).chargedBase + posInt(o.shippingAmount)));
+  }
+
+  const lineTax = (ref) => posInt(lines.find((l) => l.reference === ref)?.amount_tax);
+  const shippingTax = allocateCents(lineTax("shipping_cost"), orders.map((o) => o.shippingAmount));
+  return orders.map((o, i) => lineTax(`order_${o._id}`) + shippingTax[i]);
+}
+
+/**
+ * Price every child order (coupon re-check, commission snapshot, tax per
+ * seller), renew the holds, and create or update the checkout's
+ * PaymentIntent. Resolves with { checkout, orders, paymentIntent }.
+ */
+export async function preparePayment(checkout, buyer) {
+  assertPending(checkout);
+  const orders = await loadChildOrders(checkout);
+  if (!orders.length) throw checkoutError("Checkout has no orders.", 409);
+
+  const address = normAddr(checkout.deliveryDetails || {});
+  if (!address.postal_code) throw checkoutError("postal_code required");
+
+  for (const order of orders) {
+    await revalidateOrderCoupon(order); // throws 409 with the reason if it was dropped
+    await snapshotOrderCommission(order);
+    const hold = await reserveInventory(order);
+    if (hold.error) throw checkoutError(`${order.artName}: ${hold.error}`, hold.status);
+    order.reservedUntil = hold.expiresAt;
+  }
+
+  for (const seller of checkout.sellers) {
+    const sellerOrders = orders.filter((o) => sameId(o.artistUserId, seller.artistUserId));
+    const taxes = await taxSellerOrders(sellerOrders, address);
+    sellerOrders.forEach((o, i) => { o.taxAmount = taxes[i]; });
+  }
+
+  // pre('save') recomputes each order's total, commission and seller share
+  await Promise.all(orders.map((o) => o.save()));
+  await refreshTotals(checkout, orders);
+
+  const params = {
+    amount: checkout.totalAmount,
+    metadata: {
+      checkoutId: String(checkout._id),
+      orders: String(orders.length),
+      base: String(checkout.baseAmount),
+      discount: String(checkout.discountAmount),
+      shipping: String(checkout.shippingAmount),
+      tax: String(checkout.taxAmount),
+      total: String(checkout.totalAmount),
+      transferGroup: checkout.transferGroup,
+    },
+  };
+
+  let paymentIntent = checkout.paymentIntentId
+    ? await stripe.paymentIntents.retrieve(checkout.paymentIntentId)
+    : null;
+  if (paymentIntent?.status === "succeeded" || paymentIntent?.status === "processing") {
+    throw checkoutError("Payment is already being processed.", 409);
+  }
+
+  if (paymentIntent && paymentIntent.status !== "canceled") {
+    paymentIntent = await stripe.paymentIntents.update(paymentIntent.id, params);
+  } else {
+    paymentIntent = await stripe.paymentIntents.create({
+      ...params,
+      currency: "usd",
+      transfer_group: checkout.transferGroup,
+      automatic_payment_methods: { enabled: true },
+      shipping: {
+        name: checkout.deliveryDetails?.name || buyer?.name || "Customer",
+        address: {
+          line1: address.line1,
+          city: address.city,
+          state: address.state,
+          postal_code: address.postal_code,
+          country: address.country,
+        },
+      },
+    }, { idempotencyKey: `pi_checkout_${checkout._id}${paymentIntent ? `_${Date.now()}` : ""}` });
+    checkout.paymentIntentId = paymentIntent.id;
+    await checkout.save();
+  }
+
+  return { checkout, orders, paymentIntent };
+}
+
+function notify(fields) {
+  return Notification.create(fields).catch((err) => console.error("Checkout notification failed:", err?.message || err));
+}
+
+/**
+ * Mark a checkout and its child orders paid, take each sale out of
+ * inventory and tell the artists. Safe to call more than once (webhook +
+ * finalize): each order is only moved and committed once. A piece that sold
+ * out meanwhile is refunded on its own; the rest of the checkout stands.
+ */
+export async function markCheckoutPaid(checkoutId, pi) {
+  const chargeId = typeof pi.latest_charge === "string" ? pi.latest_charge : pi.latest_charge?.id;
+  const paidAt = new Date();
+
+  const claimed = await Checkout.findOneAndUpdate(
+    { _id: checkoutId, status: { $in: [CHECKOUT_STATUS.PENDING, CHECKOUT_STATUS.FAILED] } },
+    { $set: { status: CHECKOUT_STATUS.PAID, paidAt, paymentIntentId: pi.id, chargeId } },
+    { new: true }
+  );
+  const checkout = claimed || (await Checkout.findById(checkoutId));
+  if (!checkout) return null;
+  if (checkout.status !== CHECKOUT_STATUS.PAID) {
+    // Cancelled while the payment was in flight: give the money back
+    await stripe.refunds.create(
+      { payment_intent: pi.id, metadata: { checkoutId: String(checkoutId), reason: "checkout_cancelled" } },
+      { idempotencyKey: `refund_cancelled_checkout_${checkoutId}` }
+    );
+    console.error(`⚠️ Checkout ${checkoutId} was paid after it was cancelled; payment refunded`);
+    return checkout;
+  }
+
+  let bought = 0;
+  for (const orderId of checkout.orderIds) {
+    let order = await applyOrderTransition(orderId, ORDER_STATUS.PAID, {
+      from: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED],
+      actor: ORDER_ACTOR.STRIPE,
+      reason: "payment_intent.succeeded",
+      set: { paidAt, chargeId: chargeId || null, transferGroup: checkout.transferGroup },
+    });
+    // Retried delivery of an event we didn't finish
+    if (!order) {
+      order = await OrderModel.findOne({ _id: orderId, status: ORDER_STATUS.PAID, inventoryCommittedAt: { $exists: false } });
+    }
+    if (!order) continue;
+    recordOrderLedger(order._id);
+    recordCouponRedemption(order).catch((err) =>
+      console.error(`Coupon redemption for order ${order._id} failed:`, err?.message || err));
+
+    const sale = await commitSale(order._id);
+    if (sale.reason === "sold_out") {
+      await refundOrder(order, {
+        reason: "Sold out before payment completed",
+        idempotencyKey: `refund_sold_out_${order._id}`,
+      });
+      notify({
+        recipientUserId: order.userId,
+        actorUserId: order.artistUserId,
+        type: NOTIFICATION_TYPE.ORDER_REFUNDED,
+        title: "Payment refunded",
+        message: `“${order.artName}” sold out before your payment went through. We've refunded it.`,
+        orderId: order._id,
+        imageId: order.imageId,
+        data: { artName: order.artName, price: order.totalAmount, imageLink: order.imageLink },
+      });
+      continue;
+    }
+    if (sale.reason === "already_committed") continue;
+    if (sale.committed) {
+      await Promise.all([
+        assignInvoiceNumber(order._id).catch((err) =>
+          console.error(`Invoice number for order ${order._id} failed:`, err?.message || err)),
+        issueCertificateForOrder(order._id).catch((err) =>
+          console.error(`Certificate for order ${order._id} failed:`, err?.message || err)),
+      ]);
+    }
+
+    bought += 1;
+    const data = { artName: order.artName, price: order.baseAmount, imageLink: order.imageLink };
+    notify({
+      recipientUserId: order.artistUserId,
+      actorUserId: order.userId,
+      type: NOTIFICATION_TYPE.ORDER_PAID,
+      title: "Payment received",
+      message: `Payment confirmed for "${order.artName}".`,
+      orderId: order._id,
+      imageId: order.imageId,
+      data,
+    });
+    notify({
+      recipientUserId: order.artistUserId,
+      actorUserId: order.userId,
+      type: NOTIFICATION_TYPE.ORDER_NEEDS_SHIPPING,
+      title: "Action needed: Ship order",
+      message: `"${order.artName}" is paid and ready to ship. Add tracking info to notify the buyer.`,
+      orderId: order._id,
+      imageId: order.imageId,
+      data,
+    });
+  }
+
+  if (claimed && bought) {
+    notify({
+      recipientUserId: checkout.userId,
+      type: NOTIFICATION_TYPE.ORDER_PAID,
+      title: "Payment successful",
+      message: `You purchased ${bought} artwork${bought === 1 ? "" : "s"}. We'll notify you as each one ships.`,
+      data: { price: checkout.totalAmount },
+    });
+  }
+  return checkout;
+}
+
+/**
+ * A payment attempt failed: the buyer can retry, but the pieces (and any
+ * promo code uses) go back on sale until they do
+ */
+async function markCheckoutFailed(checkoutId, pi) {
+  const failureReason = pi.last_payment_error?.message || "payment_intent.payment_failed";
+  const checkout = await Checkout.findOneAndUpdate(
+    { _id: checkoutId, status: { $in: [CHECKOUT_STATUS.PENDING, CHECKOUT_STATUS.FAILED] } },
+    { $set: { status: CHECKOUT_STATUS.FAILED, failureReason } },
+    { new: true }
+  );
+  if (!checkout) return null;
+
+  for (const orderId of checkout.orderIds) {
+    const failed =
+      (await applyOrderTransition(orderId, ORDER_STATUS.FAILED, {
+        actor: ORDER_ACTOR.STRIPE,
+        reason: failureReason,
+        set: { failureReason },
+      })) ||
+      (await OrderModel.findOne({ _id: orderId, status: ORDER_STATUS.FAILED }));
+    if (failed) {
+      await releaseHold(failed);
+      await releaseCouponRedemption(failed);
+    }
+  }
+  return checkout;
+}
+
+/**
+ * Cancel an unpaid checkout: stop the PaymentIntent, cancel the child
+ * orders and release their holds and promo code reservations
+ */
+export async function cancelCheckout(checkout, { actorId, reason } = {}) {
+  assertPending(checkout);
+
+  if (checkout.paymentIntentId) {
+    try {
+      await stripe.paymentIntents.cancel(checkout.paymentIntentId);
+    } catch (err) {
+      if (err?.code !== "payment_intent_unexpected_state") throw err;
+      const pi = await stripe.paymentIntents.retrieve(checkout.paymentIntentId);
+      if (pi.status !== "canceled") throw checkoutError("Payment is already being processed.", 409);
+    }
+  }
+
+  checkout.status = CHECKOUT_STATUS.CANCELLED;
+  checkout.cancelledAt = new Date();
+  await checkout.save();
+
+  for (const orderId of checkout.orderIds) {
+    const order = await applyOrderTransition(orderId, ORDER_STATUS.CANCELLED, {
+      from: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED],
+      actor: ORDER_ACTOR.BUYER,
+      actorId,
+      reason,
+    });
+    if (order) {
+      await releaseHold(order);
+      await releaseCouponRedemption(order);
+    }
+  }
+  return checkout;
+}
+
+/**
+ * Webhook entry point for payment_intent.* events of cart checkouts
+ */
+export async function handleCheckoutPaymentEvent(event) {
+  const pi = event.data.object;
+  const checkoutId = pi.metadata?.checkoutId;
+  if (!checkoutId) return null;
+
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      return markCheckoutPaid(checkoutId, pi);
+
+    case "payment_intent.payment_failed":
+      return markCheckoutFailed(checkoutId, pi);
+
+    case "payment_intent.canceled": {
+      const checkout = await Checkout.findById(checkoutId).select("orderIds").lean();
+      if (!checkout) return null;
+      const orders = await OrderModel.find({
+        _id: { $in: checkout.orderIds },
+        status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED] },
+      });
+      await Promise.all(orders.map(releaseHold));
+      await Promise.all(orders.map(releaseCouponRedemption));
+      return checkout;
+    }
+
+    default:
+      return null;
+  }
+}
+
+export default {
+  allocateCents,
+  summarizeCheckout,
+  chargeShare,
+  createCheckoutFromCart,
+  setSellerShipping,
+  preparePayment,
+  markCheckoutPaid,
+  cancelCheckout,
+  handleCheckoutPaymentEvent,
+};
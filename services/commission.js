@@ -0,0 +1,147 @@
+// services/commission.js
+/**
+ * Platform Commission
+ * Picks the commission rate for an order from the admin-managed rules and
+ * snapshots it onto the order when checkout starts, so later rule changes
+ * never alter what an artist was promised for a sale.
+ *
+ * Precedence: artist override → active promo (lowest wins) → category →
+ * default rule → PLATFORM_COMMISSION_BPS. An artist's grandfathered rate
+ * then caps the result.
+ */
+
+import CommissionRule, { COMMISSION_SCOPE, LEGACY_COMMISSION_BPS } from "../models/commissionRule.js";
+import ImageModel from "../models/images.js";
+import { orderDiscount } from "./coupons.js";
+
+const bpsFromEnv = Number.parseInt(process.env.PLATFORM_COMMISSION_BPS, 10);
+export const DEFAULT_COMMISSION_BPS =
+  Number.isInteger(bpsFromEnv) && bpsFromEnv >= 0 && bpsFromEnv <= 10000 ? bpsFromEnv : LEGACY_COMMISSION_BPS;
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+
+/**
+ * Whether a rule applies at `at` (inactive and out-of-window rules don't). Pure.
+ */
+export function isRuleLive(rule, at = new Date()) {
+  if (!rule || rule.active === false) return false;
+  if (rule.startsAt && new Date(rule.startsAt) > at) return false;
+  if (rule.endsAt && new Date(rule.endsAt) <= at) return false;
+  return true;
+}
+
+const newestFirst = (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+const lowestFirst = (a, b) => a.rateBps - b.rateBps || newestFirst(a, b);
+
+/**
+ * Resolve the rate for one sale from a list of rules. Pure.
+ * Returns { rateBps, scope, ruleId, label, grandfathered }.
+ */
+export function resolveCommission(rules = [], { artistUserId, category, at = new Date() } = {}) {
+  const live = rules.filter((r) => isRuleLive(r, at));
+  const forArtist = (r) => artistUserId && String(r.artistUserId) === String(artistUserId);
+
+  const pick = (scope, match, sort = newestFirst) =>
+    live.filter((r) => r.scope === scope && match(r)).sort(sort)[0];
+
+  const rule =
+    pick(COMMISSION_SCOPE.ARTIST, forArtist) ||
+    pick(COMMISSION_SCOPE.PROMO, (r) => !r.category || r.category === category, lowestFirst) ||
+    pick(COMMISSION_SCOPE.CATEGORY, (r) => !!category && r.category === category) ||
+    pick(COMMISSION_SCOPE.DEFAULT, () => true);
+
+  let applied = rule
+    ? { rateBps: rule.rateBps, scope: rule.scope, ruleId: rule._id, label: rule.label }
+    : { rateBps: DEFAULT_COMMISSION_BPS, scope: COMMISSION_SCOPE.DEFAULT, ruleId: null, label: "Platform default" };
+
+  const grandfathered = pick(COMMISSION_SCOPE.GRANDFATHERED, forArtist, lowestFirst);
+  if (grandfathered && grandfathered.rateBps < applied.rateBps) {
+    applied = {
+      rateBps: grandfathered.rateBps,
+      scope: grandfathered.scope,
+      ruleId: grandfathered._id,
+      label: grandfathered.label,
+    };
+  }
+
+  return { ...applied, grandfathered: applied.scope === COMMISSION_SCOPE.GRANDFATHERED };
+}
+
+/**
+ * Commission on a base price (cents) at a rate in basis points. Pure.
+ */
+export function commissionOnBase(baseCents, rateBps = LEGACY_COMMISSION_BPS) {
+  return Math.round((posInt(baseCents) * posInt(rateBps)) / 10000);
+}
+
+/**
+ * The commission breakdown for an order from its snapshot; orders placed
+ * before rules existed report the old flat 3%. Pure.
+ */
+export function orderCommission(order) {
+  // An artist-funded discount lowers the price commission is taken on
+  const base = orderDiscount(order).sellerBase;
+  const snap = order.commission?.rateBps != null ? order.commission : null;
+  const rateBps = snap ? snap.rateBps : LEGACY_COMMISSION_BPS;
+  const platformHoldOnBase = commissionOnBase(base, rateBps);
+
+  return {
+    rateBps,
+    ratePercent: rateBps / 100,
+    scope: snap?.scope || "legacy",
+    ruleId: snap?.ruleId || null,
+    label: snap?.label || (snap ? undefined : "Flat 3% (before commission rules)"),
+    grandfathered: !!snap?.grandfathered,
+    resolvedAt: snap?.resolvedAt,
+    base,
+    platformHoldOnBase,
+    sellerShareOfBase: base - platformHoldOnBase,
+  };
+}
+
+/**
+ * Rules that could apply to this artist/category (window checks happen in
+ * resolveCommission)
+ */
+function loadCandidateRules({ artistUserId, category }) {
+  const or = [
+    { scope: { $in: [COMMISSION_SCOPE.DEFAULT, COMMISSION_SCOPE.PROMO] } },
+  ];
+  if (category) or.push({ scope: COMMISSION_SCOPE.CATEGORY, category });
+  if (artistUserId) {
+    or.push({ scope: { $in: [COMMISSION_SCOPE.ARTIST, COMMISSION_SCOPE.GRANDFATHERED] }, artistUserId });
+  }
+  return CommissionRule.find({ active: true, $or: or }).lean();
+}
+
+/**
+ * The rate that applies to an artist's sale right now
+ */
+export async function commissionFor({ artistUserId, category, at = new Date() }) {
+  const rules = await loadCandidateRules({ artistUserId, category });
+  return resolveCommission(rules, { artistUserId, category, at });
+}
+
+/**
+ * Snapshot the applicable rate onto an unpaid order. An order that already
+ * has one keeps it, so retrying checkout can't change the rate.
+ */
+export async function snapshotOrderCommission(order, at = new Date()) {
+  if (order.commission?.rateBps != null) return order.commission;
+
+  const image = await ImageModel.findById(order.imageId).select("category").lean();
+  const applied = await commissionFor({ artistUserId: order.artistUserId, category: image?.category, at });
+
+  order.commission = { ...applied, category: image?.category, resolvedAt: at };
+  return order.commission;
+}
+
+export default {
+  DEFAULT_COMMISSION_BPS,
+  isRuleLive,
+  resolveCommission,
+  commissionOnBase,
+  orderCommission,
+  commissionFor,
+  snapshotOrderCommission,
+};
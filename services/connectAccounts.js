@@ -0,0 +1,188 @@
+// services/connectAccounts.js
+/**
+ * Stripe Connect Account Sync
+ * Keeps the artist's onboarding state, charges/payouts flags and outstanding
+ * requirements in step with Stripe (account.updated, capability.updated and
+ * payout.failed webhooks, plus POST /check-stripe-status). Artists are told
+ * when Stripe needs more from them, and their listings leave the marketplace
+ * while payouts are disabled.
+ */
+
+import Stripe from "stripe";
+import UserModel from "../models/users.js";
+import ImageModel from "../models/images.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+const list = (v) => (Array.isArray(v) ? [...v] : []);
+
+/**
+ * The fields we mirror from a Stripe account object. Pure.
+ */
+export function accountStatus(account) {
+  const req = account?.requirements || {};
+  return {
+    detailsSubmitted: !!account?.details_submitted,
+    chargesEnabled: !!account?.charges_enabled,
+    payoutsEnabled: !!account?.payouts_enabled,
+    requirements: {
+      currentlyDue: list(req.currently_due),
+      pastDue: list(req.past_due),
+      eventuallyDue: list(req.eventually_due),
+      disabledReason: req.disabled_reason || undefined,
+      currentDeadline: req.current_deadline ? new Date(req.current_deadline * 1000) : undefined,
+    },
+  };
+}
+
+/**
+ * Requirements that are due now and weren't before (so the artist is only
+ * notified about each new ask once). Pure.
+ */
+export function newlyDueRequirements(previous = {}, next = {}) {
+  const before = new Set([...list(previous.currentlyDue), ...list(previous.pastDue)]);
+  const now = [...new Set([...list(next.currentlyDue), ...list(next.pastDue)])];
+  return now.filter((r) => !before.has(r));
+}
+
+// "individual.verification.document" → "verification document"
+const describeRequirement = (r) => r.split(".").slice(-2).join(" ").replace(/_/g, " ");
+
+function notifyArtist(user, { type, title, message, data }) {
+  return Notification.create({
+    recipientUserId: user._id,
+    type,
+    title,
+    message,
+    data,
+  }).catch((err) => console.error("Connect notification failed:", err?.message || err));
+}
+
+/**
+ * Hide or show an artist's listings to match whether they can be paid
+ */
+async function setListingsHidden(userId, hidden) {
+  const result = await ImageModel.updateMany(
+    { userId, artistPayoutsDisabled: hidden ? { $ne: true } : true },
+    { $set: { artistPayoutsDisabled: hidden } }
+  );
+  if (result.modifiedCount) {
+    console.log(`Connect: ${hidden ? "hid" : "restored"} ${result.modifiedCount} listing(s) of user ${userId}`);
+  }
+}
+
+/**
+ * Store a Stripe account's state on its user. Resolves with the user (or null
+ * when no user has this account).
+ */
+export async function syncConnectAccount(account) {
+  const user = await UserModel.findOne({ stripeAccountId: account.id });
+  if (!user) return null;
+
+  const status = accountStatus(account);
+  const previous = user.stripeRequirements?.toObject?.() || user.stripeRequirements || {};
+  const wasPayoutsEnabled = user.stripePayoutsEnabled;
+
+  user.stripeDetailsSubmitted = status.detailsSubmitted;
+  user.stripeChargesEnabled = status.chargesEnabled;
+  user.stripePayoutsEnabled = status.payoutsEnabled;
+  user.stripeRequirements = status.requirements;
+  user.stripeAccountSyncedAt = new Date();
+  if (status.detailsSubmitted && !user.stripeOnboardingCompleted) {
+    user.stripeOnboardingCompleted = true;
+    user.stripeOnboardingCompletedAt = new Date();
+  }
+  await user.save();
+
+  // Only artists who finished onboarding get listings hidden; mid-onboarding
+  // accounts never had payouts enabled in the first place
+  if (status.payoutsEnabled !== wasPayoutsEnabled && (user.stripeOnboardingCompleted || status.payoutsEnabled)) {
+    await setListingsHidden(user._id, !status.payoutsEnabled);
+  }
+
+  const newlyDue = newlyDueRequirements(previous, status.requirements);
+  if (newlyDue.length && user.stripeOnboardingCompleted) {
+    const deadline = status.requirements.currentDeadline;
+    notifyArtist(user, {
+      type: NOTIFICATION_TYPE.STRIPE_ACTION_REQUIRED,
+      title: "Stripe needs more information",
+      message:
+        `Stripe needs a few more details to keep paying you (${newlyDue.map(describeRequirement).join(", ")}).` +
+        (deadline ? ` Please update them by ${deadline.toDateString()}.` : " Please update them in your payout settings."),
+    });
+  } else if (wasPayoutsEnabled && !status.payoutsEnabled) {
+    notifyArtist(user, {
+      type: NOTIFICATION_TYPE.STRIPE_ACTION_REQUIRED,
+      title: "Payouts paused",
+      message: "Stripe has paused payouts to your account, so your artworks are hidden from the marketplace until it's resolved. Please check your payout settings.",
+    });
+  }
+
+  return user;
+}
+
+/**
+ * Record a payout Stripe couldn't deliver to the artist's bank
+ */
+async function recordPayoutFailure(accountId, payout) {
+  const user = await UserModel.findOneAndUpdate(
+    { stripeAccountId: accountId },
+    {
+      $set: {
+        stripePayoutFailure: {
+          payoutId: payout.id,
+          code: payout.failure_code,
+          message: payout.failure_message,
+          at: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!user) return null;
+
+  notifyArtist(user, {
+    type: NOTIFICATION_TYPE.STRIPE_PAYOUT_FAILED,
+    title: "Payout to your bank failed",
+    message: `Stripe couldn't send $${(Number(payout.amount || 0) / 100).toFixed(2)} to your bank` +
+      (payout.failure_message ? `: ${payout.failure_message}` : ".") +
+      " Please check your bank details.",
+    data: { price: payout.amount },
+  });
+  return user;
+}
+
+/**
+ * Webhook entry point for account.updated, capability.updated and payout.failed
+ */
+export async function handleConnectAccountEvent(event) {
+  const object = event.data?.object || {};
+
+  switch (event.type) {
+    case "account.updated":
+      return syncConnectAccount(object);
+
+    case "capability.updated": {
+      // The capability only names its account; fetch the whole account
+      const accountId = typeof object.account === "string" ? object.account : object.account?.id || event.account;
+      if (!accountId) return null;
+      return syncConnectAccount(await stripe.accounts.retrieve(accountId));
+    }
+
+    case "payout.failed":
+      // Connect payouts arrive with the connected account on the event
+      if (!event.account) return null;
+      return recordPayoutFailure(event.account, object);
+
+    default:
+      return null;
+  }
+}
+
+export default {
+  accountStatus,
+  newlyDueRequirements,
+  syncConnectAccount,
+  handleConnectAccountEvent,
+};
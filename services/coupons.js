@@ -0,0 +1,355 @@
+// services/coupons.js
+/**
+ * Promo Codes
+ * Buyers apply a coupon to a pending order before /create-payment-intent.
+ * The discount comes off the artwork price; tax is then calculated on the
+ * discounted price. Who funds it decides what the artist is owed:
+ *   platform → artist is paid on the full price, the platform absorbs it
+ *   artist   → artist is paid (and commissioned) on the discounted price
+ * A redemption is reserved when the PaymentIntent is created, so limited
+ * codes can't be spread over several unpaid orders, and becomes final once
+ * the order is paid. Like inventory holds, a reservation is given back when
+ * the order is cancelled or its payment fails, and lapses on its own if the
+ * buyer walks away. A paid order always counts, even if its reservation lapsed.
+ */
+
+import Coupon, { COUPON_TYPE, COUPON_FUNDED_BY } from "../models/coupon.js";
+import CouponRedemption, { COUPON_REDEMPTION_STATUS } from "../models/couponRedemption.js";
+import ImageModel from "../models/images.js";
+import OrderModel, { ORDER_STATUS } from "../models/orders.js";
+import { HOLD_TTL_MINUTES } from "./inventory.js";
+
+const { RESERVED, REDEEMED } = COUPON_REDEMPTION_STATUS;
+
+// Stripe won't take a card payment under $0.50, so a discount always leaves that much
+export const MIN_CHARGE_CENTS = 50;
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+
+export const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+/**
+ * Why a coupon can't be used on this purchase, or null if it can. Pure.
+ * `userRedemptions` is how many other orders this buyer has paid or is
+ * paying with it.
+ */
+export function couponIneligibility(coupon, { baseCents, category, artistUserId, userRedemptions = 0, now = new Date() }) {
+  if (!coupon || coupon.active === false) return "This promo code isn't valid.";
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return "This promo code isn't active yet.";
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) return "This promo code has expired.";
+  if (coupon.maxRedemptions && posInt(coupon.redemptionCount) >= coupon.maxRedemptions) {
+    return "This promo code has been fully redeemed.";
+  }
+  if (coupon.maxRedemptionsPerUser && userRedemptions >= coupon.maxRedemptionsPerUser) {
+    return "You've already used this promo code.";
+  }
+  if (coupon.categories?.length && !coupon.categories.includes(category)) {
+    return "This promo code doesn't apply to this artwork.";
+  }
+  if (coupon.artistUserIds?.length && !coupon.artistUserIds.some((id) => String(id) === String(artistUserId))) {
+    return "This promo code doesn't apply to this artwork.";
+  }
+  if (posInt(baseCents) < posInt(coupon.minSpendCents)) {
+    return `This promo code needs a minimum spend of $${(posInt(coupon.minSpendCents) / 100).toFixed(2)}.`;
+  }
+  return null;
+}
+
+/**
+ * Whether a reservation still counts toward a coupon's limits. Paid
+ * redemptions always do. Pure.
+ */
+export function isRedemptionLive(redemption, now = new Date()) {
+  if ((redemption.status || REDEEMED) !== RESERVED) return true;
+  return Boolean(redemption.expiresAt) && new Date(redemption.expiresAt) > now;
+}
+
+/**
+ * Why a reservation just taken must be given back, or null if it stands. Pure.
+ * `counted` is whether the guarded increment of `redemptionCount` matched;
+ * `userUses` is this buyer's live redemptions including the new one, counted
+ * after it was written so two checkouts at once can't both slip under the limit.
+ */
+export function reservationConflict(coupon, { counted, userUses = 1 }) {
+  if (!counted) return "This promo code has been fully redeemed.";
+  if (coupon.maxRedemptionsPerUser && userUses > coupon.maxRedemptionsPerUser) {
+    return "You've already used this promo code.";
+  }
+  return null;
+}
+
+/**
+ * Discount in cents on an artwork price. Pure.
+ */
+export function discountFor(coupon, baseCents) {
+  const base = posInt(baseCents);
+  const raw = coupon.type === COUPON_TYPE.PERCENT
+    ? Math.round((base * Number(coupon.percentOff || 0)) / 100)
+    : posInt(coupon.amountOffCents);
+  return Math.max(0, Math.min(raw, base - MIN_CHARGE_CENTS));
+}
+
+/**
+ * How an order's discount splits between buyer, artist and platform. Pure.
+ * `chargedBase` is what the buyer pays for the artwork (and is taxed on);
+ * `sellerBase` is what the artist is paid and commissioned on.
+ */
+export function orderDiscount(order) {
+  const base = posInt(order.baseAmount ?? order.price);
+  const amount = Math.min(base, posInt(order.discount?.amountCents));
+  const artistFunded = order.discount?.fundedBy === COUPON_FUNDED_BY.ARTIST;
+  return {
+    code: order.discount?.code || null,
+    amount,
+    fundedBy: amount ? order.discount.fundedBy || COUPON_FUNDED_BY.PLATFORM : null,
+    chargedBase: base - amount,
+    sellerBase: artistFunded ? base - amount : base,
+    platformFunded: artistFunded ? 0 : amount,
+  };
+}
+
+/**
+ * The part of a platform-funded discount a refund takes back from the
+ * artist: the same share of it as the share of the payment refunded, so a
+ * fully refunded order leaves them owed nothing. Pure.
+ */
+export function refundedSubsidyCents(order, refundedCents = order.refundedCents) {
+  const { platformFunded, chargedBase } = orderDiscount(order);
+  if (!platformFunded) return 0;
+  const charged = chargedBase + posInt(order.shippingAmount) + posInt(order.taxAmount);
+  if (!charged) return platformFunded;
+  return Math.round(platformFunded * Math.min(1, posInt(refundedCents) / charged));
+}
+
+const fail = (status, message) => {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+};
+
+// Redemptions that count toward a coupon's limits (see isRedemptionLive)
+const liveRedemptions = (couponId, now, extra = {}) => ({
+  couponId,
+  ...extra,
+  $or: [{ status: { $ne: RESERVED } }, { expiresAt: { $gt: now } }],
+});
+
+// Delete one reservation and give its use back to the coupon
+async function dropReservation(filter) {
+  const reservation = await CouponRedemption.findOneAndDelete({ ...filter, status: RESERVED }).lean();
+  if (!reservation) return false;
+  await Coupon.updateOne(
+    { _id: reservation.couponId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+  return true;
+}
+
+// Give back the uses held by lapsed reservations. Resolves with how many.
+async function releaseLapsedReservations(couponId, now = new Date()) {
+  const lapsed = await CouponRedemption.find({ couponId, status: RESERVED, expiresAt: { $lte: now } })
+    .select("_id")
+    .limit(200)
+    .lean();
+  let released = 0;
+  for (const { _id } of lapsed) {
+    if (await dropReservation({ _id, expiresAt: { $lte: now } })) released += 1;
+  }
+  return released;
+}
+
+/**
+ * Check a coupon against an order. Resolves with { coupon, amountCents } or
+ * throws an Error with `status`. The order's own reservation doesn't count
+ * against it.
+ */
+export async function validateCoupon(code, order, now = new Date()) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).lean();
+  if (!coupon) throw fail(404, "This promo code isn't valid.");
+
+  const [image, userRedemptions, ownReservation] = await Promise.all([
+    ImageModel.findById(order.imageId).select("category").lean(),
+    CouponRedemption.countDocuments(
+      liveRedemptions(coupon._id, now, { userId: order.userId, orderId: { $ne: order._id } })
+    ),
+    CouponRedemption.exists({ orderId: order._id, couponId: coupon._id, status: RESERVED, expiresAt: { $gt: now } }),
+  ]);
+  const baseCents = posInt(order.baseAmount ?? order.price);
+
+  let redemptionCount = posInt(coupon.redemptionCount) - (ownReservation ? 1 : 0);
+  if (coupon.maxRedemptions && redemptionCount >= coupon.maxRedemptions) {
+    redemptionCount -= await releaseLapsedReservations(coupon._id, now);
+  }
+
+  const reason = couponIneligibility({ ...coupon, redemptionCount }, {
+    baseCents,
+    category: image?.category,
+    artistUserId: order.artistUserId,
+    userRedemptions,
+    now,
+  });
+  if (reason) throw fail(400, reason);
+
+  const amountCents = discountFor(coupon, baseCents);
+  if (!amountCents) throw fail(400, "This promo code doesn't lower the price of this artwork.");
+  return { coupon, amountCents };
+}
+
+/**
+ * Apply a coupon to a pending order (replacing any earlier one). Tax on the
+ * order is cleared; it's recalculated on the discounted price at checkout.
+ */
+export async function applyCoupon(order, code) {
+  if (order.status !== ORDER_STATUS.PENDING) throw fail(400, `Order is ${order.status}`);
+  if (order.priceLocked) throw fail(400, "Promo codes can't be used on offer or auction orders.");
+
+  const { coupon, amountCents } = await validateCoupon(code, order);
+  await releaseCouponRedemption(order);
+  order.discount = {
+    couponId: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    amountCents,
+    fundedBy: coupon.fundedBy,
+    appliedAt: new Date(),
+  };
+  order.taxAmount = 0;
+  await order.save();
+  return order;
+}
+
+export async function removeCoupon(order) {
+  if (order.status !== ORDER_STATUS.PENDING) throw fail(400, `Order is ${order.status}`);
+  await releaseCouponRedemption(order);
+  order.discount = undefined;
+  order.taxAmount = 0;
+  await order.save();
+  return order;
+}
+
+const redemptionFields = (order) => ({
+  couponId: order.discount.couponId,
+  code: order.discount.code,
+  userId: order.userId,
+  orderId: order._id,
+  discountCents: order.discount.amountCents,
+  fundedBy: order.discount.fundedBy,
+});
+
+/**
+ * Reserve one use of the order's coupon until the inventory hold runs out
+ * (or renew the reservation it already has). The coupon's count only goes
+ * up while it's under `maxRedemptions`, so concurrent checkouts can't take
+ * more uses than there are. Throws 400 when none is left.
+ */
+export async function reserveCouponRedemption(order, coupon, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + HOLD_TTL_MINUTES * 60 * 1000);
+
+  const renewed = await CouponRedemption.findOneAndUpdate(
+    { orderId: order._id, couponId: coupon._id, status: RESERVED },
+    { $set: { expiresAt, discountCents: order.discount.amountCents } },
+    { new: true }
+  );
+  if (renewed) return renewed;
+
+  await releaseLapsedReservations(coupon._id, now);
+  const limit = coupon.maxRedemptions ? { redemptionCount: { $lt: coupon.maxRedemptions } } : {};
+  const { modifiedCount } = await Coupon.updateOne({ _id: coupon._id, ...limit }, { $inc: { redemptionCount: 1 } });
+  const full = reservationConflict(coupon, { counted: modifiedCount > 0 });
+  if (full) throw fail(400, full);
+
+  let reservation;
+  try {
+    reservation = await CouponRedemption.create({ ...redemptionFields(order), status: RESERVED, expiresAt });
+  } catch (err) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    if (err?.code === 11000) return null; // the order already redeemed it
+    throw err;
+  }
+
+  if (coupon.maxRedemptionsPerUser) {
+    const userUses = await CouponRedemption.countDocuments(liveRedemptions(coupon._id, now, { userId: order.userId }));
+    const reason = reservationConflict(coupon, { counted: true, userUses });
+    if (reason) {
+      await dropReservation({ _id: reservation._id });
+      throw fail(400, reason);
+    }
+  }
+  return reservation;
+}
+
+/**
+ * Give back an unpaid order's coupon reservation (order cancelled, payment
+ * failed, coupon removed...). Safe to call more than once.
+ */
+export function releaseCouponRedemption(order) {
+  return dropReservation({ orderId: order._id });
+}
+
+/**
+ * Re-check an order's coupon just before taking payment (it may have expired
+ * or run out since it was applied) and reserve a use of it. Drops it and
+ * throws 409 if it no longer holds; otherwise refreshes the amount against
+ * the current price.
+ */
+export async function revalidateOrderCoupon(order) {
+  if (!order.discount?.couponId) return order;
+  try {
+    const { coupon, amountCents } = await validateCoupon(order.discount.code, order);
+    order.discount.amountCents = amountCents;
+    await reserveCouponRedemption(order, coupon);
+    return order;
+  } catch (err) {
+    if (!err.status) throw err;
+    const code = order.discount.code;
+    await releaseCouponRedemption(order);
+    order.discount = undefined;
+    await order.save();
+    throw fail(409, `Promo code ${code} was removed: ${err.message}`);
+  }
+}
+
+/**
+ * Make a paid order's coupon use final (idempotent per order). Its
+ * reservation already counted it; one that lapsed before the payment went
+ * through is counted now.
+ */
+export async function recordCouponRedemption(orderOrId) {
+  const order = orderOrId?.discount
+    ? orderOrId
+    : await OrderModel.findById(orderOrId).select("discount userId").lean();
+  if (!order?.discount?.couponId || !order.discount.amountCents) return null;
+
+  const reserved = await CouponRedemption.findOneAndUpdate(
+    { orderId: order._id, couponId: order.discount.couponId, status: RESERVED },
+    { $set: { status: REDEEMED, discountCents: order.discount.amountCents }, $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+  if (reserved) return reserved;
+
+  try {
+    await CouponRedemption.create({ ...redemptionFields(order), status: REDEEMED });
+  } catch (err) {
+    if (err?.code === 11000) return null; // already counted
+    throw err;
+  }
+  return Coupon.updateOne({ _id: order.discount.couponId }, { $inc: { redemptionCount: 1 } });
+}
+
+export default {
+  MIN_CHARGE_CENTS,
+  normalizeCode,
+  couponIneligibility,
+  isRedemptionLive,
+  reservationConflict,
+  discountFor,
+  orderDiscount,
+  refundedSubsidyCents,
+  validateCoupon,
+  applyCoupon,
+  removeCoupon,
+  reserveCouponRedemption,
+  releaseCouponRedemption,
+  revalidateOrderCoupon,
+  recordCouponRedemption,
+};
@@ -0,0 +1,186 @@
+// services/disputeMonitor.js
+/**
+ * Dispute Deadline Monitor
+ * Watches disputes that still need evidence and alerts administrators
+ * as Stripe's response deadline approaches.
+ */
+
+import Dispute, { RESPONDABLE_DISPUTE_STATUSES } from "../models/dispute.js";
+import sendEmail from "./email.js";
+
+const ADMIN_ALERT_EMAIL = process.env.ADMIN_ALERT_EMAIL || "admin@immpression.com";
+const APP_NAME = process.env.APP_NAME || "Immpression";
+
+const WARNING_HOURS = 72;
+const URGENT_HOURS = 24;
+
+/**
+ * Format time remaining in human-readable format
+ */
+function formatTimeRemaining(deadline) {
+  const remaining = new Date(deadline).getTime() - Date.now();
+  if (remaining <= 0) return "OVERDUE";
+
+  const days = Math.floor(remaining / (1000 * 60 * 60 * 24));
+  const hours = Math.floor((remaining % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+
+  if (days > 0) return `${days}d ${hours}h`;
+  const minutes = Math.floor((remaining % (1000 * 60 * 60)) / (1000 * 60));
+  return `${hours}h ${minutes}m`;
+}
+
+/**
+ * Build HTML email for dispute deadline alerts
+ */
+function buildDisputeAlertEmail(disputes, isUrgent = false) {
+  const urgencyLabel = isUrgent ? "URGENT: " : "";
+  const rows = disputes
+    .map(
+      (d) => `
+      <tr>
+        <td style="padding:8px;border:1px solid #ddd">${d.stripeDisputeId}</td>
+        <td style="padding:8px;border:1px solid #ddd">${d.orderId || "—"}</td>
+        <td style="padding:8px;border:1px solid #ddd">$${(d.amount / 100).toFixed(2)}</td>
+        <td style="padding:8px;border:1px solid #ddd">${(d.reason || "—").replace(/_/g, " ")}</td>
+        <td style="padding:8px;border:1px solid #ddd">${formatTimeRemaining(d.evidenceDueBy)}</td>
+      </tr>
+    `
+    )
+    .join("");
+
+  return `
+    <!doctype html>
+    <html>
+    <head><meta charset="utf-8"/></head>
+    <body style="font-family:Arial,sans-serif;margin:0;padding:20px;background:#f7f7f7">
+      <div style="max-width:700px;margin:0 auto;background:#fff;border:1px solid #ddd;border-radius:8px;overflow:hidden">
+        <div style="background:${isUrgent ? "#dc3545" : "#ffc107"};padding:16px;color:${isUrgent ? "#fff" : "#000"}">
+          <h2 style="margin:0">${urgencyLabel}Dispute Evidence Due</h2>
+        </div>
+        <div style="padding:20px">
+          <p>Evidence for the following disputes is due within ${isUrgent ? URGENT_HOURS : WARNING_HOURS} hours and hasn't been submitted:</p>
+          <table style="width:100%;border-collapse:collapse;margin:16px 0">
+            <thead>
+              <tr style="background:#f5f5f5">
+                <th style="padding:8px;border:1px solid #ddd;text-align:left">Dispute</th>
+                <th style="padding:8px;border:1px solid #ddd;text-align:left">Order</th>
+                <th style="padding:8px;border:1px solid #ddd;text-align:left">Amount</th>
+                <th style="padding:8px;border:1px solid #ddd;text-align:left">Reason</th>
+                <th style="padding:8px;border:1px solid #ddd;text-align:left">Time Remaining</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>
+          <p style="margin-top:20px">
+            <a href="${process.env.ADMIN_PANEL_URL || "https://immpression-admin.vercel.app"}/disputes"
+               style="display:inline-block;padding:12px 24px;background:#1a73e8;color:#fff;text-decoration:none;border-radius:6px">
+              View Disputes
+            </a>
+          </p>
+          <p style="color:#666;font-size:12px;margin-top:24px">
+            Disputes without evidence by the deadline are lost automatically.
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Check for disputes approaching their evidence deadline and send alerts.
+ * Each dispute gets at most one warning and one urgent alert.
+ */
+async function checkDisputeDeadlines() {
+  try {
+    const now = new Date();
+    const warningCutoff = new Date(Date.now() + WARNING_HOURS * 60 * 60 * 1000);
+    const urgentCutoff = new Date(Date.now() + URGENT_HOURS * 60 * 60 * 1000);
+
+    const atRisk = await Dispute.find({
+      status: { $in: RESPONDABLE_DISPUTE_STATUSES },
+      evidenceSubmittedAt: { $exists: false },
+      evidenceDueBy: { $lte: warningCutoff, $gt: now },
+    })
+      .sort({ evidenceDueBy: 1 })
+      .lean();
+
+    const urgent = atRisk.filter((d) => d.evidenceDueBy <= urgentCutoff && !d.alerts?.urgentSentAt);
+    const warning = atRisk.filter((d) => d.evidenceDueBy > urgentCutoff && !d.alerts?.warningSentAt);
+
+    let alertsSent = 0;
+    for (const [batch, isUrgent] of [[urgent, true], [warning, false]]) {
+      if (batch.length === 0) continue;
+      try {
+        await sendEmail(
+          ADMIN_ALERT_EMAIL,
+          isUrgent
+            ? `[URGENT] ${APP_NAME}: ${batch.length} dispute(s) due within ${URGENT_HOURS} hours`
+            : `[Warning] ${APP_NAME}: ${batch.length} dispute(s) need evidence`,
+          buildDisputeAlertEmail(batch, isUrgent)
+        );
+        await Dispute.updateMany(
+          { _id: { $in: batch.map((d) => d._id) } },
+          { $set: { [isUrgent ? "alerts.urgentSentAt" : "alerts.warningSentAt"]: new Date() } }
+        );
+        alertsSent += batch.length;
+        console.log(`Dispute Monitor: Sent ${isUrgent ? "urgent" : "warning"} alert for ${batch.length} disputes`);
+      } catch (emailError) {
+        console.error("Dispute Monitor: Failed to send alert email:", emailError);
+      }
+    }
+
+    return { atRisk: atRisk.length, urgent: urgent.length, alertsSent };
+  } catch (error) {
+    console.error("Dispute Monitor error:", error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the dispute monitoring interval
+ * Runs every 30 minutes by default
+ */
+let monitorInterval = null;
+
+export function startDisputeMonitor(intervalMinutes = 30) {
+  if (monitorInterval) {
+    console.log("Dispute Monitor: Already running");
+    return;
+  }
+
+  console.log(`Dispute Monitor: Starting with ${intervalMinutes} minute interval`);
+
+  checkDisputeDeadlines().then((result) => {
+    console.log("Dispute Monitor: Initial check complete", result);
+  });
+
+  monitorInterval = setInterval(
+    () => {
+      checkDisputeDeadlines().then((result) => {
+        if (result.alertsSent > 0) {
+          console.log(`Dispute Monitor: Check complete, ${result.alertsSent} alerts sent`);
+        }
+      });
+    },
+    intervalMinutes * 60 * 1000
+  );
+}
+
+export function stopDisputeMonitor() {
+  if (monitorInterval) {
+    clearInterval(monitorInterval);
+    monitorInterval = null;
+    console.log("Dispute Monitor: Stopped");
+  }
+}
+
+export { checkDisputeDeadlines };
+
+export default {
+  startDisputeMonitor,
+  stopDisputeMonitor,
+  checkDisputeDeadlines,
+};
@@ -0,0 +1,328 @@
+// services/disputes.js
+/**
+ * Dispute Service
+ * Keeps Dispute documents in sync with Stripe's charge.dispute.* webhooks,
+ * freezes the artist's payout while a dispute is open, and assembles and
+ * submits the evidence admins send back to Stripe.
+ */
+
+import Stripe from "stripe";
+import Dispute, {
+  DISPUTE_STATUS,
+  RESPONDABLE_DISPUTE_STATUSES,
+  EVIDENCE_TEXT_FIELDS,
+} from "../models/dispute.js";
+import OrderModel, { ORDER_STATUS, ORDER_ACTOR } from "../models/orders.js";
+import UserModel from "../models/users.js";
+import Offer from "../models/offer.js";
+import ReturnRequest from "../models/returnRequest.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+import { notifyAdmins } from "./adminNotify.js";
+import { canTransition, transitionOrder } from "./orderLifecycle.js";
+import { recordOrderLedger } from "./ledger.js";
+import { allocateCents } from "./checkout.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Stripe caps each evidence text field
+const MAX_EVIDENCE_TEXT = 20000;
+
+const dollars = (cents) => `$${(Number(cents || 0) / 100).toFixed(2)}`;
+const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : undefined);
+
+function disputeError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+async function findOrderForDispute(stripeDispute) {
+  const paymentIntentId =
+    typeof stripeDispute.payment_intent === "string" ? stripeDispute.payment_intent : stripeDispute.payment_intent?.id;
+  const chargeId = typeof stripeDispute.charge === "string" ? stripeDispute.charge : stripeDispute.charge?.id;
+
+  if (paymentIntentId) {
+    const order = await OrderModel.findOne({ paymentIntentId });
+    if (order) return order;
+  }
+  return chargeId ? OrderModel.findOne({ chargeId }) : null;
+}
+
+// A cart checkout's orders share one charge, so a dispute covers all of them
+async function ordersOnCharge(order) {
+  if (!order.checkoutId) return [order];
+  const siblings = await OrderModel.find({ checkoutId: order.checkoutId, _id: { $ne: order._id }, chargeId: order.chargeId });
+  return [order, ...siblings];
+}
+
+function notifyArtist(order, dispute, { type, title, message }) {
+  return Notification.create({
+    recipientUserId: order.artistUserId,
+    type,
+    title,
+    message,
+    orderId: order._id,
+    imageId: order.imageId,
+    disputeId: dispute._id,
+    data: { artName: order.artName, artistName: order.artistName, price: dispute.amount, imageLink: order.imageLink },
+  }).catch((err) => console.error("Dispute notification failed:", err?.message || err));
+}
+
+// Freeze payouts and mark the order disputed
+async function openDispute(dispute, order) {
+  order.payoutHold = { reason: `Dispute ${dispute.stripeDisputeId}`, disputeId: dispute._id, since: new Date() };
+  if (canTransition(order.status, ORDER_STATUS.DISPUTED)) {
+    transitionOrder(order, ORDER_STATUS.DISPUTED, { actor: ORDER_ACTOR.STRIPE, reason: `Dispute opened: ${dispute.reason}` });
+  }
+  await order.save();
+
+  const alreadyPaid = Number(order.sellerTransferredCents || 0);
+  notifyArtist(order, dispute, {
+    type: NOTIFICATION_TYPE.DISPUTE_OPENED,
+    title: "Payment disputed",
+    message: `The buyer's bank disputed the payment for “${order.artName}” (${dollars(dispute.amount)}). `
+      + (alreadyPaid ? "We're responding on your behalf." : "Your payout is on hold while we respond."),
+  });
+  notifyAdmins("newDispute", {
+    artName: order.artName,
+    artistName: order.artistName,
+    orderId: String(order._id),
+    reason: dispute.reason,
+    amount: dollars(dispute.amount),
+    evidenceDueBy: dispute.evidenceDueBy,
+    sellerPaid: dollars(alreadyPaid),
+  });
+}
+
+// Settle the order once the bank decides. `lostCents` is this order's share
+// of the disputed amount.
+async function closeDispute(dispute, order, lostCents = dispute.amount) {
+  const won = dispute.status !== DISPUTE_STATUS.LOST;
+
+  if (won) {
+    if (String(order.payoutHold?.disputeId) === String(dispute._id)) order.payoutHold = undefined;
+    // Other orders on a checkout's charge go back to their own earlier status
+    const sibling = dispute.orderId && String(dispute.orderId) !== String(order._id);
+    const before = sibling
+      ? [...(order.statusHistory || [])].reverse().find((h) => h.field === "status" && h.to === ORDER_STATUS.DISPUTED)?.from
+      : dispute.orderStatusBeforeDispute;
+    const restore = before || ORDER_STATUS.PAID;
+    if (order.status === ORDER_STATUS.DISPUTED && canTransition(ORDER_STATUS.DISPUTED, restore)) {
+      transitionOrder(order, restore, { actor: ORDER_ACTOR.STRIPE, reason: "Dispute won" });
+    }
+  } else {
+    // The charge was pulled back; the hold stays so nothing more is paid out
+    order.refundedCents = Math.min(
+      Number(order.totalAmount || 0),
+      Number(order.refundedCents || 0) + Number(lostCents || 0)
+    );
+    if (canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+      transitionOrder(order, ORDER_STATUS.REFUNDED, { actor: ORDER_ACTOR.STRIPE, reason: "Dispute lost" });
+      order.refundedAt = new Date();
+    }
+  }
+  await order.save();
+  if (!won) recordOrderLedger(order._id);
+
+  notifyArtist(order, dispute, {
+    type: NOTIFICATION_TYPE.DISPUTE_CLOSED,
+    title: won ? "Dispute resolved" : "Dispute lost",
+    message: won
+      ? `The dispute on “${order.artName}” was resolved in your favour.`
+      : `The bank sided with the buyer on “${order.artName}”. The payment was returned to them.`,
+  });
+  notifyAdmins("disputeClosed", {
+    artName: order.artName,
+    orderId: String(order._id),
+    outcome: dispute.status,
+    amount: dollars(dispute.amount),
+    sellerPaid: dollars(order.sellerTransferredCents),
+  });
+}
+
+/**
+ * Apply a charge.dispute.* webhook event.
+ * Safe to replay: the dispute is upserted and open/close side effects run once.
+ */
+export async function handleDisputeEvent(event) {
+  const sd = event.data.object;
+  const order = await findOrderForDispute(sd);
+
+  let dispute = await Dispute.findOne({ stripeDisputeId: sd.id });
+  const isNew = !dispute;
+  if (!dispute) dispute = new Dispute({ stripeDisputeId: sd.id });
+
+  const wasClosed = !!dispute.closedAt;
+  dispute.set({
+    orderId: order?._id,
+    chargeId: typeof sd.charge === "string" ? sd.charge : sd.charge?.id,
+    paymentIntentId: typeof sd.payment_intent === "string" ? sd.payment_intent : sd.payment_intent?.id,
+    artistUserId: order?.artistUserId,
+    buyerUserId: order?.userId,
+    amount: sd.amount,
+    currency: sd.currency,
+    reason: sd.reason,
+    status: sd.status,
+    evidenceDueBy: sd.evidence_details?.due_by ? new Date(sd.evidence_details.due_by * 1000) : undefined,
+    isChargeRefundable: sd.is_charge_refundable,
+  });
+  dispute.history.push({ type: event.type, status: sd.status });
+
+  if (isNew && order) dispute.orderStatusBeforeDispute = order.status;
+
+  const closing = event.type === "charge.dispute.closed" && !wasClosed;
+  if (closing) dispute.closedAt = new Date();
+  await dispute.save();
+
+  if (!order) {
+    console.error(`Disputes: no order found for dispute ${sd.id}`);
+    return dispute;
+  }
+
+  const orders = isNew || closing ? await ordersOnCharge(order) : [order];
+  const lostShares = allocateCents(dispute.amount, orders.map((o) => o.totalAmount));
+  for (const [i, o] of orders.entries()) {
+    if (isNew) await openDispute(dispute, o);
+    if (closing) await closeDispute(dispute, o, lostShares[i]);
+  }
+
+  return dispute;
+}
+
+/**
+ * Draft evidence from what we know about the order.
+ * Pure so admins can preview it; `offer` and `returns` are optional.
+ */
+export function buildEvidence({ order, buyer, offer, returns = [] }) {
+  const d = order.deliveryDetails || {};
+  const shipping = order.shipping || {};
+  const address = [d.name, d.address, [d.city, d.state, d.zipCode].filter(Boolean).join(" "), d.country]
+    .filter(Boolean)
+    .join(", ");
+
+  const product = [
+    `${order.artName} by ${order.artistName}`,
+    order.printVariantLabel && `Print size: ${order.printVariantLabel}`,
+    order.editionNumber && `Edition ${order.editionNumber}${order.editionSize ? ` of ${order.editionSize}` : ""}`,
+    `Order total ${dollars(order.totalAmount)}, placed ${day(order.createdAt)}`,
+  ].filter(Boolean).join(". ");
+
+  const sections = [];
+
+  const events = [...(shipping.trackingEvents || [])]
+    .sort((a, b) => new Date(a.datetime || 0) - new Date(b.datetime || 0))
+    .map((e) => `${e.datetime ? new Date(e.datetime).toISOString() : "—"}  ${e.message || e.status || ""}${e.location ? ` (${e.location})` : ""}`);
+  if (events.length) sections.push(`Carrier tracking (${shipping.carrier} ${shipping.trackingNumber}):\n${events.join("\n")}`);
+
+  if (shipping.deliveredAt) {
+    sections.push(`Delivery confirmation: ${shipping.carrier || "The carrier"} reported the package delivered on ${new Date(shipping.deliveredAt).toISOString()} to ${address || "the buyer's address"}.`);
+  }
+
+  const messages = [];
+  for (const h of offer?.history || []) {
+    if (h.message) messages.push(`${new Date(h.at).toISOString()}  ${h.by} (${h.action}): ${h.message}`);
+  }
+  for (const r of returns) {
+    for (const h of r.history || []) {
+      if (h.message) messages.push(`${new Date(h.at).toISOString()}  ${h.by} (return ${h.action}): ${h.message}`);
+    }
+  }
+  if (messages.length) sections.push(`Messages between buyer and artist:\n${messages.sort().join("\n")}`);
+
+  const evidence = {
+    product_description: product,
+    customer_name: d.name || order.userAccountName,
+    customer_email_address: buyer?.email,
+    shipping_address: address || undefined,
+    shipping_carrier: shipping.carrier,
+    shipping_tracking_number: shipping.trackingNumber,
+    shipping_date: day(shipping.shippedAt),
+    uncategorized_text: sections.join("\n\n") || undefined,
+  };
+
+  for (const key of Object.keys(evidence)) {
+    if (evidence[key] == null || evidence[key] === "") delete evidence[key];
+    else evidence[key] = String(evidence[key]).slice(0, MAX_EVIDENCE_TEXT);
+  }
+  return evidence;
+}
+
+/**
+ * Fill the dispute's evidence draft from the order. Fields an admin already
+ * wrote are kept unless `overwrite` is set.
+ */
+export async function collectEvidence(dispute, { overwrite = false } = {}) {
+  const order = await OrderModel.findById(dispute.orderId).lean();
+  if (!order) throw disputeError("Dispute isn't linked to an order", 409);
+
+  const [buyer, offer, returns] = await Promise.all([
+    UserModel.findById(order.userId).select("email").lean(),
+    order.offerId ? Offer.findById(order.offerId).lean() : null,
+    ReturnRequest.find({ orderId: order._id }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  const collected = buildEvidence({ order, buyer, offer, returns });
+  const current = dispute.evidence || {};
+  dispute.evidence = overwrite ? { ...current, ...collected } : { ...collected, ...current };
+  dispute.markModified("evidence");
+  dispute.history.push({ type: "evidence.collected" });
+  await dispute.save();
+  return dispute;
+}
+
+/**
+ * Keep only the evidence fields Stripe accepts as text
+ */
+export function pickEvidenceText(input = {}) {
+  const out = {};
+  for (const key of EVIDENCE_TEXT_FIELDS) {
+    if (input[key] === undefined) continue;
+    out[key] = input[key] === null ? "" : String(input[key]).slice(0, MAX_EVIDENCE_TEXT);
+  }
+  return out;
+}
+
+/**
+ * Upload a file to Stripe as dispute evidence
+ */
+export async function uploadEvidenceFile({ buffer, name, contentType }) {
+  const file = await stripe.files.create({
+    purpose: "dispute_evidence",
+    file: { data: buffer, name, type: contentType },
+  });
+  return file.id;
+}
+
+/**
+ * Send the evidence to Stripe and submit it for review.
+ * Only possible while the dispute needs a response and before the deadline.
+ */
+export async function submitEvidence(dispute, { adminId } = {}) {
+  if (!RESPONDABLE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw disputeError(`Evidence can't be submitted while the dispute is ${dispute.status}`, 409);
+  }
+  if (dispute.evidenceDueBy && dispute.evidenceDueBy < new Date()) {
+    throw disputeError("The evidence deadline has passed", 409);
+  }
+
+  const evidence = pickEvidenceText(dispute.evidence);
+  for (const f of dispute.evidenceFiles) evidence[f.field] = f.stripeFileId;
+
+  const updated = await stripe.disputes.update(dispute.stripeDisputeId, { evidence, submit: true });
+
+  dispute.status = updated.status;
+  dispute.evidenceSubmittedAt = new Date();
+  dispute.evidenceSubmittedBy = adminId;
+  dispute.history.push({ type: "evidence.submitted", status: updated.status });
+  await dispute.save();
+  return dispute;
+}
+
+export default {
+  handleDisputeEvent,
+  buildEvidence,
+  collectEvidence,
+  pickEvidenceText,
+  uploadEvidenceFile,
+  submitEvidence,
+};
@@ -15,13 +15,15 @@ const smtpConfig = {
 
 const transporter = nodemailer.createTransport(smtpConfig);
 
-const sendEmail = async (to, subject, html) => {
+// `attachments` (optional) is nodemailer's list: [{ filename, content, contentType }]
+const sendEmail = async (to, subject, html, attachments) => {
   try {
     const info = await transporter.sendMail({
       from: process.env.SMTP_FROM,
       to,
       subject,
       html,
+      ...(attachments?.length && { attachments }),
     });
     console.log(info.accepted);
     console.log(info.rejected);
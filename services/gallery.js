@@ -0,0 +1,90 @@
+// services/gallery.js
+/**
+ * Listing Gallery helpers
+ * A listing's cover is its own imageLink; detail shots live in `gallery`.
+ * These helpers build the ordered gallery each audience is allowed to see.
+ */
+
+import { IMAGE_STAGE } from "../models/images.js";
+
+export const MAX_GALLERY_PHOTOS = 12;
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0);
+
+function coverEntry(image) {
+  return {
+    _id: "cover",
+    url: image.imageLink,
+    isCover: true,
+    caption: "",
+    imageMeta: image.imageMeta,
+    variants: image.variants,
+  };
+}
+
+function photoEntry(photo, { withModeration }) {
+  const p = photo.toObject ? photo.toObject() : photo;
+  const entry = {
+    _id: p._id,
+    url: p.url,
+    isCover: false,
+    kind: p.kind,
+    caption: p.caption || "",
+    position: p.position ?? 0,
+    imageMeta: p.imageMeta,
+    variants: p.variants,
+  };
+  if (withModeration) {
+    entry.stage = p.stage;
+    entry.rejectionMessage = p.rejectionMessage || "";
+    entry.reviewedAt = p.reviewedAt;
+  }
+  return entry;
+}
+
+/**
+ * Buyers: the cover followed by approved photos in the artist's order
+ */
+export function publicGallery(image) {
+  const photos = (image?.gallery || [])
+    .filter((p) => p.stage === IMAGE_STAGE.APPROVED)
+    .sort(byPosition)
+    .map((p) => photoEntry(p, { withModeration: false }));
+  return [coverEntry(image), ...photos];
+}
+
+/**
+ * Artist and admins: every photo with its moderation state
+ */
+export function fullGallery(image) {
+  const photos = [...(image?.gallery || [])]
+    .sort(byPosition)
+    .map((p) => photoEntry(p, { withModeration: true }));
+  return [coverEntry(image), ...photos];
+}
+
+/**
+ * New position for every photo given the requested order of ids.
+ * Ids must be exactly the listing's photos. Returns { error } or { positions: Map<id, index> }.
+ */
+export function planReorder(gallery, photoIds) {
+  const current = (gallery || []).map((p) => String(p._id));
+  const requested = (photoIds || []).map(String);
+
+  if (
+    requested.length !== current.length ||
+    new Set(requested).size !== requested.length ||
+    requested.some((id) => !current.includes(id))
+  ) {
+    return { error: "photoIds must list every gallery photo exactly once" };
+  }
+
+  return { positions: new Map(requested.map((id, index) => [id, index])) };
+}
+
+export default {
+  MAX_GALLERY_PHOTOS,
+  publicGallery,
+  fullGallery,
+  planReorder,
+};
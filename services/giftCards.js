@@ -0,0 +1,235 @@
+// services/giftCards.js
+/**
+ * Gift Cards
+ * Sold with their own PaymentIntent (the money stays with the platform).
+ * Once paid the card is active and its code is emailed to the recipient;
+ * whoever redeems the code gets its value as store credit, expiring on the
+ * card's own expiry date.
+ */
+
+import crypto from "crypto";
+import Stripe from "stripe";
+import GiftCard, { GIFT_CARD_STATUS } from "../models/giftCard.js";
+import { STORE_CREDIT_TYPE } from "../models/storeCreditEntry.js";
+import { issueStoreCredit, creditExpiryDate } from "./storeCredit.js";
+import sendEmail from "./email.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const GIFT_CARD_MIN_CENTS = 1000;
+export const GIFT_CARD_MAX_CENTS = 50000;
+// US law doesn't let gift cards expire sooner than five years after purchase
+export const GIFT_CARD_EXPIRY_DAYS = Math.max(1825, Number(process.env.GIFT_CARD_EXPIRY_DAYS || 1825));
+
+// No 0/O, 1/I/L: codes get read out and typed in by hand
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function giftCardError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * A random code like "ABCD-EFGH-JKMN-PQRS"
+ */
+export function generateGiftCardCode() {
+  const bytes = crypto.randomBytes(16);
+  const chars = [...bytes].map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return chars.match(/.{4}/g).join("-");
+}
+
+/**
+ * Codes as typed by buyers (any case, spaces or no dashes) → stored form. Pure.
+ */
+export function normalizeGiftCardCode(code) {
+  const chars = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return chars.length === 16 ? chars.match(/.{4}/g).join("-") : chars;
+}
+
+/**
+ * What a card looks like to a buyer: the code only once it's paid, and
+ * only to whoever bought it. Pure.
+ */
+export function giftCardView(card, viewerId) {
+  const isPurchaser = String(card.purchaserUserId) === String(viewerId);
+  const showCode = isPurchaser && card.status !== GIFT_CARD_STATUS.PENDING;
+  return {
+    giftCardId: String(card._id),
+    status: card.status,
+    amountCents: card.amountCents,
+    code: showCode ? card.code : undefined,
+    recipientName: card.recipientName,
+    recipientEmail: isPurchaser ? card.recipientEmail : undefined,
+    message: card.message,
+    paidAt: card.paidAt,
+    expiresAt: card.expiresAt,
+    redeemedAt: card.redeemedAt,
+  };
+}
+
+/**
+ * Create a pending gift card and the PaymentIntent that pays for it.
+ * Resolves with { giftCard, paymentIntent }.
+ */
+export async function purchaseGiftCard(buyer, { amountCents, recipientName, recipientEmail, message }) {
+  const amount = Number(amountCents);
+  if (!Number.isInteger(amount) || amount < GIFT_CARD_MIN_CENTS || amount > GIFT_CARD_MAX_CENTS) {
+    throw giftCardError(`Gift cards are $${GIFT_CARD_MIN_CENTS / 100}-$${GIFT_CARD_MAX_CENTS / 100}.`);
+  }
+  const email = String(recipientEmail || "").trim();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw giftCardError("Invalid recipientEmail");
+
+  let giftCard;
+  for (let attempt = 0; !giftCard; attempt += 1) {
+    try {
+      giftCard = await GiftCard.create({
+        code: generateGiftCardCode(),
+        amountCents: amount,
+        purchaserUserId: buyer._id,
+        recipientName: String(recipientName || "").trim().slice(0, 100) || undefined,
+        recipientEmail: email || undefined,
+        message: String(message || "").trim().slice(0, 500) || undefined,
+      });
+    } catch (err) {
+      if (err?.code !== 11000 || attempt >= 2) throw err; // code collision: draw again
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount,
+    currency: "usd",
+    automatic_payment_methods: { enabled: true },
+    description: "Gift card",
+    metadata: { giftCardId: String(giftCard._id), purchaserUserId: String(buyer._id) },
+  }, { idempotencyKey: `pi_gift_card_${giftCard._id}` });
+
+  giftCard.paymentIntentId = paymentIntent.id;
+  await giftCard.save();
+  return { giftCard, paymentIntent };
+}
+
+function emailGiftCard(card, purchaserName) {
+  const to = card.recipientEmail;
+  if (!to) return;
+  const dollars = `$${(card.amountCents / 100).toFixed(2)}`;
+  const html = `
+    <p>Hi${card.recipientName ? ` ${card.recipientName}` : ""},</p>
+    <p>${purchaserName || "Someone"} sent you a ${dollars} Immpression gift card.</p>
+    ${card.message ? `<blockquote>${card.message.replace(/</g, "&lt;")}</blockquote>` : ""}
+    <p>Your code: <strong>${card.code}</strong></p>
+    <p>Redeem it from your account to add it to your store credit. It expires on ${card.expiresAt.toISOString().slice(0, 10)}.</p>
+  `;
+  sendEmail(to, `You've received a ${dollars} gift card`, html)
+    .catch((err) => console.error(`Gift card ${card._id} email failed:`, err?.message || err));
+}
+
+/**
+ * Activate a paid gift card (once; webhook and finalize may both call this)
+ */
+export async function activateGiftCard(giftCardId, pi, { purchaserName } = {}) {
+  const paidAt = new Date();
+  const card = await GiftCard.findOneAndUpdate(
+    { _id: giftCardId, status: GIFT_CARD_STATUS.PENDING },
+    {
+      $set: {
+        status: GIFT_CARD_STATUS.ACTIVE,
+        paidAt,
+        paymentIntentId: pi.id,
+        chargeId: typeof pi.latest_charge === "string" ? pi.latest_charge : pi.latest_charge?.id,
+        expiresAt: creditExpiryDate(paidAt, GIFT_CARD_EXPIRY_DAYS),
+      },
+    },
+    { new: true }
+  );
+  if (!card) return GiftCard.findById(giftCardId);
+
+  emailGiftCard(card, purchaserName);
+  return card;
+}
+
+/**
+ * Webhook entry point for payment_intent.* events of gift card purchases
+ */
+export async function handleGiftCardPaymentEvent(event) {
+  const pi = event.data.object;
+  const giftCardId = pi.metadata?.giftCardId;
+  if (!giftCardId) return null;
+
+  // A failed or cancelled payment leaves the card pending; the buyer can try again
+  if (event.type === "payment_intent.succeeded") return activateGiftCard(giftCardId, pi);
+  return null;
+}
+
+/**
+ * Turn a gift card into store credit for `user`
+ */
+export async function redeemGiftCard(user, code, now = new Date()) {
+  const card = await GiftCard.findOne({ code: normalizeGiftCardCode(code) });
+  if (!card || card.status === GIFT_CARD_STATUS.VOID) throw giftCardError("This gift card code isn't valid.", 404);
+  if (card.status === GIFT_CARD_STATUS.PENDING) throw giftCardError("This gift card hasn't been paid for yet.", 409);
+  if (card.status === GIFT_CARD_STATUS.REDEEMED) throw giftCardError("This gift card has already been redeemed.", 409);
+  if (card.expiresAt && card.expiresAt <= now) throw giftCardError("This gift card has expired.");
+
+  const claimed = await GiftCard.findOneAndUpdate(
+    { _id: card._id, status: GIFT_CARD_STATUS.ACTIVE },
+    { $set: { status: GIFT_CARD_STATUS.REDEEMED, redeemedByUserId: user._id, redeemedAt: now } },
+    { new: true }
+  );
+  if (!claimed) throw giftCardError("This gift card has already been redeemed.", 409);
+
+  const credit = await issueStoreCredit({
+    userId: user._id,
+    amountCents: claimed.amountCents,
+    type: STORE_CREDIT_TYPE.GIFT_CARD,
+    expiresAt: claimed.expiresAt,
+    giftCardId: claimed._id,
+    note: `Gift card ${claimed.code.slice(-4)}`,
+    idempotencyKey: `gift_card_${claimed._id}`,
+  });
+  claimed.creditEntryId = credit._id;
+  await claimed.save();
+  return { giftCard: claimed, credit };
+}
+
+/**
+ * Void an unredeemed card, optionally refunding the purchaser
+ */
+export async function voidGiftCard(card, { adminId, reason, refund = false } = {}) {
+  if (card.status !== GIFT_CARD_STATUS.ACTIVE && card.status !== GIFT_CARD_STATUS.PENDING) {
+    throw giftCardError(`Gift card is ${card.status}`, 409);
+  }
+
+  const voided = await GiftCard.findOneAndUpdate(
+    { _id: card._id, status: card.status },
+    { $set: { status: GIFT_CARD_STATUS.VOID, voidedAt: new Date(), voidReason: reason, voidedBy: adminId } },
+    { new: true }
+  );
+  if (!voided) throw giftCardError("Gift card changed; reload and try again.", 409);
+
+  if (card.status === GIFT_CARD_STATUS.PENDING && card.paymentIntentId) {
+    await stripe.paymentIntents.cancel(card.paymentIntentId).catch((err) =>
+      console.error(`Gift card ${card._id}: cancelling payment failed:`, err?.message || err));
+  }
+  if (refund && card.status === GIFT_CARD_STATUS.ACTIVE && card.paymentIntentId) {
+    await stripe.refunds.create(
+      { payment_intent: card.paymentIntentId, metadata: { giftCardId: String(card._id), reason: reason || "voided" } },
+      { idempotencyKey: `refund_gift_card_${card._id}` }
+    );
+  }
+  return voided;
+}
+
+export default {
+  GIFT_CARD_MIN_CENTS,
+  GIFT_CARD_MAX_CENTS,
+  GIFT_CARD_EXPIRY_DAYS,
+  generateGiftCardCode,
+  normalizeGiftCardCode,
+  giftCardView,
+  purchaseGiftCard,
+  activateGiftCard,
+  handleGiftCardPaymentEvent,
+  redeemGiftCard,
+  voidGiftCard,
+};
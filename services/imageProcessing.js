@@ -0,0 +1,145 @@
+// services/imageProcessing.js
+/**
+ * Image Processing Service
+ * Normalizes uploaded artwork with sharp: applies the EXIF orientation,
+ * drops all metadata (EXIF, GPS, XMP, ICC comments) and renders the
+ * responsive WebP/AVIF variants the marketplace serves.
+ */
+
+import sharp from "sharp";
+import { IMAGE_VARIANT_SIZE, IMAGE_VARIANT_FORMAT } from "../models/images.js";
+
+// Longest edge in pixels for each variant (never upscaled)
+export const VARIANT_WIDTHS = {
+  [IMAGE_VARIANT_SIZE.THUMB]: 320,
+  [IMAGE_VARIANT_SIZE.MEDIUM]: 960,
+  [IMAGE_VARIANT_SIZE.LARGE]: 1920,
+};
+
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+// Formats we accept as originals
+export const ACCEPTED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif", "image/tiff"];
+
+// Refuse decompression bombs (≈ 16k × 16k)
+const MAX_INPUT_PIXELS = 268402689;
+
+const ENCODERS = {
+  [IMAGE_VARIANT_FORMAT.WEBP]: (pipeline) => pipeline.webp({ quality: 82 }),
+  [IMAGE_VARIANT_FORMAT.AVIF]: (pipeline) => pipeline.avif({ quality: 55, effort: 4 }),
+};
+
+// Originals are re-encoded in their own format when possible so nothing leaks through
+const ORIGINAL_ENCODERS = {
+  jpeg: (pipeline) => pipeline.jpeg({ quality: 92, mozjpeg: true }),
+  png: (pipeline) => pipeline.png({ compressionLevel: 9 }),
+  webp: (pipeline) => pipeline.webp({ quality: 92 }),
+  avif: (pipeline) => pipeline.avif({ quality: 70 }),
+};
+
+function invalidImage(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+/**
+ * Process an uploaded original.
+ * Returns the cleaned original and one buffer per size/format combination:
+ * { original: { buffer, format, width, height, bytes }, variants: [{ size, format, buffer, width, height, bytes }] }
+ */
+export async function processArtworkImage(input) {
+  if (!Buffer.isBuffer(input) || input.length === 0) {
+    throw invalidImage("Image file is empty");
+  }
+  if (input.length > MAX_UPLOAD_BYTES) {
+    throw invalidImage("Image file is too large");
+  }
+
+  let meta;
+  try {
+    meta = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw invalidImage("File is not a supported image");
+  }
+  if (!meta.width || !meta.height) {
+    throw invalidImage("File is not a supported image");
+  }
+
+  // rotate() with no angle bakes in the EXIF orientation; sharp drops metadata on output by default
+  const base = () => sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  const originalFormat = ORIGINAL_ENCODERS[meta.format] ? meta.format : "jpeg";
+  const { data: originalBuffer, info: originalInfo } = await ORIGINAL_ENCODERS[originalFormat](base())
+    .toBuffer({ resolveWithObject: true });
+
+  const variants = [];
+  for (const [size, width] of Object.entries(VARIANT_WIDTHS)) {
+    for (const [format, encode] of Object.entries(ENCODERS)) {
+      const pipeline = base().resize({ width, height: width, fit: "inside", withoutEnlargement: true });
+      const { data, info } = await encode(pipeline).toBuffer({ resolveWithObject: true });
+      variants.push({ size, format, buffer: data, width: info.width, height: info.height, bytes: info.size });
+    }
+  }
+
+  return {
+    original: {
+      buffer: originalBuffer,
+      format: originalFormat,
+      width: originalInfo.width,
+      height: originalInfo.height,
+      bytes: originalInfo.size,
+    },
+    variants,
+  };
+}
+
+/**
+ * Square, metadata-free WebP avatar for profile pictures
+ */
+export async function processProfilePicture(input, size = 512) {
+  if (!Buffer.isBuffer(input) || input.length === 0) {
+    throw invalidImage("Image file is empty");
+  }
+
+  try {
+    const { data, info } = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: size, height: size, fit: "cover", position: "attention" })
+      .webp({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, format: "webp", width: info.width, height: info.height, bytes: info.size };
+  } catch {
+    throw invalidImage("File is not a supported image");
+  }
+}
+
+/**
+ * Metadata-free WebP for supporting photos (return requests, dispute evidence).
+ * Kept large enough to show damage, capped at 1920px on the longest edge.
+ */
+export async function processEvidencePhoto(input, maxEdge = 1920) {
+  if (!Buffer.isBuffer(input) || input.length === 0) {
+    throw invalidImage("Image file is empty");
+  }
+  if (input.length > MAX_UPLOAD_BYTES) {
+    throw invalidImage("Image file is too large");
+  }
+
+  try {
+    const { data, info } = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: maxEdge, height: maxEdge, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, format: "webp", width: info.width, height: info.height, bytes: info.size };
+  } catch {
+    throw invalidImage("File is not a supported image");
+  }
+}
+
+export default {
+  processArtworkImage,
+  processProfilePicture,
+  processEvidencePhoto,
+};
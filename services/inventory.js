@@ -0,0 +1,369 @@
+// services/inventory.js
+/**
+ * Inventory Service
+ * Tracks how many of a listing can still be sold:
+ * - one-of-a-kind pieces sell out on the first sale (soldStatus)
+ * - limited editions count down `edition.remaining`
+ * - print sizes count down their own `printVariants[].remaining`
+ * Every sale is committed once, atomically, and gets the next edition number.
+ *
+ * Checkouts hold a unit for HOLD_TTL_MINUTES so two buyers can't pay for the
+ * last one at the same time; holds lapse on their own if the buyer walks away.
+ */
+
+import ImageModel from "../models/images.js";
+import OrderModel from "../models/orders.js";
+
+// How long a checkout keeps its unit before other buyers can take it
+export const HOLD_TTL_MINUTES = Number(process.env.INVENTORY_HOLD_MINUTES || 15);
+
+export function hasPrintVariants(image) {
+  return Array.isArray(image?.printVariants) && image.printVariants.length > 0;
+}
+
+export function isEditioned(image) {
+  return hasPrintVariants(image) || Boolean(image?.edition?.size);
+}
+
+/**
+ * Whether anything is left to sell
+ */
+export function isSoldOut(image) {
+  if (hasPrintVariants(image)) return image.printVariants.every((v) => (v.remaining ?? 0) <= 0);
+  if (image?.edition?.size) return (image.edition.remaining ?? 0) <= 0;
+  return image?.soldStatus === "sold";
+}
+
+/**
+ * Resolve what a buyer is purchasing.
+ * Returns { price, variantId, label, editionSize } (price in dollars) or { error, status }.
+ */
+export function getPurchaseOption(image, variantId) {
+  if (hasPrintVariants(image)) {
+    if (!variantId) {
+      return { error: "Please choose a print size.", status: 400 };
+    }
+    const variant = image.printVariants.find((v) => String(v._id) === String(variantId));
+    if (!variant) {
+      return { error: "Print size not found.", status: 404 };
+    }
+    if ((variant.remaining ?? 0) <= 0) {
+      return { error: `The ${variant.label} edition is sold out.`, status: 400 };
+    }
+    return { price: variant.price, variantId: variant._id, label: variant.label, editionSize: variant.editionSize };
+  }
+
+  if (isSoldOut(image)) {
+    return { error: "This artwork is already sold.", status: 400 };
+  }
+  return { price: image.price, variantId: null, label: null, editionSize: image.edition?.size ?? null };
+}
+
+/**
+ * Validate the edition settings an artist submits. Prints already sold are
+ * kept: sizes can't shrink below them and their numbering carries on.
+ * Returns { error } or { edition, printVariants } ready to $set.
+ */
+export function planEditionUpdate(image, { editionSize, printVariants }) {
+  const toCount = (n) => {
+    const v = Number(n);
+    return Number.isInteger(v) && v >= 1 ? v : null;
+  };
+
+  const editionSold = image.edition ? image.edition.size - image.edition.remaining : 0;
+  const variantsSold = (image.printVariants || []).some((v) => v.editionSize - v.remaining > 0);
+
+  if (Array.isArray(printVariants) && printVariants.length > 0) {
+    if (editionSold > 0) return { error: "This edition already has sales, so it can't be split into print sizes." };
+
+    const existing = new Map((image.printVariants || []).map((v) => [String(v._id), v]));
+    const planned = [];
+
+    for (const input of printVariants) {
+      const size = toCount(input?.editionSize);
+      const price = Number(input?.price);
+      const label = String(input?.label || "").trim();
+      if (!label) return { error: "Each print size needs a label (e.g. 8x10)." };
+      if (!size) return { error: `Edition size for ${label} should be a whole number of at least 1.` };
+      if (!Number.isFinite(price) || price < 1) return { error: `Price for ${label} should be at least $1.` };
+
+      const current = input?._id ? existing.get(String(input._id)) : null;
+      if (input?._id && !current) return { error: `Print size ${input._id} not found.` };
+
+      const sold = current ? current.editionSize - current.remaining : 0;
+      if (size < sold) return { error: `${label} has already sold ${sold} prints.` };
+
+      planned.push({
+        ...(current && { _id: current._id }),
+        label,
+        width: Number(input?.width) || undefined,
+        height: Number(input?.height) || undefined,
+        price: Math.round(price * 100) / 100,
+        editionSize: size,
+        remaining: size - sold,
+        nextNumber: current?.nextNumber ?? 1,
+      });
+      if (current) existing.delete(String(current._id));
+    }
+
+    // Sizes that already sold can't be dropped (buyers hold numbered prints of them)
+    const droppedWithSales = [...existing.values()].find((v) => v.editionSize - v.remaining > 0);
+    if (droppedWithSales) {
+      return { error: `${droppedWithSales.label} has sales and can't be removed. Set it to its sold count instead.` };
+    }
+
+    return { edition: undefined, printVariants: planned };
+  }
+
+  if (editionSize !== undefined && editionSize !== null) {
+    const size = toCount(editionSize);
+    if (!size) return { error: "Edition size should be a whole number of at least 1." };
+
+    if (variantsSold) return { error: "Print sizes already have sales, so they can't be merged into one edition." };
+    if (size < editionSold) return { error: `This edition has already sold ${editionSold} prints.` };
+
+    return {
+      edition: { size, remaining: size - editionSold, nextNumber: image.edition?.nextNumber ?? 1 },
+      printVariants: undefined,
+    };
+  }
+
+  return { error: "Provide editionSize or printVariants." };
+}
+
+const sameId = (a, b) => String(a ?? "") === String(b ?? "");
+
+/**
+ * Units a checkout could hold right now. Live holds of other orders count
+ * against stock; the buyer's own earlier hold on the same item does not
+ * (it gets replaced).
+ */
+export function availableToHold(image, { orderId, userId, variantId, now = new Date() } = {}) {
+  const blocking = (image?.holds || []).filter(
+    (h) =>
+      new Date(h.expiresAt) > now &&
+      !sameId(h.orderId, orderId) &&
+      !(userId && sameId(h.userId, userId) && sameId(h.variantId, variantId))
+  );
+
+  if (hasPrintVariants(image)) {
+    const variant = image.printVariants.find((v) => sameId(v._id, variantId));
+    if (!variant) return 0;
+    const held = blocking.filter((h) => sameId(h.variantId, variant._id)).length;
+    return Math.max(0, (variant.remaining ?? 0) - held);
+  }
+  if (image?.edition?.size) return Math.max(0, (image.edition.remaining ?? 0) - blocking.length);
+  return image?.soldStatus === "sold" ? 0 : Math.max(0, 1 - blocking.length);
+}
+
+/**
+ * Hold one unit for an order (or renew its hold). The order may not be saved yet.
+ * Resolves with { expiresAt } or { error, status }.
+ */
+export async function reserveInventory(order, { minutes = HOLD_TTL_MINUTES } = {}) {
+  const key = { orderId: order._id, userId: order.userId, variantId: order.printVariantId };
+
+  // Compare-and-swap on holdsVersion; retry when another checkout wrote first
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const image = await ImageModel.findById(order.imageId)
+      .select("soldStatus edition printVariants +holds +holdsVersion")
+      .lean();
+    if (!image) return { error: "Image not found.", status: 404 };
+
+    const now = new Date();
+    if (availableToHold(image, { ...key, now }) <= 0) {
+      const purchase = getPurchaseOption(image, order.printVariantId);
+      return purchase.error
+        ? { error: purchase.error, status: 409 }
+        : { error: "Another buyer is checking out this artwork. Please try again in a few minutes.", status: 409 };
+    }
+
+    const expiresAt = new Date(now.getTime() + minutes * 60 * 1000);
+    const holds = (image.holds || []).filter(
+      (h) =>
+        new Date(h.expiresAt) > now &&
+        !sameId(h.orderId, order._id) &&
+        !(sameId(h.userId, order.userId) && sameId(h.variantId, order.printVariantId))
+    );
+    holds.push({ ...key, variantId: order.printVariantId || undefined, expiresAt, createdAt: now });
+
+    const version = image.holdsVersion ?? 0;
+    const result = await ImageModel.updateOne(
+      { _id: image._id, holdsVersion: version === 0 ? { $in: [0, null] } : version },
+      { $set: { holds }, $inc: { holdsVersion: 1 } }
+    );
+    if (result.modifiedCount === 1) return { expiresAt };
+  }
+
+  return { error: "Checkout is busy for this artwork. Please try again.", status: 409 };
+}
+
+/**
+ * Give an order's held unit back (payment failed, order cancelled...)
+ */
+export async function releaseHold(order) {
+  if (!order?.imageId) return;
+  await ImageModel.updateOne(
+    { _id: order.imageId, "holds.orderId": order._id },
+    { $pull: { holds: { orderId: order._id } }, $inc: { holdsVersion: 1 } }
+  );
+  await OrderModel.updateOne({ _id: order._id }, { $unset: { reservedUntil: 1 } });
+}
+
+/**
+ * Take a paid order out of inventory. Safe to call more than once per order
+ * (webhook + finalize-payment): only the first call counts.
+ *
+ * Resolves with { committed, editionNumber, soldOut } or
+ * { committed: false, reason: "already_committed" | "sold_out" | "not_found" }.
+ */
+export async function commitSale(orderId) {
+  // Claim the order so only one caller commits it
+  const order = await OrderModel.findOneAndUpdate(
+    { _id: orderId, inventoryCommittedAt: { $exists: false } },
+    { $set: { inventoryCommittedAt: new Date() } },
+    { new: true }
+  );
+  if (!order) return { committed: false, reason: "already_committed" };
+
+  const image = await ImageModel.findById(order.imageId).select("soldStatus edition printVariants").lean();
+  if (!image) return { committed: false, reason: "not_found" };
+
+  let before = null;
+  let editionNumber = null;
+  let editionSize = null;
+
+  // The sale replaces the order's hold in the same write
+  const dropHold = { holds: { orderId: order._id } };
+
+  if (hasPrintVariants(image) && order.printVariantId) {
+    before = await ImageModel.findOneAndUpdate(
+      { _id: image._id, printVariants: { $elemMatch: { _id: order.printVariantId, remaining: { $gt: 0 } } } },
+      {
+        $pull: dropHold,
+        $inc: { "printVariants.$.remaining": -1, "printVariants.$.nextNumber": 1, holdsVersion: 1 },
+      },
+      { new: false }
+    ).lean();
+    const variant = before?.printVariants?.find((v) => String(v._id) === String(order.printVariantId));
+    editionNumber = variant?.nextNumber ?? null;
+    editionSize = variant?.editionSize ?? null;
+  } else if (image.edition?.size) {
+    before = await ImageModel.findOneAndUpdate(
+      { _id: image._id, "edition.remaining": { $gt: 0 } },
+      { $pull: dropHold, $inc: { "edition.remaining": -1, "edition.nextNumber": 1, holdsVersion: 1 } },
+      { new: false }
+    ).lean();
+    editionNumber = before?.edition?.nextNumber ?? null;
+    editionSize = before?.edition?.size ?? null;
+  } else {
+    before = await ImageModel.findOneAndUpdate(
+      { _id: image._id, soldStatus: { $ne: "sold" } },
+      { $pull: dropHold, $set: { soldStatus: "sold" }, $inc: { holdsVersion: 1 } },
+      { new: false }
+    ).lean();
+  }
+
+  if (!before) {
+    // Nothing left: someone else's payment got the last one. Drop the claim
+    // too, so a retried webhook reports sold_out again until the refund goes through.
+    await releaseHold(order);
+    await OrderModel.updateOne({ _id: order._id }, { $unset: { inventoryCommittedAt: 1 } });
+    return { committed: false, reason: "sold_out" };
+  }
+
+  await OrderModel.updateOne(
+    { _id: order._id },
+    { $unset: { reservedUntil: 1 }, ...(editionNumber && { $set: { editionNumber, editionSize } }) }
+  );
+
+  // Mark the listing sold once the last print is gone
+  const soldOut = await markSoldOutIfEmpty(image._id);
+
+  return { committed: true, editionNumber, soldOut };
+}
+
+/**
+ * Flip soldStatus when no inventory is left; returns true when the listing is sold out
+ */
+export async function markSoldOutIfEmpty(imageId) {
+  const image = await ImageModel.findById(imageId).select("soldStatus edition printVariants").lean();
+  if (!image) return false;
+  if (isEditioned(image) && !isSoldOut(image)) return false;
+
+  if (image.soldStatus !== "sold") {
+    await ImageModel.updateOne({ _id: imageId, soldStatus: { $ne: "sold" } }, { $set: { soldStatus: "sold" } });
+  }
+  return true;
+}
+
+/**
+ * Drop lapsed holds. Expired holds never block a sale; this just keeps the
+ * arrays short and clears `reservedUntil` on abandoned orders.
+ */
+export async function expireHolds() {
+  try {
+    const now = new Date();
+    const images = await ImageModel.updateMany(
+      { "holds.expiresAt": { $lte: now } },
+      { $pull: { holds: { expiresAt: { $lte: now } } }, $inc: { holdsVersion: 1 } }
+    );
+    const orders = await OrderModel.updateMany(
+      { status: "pending", reservedUntil: { $lte: now } },
+      { $unset: { reservedUntil: 1 } }
+    );
+    return { images: images.modifiedCount, orders: orders.modifiedCount };
+  } catch (error) {
+    console.error("Inventory hold expiry error:", error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the hold cleanup interval
+ * Runs every 5 minutes by default
+ */
+let holdInterval = null;
+
+export function startHoldExpiry(intervalMinutes = 5) {
+  if (holdInterval) {
+    console.log("Inventory Holds: Already running");
+    return;
+  }
+
+  console.log(`Inventory Holds: Starting with ${intervalMinutes} minute interval`);
+
+  holdInterval = setInterval(
+    () => {
+      expireHolds().then((result) => {
+        if (result.orders > 0) {
+          console.log(`Inventory Holds: Released ${result.orders} abandoned checkout(s)`);
+        }
+      });
+    },
+    intervalMinutes * 60 * 1000
+  );
+}
+
+export function stopHoldExpiry() {
+  if (holdInterval) {
+    clearInterval(holdInterval);
+    holdInterval = null;
+    console.log("Inventory Holds: Stopped");
+  }
+}
+
+export default {
+  isEditioned,
+  isSoldOut,
+  getPurchaseOption,
+  planEditionUpdate,
+  availableToHold,
+  reserveInventory,
+  releaseHold,
+  commitSale,
+  markSoldOutIfEmpty,
+  expireHolds,
+  startHoldExpiry,
+  stopHoldExpiry,
+};
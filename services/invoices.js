@@ -0,0 +1,193 @@
+// services/invoices.js
+/**
+ * Order Invoices
+ * PDF receipts for paid orders. Each order gets the next number in one
+ * platform-wide sequence the first time it's paid; the same number is used
+ * for every copy (emailed, downloaded by the buyer, the artist or an admin).
+ */
+
+import PDFDocument from "pdfkit";
+import Counter from "../models/counter.js";
+import OrderModel from "../models/orders.js";
+import { dollars } from "./statements.js";
+
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV-";
+const INVOICE_SEQUENCE = "invoice";
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+const isoDate = (d) => new Date(d).toISOString().slice(0, 10);
+
+function invoiceError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Sequence number → invoice number, e.g. 42 → "INV-000042". Pure.
+ */
+export function formatInvoiceNumber(seq, prefix = INVOICE_PREFIX) {
+  return `${prefix}${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Whether an order has taken money and so gets an invoice. Pure.
+ */
+export function isInvoiceable(order) {
+  return Boolean(order?.paidAt);
+}
+
+/**
+ * The amounts printed on an invoice, in cents. Pure.
+ * `lines` are the totals block in print order; `payments` how it was paid.
+ */
+export function invoiceSummary(order) {
+  const base = posInt(order.baseAmount ?? order.price);
+  const discount = Math.min(base, posInt(order.discount?.amountCents));
+  const shipping = posInt(order.shippingAmount);
+  const tax = posInt(order.taxAmount);
+  const total = base - discount + shipping + tax;
+  const storeCredit = Math.min(total, posInt(order.storeCredit?.appliedCents));
+  const refunded = posInt(order.refundedCents);
+
+  const lines = [
+    { label: "Subtotal", cents: base },
+    ...(discount ? [{ label: order.discount?.code ? `Discount (${order.discount.code})` : "Discount", cents: -discount }] : []),
+    { label: order.shippingQuote?.serviceName ? `Shipping (${order.shippingQuote.serviceName})` : "Shipping", cents: shipping },
+    { label: "Tax", cents: tax },
+    { label: "Total", cents: total, bold: true },
+  ];
+  const payments = [
+    ...(storeCredit ? [{ label: "Paid with store credit", cents: storeCredit }] : []),
+    { label: "Paid by card", cents: total - storeCredit },
+    ...(refunded ? [{ label: "Refunded", cents: -refunded }] : []),
+  ];
+  return { base, discount, shipping, tax, total, storeCredit, refunded, lines, payments };
+}
+
+/**
+ * What was bought, as printed on the invoice line. Pure.
+ */
+export function invoiceItemLabel(order) {
+  const parts = [order.artName];
+  if (order.printVariantLabel) parts.push(order.printVariantLabel);
+  if (order.editionNumber) {
+    parts.push(order.editionSize ? `Edition ${order.editionNumber}/${order.editionSize}` : `Edition ${order.editionNumber}`);
+  }
+  return parts.filter(Boolean).join(" — ");
+}
+
+/**
+ * The order's invoice number, handing out the next one if it has none yet.
+ * Call this where the sale is committed (one caller per order) so numbers
+ * follow payment order without gaps.
+ */
+export async function assignInvoiceNumber(orderId) {
+  const order = await OrderModel.findById(orderId).select("invoice paidAt").lean();
+  if (!order) throw invoiceError("Order not found", 404);
+  if (order.invoice?.number) return order.invoice.number;
+  if (!isInvoiceable(order)) throw invoiceError("Order hasn't been paid", 409);
+
+  const number = formatInvoiceNumber(await Counter.nextValue(INVOICE_SEQUENCE));
+  const updated = await OrderModel.findOneAndUpdate(
+    { _id: orderId, "invoice.number": { $exists: false } },
+    { $set: { invoice: { number, issuedAt: new Date() } } },
+    { new: true }
+  ).select("invoice").lean();
+  if (updated) return number;
+
+  // Someone else numbered it first; theirs stands
+  const current = await OrderModel.findById(orderId).select("invoice").lean();
+  return current.invoice.number;
+}
+
+/**
+ * Invoice → PDF. Resolves with a Buffer.
+ * `order` must already carry its invoice number.
+ */
+export function invoicePDF(order) {
+  return new Promise((resolve, reject) => {
+    const appName = process.env.APP_NAME || "Immpression";
+    const summary = invoiceSummary(order);
+    const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text(`${appName} — Receipt`);
+    doc.moveDown(0.3).fontSize(11).fillColor("#555");
+    doc.text(`Invoice ${order.invoice?.number || ""}`);
+    doc.text(`Date paid: ${isoDate(order.paidAt)}`);
+    doc.text(`Order: ${order._id}`);
+    doc.fillColor("#000").moveDown();
+
+    // Seller and buyer side by side
+    const top = doc.y;
+    doc.font("Helvetica-Bold").fontSize(10).text("Sold by", 50, top);
+    doc.font("Helvetica").text(order.artistName || "", 50, doc.y, { width: 230 });
+    doc.text(`via ${appName}`, 50, doc.y, { width: 230 });
+    const leftBottom = doc.y;
+
+    const d = order.deliveryDetails || {};
+    doc.font("Helvetica-Bold").text("Ship to", 320, top);
+    doc.font("Helvetica");
+    [
+      d.name || order.userAccountName,
+      d.address,
+      [d.city, [d.state, d.zipCode].filter(Boolean).join(" ")].filter(Boolean).join(", "),
+      d.country,
+    ].filter(Boolean).forEach((l) => doc.text(l, 320, doc.y, { width: 230 }));
+    doc.y = Math.max(leftBottom, doc.y);
+    doc.moveDown(1.5);
+
+    // Item
+    const row = (label, cents, { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+      doc.text(label, 50, y, { width: 340 });
+      const bottom = doc.y;
+      doc.text(dollars(cents), 400, y, { width: 150, align: "right" });
+      doc.y = Math.max(bottom, doc.y) + 4;
+    };
+    doc.font("Helvetica-Bold").fontSize(10).text("Item", 50, doc.y);
+    doc.moveDown(0.3);
+    row(invoiceItemLabel(order), summary.base);
+    doc.moveDown(0.5);
+
+    for (const l of summary.lines) row(l.label, l.cents, { bold: l.bold });
+    doc.moveDown(0.5);
+    for (const p of summary.payments) row(p.label, p.cents);
+
+    const reference = order.chargeId || order.paymentIntentId || order.transactionId;
+    doc.moveDown().font("Helvetica").fontSize(9).fillColor("#555");
+    if (reference) doc.text(`Payment reference: ${reference}`, 50);
+    doc.text("Amounts in USD.", 50);
+
+    doc.end();
+  });
+}
+
+/**
+ * Invoice for a paid order: { number, filename, pdf }
+ */
+export async function buildOrderInvoice(orderId) {
+  const number = await assignInvoiceNumber(orderId);
+  const order = await OrderModel.findById(orderId).lean();
+  return {
+    number,
+    filename: `immpression_invoice_${number}.pdf`,
+    pdf: await invoicePDF(order),
+  };
+}
+
+export default {
+  INVOICE_PREFIX,
+  formatInvoiceNumber,
+  isInvoiceable,
+  invoiceSummary,
+  invoiceItemLabel,
+  assignInvoiceNumber,
+  invoicePDF,
+  buildOrderInvoice,
+};
@@ -0,0 +1,436 @@
+// services/ledger.js
+/**
+ * Seller Earnings Ledger
+ * Double-entry bookkeeping of what artists earn and are paid. Each order's
+ * payment, platform hold, shipping, refunds and transfers become balanced
+ * transactions on the accounts in models/ledgerEntry.js. Entries are derived
+ * from the order's own records and keyed deterministically, so an order can
+ * be re-synced any number of times (after a refund, payout, dispute...).
+ */
+
+import mongoose from "mongoose";
+import LedgerEntry, { LEDGER_ACCOUNT, LEDGER_ENTRY_TYPE } from "../models/ledgerEntry.js";
+import OrderModel, { ORDER_STATUS } from "../models/orders.js";
+import Dispute, { DISPUTE_STATUS } from "../models/dispute.js";
+import Payout, { PAYOUT_STATUS } from "../models/payout.js";
+import ReturnRequest, { OPEN_RETURN_STATUSES } from "../models/returnRequest.js";
+import { orderCommission } from "./commission.js";
+import { orderDiscount, refundedSubsidyCents } from "./coupons.js";
+
+const { PLATFORM_CASH, SELLER_PAYABLE, PLATFORM_FEES, TAX_PAYABLE, STORE_CREDIT } = LEDGER_ACCOUNT;
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+const sum = (list, pick) => list.reduce((acc, x) => acc + posInt(pick(x)), 0);
+
+// Orders that never took money have nothing to book
+const isPaidOrder = (order) => Boolean(order.paidAt || order.chargeId);
+
+/**
+ * Balanced transaction → entry lines. Zero lines are dropped.
+ */
+function transaction(order, { txnId, occurredAt, sourceId, description }, lines) {
+  return lines
+    .filter((l) => posInt(l.debit) > 0 || posInt(l.credit) > 0)
+    .map((l) => ({
+      key: `${txnId}:${l.account}:${l.type}`,
+      txnId,
+      type: l.type,
+      account: l.account,
+      debit: posInt(l.debit),
+      credit: posInt(l.credit),
+      artistUserId: order.artistUserId,
+      orderId: order._id,
+      sourceId,
+      description,
+      occurredAt: new Date(occurredAt || order.updatedAt || Date.now()),
+    }));
+}
+
+/**
+ * Ledger lines for one order. Pure; `lostDispute` is the order's lost
+ * Dispute (if any) so the charge pulled back can be told apart from refunds.
+ *
+ * Refunds come out of the artist's share first (as the payout engine
+ * assumes), then the tax collected, then the platform's hold.
+ */
+export function buildOrderEntries(order, { lostDispute } = {}) {
+  if (!order || !isPaidOrder(order)) return [];
+
+  const id = String(order._id);
+  const base = posInt(order.baseAmount ?? order.price);
+  const shipping = posInt(order.shippingAmount);
+  const tax = posInt(order.taxAmount);
+  const discount = orderDiscount(order);
+  const storeCredit = posInt(order.storeCredit?.appliedCents);
+  const hold = order.platformHoldOnBase != null ? posInt(order.platformHoldOnBase) : orderCommission(order).platformHoldOnBase;
+  const sellerDue = order.sellerDueCents != null ? posInt(order.sellerDueCents) : shipping + discount.sellerBase - hold;
+  const name = order.artName || "Artwork";
+
+  const entries = [
+    ...transaction(order, { txnId: `sale:${id}`, occurredAt: order.paidAt || order.createdAt, description: `Sale of “${name}”` }, [
+      { account: PLATFORM_CASH, type: LEDGER_ENTRY_TYPE.SALE, debit: discount.chargedBase + shipping + tax - storeCredit },
+      { account: STORE_CREDIT, type: LEDGER_ENTRY_TYPE.SALE, debit: storeCredit },
+      { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.SALE, credit: base },
+      { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.DISCOUNT, debit: discount.amount - discount.platformFunded },
+      { account: PLATFORM_FEES, type: LEDGER_ENTRY_TYPE.DISCOUNT, debit: discount.platformFunded },
+      { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.SHIPPING, credit: shipping },
+      { account: TAX_PAYABLE, type: LEDGER_ENTRY_TYPE.TAX, credit: tax },
+    ]),
+    ...transaction(order, { txnId: `fee:${id}`, occurredAt: order.paidAt || order.createdAt, description: `Platform fee on “${name}”` }, [
+      { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.PLATFORM_FEE, debit: hold },
+      { account: PLATFORM_FEES, type: LEDGER_ENTRY_TYPE.PLATFORM_FEE, credit: hold },
+    ]),
+  ];
+
+  // Split each refund across the artist's share, tax and the platform hold.
+  // The artist also gives back the matching part of a platform-funded discount.
+  // What goes back as store credit is owed to the buyer's balance, not paid out in cash.
+  let sellerLeft = sellerDue - discount.platformFunded;
+  let taxLeft = tax;
+  let refundedSoFar = 0;
+  const refundLines = (type, amount, toStoreCredit = 0) => {
+    const fromSeller = Math.min(amount, sellerLeft);
+    const fromTax = Math.min(amount - fromSeller, taxLeft);
+    const subsidy = refundedSubsidyCents(order, refundedSoFar + amount) - refundedSubsidyCents(order, refundedSoFar);
+    sellerLeft -= fromSeller;
+    taxLeft -= fromTax;
+    refundedSoFar += amount;
+    return [
+      { account: SELLER_PAYABLE, type, debit: fromSeller + subsidy },
+      { account: TAX_PAYABLE, type, debit: fromTax },
+      { account: PLATFORM_FEES, type, debit: amount - fromSeller - fromTax },
+      { account: PLATFORM_FEES, type: LEDGER_ENTRY_TYPE.DISCOUNT, credit: subsidy },
+      { account: PLATFORM_CASH, type, credit: amount - toStoreCredit },
+      { account: STORE_CREDIT, type, credit: toStoreCredit },
+    ];
+  };
+
+  const refunds = [...(order.refunds || [])].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  for (const r of refunds) {
+    entries.push(
+      ...transaction(order, { txnId: `refund:${r.refundId}`, occurredAt: r.createdAt, sourceId: r.refundId, description: `Refund on “${name}”` },
+        refundLines(LEDGER_ENTRY_TYPE.REFUND, posInt(r.amount), Math.min(posInt(r.amount), posInt(r.storeCreditCents))))
+    );
+  }
+
+  // refundedCents also moves on lost disputes and refunds made outside refundOrder
+  let unrecorded = Math.max(0, posInt(order.refundedCents) - sum(refunds, (r) => r.amount));
+  if (unrecorded > 0 && lostDispute) {
+    const amount = Math.min(unrecorded, posInt(lostDispute.amount));
+    unrecorded -= amount;
+    entries.push(
+      ...transaction(order, {
+        txnId: `dispute:${lostDispute._id}`,
+        occurredAt: lostDispute.closedAt || lostDispute.updatedAt,
+        sourceId: lostDispute.stripeDisputeId,
+        description: `Lost dispute on “${name}”`,
+      }, refundLines(LEDGER_ENTRY_TYPE.DISPUTE, amount))
+    );
+  }
+  if (unrecorded > 0) {
+    entries.push(
+      ...transaction(order, { txnId: `refund:${id}:other`, occurredAt: order.refundedAt, description: `Refund on “${name}”` },
+        refundLines(LEDGER_ENTRY_TYPE.REFUND, unrecorded))
+    );
+  }
+
+  const transfers = order.transfers || [];
+  for (const t of transfers) {
+    entries.push(
+      ...transaction(order, { txnId: `transfer:${t.transferId}`, occurredAt: t.createdAt, sourceId: t.transferId, description: `Payout for “${name}”` }, [
+        { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.TRANSFER, debit: t.amount },
+        { account: PLATFORM_CASH, type: LEDGER_ENTRY_TYPE.TRANSFER, credit: t.amount },
+      ])
+    );
+  }
+  for (const r of refunds) {
+    entries.push(
+      ...transaction(order, { txnId: `reversal:${r.refundId}`, occurredAt: r.createdAt, sourceId: r.refundId, description: `Payout reversed for refund on “${name}”` }, [
+        { account: PLATFORM_CASH, type: LEDGER_ENTRY_TYPE.TRANSFER_REVERSAL, debit: r.reversedCents },
+        { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.TRANSFER_REVERSAL, credit: r.reversedCents },
+      ])
+    );
+  }
+
+  // Payouts made before transfers were recorded (or reversed outside refundOrder)
+  const booked = sum(transfers, (t) => t.amount) - sum(refunds, (r) => r.reversedCents);
+  const drift = posInt(order.sellerTransferredCents) - booked;
+  if (drift > 0) {
+    entries.push(
+      ...transaction(order, { txnId: `transfer:${id}:other`, occurredAt: order.updatedAt, description: `Payout for “${name}”` }, [
+        { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.TRANSFER, debit: drift },
+        { account: PLATFORM_CASH, type: LEDGER_ENTRY_TYPE.TRANSFER, credit: drift },
+      ])
+    );
+  } else if (drift < 0) {
+    entries.push(
+      ...transaction(order, { txnId: `reversal:${id}:other`, occurredAt: order.updatedAt, description: `Payout reversed on “${name}”` }, [
+        { account: PLATFORM_CASH, type: LEDGER_ENTRY_TYPE.TRANSFER_REVERSAL, debit: -drift },
+        { account: SELLER_PAYABLE, type: LEDGER_ENTRY_TYPE.TRANSFER_REVERSAL, credit: -drift },
+      ])
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Totals of the artist's account (seller_payable lines). Pure.
+ * `balance` is what the platform still owes them; negative when a refund
+ * couldn't be clawed back from a payout.
+ */
+export function summarizeSellerEntries(entries) {
+  const totals = { earned: 0, platformFees: 0, refunded: 0, paid: 0, balance: 0 };
+  for (const e of entries) {
+    if (e.account !== SELLER_PAYABLE) continue;
+    const debit = posInt(e.debit);
+    const credit = posInt(e.credit);
+    totals.balance += credit - debit;
+
+    switch (e.type) {
+      case LEDGER_ENTRY_TYPE.SALE:
+      case LEDGER_ENTRY_TYPE.DISCOUNT:
+      case LEDGER_ENTRY_TYPE.SHIPPING:
+        totals.earned += credit - debit;
+        break;
+      case LEDGER_ENTRY_TYPE.PLATFORM_FEE:
+        totals.platformFees += debit - credit;
+        break;
+      case LEDGER_ENTRY_TYPE.REFUND:
+      case LEDGER_ENTRY_TYPE.DISPUTE:
+        totals.refunded += debit - credit;
+        break;
+      case LEDGER_ENTRY_TYPE.TRANSFER:
+      case LEDGER_ENTRY_TYPE.TRANSFER_REVERSAL:
+        totals.paid += debit - credit;
+        break;
+      default:
+        break;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Replace the ledger lines of the given orders with `entries`
+ */
+async function writeEntries(orderIds, entries) {
+  if (entries.length) {
+    await LedgerEntry.bulkWrite(
+      entries.map((e) => ({ updateOne: { filter: { key: e.key }, update: { $set: e }, upsert: true } })),
+      { ordered: false }
+    );
+  }
+  await LedgerEntry.deleteMany({ orderId: { $in: orderIds }, key: { $nin: entries.map((e) => e.key) } });
+}
+
+async function syncOrders(orders) {
+  if (!orders.length) return 0;
+
+  const orderIds = orders.map((o) => o._id);
+  const lost = await Dispute.find({ orderId: { $in: orderIds }, status: DISPUTE_STATUS.LOST })
+    .select("orderId amount stripeDisputeId closedAt updatedAt")
+    .lean();
+  const lostByOrder = new Map(lost.map((d) => [String(d.orderId), d]));
+
+  const entries = orders.flatMap((o) => buildOrderEntries(o, { lostDispute: lostByOrder.get(String(o._id)) }));
+  await writeEntries(orderIds, entries);
+  return entries.length;
+}
+
+/**
+ * Re-derive one order's ledger lines
+ */
+export async function syncOrderLedger(orderOrId) {
+  const order = orderOrId?._id ? orderOrId : await OrderModel.findById(orderOrId).lean();
+  if (!order) return 0;
+  return syncOrders([order]);
+}
+
+/**
+ * Fire-and-forget sync after money moves; the next read re-syncs anyway
+ */
+export function recordOrderLedger(orderId) {
+  syncOrderLedger(orderId).catch((err) =>
+    console.error(`Ledger: sync of order ${orderId} failed:`, err?.message || err)
+  );
+}
+
+/**
+ * Re-derive the ledger lines of all of an artist's paid orders
+ */
+export async function syncArtistLedger(artistUserId) {
+  const orders = await OrderModel.find({
+    artistUserId,
+    $or: [{ paidAt: { $ne: null } }, { chargeId: { $ne: null } }],
+  }).lean();
+  return syncOrders(orders);
+}
+
+/**
+ * Re-derive every paid order changed since `since` (in batches), for
+ * reports that span all artists
+ */
+export async function syncLedgerSince(since, { batchSize = 500 } = {}) {
+  const cursor = OrderModel.find({
+    updatedAt: { $gte: since },
+    $or: [{ paidAt: { $ne: null } }, { chargeId: { $ne: null } }],
+  })
+    .lean()
+    .cursor({ batchSize });
+
+  let batch = [];
+  let count = 0;
+  for await (const order of cursor) {
+    batch.push(order);
+    if (batch.length >= batchSize) {
+      count += await syncOrders(batch);
+      batch = [];
+    }
+  }
+  count += await syncOrders(batch);
+  return count;
+}
+
+/**
+ * Where an order's unpaid balance stands: held (dispute, hold, open return),
+ * pending (not delivered or still in the payout hold period) or due.
+ */
+export function payoutBucket({ order, payout, hasOpenReturn }) {
+  if (order.status === ORDER_STATUS.DISPUTED || order.payoutHold?.since || hasOpenReturn) return "held";
+  if (payout?.status === PAYOUT_STATUS.HELD) return "held";
+  if (!payout || payout.status === PAYOUT_STATUS.SCHEDULED) return "pending";
+  return "due";
+}
+
+/**
+ * Money owed, paid and held for an artist (all cents)
+ */
+export async function artistBalance(artistUserId) {
+  await syncArtistLedger(artistUserId);
+
+  const entries = await LedgerEntry.find({ artistUserId, account: SELLER_PAYABLE })
+    .select("orderId type debit credit account")
+    .lean();
+  const totals = summarizeSellerEntries(entries);
+
+  // Unpaid balance per order, split by what's holding it up
+  const owedByOrder = new Map();
+  for (const e of entries) {
+    const k = String(e.orderId);
+    owedByOrder.set(k, (owedByOrder.get(k) || 0) + posInt(e.credit) - posInt(e.debit));
+  }
+  const openIds = [...owedByOrder].filter(([, cents]) => cents > 0).map(([k]) => k);
+
+  const [orders, payouts, openReturns] = await Promise.all([
+    OrderModel.find({ _id: { $in: openIds } }).select("status payoutHold").lean(),
+    Payout.find({ orderId: { $in: openIds } }).select("orderId status").lean(),
+    ReturnRequest.find({ orderId: { $in: openIds }, status: { $in: OPEN_RETURN_STATUSES } }).select("orderId").lean(),
+  ]);
+  const payoutByOrder = new Map(payouts.map((p) => [String(p.orderId), p]));
+  const returning = new Set(openReturns.map((r) => String(r.orderId)));
+
+  const buckets = { held: 0, pending: 0, due: 0 };
+  for (const order of orders) {
+    const k = String(order._id);
+    const bucket = payoutBucket({ order, payout: payoutByOrder.get(k), hasOpenReturn: returning.has(k) });
+    buckets[bucket] += owedByOrder.get(k);
+  }
+
+  return {
+    currency: "usd",
+    owed: totals.balance,
+    paid: totals.paid,
+    ...buckets,
+    earned: totals.earned,
+    platformFees: totals.platformFees,
+    refunded: totals.refunded,
+  };
+}
+
+/**
+ * "YYYY-MM" → { start, end } (UTC), or null when malformed
+ */
+export function monthRange(month) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(month || ""));
+  if (!m) return null;
+  const year = Number(m[1]);
+  const monthIndex = Number(m[2]) - 1;
+  if (monthIndex < 0 || monthIndex > 11) return null;
+  return { start: new Date(Date.UTC(year, monthIndex, 1)), end: new Date(Date.UTC(year, monthIndex + 1, 1)) };
+}
+
+/**
+ * Statement rows with a running balance. Pure.
+ * `entries` are the month's seller_payable lines.
+ */
+export function buildStatement({ month, openingBalance = 0, entries = [] }) {
+  const sorted = [...entries].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  let balance = openingBalance;
+  const lines = sorted.map((e) => {
+    const amount = posInt(e.credit) - posInt(e.debit);
+    balance += amount;
+    return {
+      date: new Date(e.occurredAt),
+      type: e.type,
+      orderId: String(e.orderId?._id || e.orderId),
+      description: e.description || "",
+      sourceId: e.sourceId || "",
+      amount,
+      balance,
+    };
+  });
+
+  const totals = summarizeSellerEntries(sorted.map((e) => ({ ...e, account: SELLER_PAYABLE })));
+  return {
+    month,
+    currency: "usd",
+    openingBalance,
+    closingBalance: balance,
+    totals: { earned: totals.earned, platformFees: totals.platformFees, refunded: totals.refunded, paid: totals.paid },
+    lines,
+  };
+}
+
+/**
+ * Monthly statement for an artist (see buildStatement)
+ */
+export async function artistStatement(artistUserId, month) {
+  const range = monthRange(month);
+  if (!range) {
+    const e = new Error("Month must be formatted YYYY-MM");
+    e.status = 400;
+    throw e;
+  }
+
+  await syncArtistLedger(artistUserId);
+
+  const [opening, entries] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { artistUserId: new mongoose.Types.ObjectId(String(artistUserId)), account: SELLER_PAYABLE, occurredAt: { $lt: range.start } } },
+      { $group: { _id: null, balance: { $sum: { $subtract: ["$credit", "$debit"] } } } },
+    ]),
+    LedgerEntry.find({
+      artistUserId,
+      account: SELLER_PAYABLE,
+      occurredAt: { $gte: range.start, $lt: range.end },
+    }).lean(),
+  ]);
+
+  return buildStatement({ month, openingBalance: opening[0]?.balance || 0, entries });
+}
+
+export default {
+  buildOrderEntries,
+  summarizeSellerEntries,
+  syncOrderLedger,
+  recordOrderLedger,
+  syncArtistLedger,
+  syncLedgerSince,
+  payoutBucket,
+  artistBalance,
+  monthRange,
+  buildStatement,
+  artistStatement,
+};
@@ -0,0 +1,269 @@
+// services/offers.js
+/**
+ * Offer Service
+ * Deadlines for make-an-offer negotiations, the price-locked order
+ * an accepted offer turns into, and the job that expires offers
+ * nobody answered in time.
+ */
+
+import Offer, { OFFER_STATUS, OPEN_OFFER_STATUSES, OFFER_PARTY } from "../models/offer.js";
+import OrderModel, { ORDER_SOURCE } from "../models/orders.js";
+import ImageModel from "../models/images.js";
+import UserModel from "../models/users.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+
+// How long the other party has to respond to an offer or counter-offer
+export const OFFER_TTL_HOURS = Number(process.env.OFFER_TTL_HOURS || 48);
+
+export function getOfferDeadline(from = new Date()) {
+  return new Date(from.getTime() + OFFER_TTL_HOURS * 60 * 60 * 1000);
+}
+
+// Offer amounts are whole cents in dollars, at least $1; null otherwise
+export function parseOfferAmount(value) {
+  const amount = Math.round(Number(value) * 100) / 100;
+  return Number.isFinite(amount) && amount >= 1 ? amount : null;
+}
+
+// Which side of the offer the user is on (null for strangers)
+export function offerPartyOf(offer, userId) {
+  if (String(offer.buyerUserId) === String(userId)) return OFFER_PARTY.BUYER;
+  if (String(offer.artistUserId) === String(userId)) return OFFER_PARTY.ARTIST;
+  return null;
+}
+
+/**
+ * Checks that an artwork can still be negotiated on.
+ * Returns an error string, or null when the artwork is available.
+ */
+export function offerUnavailableReason(image) {
+  if (!image || image.stage !== "approved" || image.artistPayoutsDisabled) return "Artwork not found";
+  if (image.soldStatus === "sold") return "This artwork is already sold";
+  if (image.auction?.enabled) return "This artwork is sold by auction";
+  if (image.edition?.size || image.printVariants?.length) return "Offers aren't available on editions and prints";
+  return null;
+}
+
+// A counter hands the turn to the other side
+export const counterStatusFor = (party) =>
+  party === OFFER_PARTY.ARTIST ? OFFER_STATUS.COUNTERED : OFFER_STATUS.PENDING;
+
+// Still open but past its response deadline
+export function isOfferStale(offer, now = new Date()) {
+  return OPEN_OFFER_STATUSES.includes(offer.status) && new Date(offer.expiresAt) <= now;
+}
+
+/**
+ * The pending order for an accepted offer, at the agreed amount (cents)
+ */
+export function offerOrderFields(offer, image, { artist, buyer }) {
+  const baseCents = Math.max(0, Math.round(Number(offer.amount) * 100));
+  return {
+    imageId: image._id,
+    imageLink: image.imageLink,
+    artName: image.name,
+    artistName: image.artistName,
+    artistUserId: image.userId,
+    artistStripeId: artist.stripeAccountId,
+    price: baseCents,
+    baseAmount: baseCents,
+    userAccountName: buyer.name || buyer.email,
+    userId: offer.buyerUserId,
+    source: ORDER_SOURCE.OFFER,
+    offerId: offer._id,
+    priceLocked: true,
+    status: "pending",
+  };
+}
+
+// Whether an accepted offer still holds its piece: its order is unpaid, or it's still being created
+async function offerHoldsArtwork(offerId) {
+  const offer = await Offer.findById(offerId).select("status orderId").lean();
+  if (offer?.status !== OFFER_STATUS.ACCEPTED) return false;
+  if (!offer.orderId) return true;
+  return Boolean(await OrderModel.exists({ _id: offer.orderId, status: "pending" }));
+}
+
+/**
+ * Reserve a piece for `offer` before its order is created. The image records
+ * the accepted offer holding it and is swapped atomically, so of two offers
+ * accepted at once only one wins. Returns false while another accepted
+ * offer's order still awaits payment.
+ */
+export async function claimArtworkForOffer(offer) {
+  // Accepted offers from before the image tracked them
+  const accepted = await Offer.find({
+    imageId: offer.imageId,
+    _id: { $ne: offer._id },
+    status: OFFER_STATUS.ACCEPTED,
+    orderId: { $exists: true },
+  }).select("orderId").lean();
+  if (accepted.length && (await OrderModel.exists({ _id: { $in: accepted.map((o) => o.orderId) }, status: "pending" }))) {
+    return false;
+  }
+
+  const image = await ImageModel.findById(offer.imageId).select("acceptedOfferId").lean();
+  const current = image?.acceptedOfferId || null;
+  if (current && String(current) !== String(offer._id) && (await offerHoldsArtwork(current))) return false;
+
+  const claimed = await ImageModel.updateOne(
+    { _id: offer.imageId, acceptedOfferId: current },
+    { $set: { acceptedOfferId: offer._id } }
+  );
+  return claimed.modifiedCount === 1 || String(current) === String(offer._id);
+}
+
+// Give the piece back if the accept didn't go through
+export function releaseArtworkForOffer(offer) {
+  return ImageModel.updateOne(
+    { _id: offer.imageId, acceptedOfferId: offer._id },
+    { $unset: { acceptedOfferId: 1 } }
+  );
+}
+
+/**
+ * Create the pending order for an accepted offer.
+ * The price is locked so checkout can't be started at a different amount;
+ * the buyer adds delivery details before paying.
+ */
+export async function createOrderForOffer(offer, image) {
+  const [artist, buyer] = await Promise.all([
+    UserModel.findById(offer.artistUserId).lean(),
+    UserModel.findById(offer.buyerUserId).lean(),
+  ]);
+  if (!artist?.stripeAccountId) {
+    const e = new Error("Artist not connected to Stripe.");
+    e.status = 400;
+    throw e;
+  }
+  if (!buyer) {
+    const e = new Error("Buyer not found.");
+    e.status = 404;
+    throw e;
+  }
+
+  return OrderModel.create(offerOrderFields(offer, image, { artist, buyer }));
+}
+
+/**
+ * Close every other open offer on an artwork once one has been accepted
+ */
+export async function declineCompetingOffers(acceptedOffer, artName) {
+  const competing = await Offer.find({
+    _id: { $ne: acceptedOffer._id },
+    imageId: acceptedOffer.imageId,
+    status: { $in: OPEN_OFFER_STATUSES },
+  });
+
+  for (const offer of competing) {
+    const closed = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: { $in: OPEN_OFFER_STATUSES } },
+      {
+        $set: { status: OFFER_STATUS.DECLINED },
+        $push: { history: { by: "system", action: "decline", message: "Another offer was accepted" } },
+      },
+      { new: true }
+    );
+    if (!closed) continue;
+
+    Notification.create({
+      recipientUserId: closed.buyerUserId,
+      actorUserId: closed.artistUserId,
+      type: NOTIFICATION_TYPE.OFFER_DECLINED,
+      title: "Offer declined",
+      message: `“${artName}” is no longer available at your offered price because the artist accepted another offer.`,
+      imageId: closed.imageId,
+      offerId: closed._id,
+      data: { artName, price: closed.amount },
+    }).catch((err) => console.error("Offer notification failed:", err?.message || err));
+  }
+}
+
+/**
+ * Expire offers whose response deadline has passed and notify both sides
+ */
+export async function expireStaleOffers() {
+  try {
+    const now = new Date();
+    const stale = await Offer.findStale(now).populate("imageId", "name imageLink");
+
+    let expired = 0;
+    for (const offer of stale) {
+      const updated = await Offer.findOneAndUpdate(
+        { _id: offer._id, status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: now } },
+        {
+          $set: { status: OFFER_STATUS.EXPIRED },
+          $push: { history: { by: "system", action: "expire", at: now } },
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+      expired += 1;
+
+      const artName = offer.imageId?.name || "the artwork";
+      const data = { artName, price: offer.amount, imageLink: offer.imageId?.imageLink };
+      await Promise.allSettled(
+        [offer.buyerUserId, offer.artistUserId].map((recipientUserId) =>
+          Notification.create({
+            recipientUserId,
+            type: NOTIFICATION_TYPE.OFFER_EXPIRED,
+            title: "Offer expired",
+            message: `The $${offer.amount} offer on “${artName}” expired without a response.`,
+            imageId: offer.imageId?._id,
+            offerId: offer._id,
+            data,
+          })
+        )
+      );
+    }
+
+    return { due: stale.length, expired };
+  } catch (error) {
+    console.error("Offer expiry error:", error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the offer expiry interval
+ * Runs every 15 minutes by default
+ */
+let expiryInterval = null;
+
+export function startOfferExpiry(intervalMinutes = 15) {
+  if (expiryInterval) {
+    console.log("Offer Expiry: Already running");
+    return;
+  }
+
+  console.log(`Offer Expiry: Starting with ${intervalMinutes} minute interval`);
+
+  expireStaleOffers().then((result) => {
+    console.log("Offer Expiry: Initial check complete", result);
+  });
+
+  expiryInterval = setInterval(
+    () => {
+      expireStaleOffers().then((result) => {
+        if (result.expired > 0) {
+          console.log(`Offer Expiry: Expired ${result.expired} offer(s)`);
+        }
+      });
+    },
+    intervalMinutes * 60 * 1000
+  );
+}
+
+export function stopOfferExpiry() {
+  if (expiryInterval) {
+    clearInterval(expiryInterval);
+    expiryInterval = null;
+    console.log("Offer Expiry: Stopped");
+  }
+}
+
+export default {
+  startOfferExpiry,
+  stopOfferExpiry,
+  expireStaleOffers,
+};
@@ -0,0 +1,151 @@
+// services/orderLifecycle.js
+/**
+ * Order Lifecycle
+ * The one place that changes an order's `status` or `shipping.shipmentStatus`.
+ * Each change is checked against the allowed transitions below and recorded
+ * in `statusHistory` with who made it.
+ */
+
+import OrderModel, { ORDER_STATUS, ORDER_ACTOR, ORDER_SOURCE, SHIPMENT_STATUS } from "../models/orders.js";
+
+const S = ORDER_STATUS;
+
+export const ORDER_TRANSITIONS = {
+  [S.PENDING]: [S.PAID, S.FAILED, S.CANCELLED],
+  [S.FAILED]: [S.PAID, S.CANCELLED],   // the buyer can retry the same PaymentIntent
+  [S.PAID]: [S.COMPLETED, S.DISPUTED, S.REFUNDED],
+  [S.COMPLETED]: [S.DISPUTED, S.REFUNDED],
+  [S.DISPUTED]: [S.PAID, S.COMPLETED, S.REFUNDED], // won disputes go back to where they were
+  [S.REFUNDED]: [],
+  [S.CANCELLED]: [],
+};
+
+// Carriers report statuses out of order, so any in-flight status may follow another
+const IN_FLIGHT = [
+  SHIPMENT_STATUS.SHIPPED,
+  SHIPMENT_STATUS.IN_TRANSIT,
+  SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+  SHIPMENT_STATUS.EXCEPTION,
+];
+
+export const SHIPMENT_TRANSITIONS = {
+  [SHIPMENT_STATUS.PENDING]: [SHIPMENT_STATUS.PROCESSING, ...IN_FLIGHT, SHIPMENT_STATUS.DELIVERED],
+  [SHIPMENT_STATUS.PROCESSING]: [...IN_FLIGHT, SHIPMENT_STATUS.DELIVERED],
+  ...Object.fromEntries(
+    IN_FLIGHT.map((s) => [s, [...IN_FLIGHT, SHIPMENT_STATUS.DELIVERED, SHIPMENT_STATUS.RETURNED]])
+  ),
+  [SHIPMENT_STATUS.DELIVERED]: [SHIPMENT_STATUS.RETURNED],
+  [SHIPMENT_STATUS.RETURNED]: [],
+};
+
+// Orders whose goods may be shipped / tracked
+export const SHIPPABLE_STATUSES = [S.PAID, S.COMPLETED, S.DISPUTED];
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from || S.PENDING] || []).includes(to);
+}
+
+export function canTransitionShipment(from, to) {
+  return (SHIPMENT_TRANSITIONS[from || SHIPMENT_STATUS.PENDING] || []).includes(to);
+}
+
+// States an order may be in to move to `to`
+export function statusesLeadingTo(to) {
+  return Object.keys(ORDER_TRANSITIONS).filter((from) => ORDER_TRANSITIONS[from].includes(to));
+}
+
+function historyEntry(field, from, to, { actor = ORDER_ACTOR.SYSTEM, actorId, reason } = {}) {
+  return { field, from: from || null, to, actor, actorId, reason, at: new Date() };
+}
+
+function illegal(what, from, to) {
+  const e = new Error(`Order ${what} can't change from ${from || "none"} to ${to}`);
+  e.status = 409;
+  return e;
+}
+
+/**
+ * Move an order document to a new status (caller saves).
+ * Same-status calls are no-ops and return false; illegal moves throw (status 409).
+ */
+export function transitionOrder(order, to, options = {}) {
+  const from = order.status || S.PENDING;
+  if (from === to) return false;
+  if (!canTransition(from, to)) throw illegal("status", from, to);
+
+  order.status = to;
+  if (!order.statusHistory) order.statusHistory = [];
+  order.statusHistory.push(historyEntry("status", from, to, options));
+  return true;
+}
+
+/**
+ * Move an order document to a new shipment status (caller saves).
+ * Delivery completes a paid order.
+ */
+export function transitionShipment(order, to, options = {}) {
+  const from = order.shipping?.shipmentStatus || SHIPMENT_STATUS.PENDING;
+  if (from === to) return false;
+  if (!canTransitionShipment(from, to)) throw illegal("shipment status", from, to);
+
+  if (!order.shipping) order.shipping = {};
+  order.shipping.shipmentStatus = to;
+  if (!order.statusHistory) order.statusHistory = [];
+  order.statusHistory.push(historyEntry("shipmentStatus", from, to, options));
+
+  if (to === SHIPMENT_STATUS.DELIVERED && order.status === S.PAID) {
+    transitionOrder(order, S.COMPLETED, { ...options, reason: "Delivered" });
+  }
+  return true;
+}
+
+/**
+ * Atomically move an order by id, for callers that don't hold the document
+ * (webhooks). Only matches when the current status allows the move
+ * (optionally narrowed with `from`). `set` is applied in the same write.
+ * Resolves with the updated order, or null when the move isn't allowed.
+ */
+export async function applyOrderTransition(orderId, to, { from, set = {}, ...options } = {}) {
+  const allowedFrom = statusesLeadingTo(to).filter((s) => !from || from.includes(s));
+
+  for (const current of allowedFrom) {
+    const updated = await OrderModel.findOneAndUpdate(
+      { _id: orderId, status: current },
+      {
+        $set: { ...set, status: to },
+        $push: { statusHistory: historyEntry("status", current, to, options) },
+      },
+      { new: true }
+    );
+    if (updated) return updated;
+  }
+  return null;
+}
+
+/**
+ * History for GET /order/:id/timeline, including the order's creation
+ */
+export function buildTimeline(order) {
+  const created = {
+    field: "status",
+    from: null,
+    to: S.PENDING,
+    // Auction and offer orders are opened by the server
+    actor: (order.source || ORDER_SOURCE.DIRECT) === ORDER_SOURCE.DIRECT ? ORDER_ACTOR.BUYER : ORDER_ACTOR.SYSTEM,
+    reason: "Order placed",
+    at: order.createdAt,
+  };
+  const history = (order.statusHistory || []).map((h) => (h.toObject ? h.toObject() : h));
+  return [created, ...history].sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+export default {
+  ORDER_TRANSITIONS,
+  SHIPMENT_TRANSITIONS,
+  canTransition,
+  canTransitionShipment,
+  transitionOrder,
+  transitionShipment,
+  applyOrderTransition,
+  buildTimeline,
+};
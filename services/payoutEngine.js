@@ -0,0 +1,411 @@
+// services/payoutEngine.js
+/**
+ * Payout Engine
+ * Pays artists automatically. Once an order is delivered a Payout is
+ * scheduled for the end of the hold period; when it comes due and nothing
+ * blocks it (open return, dispute, unfinished Stripe onboarding) the seller's
+ * remaining share is transferred. Failed transfers are retried with backoff.
+ */
+
+import Stripe from "stripe";
+import Payout, { PAYOUT_STATUS, DUE_PAYOUT_STATUSES } from "../models/payout.js";
+import OrderModel, { ORDER_STATUS } from "../models/orders.js";
+import UserModel from "../models/users.js";
+import ReturnRequest, { OPEN_RETURN_STATUSES } from "../models/returnRequest.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+import { notifyAdmins } from "./adminNotify.js";
+import { recordOrderLedger } from "./ledger.js";
+import { refundedSubsidyCents } from "./coupons.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Days after delivery before the artist is paid (defaults to the return window)
+export const PAYOUT_HOLD_DAYS = Number(process.env.PAYOUT_HOLD_DAYS || process.env.RETURN_WINDOW_DAYS || 14);
+export const MAX_PAYOUT_ATTEMPTS = 6;
+
+const HOUR = 60 * 60 * 1000;
+// How often held payouts are re-checked
+const HELD_RECHECK_MS = 6 * HOUR;
+// A payout still PROCESSING after this long was interrupted (crash/redeploy) and is picked up again
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+const PAYABLE_ORDER_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.COMPLETED];
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+
+/**
+ * What the artist is still owed on an order: their share less refunds
+ * (with the matching part of a platform-funded discount) and what has
+ * already been transferred
+ */
+export function payoutRemainingCents(order) {
+  const refunded = posInt(order.refundedCents) + refundedSubsidyCents(order);
+  const due = Math.max(0, posInt(order.sellerDueCents) - refunded);
+  return Math.max(0, due - posInt(order.sellerTransferredCents));
+}
+
+/**
+ * Why a due payout can't go out right now, or null when it can.
+ * Returns { cancel: true } reasons for orders that will never be payable.
+ */
+export function payoutBlocker({ order, artist, hasOpenReturn }) {
+  if (!order) return { reason: "Order not found", cancel: true };
+  if (order.status === ORDER_STATUS.DISPUTED || order.payoutHold?.since) {
+    return { reason: order.payoutHold?.reason || "Order is disputed" };
+  }
+  if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+    return { reason: `Order is ${order.status}`, cancel: true };
+  }
+  if (hasOpenReturn) return { reason: "Return in progress" };
+  if (!order.chargeId) return { reason: "Order has no charge id" };
+  if (!artist?.stripeAccountId || !artist.stripeOnboardingCompleted) {
+    return { reason: "Artist hasn't finished Stripe onboarding" };
+  }
+  return null;
+}
+
+/**
+ * Backoff after the nth failed attempt: 1h, 2h, 4h ... capped at 24h
+ */
+export function retryDelayMs(attempts) {
+  return Math.min(24 * HOUR, HOUR * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Create Payouts for delivered orders that don't have one yet
+ */
+async function schedulePayouts(now = new Date()) {
+  const orders = await OrderModel.find({
+    status: { $in: PAYABLE_ORDER_STATUSES },
+    "shipping.deliveredAt": { $exists: true, $ne: null },
+    payoutScheduledAt: { $exists: false },
+  })
+    .select("_id artistUserId artistStripeId shipping.deliveredAt")
+    .limit(200)
+    .lean();
+
+  let scheduled = 0;
+  for (const order of orders) {
+    const deliveredAt = new Date(order.shipping.deliveredAt);
+    const eligibleAt = new Date(deliveredAt.getTime() + PAYOUT_HOLD_DAYS * 24 * HOUR);
+
+    const result = await Payout.updateOne(
+      { orderId: order._id },
+      {
+        $setOnInsert: {
+          orderId: order._id,
+          artistUserId: order.artistUserId,
+          artistStripeId: order.artistStripeId,
+          status: PAYOUT_STATUS.SCHEDULED,
+          deliveredAt,
+          eligibleAt,
+          nextAttemptAt: eligibleAt,
+        },
+      },
+      { upsert: true }
+    );
+    // A payout an admin started before delivery gets its date now
+    if (!result.upsertedCount) {
+      await Payout.updateOne(
+        { orderId: order._id, status: PAYOUT_STATUS.SCHEDULED, nextAttemptAt: null },
+        { $set: { deliveredAt, eligibleAt, nextAttemptAt: eligibleAt } }
+      );
+    }
+    await OrderModel.updateOne({ _id: order._id }, { $set: { payoutScheduledAt: now } });
+    if (result.upsertedCount) scheduled += 1;
+  }
+  return scheduled;
+}
+
+// Stripe answered and said no (as opposed to a network error with an unknown outcome)
+function isDefinitiveStripeError(err) {
+  return Boolean(err?.statusCode && err.statusCode >= 400 && err.statusCode < 500);
+}
+
+/**
+ * Transfer `amount` of the order's seller share for a claimed payout and
+ * book it on the order. The key is per payout and amount already sent, so
+ * the engine and a manual payout can't both send the same share.
+ */
+async function sendPayoutTransfer(payout, order, { destination, amount, metadata = {} }) {
+  const sent = posInt(order.sellerTransferredCents);
+  const transferGroup = order.transferGroup || `order_${order._id}`;
+
+  const transfer = await stripe.transfers.create(
+    {
+      amount,
+      currency: "usd",
+      destination,
+      transfer_group: transferGroup,
+      source_transaction: order.chargeId,
+      metadata: { orderId: String(order._id), payoutId: String(payout._id), ...metadata },
+    },
+    { idempotencyKey: `payout_${payout._id}_${sent}_${payout.keyVersion}` }
+  );
+
+  await OrderModel.updateOne(
+    { _id: order._id },
+    {
+      $inc: { sellerTransferredCents: amount },
+      $set: { transferGroup },
+      $push: { transfers: { transferId: transfer.id, amount, createdAt: new Date() } },
+    }
+  );
+  recordOrderLedger(order._id);
+
+  payout.amount = amount;
+  payout.transferId = transfer.id;
+  payout.lastError = undefined;
+  payout.attempts.push({ amount, transferId: transfer.id });
+  return transfer;
+}
+
+/**
+ * Try to pay one due payout (already claimed as PROCESSING)
+ */
+async function processPayout(payout, now = new Date()) {
+  const order = await OrderModel.findById(payout.orderId);
+  const [artist, hasOpenReturn] = await Promise.all([
+    order ? UserModel.findById(order.artistUserId).select("stripeAccountId stripeOnboardingCompleted").lean() : null,
+    order ? ReturnRequest.exists({ orderId: order._id, status: { $in: OPEN_RETURN_STATUSES } }) : null,
+  ]);
+
+  const blocked = payoutBlocker({ order, artist, hasOpenReturn: !!hasOpenReturn });
+  if (blocked) {
+    payout.status = blocked.cancel ? PAYOUT_STATUS.CANCELLED : PAYOUT_STATUS.HELD;
+    payout.holdReason = blocked.reason;
+    payout.nextAttemptAt = blocked.cancel ? null : new Date(now.getTime() + HELD_RECHECK_MS);
+    await payout.save();
+    return payout.status;
+  }
+
+  const amount = payoutRemainingCents(order);
+  if (amount === 0) {
+    payout.status = posInt(order.sellerTransferredCents) > 0 ? PAYOUT_STATUS.PAID : PAYOUT_STATUS.CANCELLED;
+    payout.holdReason = payout.status === PAYOUT_STATUS.PAID ? "Paid manually" : "Nothing left to pay";
+    payout.nextAttemptAt = null;
+    await payout.save();
+    return payout.status;
+  }
+
+  payout.amount = amount;
+  payout.holdReason = undefined;
+
+  try {
+    await sendPayoutTransfer(payout, order, {
+      destination: artist.stripeAccountId,
+      amount,
+      metadata: { automatic: "true" },
+    });
+
+    payout.status = PAYOUT_STATUS.PAID;
+    payout.paidAt = new Date();
+    payout.nextAttemptAt = null;
+    await payout.save();
+
+    Notification.create({
+      recipientUserId: order.artistUserId,
+      type: NOTIFICATION_TYPE.PAYOUT_SENT,
+      title: "Payout sent",
+      message: `$${(amount / 100).toFixed(2)} for “${order.artName}” is on its way to your Stripe account.`,
+      orderId: order._id,
+      imageId: order.imageId,
+      data: { artName: order.artName, price: amount, imageLink: order.imageLink },
+    }).catch((err) => console.error("Payout notification failed:", err?.message || err));
+
+    return payout.status;
+  } catch (err) {
+    const message = err?.message || String(err);
+    payout.attempts.push({ amount, error: message });
+    payout.lastError = message;
+    payout.status = PAYOUT_STATUS.FAILED;
+    if (isDefinitiveStripeError(err)) payout.keyVersion += 1;
+
+    const failures = payout.attempts.filter((a) => a.error).length;
+    const exhausted = failures >= MAX_PAYOUT_ATTEMPTS;
+    payout.nextAttemptAt = exhausted ? null : new Date(now.getTime() + retryDelayMs(failures));
+    await payout.save();
+
+    console.error(`Payout Engine: transfer for order ${order._id} failed (attempt ${failures}):`, message);
+    if (exhausted) {
+      notifyAdmins("payoutFailed", {
+        artName: order.artName,
+        artistName: order.artistName,
+        orderId: String(order._id),
+        amount: `$${(amount / 100).toFixed(2)}`,
+        error: message,
+      });
+    }
+    return payout.status;
+  }
+}
+
+const payoutError = (message, status = 400) => {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+};
+
+/**
+ * Pay an order's seller now (admin). Goes through the order's Payout, claimed
+ * like the engine claims it, so the two can never transfer the same share.
+ * `capCents` limits this transfer; what's left stays scheduled for the
+ * engine. Resolves with { transfer, amount, alreadySent, remaining } or
+ * throws an Error with `status`.
+ */
+export async function payOutOrderNow(orderId, { capCents = 0, now = new Date() } = {}) {
+  const order = await OrderModel.findById(orderId).lean();
+  if (!order) throw payoutError("Order not found", 404);
+
+  const deliveredAt = order.shipping?.deliveredAt ? new Date(order.shipping.deliveredAt) : null;
+  const eligibleAt = deliveredAt ? new Date(deliveredAt.getTime() + PAYOUT_HOLD_DAYS * 24 * HOUR) : now;
+  await Payout.updateOne(
+    { orderId: order._id },
+    {
+      $setOnInsert: {
+        orderId: order._id,
+        artistUserId: order.artistUserId,
+        artistStripeId: order.artistStripeId,
+        status: PAYOUT_STATUS.SCHEDULED,
+        deliveredAt,
+        eligibleAt,
+        // Undelivered: the engine dates it once the order is delivered
+        nextAttemptAt: deliveredAt ? eligibleAt : null,
+      },
+    },
+    { upsert: true }
+  );
+
+  // Resolves with the payout as it was before the claim, so it can be put back
+  const payout = await Payout.findOneAndUpdate(
+    {
+      orderId: order._id,
+      $or: [
+        { status: { $ne: PAYOUT_STATUS.PROCESSING } },
+        { status: PAYOUT_STATUS.PROCESSING, updatedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    { $set: { status: PAYOUT_STATUS.PROCESSING } }
+  );
+  if (!payout) throw payoutError("A payout for this order is already in progress.", 409);
+
+  const before = payout.status === PAYOUT_STATUS.PROCESSING
+    ? { status: PAYOUT_STATUS.SCHEDULED, nextAttemptAt: payout.eligibleAt }
+    : { status: payout.status, nextAttemptAt: payout.nextAttemptAt };
+  payout.status = PAYOUT_STATUS.PROCESSING; // as stored; whatever it ends as gets saved
+  // Read the order again now that nothing else can pay it
+  const claimed = await OrderModel.findById(order._id);
+  const due = payoutRemainingCents(claimed);
+  const amount = capCents > 0 ? Math.min(due, capCents) : due;
+
+  let transfer = null;
+  try {
+    if (amount > 0) {
+      transfer = await sendPayoutTransfer(payout, claimed, {
+        destination: claimed.artistStripeId,
+        amount,
+        metadata: { manual: "true" },
+      });
+    }
+  } catch (err) {
+    payout.set(before);
+    payout.attempts.push({ amount, error: err?.message || String(err) });
+    payout.lastError = err?.message || String(err);
+    if (isDefinitiveStripeError(err)) payout.keyVersion += 1;
+    await payout.save();
+    throw err;
+  }
+
+  const alreadySent = posInt(claimed.sellerTransferredCents) + (transfer ? amount : 0);
+  const remaining = due - (transfer ? amount : 0);
+  if (remaining === 0 && alreadySent > 0) {
+    payout.status = PAYOUT_STATUS.PAID;
+    payout.holdReason = "Paid manually";
+    payout.paidAt = payout.paidAt || new Date();
+    payout.nextAttemptAt = null;
+  } else {
+    payout.set(before);
+  }
+  await payout.save();
+
+  return { transfer, amount: transfer ? amount : 0, alreadySent, remaining };
+}
+
+/**
+ * One engine pass: schedule newly delivered orders, then pay what's due.
+ */
+export async function runPayouts({ limit = 50 } = {}) {
+  try {
+    const now = new Date();
+    const scheduled = await schedulePayouts(now);
+    const counts = { scheduled, paid: 0, held: 0, failed: 0, cancelled: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      // Claim one at a time so concurrent runs never pay the same order twice
+      const payout = await Payout.findOneAndUpdate(
+        {
+          $or: [
+            { status: { $in: DUE_PAYOUT_STATUSES }, nextAttemptAt: { $ne: null, $lte: now } },
+            { status: PAYOUT_STATUS.PROCESSING, updatedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+          ],
+        },
+        { $set: { status: PAYOUT_STATUS.PROCESSING } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+      if (!payout) break;
+
+      const status = await processPayout(payout, now);
+      if (status in counts) counts[status] += 1;
+    }
+
+    return counts;
+  } catch (error) {
+    console.error("Payout Engine error:", error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the payout interval
+ * Runs every 15 minutes by default
+ */
+let payoutInterval = null;
+
+export function startPayoutEngine(intervalMinutes = 15) {
+  if (payoutInterval) {
+    console.log("Payout Engine: Already running");
+    return;
+  }
+
+  console.log(`Payout Engine: Starting with ${intervalMinutes} minute interval`);
+
+  payoutInterval = setInterval(
+    () => {
+      runPayouts().then((result) => {
+        if (result.paid > 0 || result.failed > 0) {
+          console.log(`Payout Engine: ${result.paid} paid, ${result.failed} failed`);
+        }
+      });
+    },
+    intervalMinutes * 60 * 1000
+  );
+}
+
+export function stopPayoutEngine() {
+  if (payoutInterval) {
+    clearInterval(payoutInterval);
+    payoutInterval = null;
+    console.log("Payout Engine: Stopped");
+  }
+}
+
+export default {
+  PAYOUT_HOLD_DAYS,
+  payoutRemainingCents,
+  payoutBlocker,
+  retryDelayMs,
+  runPayouts,
+  payOutOrderNow,
+  startPayoutEngine,
+  stopPayoutEngine,
+};
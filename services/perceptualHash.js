@@ -0,0 +1,163 @@
+// services/perceptualHash.js
+/**
+ * Perceptual Hash Service
+ * dHash fingerprints that survive resizing, re-compression and small edits,
+ * used to catch artwork re-listed by someone other than the original artist.
+ */
+
+import sharp from "sharp";
+import ImageModel, { DUPLICATE_CHECK_STATUS } from "../models/images.js";
+import { notifyAdmins } from "./adminNotify.js";
+
+// Max Hamming distance (out of 64 bits) still treated as the same picture
+export const DUPLICATE_MAX_DISTANCE = Number(process.env.PHASH_DUPLICATE_DISTANCE || 10);
+
+// Keep the flag readable for admins
+const MAX_MATCHES = 10;
+
+/**
+ * 64-bit difference hash as 16 hex characters.
+ * The image is shrunk to 9×8 greyscale and each bit records whether a pixel
+ * is brighter than its right-hand neighbour.
+ */
+export async function computePerceptualHash(input) {
+  const pixels = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Compare a hash against every other artist's listing.
+ * Returns matches sorted closest first, oldest listing first on ties
+ * (the oldest is most likely the original).
+ */
+export async function findSimilarListings({ hash, imageId, userId }) {
+  const matches = [];
+  const cursor = ImageModel.find({
+    _id: { $ne: imageId },
+    userId: { $ne: userId },
+    perceptualHash: { $exists: true, $ne: null },
+  })
+    .select("_id userId perceptualHash createdAt")
+    .lean()
+    .cursor();
+
+  for await (const other of cursor) {
+    const distance = hammingDistance(hash, other.perceptualHash);
+    if (distance <= DUPLICATE_MAX_DISTANCE) {
+      matches.push({ imageId: other._id, userId: other.userId, distance, createdAt: other.createdAt });
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance || new Date(a.createdAt) - new Date(b.createdAt))
+    .slice(0, MAX_MATCHES)
+    .map(({ createdAt, ...match }) => match);
+}
+
+/**
+ * Hash a newly created listing, look for near-duplicates and flag it for admins.
+ * Never throws — a failed check just leaves the listing unflagged.
+ */
+export async function screenForDuplicates(image, buffer) {
+  try {
+    const hash = await computePerceptualHash(buffer);
+    const matches = await findSimilarListings({ hash, imageId: image._id, userId: image.userId });
+
+    await ImageModel.updateOne(
+      { _id: image._id },
+      {
+        $set: {
+          perceptualHash: hash,
+          duplicateCheck: {
+            status: matches.length ? DUPLICATE_CHECK_STATUS.SUSPECTED : DUPLICATE_CHECK_STATUS.CLEAR,
+            matches,
+            checkedAt: new Date(),
+          },
+        },
+      }
+    );
+
+    if (matches.length) {
+      const original = await ImageModel.findById(matches[0].imageId).select("name artistName").lean();
+      notifyAdmins("suspectedDuplicate", {
+        name: image.name,
+        artistName: image.artistName,
+        matchName: original?.name,
+        matchArtistName: original?.artistName,
+        matchCount: matches.length,
+      });
+    }
+
+    return { hash, matches };
+  } catch (error) {
+    console.error("Duplicate screening failed:", error?.message || error);
+    return { error: error?.message || String(error) };
+  }
+}
+
+/**
+ * Hash listings created before duplicate screening existed so new uploads
+ * are compared against them too. Processes a batch per call.
+ */
+export async function backfillPerceptualHashes(limit = 50) {
+  const pending = await ImageModel.find({ perceptualHash: { $exists: false } })
+    .select("_id imageLink")
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let hashed = 0;
+  let failed = 0;
+  for (const image of pending) {
+    try {
+      const res = await fetch(image.imageLink);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const hash = await computePerceptualHash(Buffer.from(await res.arrayBuffer()));
+      await ImageModel.updateOne({ _id: image._id }, { $set: { perceptualHash: hash } });
+      hashed += 1;
+    } catch (error) {
+      // Store null so unreachable links aren't retried forever
+      await ImageModel.updateOne({ _id: image._id }, { $set: { perceptualHash: null } });
+      failed += 1;
+      console.error(`Perceptual hash backfill failed for ${image._id}:`, error?.message || error);
+    }
+  }
+
+  const remaining = await ImageModel.countDocuments({ perceptualHash: { $exists: false } });
+  return { processed: pending.length, hashed, failed, remaining };
+}
+
+export default {
+  computePerceptualHash,
+  hammingDistance,
+  findSimilarListings,
+  screenForDuplicates,
+  backfillPerceptualHashes,
+};
@@ -0,0 +1,202 @@
+// services/refunds.js
+/**
+ * Refunds
+ * Full or partial refunds of an order's charge. When the artist has already
+ * been paid through POST /order/:id/payout, the refunded amount is clawed back
+ * from their transfers (newest first), up to what they actually received.
+ * Refunds go back to the card, except what the buyer paid with store credit
+ * (or everything, with `toStoreCredit`), which comes back as store credit.
+ */
+
+import Stripe from "stripe";
+import OrderModel, { ORDER_STATUS, ORDER_ACTOR } from "../models/orders.js";
+import { canTransition, transitionOrder } from "./orderLifecycle.js";
+import { recordOrderLedger } from "./ledger.js";
+import { refundedSubsidyCents } from "./coupons.js";
+import { cardRefundableCents, refundAsStoreCredit } from "./storeCredit.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Orders that took money and haven't been refunded in full
+export const REFUNDABLE_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.COMPLETED, ORDER_STATUS.DISPUTED];
+
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+
+function refundError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Cents still refundable on an order
+ */
+export function refundableCents(order) {
+  return Math.max(0, posInt(order.totalAmount) - posInt(order.refundedCents));
+}
+
+/**
+ * Check a requested refund against the order. Omitted amount = everything left.
+ * Returns { amountCents } or { error }.
+ */
+export function validateRefundAmount(order, amountCents) {
+  const left = refundableCents(order);
+  if (left === 0) return { error: "Order has nothing left to refund" };
+  if (amountCents == null || amountCents === "") return { amountCents: left };
+
+  const amount = Number(amountCents);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: "Refund amount must be a positive whole number of cents" };
+  }
+  if (amount > left) {
+    return { error: `Refund amount exceeds the refundable balance (${left} cents)` };
+  }
+  return { amountCents: amount };
+}
+
+/**
+ * Split a clawback across transfers, newest first.
+ * `transfers` are { transferId, amount, reversedCents }; returns [{ transferId, amount }].
+ */
+export function planTransferReversals(transfers = [], reverseCents) {
+  let left = posInt(reverseCents);
+  const plan = [];
+  const newestFirst = [...transfers].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+
+  for (const t of newestFirst) {
+    if (left === 0) break;
+    const available = posInt(t.amount) - posInt(t.reversedCents);
+    if (available <= 0) continue;
+    const amount = Math.min(available, left);
+    plan.push({ transferId: t.transferId, amount });
+    left -= amount;
+  }
+  return plan;
+}
+
+// Transfers made before orders recorded them are found through the transfer group
+async function loadTransfers(order) {
+  if (order.transfers?.length) return order.transfers;
+  if (!order.transferGroup || !posInt(order.sellerTransferredCents)) return [];
+
+  const list = await stripe.transfers.list({ transfer_group: order.transferGroup, limit: 100 });
+  // A checkout's group also holds the other artists' transfers
+  const own = order.checkoutId ? list.data.filter((t) => t.metadata?.orderId === String(order._id)) : list.data;
+  return own.map((t) => ({
+    transferId: t.id,
+    amount: t.amount,
+    reversedCents: t.amount_reversed || 0,
+    createdAt: new Date(t.created * 1000),
+  }));
+}
+
+/**
+ * Refund part or all of an order and reverse the artist's share if they were paid.
+ * `idempotencyKey` should be stable per logical refund (e.g. per return request)
+ * so retries don't refund twice.
+ * Resolves with { order, refund, reversedCents, storeCreditCents }; throws with `status` on bad input.
+ */
+export async function refundOrder(orderOrId, {
+  amountCents,
+  reason,
+  idempotencyKey,
+  returnRequestId,
+  toStoreCredit = false,
+  actor = ORDER_ACTOR.SYSTEM,
+  actorId,
+} = {}) {
+  const order = orderOrId?._id ? orderOrId : await OrderModel.findById(orderOrId);
+  if (!order) throw refundError("Order not found", 404);
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw refundError(`Order can't be refunded while ${order.status}`, 409);
+  }
+  // Cart checkout orders share one PaymentIntent and are refunded from its charge
+  if (!order.paymentIntentId && !order.chargeId) throw refundError("Order has no payment to refund", 409);
+
+  const { amountCents: amount, error } = validateRefundAmount(order, amountCents);
+  if (error) throw refundError(error, 400);
+
+  const key = idempotencyKey || `refund_order_${order._id}_${posInt(order.refundedCents) + amount}`;
+  const toCard = toStoreCredit ? 0 : Math.min(amount, cardRefundableCents(order));
+  const storeCreditCents = amount - toCard;
+
+  const cardRefund = toCard > 0
+    ? await stripe.refunds.create(
+      {
+        ...(order.paymentIntentId ? { payment_intent: order.paymentIntentId } : { charge: order.chargeId }),
+        amount: toCard,
+        metadata: {
+          orderId: String(order._id),
+          reason: reason || "requested_by_customer",
+          ...(returnRequestId ? { returnRequestId: String(returnRequestId) } : {}),
+        },
+      },
+      { idempotencyKey: key }
+    )
+    : null;
+  const credit = storeCreditCents > 0
+    ? await refundAsStoreCredit(order, storeCreditCents, { idempotencyKey: `${key}_credit` })
+    : null;
+  const refund = { id: cardRefund?.id || `credit_${credit._id}`, amount, storeCreditCents };
+
+  // Stripe replays the original refund for a repeated key; it's already booked
+  if (order.refunds?.some((r) => r.refundId === refund.id)) {
+    return { order, refund, reversedCents: 0, storeCreditCents };
+  }
+
+  // Claw back from the artist, never more than they still hold from this order
+  // (a platform-funded discount is taken back in step with the refund)
+  const transfers = await loadTransfers(order);
+  const before = posInt(order.refundedCents);
+  const subsidy = refundedSubsidyCents(order, before + amount) - refundedSubsidyCents(order, before);
+  const reverseTarget = Math.min(amount + subsidy, posInt(order.sellerTransferredCents));
+  const plan = planTransferReversals(transfers, reverseTarget);
+
+  let reversedCents = 0;
+  for (const { transferId, amount: reverseAmount } of plan) {
+    try {
+      await stripe.transfers.createReversal(
+        transferId,
+        { amount: reverseAmount, metadata: { orderId: String(order._id), refundId: refund.id } },
+        { idempotencyKey: `reversal_${refund.id}_${transferId}` }
+      );
+      reversedCents += reverseAmount;
+
+      const existing = transfers.find((t) => t.transferId === transferId);
+      existing.reversedCents = posInt(existing.reversedCents) + reverseAmount;
+    } catch (err) {
+      // The buyer is already refunded; leave the rest for an admin to settle
+      console.error(`Refunds: reversal of ${transferId} for order ${order._id} failed:`, err?.message || err);
+    }
+  }
+
+  order.transfers = transfers;
+  order.sellerTransferredCents = Math.max(0, posInt(order.sellerTransferredCents) - reversedCents);
+  order.refundedCents = posInt(order.refundedCents) + amount;
+  if (!order.refunds) order.refunds = [];
+  order.refunds.push({
+    refundId: refund.id,
+    amount,
+    reversedCents,
+    storeCreditCents,
+    reason,
+    returnRequestId,
+    createdAt: new Date(),
+  });
+
+  if (refundableCents(order) === 0 && canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+    transitionOrder(order, ORDER_STATUS.REFUNDED, { actor, actorId, reason: reason || "Refunded" });
+    order.refundedAt = new Date();
+  }
+
+  await order.save();
+  recordOrderLedger(order._id);
+  return { order, refund, reversedCents, storeCreditCents };
+}
+
+export default {
+  refundableCents,
+  validateRefundAmount,
+  planTransferReversals,
+  refundOrder,
+};
@@ -0,0 +1,197 @@
+// services/returns.js
+/**
+ * Return Service
+ * The return window, the refund that closes a return, and the job that
+ * follows return shipments back to the artist with the same carrier
+ * tracking outbound orders use.
+ */
+
+import ReturnRequest, { RETURN_STATUS } from "../models/returnRequest.js";
+import OrderModel, { ORDER_STATUS, ORDER_ACTOR, SHIPMENT_STATUS } from "../models/orders.js";
+import Notification, { NOTIFICATION_TYPE } from "../models/notifications.js";
+import { canTransitionShipment, transitionShipment } from "./orderLifecycle.js";
+import { refundOrder } from "./refunds.js";
+import { trackShipment, computeNextPollAt } from "./shipmentTracking.js";
+
+// Days after delivery the buyer may ask for a return
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 14);
+
+const RETURNABLE_ORDER_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.COMPLETED];
+const MAX_POLL_ATTEMPTS = 120;
+
+/**
+ * Last moment a return can be requested, or null before delivery
+ */
+export function returnWindowEndsAt(order) {
+  const deliveredAt = order.shipping?.deliveredAt;
+  if (!deliveredAt) return null;
+  return new Date(new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Checks that the buyer can still ask to return an order.
+ * Returns an error string, or null when a return is allowed.
+ */
+export function returnUnavailableReason(order, now = new Date()) {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) return "This order can't be returned";
+  if (order.shipping?.shipmentStatus !== SHIPMENT_STATUS.DELIVERED) {
+    return "Returns open once the order has been delivered";
+  }
+  const endsAt = returnWindowEndsAt(order);
+  if (!endsAt || now > endsAt) return `Returns are only accepted within ${RETURN_WINDOW_DAYS} days of delivery`;
+  return null;
+}
+
+export function notifyReturn({ recipientUserId, actorUserId, type, title, message, returnRequest, order }) {
+  return Notification.create({
+    recipientUserId,
+    actorUserId,
+    type,
+    title,
+    message,
+    orderId: order._id,
+    imageId: order.imageId,
+    returnRequestId: returnRequest._id,
+    data: {
+      artName: order.artName,
+      artistName: order.artistName,
+      price: returnRequest.refundAmount ?? order.totalAmount,
+      imageLink: order.imageLink,
+    },
+  }).catch((err) => console.error("Return notification failed:", err?.message || err));
+}
+
+/**
+ * Refund the buyer for an approved return and close it.
+ * The idempotency key is per return, so a retried call can't refund twice.
+ */
+export async function refundReturn(returnRequest, { actor = ORDER_ACTOR.ARTIST, actorId } = {}) {
+  const order = await OrderModel.findById(returnRequest.orderId);
+  if (!order) {
+    const e = new Error("Order not found");
+    e.status = 404;
+    throw e;
+  }
+
+  // A previous attempt may have refunded before failing to close the return
+  const earlier = (order.refunds || []).find((r) => String(r.returnRequestId) === String(returnRequest._id));
+  const { refund, reversedCents, storeCreditCents } = earlier
+    ? {
+      refund: { id: earlier.refundId, amount: earlier.amount },
+      reversedCents: earlier.reversedCents,
+      storeCreditCents: earlier.storeCreditCents,
+    }
+    : await refundOrder(order, {
+      amountCents: returnRequest.refundAmount,
+      reason: `Return: ${returnRequest.reason}`,
+      idempotencyKey: `refund_return_${returnRequest._id}`,
+      returnRequestId: returnRequest._id,
+      toStoreCredit: returnRequest.refundToStoreCredit,
+      actor,
+      actorId,
+    });
+
+  // The piece is back with the artist
+  if (returnRequest.requiresReturnShipment
+    && canTransitionShipment(order.shipping?.shipmentStatus, SHIPMENT_STATUS.RETURNED)) {
+    transitionShipment(order, SHIPMENT_STATUS.RETURNED, { actor, actorId, reason: "Return received" });
+    await order.save();
+  }
+
+  returnRequest.status = RETURN_STATUS.REFUNDED;
+  returnRequest.refund = {
+    stripeRefundId: refund.id,
+    amount: refund.amount,
+    reversedCents,
+    storeCreditCents: storeCreditCents || undefined,
+    refundedAt: new Date(),
+  };
+  returnRequest.history.push({ by: "system", action: "refund", message: `Refunded ${refund.amount} cents` });
+  await returnRequest.save();
+
+  await notifyReturn({
+    recipientUserId: order.userId,
+    actorUserId: order.artistUserId,
+    type: NOTIFICATION_TYPE.ORDER_REFUNDED,
+    title: "Refund issued",
+    message: storeCreditCents
+      ? `You've been refunded $${(refund.amount / 100).toFixed(2)} for “${order.artName}” ($${(storeCreditCents / 100).toFixed(2)} of it as store credit).`
+      : `You've been refunded $${(refund.amount / 100).toFixed(2)} for “${order.artName}”.`,
+    returnRequest,
+    order,
+  });
+
+  return { order, returnRequest, refund, reversedCents };
+}
+
+/**
+ * Poll carriers for return shipments that are due.
+ * Tells the artist when a return has arrived so they can confirm it and refund.
+ */
+export async function pollReturnShipments({ limit = 25 } = {}) {
+  const now = new Date();
+  const due = await ReturnRequest.find({
+    status: RETURN_STATUS.SHIPPED,
+    "returnShipping.trackingNumber": { $exists: true, $ne: null },
+    "returnShipping.shipmentStatus": { $ne: SHIPMENT_STATUS.DELIVERED },
+    $or: [
+      { "returnShipping.nextPollAt": { $lte: now } },
+      { "returnShipping.nextPollAt": { $exists: false } },
+    ],
+  })
+    .sort({ "returnShipping.nextPollAt": 1 })
+    .limit(limit);
+
+  const results = [];
+  for (const returnRequest of due) {
+    const shipping = returnRequest.returnShipping;
+    const prevStatus = shipping.shipmentStatus || null;
+
+    try {
+      const tracked = await trackShipment(shipping.trackingNumber, shipping.carrier);
+      const newStatus = canTransitionShipment(prevStatus, tracked.status) ? tracked.status : prevStatus;
+
+      shipping.shipmentStatus = newStatus;
+      shipping.trackingEvents = tracked.events;
+      if (newStatus === SHIPMENT_STATUS.DELIVERED && !shipping.deliveredAt) {
+        shipping.deliveredAt = tracked.deliveredAt || new Date();
+      }
+      shipping.lastPolledAt = new Date();
+      shipping.pollAttempts = (shipping.pollAttempts || 0) + 1;
+      shipping.nextPollAt =
+        newStatus === SHIPMENT_STATUS.DELIVERED || shipping.pollAttempts >= MAX_POLL_ATTEMPTS
+          ? null
+          : computeNextPollAt(newStatus, shipping.pollAttempts);
+
+      if (prevStatus !== newStatus && newStatus === SHIPMENT_STATUS.DELIVERED) {
+        returnRequest.history.push({ by: "system", action: "deliver", message: "Carrier reports the return delivered" });
+        const order = await OrderModel.findById(returnRequest.orderId).lean();
+        if (order) {
+          notifyReturn({
+            recipientUserId: returnRequest.artistUserId,
+            actorUserId: returnRequest.buyerUserId,
+            type: NOTIFICATION_TYPE.RETURN_SHIPPED,
+            title: "Return delivered",
+            message: `The return of “${order.artName}” was delivered. Confirm you received it to refund the buyer.`,
+            returnRequest,
+            order,
+          });
+        }
+      }
+
+      await returnRequest.save();
+      results.push({ returnRequestId: String(returnRequest._id), from: prevStatus, to: newStatus });
+    } catch (e) {
+      results.push({ returnRequestId: String(returnRequest._id), error: e.message || String(e) });
+    }
+  }
+  return results;
+}
+
+export default {
+  RETURN_WINDOW_DAYS,
+  returnWindowEndsAt,
+  returnUnavailableReason,
+  refundReturn,
+  pollReturnShipments,
+};
@@ -0,0 +1,153 @@
+// services/shipmentTracking.js
+/**
+ * Shipment Tracking
+ * Picks the carrier adapter (services/carriers) for a tracking number, with
+ * AfterShip for everyone else, and maps AfterShip statuses onto
+ * SHIPMENT_STATUS. Used for outbound orders and returns.
+ */
+
+import axios from "axios";
+import { SHIPMENT_STATUS } from "../models/orders.js";
+import {
+  CARRIER,
+  getCarrier,
+  detectCarrier,
+  carrierMockEnabled,
+  easyPostConfigured,
+  easyPostTestCodeAllowed,
+} from "./carriers/index.js";
+import { validEvents } from "./carriers/common.js";
+
+// Map AfterShip statuses → your SHIPMENT_STATUS enum
+export const mapStatus = (s) => {
+  switch ((s || "").toLowerCase()) {
+    case "pending":
+    case "info_received":
+    case "inforeceived":
+    case "pre_transit": return SHIPMENT_STATUS.SHIPPED;
+    case "in_transit": return SHIPMENT_STATUS.IN_TRANSIT;
+    case "out_for_delivery": return SHIPMENT_STATUS.OUT_FOR_DELIVERY;
+    case "delivered": return SHIPMENT_STATUS.DELIVERED;
+    case "available_for_pickup":
+    case "exception":
+    case "failed_attempt":
+    case "return_to_sender": return SHIPMENT_STATUS.EXCEPTION;
+    default: return SHIPMENT_STATUS.SHIPPED;
+  }
+};
+
+
+// Normalize common slugs (your schema stores TitleCase carriers)
+export const toTitleCaseCarrier = (slugOrName) => {
+  const s = String(slugOrName || "").toLowerCase();
+  if (s.includes("usps")) return "USPS";
+  if (s.includes("ups")) return "UPS";
+  if (s.includes("fedex")) return "FedEx";
+  if (s.includes("dhl")) return "DHL";
+  return slugOrName || "USPS";
+};
+
+async function trackWithAftership(tn, carrier) {
+  const headers = { "aftership-api-key": process.env.AFTERSHIP_API_KEY, "Content-Type": "application/json" };
+  const slug = carrier ? String(carrier).toLowerCase() : undefined;
+
+  // Register the number (409 = already registered)
+  const created = await axios.post(
+    "https://api.aftership.com/v4/trackings",
+    { tracking: { tracking_number: tn, ...(slug ? { slug } : {}) } },
+    { headers, validateStatus: () => true }
+  );
+  if (created.status !== 409 && created.status >= 400) {
+    const e = new Error(
+      created.data?.meta?.message || created.data?.meta?.error?.type || "Invalid or unsupported tracking number."
+    );
+    e.status = 400;
+    throw e;
+  }
+
+  const fetched = await axios.get(
+    `https://api.aftership.com/v4/trackings/${slug || "auto"}/${encodeURIComponent(tn)}`,
+    { headers }
+  );
+  const t = fetched.data?.data?.tracking;
+  if (!t) {
+    const e = new Error("Unable to retrieve tracking details.");
+    e.status = 400;
+    throw e;
+  }
+  return t;
+}
+
+/**
+ * Look up a tracking number with the right carrier.
+ * Resolves with { carrier, status, events, deliveredAt, aftershipTrackingId, usedMock }.
+ * UPS and FedEx go to their adapters, USPS and DHL to EasyPost when it's
+ * configured (or mocked), everything else to AfterShip.
+ * `allowMock` lets non-production environments use the UPS demo numbers;
+ * `forceMock` answers with mock data whatever the number.
+ */
+export async function trackShipment(trackingNumber, carrier, { allowMock = false, forceMock = false } = {}) {
+  const tn = String(trackingNumber || "").trim().toUpperCase();
+  const name = detectCarrier(tn, carrier);
+
+  if (name === CARRIER.UPS || name === CARRIER.FEDEX) {
+    return getCarrier(name).track(tn, { allowMock, forceMock });
+  }
+
+  if (
+    (name === CARRIER.USPS || name === CARRIER.DHL) &&
+    (easyPostConfigured() || carrierMockEnabled() || forceMock || easyPostTestCodeAllowed(tn))
+  ) {
+    return getCarrier(name).track(tn, { forceMock });
+  }
+
+  const t = await trackWithAftership(tn, carrier);
+  const status = mapStatus(t.tag || t.subtag || t.status);
+  const checkpoints = Array.isArray(t.checkpoints) ? t.checkpoints : [];
+  return {
+    carrier: toTitleCaseCarrier(t.slug || carrier),
+    status,
+    events: validEvents(checkpoints.map((c) => {
+      const dt = c.checkpoint_time ? new Date(c.checkpoint_time) : undefined;
+      const event = {
+        status: String(c.tag || c.subtag || c.status || "").toLowerCase(),
+        message: c.message || c.checkpoint_message,
+        location: [c.city, c.state, c.country_name].filter(Boolean).join(", "),
+      };
+      if (dt && !isNaN(dt)) event.datetime = dt;
+      return event;
+    })),
+    deliveredAt: status === SHIPMENT_STATUS.DELIVERED ? new Date() : undefined,
+    aftershipTrackingId: t.id,
+  };
+}
+
+// When to poll a shipment next, by status, backing off with repeated polls
+export function computeNextPollAt(status, attempts = 0) {
+  // base cadence by status
+  const baseHours =
+    status === SHIPMENT_STATUS.OUT_FOR_DELIVERY ? 2 :
+    status === SHIPMENT_STATUS.IN_TRANSIT ? 6 :
+    status === SHIPMENT_STATUS.SHIPPED ? 12 :
+    status === SHIPMENT_STATUS.EXCEPTION ? 12 : 12;
+
+  // gentle backoff: +1h every 3 attempts, capped at 24h
+  const extra = Math.min(24 - baseHours, Math.floor((attempts || 0) / 3));
+  const hours = Math.min(baseHours + extra, 24);
+
+  const t = new Date();
+  t.setUTCHours(t.getUTCHours() + hours);
+  return t;
+}
+
+// UPS demo numbers are accepted outside production when UPS_ALLOW_TEST_NUMBERS=true
+export function mockTrackingAllowed() {
+  const isProd = (process.env.UPS_ENV || "cie").toLowerCase() === "prod";
+  return !isProd && (process.env.UPS_ALLOW_TEST_NUMBERS || "").toLowerCase() === "true";
+}
+
+export default {
+  trackShipment,
+  mockTrackingAllowed,
+  computeNextPollAt,
+};
@@ -0,0 +1,72 @@
+// services/shippingQuote.js
+/**
+ * Signed Shipping Quotes
+ * GET /order/:id/shipping-quote hands out one token per rate. The buyer picks a
+ * rate by sending its token back, so the shipping charge on an order is always
+ * an amount the server quoted for that order and destination.
+ */
+
+import jwt from "jsonwebtoken";
+
+export const SHIPPING_QUOTE_TTL_MINUTES = Number(process.env.SHIPPING_QUOTE_TTL_MINUTES || 30);
+
+const AUDIENCE = "shipping-quote";
+
+function quoteSecret() {
+  const secret = process.env.SHIPPING_QUOTE_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("SHIPPING_QUOTE_SECRET or JWT_SECRET must be set");
+  return secret;
+}
+
+/**
+ * Sign one rate for one order.
+ * `amount` is in dollars as returned by the carrier; the token carries cents.
+ */
+export function signShippingQuote({ orderId, toZip, carrier, serviceCode, serviceName, amount, estBusinessDays }) {
+  return jwt.sign(
+    {
+      orderId: String(orderId),
+      toZip,
+      carrier,
+      serviceCode,
+      serviceName,
+      amountCents: Math.round(Number(amount) * 100),
+      estBusinessDays: estBusinessDays ?? null,
+    },
+    quoteSecret(),
+    { audience: AUDIENCE, expiresIn: `${SHIPPING_QUOTE_TTL_MINUTES}m` }
+  );
+}
+
+/**
+ * Check a quote token against the order it is being applied to.
+ * Returns { quote } or { error }.
+ */
+export function verifyShippingQuote(token, { orderId, toZip }) {
+  let quote;
+  try {
+    quote = jwt.verify(String(token || ""), quoteSecret(), { audience: AUDIENCE });
+  } catch (err) {
+    return {
+      error: err?.name === "TokenExpiredError"
+        ? "Shipping quote expired. Please get a new quote."
+        : "Invalid shipping quote.",
+    };
+  }
+
+  if (quote.orderId !== String(orderId)) {
+    return { error: "Shipping quote belongs to another order." };
+  }
+  if (quote.toZip !== toZip) {
+    return { error: "Delivery address changed since this quote. Please get a new quote." };
+  }
+  if (!Number.isInteger(quote.amountCents) || quote.amountCents <= 0) {
+    return { error: "Invalid shipping quote." };
+  }
+  return { quote };
+}
+
+export default {
+  signShippingQuote,
+  verifyShippingQuote,
+};
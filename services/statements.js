@@ -0,0 +1,260 @@
+// services/statements.js
+/**
+ * Statement Rendering
+ * CSV and PDF versions of the monthly earnings statements built by
+ * services/ledger.js and the annual tax summaries from services/taxSummary.js.
+ */
+
+import PDFDocument from "pdfkit";
+
+const TYPE_LABELS = {
+  sale: "Sale",
+  shipping: "Shipping",
+  platform_fee: "Platform fee",
+  refund: "Refund",
+  dispute: "Dispute",
+  transfer: "Payout",
+  transfer_reversal: "Payout reversal",
+};
+
+export const dollars = (cents) => {
+  const n = Math.round(Number(cents || 0));
+  return `${n < 0 ? "-" : ""}$${(Math.abs(n) / 100).toFixed(2)}`;
+};
+
+// Plain dollars for CSV cells
+const money = (cents) => (Math.round(Number(cents || 0)) / 100).toFixed(2);
+
+const isoDate = (d) => new Date(d).toISOString().slice(0, 10);
+
+export function toCSV(headers, rows) {
+  const escape = (v) => {
+    const s = v == null ? "" : String(v);
+    return s.includes(",") || s.includes('"') || s.includes("\n")
+      ? `"${s.replace(/"/g, '""')}"`
+      : s;
+  };
+  const lines = [
+    headers.join(","),
+    ...rows.map((r) => headers.map((h) => escape(r[h])).join(",")),
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Statement → CSV (amounts in dollars; opening and closing balances as rows)
+ */
+export function statementCSV(statement) {
+  const headers = ["date", "type", "description", "orderId", "reference", "amount", "balance"];
+
+  const rows = [
+    { date: "", type: "Opening balance", balance: money(statement.openingBalance) },
+    ...statement.lines.map((l) => ({
+      date: isoDate(l.date),
+      type: TYPE_LABELS[l.type] || l.type,
+      description: l.description,
+      orderId: l.orderId,
+      reference: l.sourceId,
+      amount: money(l.amount),
+      balance: money(l.balance),
+    })),
+    { date: "", type: "Closing balance", balance: money(statement.closingBalance) },
+  ];
+  return toCSV(headers, rows);
+}
+
+/**
+ * Statement → PDF. Resolves with a Buffer.
+ * `artist` is { name, email } for the header.
+ */
+export function statementPDF(statement, { artist } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text("Immpression — Earnings statement");
+    doc.moveDown(0.3).fontSize(11).fillColor("#555").text(statement.month);
+    if (artist?.name) doc.text(artist.email ? `${artist.name} <${artist.email}>` : artist.name);
+    doc.fillColor("#000").moveDown();
+
+    const summary = [
+      ["Opening balance", statement.openingBalance],
+      ["Sales and shipping", statement.totals.earned],
+      ["Platform fees", -statement.totals.platformFees],
+      ["Refunds and disputes", -statement.totals.refunded],
+      ["Paid out", -statement.totals.paid],
+      ["Closing balance", statement.closingBalance],
+    ];
+    doc.fontSize(11);
+    for (const [label, cents] of summary) {
+      const y = doc.y;
+      doc.text(label, 50, y);
+      doc.text(dollars(cents), 400, y, { width: 150, align: "right" });
+    }
+    doc.moveDown();
+
+    // Transactions table
+    const cols = [
+      { label: "Date", x: 50, width: 70 },
+      { label: "Type", x: 120, width: 90 },
+      { label: "Description", x: 210, width: 190 },
+      { label: "Amount", x: 400, width: 70, align: "right" },
+      { label: "Balance", x: 480, width: 70, align: "right" },
+    ];
+    const row = (values, { bold = false } = {}) => {
+      if (doc.y > doc.page.height - 80) doc.addPage();
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      let bottom = y;
+      cols.forEach((c, i) => {
+        doc.text(values[i], c.x, y, { width: c.width, align: c.align || "left" });
+        bottom = Math.max(bottom, doc.y);
+      });
+      doc.y = bottom + 4;
+    };
+
+    row(cols.map((c) => c.label), { bold: true });
+    if (!statement.lines.length) {
+      doc.font("Helvetica").fontSize(9).text("No activity this month.", 50);
+    }
+    for (const l of statement.lines) {
+      row([isoDate(l.date), TYPE_LABELS[l.type] || l.type, l.description, dollars(l.amount), dollars(l.balance)]);
+    }
+
+    doc.end();
+  });
+}
+
+const TAX_COLUMNS = ["grossSales", "orders", "refunds", "platformFees", "netPayouts"];
+const taxRow = (t) => ({
+  grossSales: money(t.grossSales),
+  orders: t.orders,
+  refunds: money(t.refunds),
+  platformFees: money(t.platformFees),
+  netPayouts: money(t.netPayouts),
+});
+
+/**
+ * Tax summary → CSV, one row per month plus a total
+ */
+export function taxSummaryCSV(summary) {
+  return toCSV(["month", ...TAX_COLUMNS], [
+    ...summary.months.map((m) => ({ month: m.month, ...taxRow(m) })),
+    { month: "Total", ...taxRow(summary.totals) },
+  ]);
+}
+
+/**
+ * Every artist's summary → one CSV, one row per artist and month
+ */
+export function taxSummariesCSV(list) {
+  const headers = ["artistId", "name", "email", "month", ...TAX_COLUMNS];
+  const rows = list.flatMap(({ artist, summary }) =>
+    [...summary.months, { month: "Total", ...summary.totals }]
+      .filter((m) => m.month === "Total" || m.orders || m.grossSales || m.refunds || m.netPayouts)
+      .map((m) => ({ artistId: artist._id, name: artist.name || "", email: artist.email || "", month: m.month, ...taxRow(m) }))
+  );
+  return toCSV(headers, rows);
+}
+
+/**
+ * Reporting threshold report → CSV
+ */
+export function thresholdReportCSV(report) {
+  const headers = ["artistId", "name", "email", ...TAX_COLUMNS];
+  return toCSV(headers, report.sellers.map(({ artist, totals }) => ({
+    artistId: artist._id,
+    name: artist.name || "",
+    email: artist.email || "",
+    ...taxRow(totals),
+  })));
+}
+
+/**
+ * Tax summary → PDF. Resolves with a Buffer.
+ */
+export function taxSummaryPDF(summary, { artist } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text(`Immpression — ${summary.year} seller summary`);
+    doc.moveDown(0.3).fontSize(11).fillColor("#555");
+    if (artist?.name) doc.text(artist.email ? `${artist.name} <${artist.email}>` : artist.name);
+    doc.text("For your records. This is not a tax form.");
+    doc.fillColor("#000").moveDown();
+
+    const cols = [
+      { label: "Month", x: 50, width: 70 },
+      { label: "Gross sales", x: 120, width: 90, align: "right" },
+      { label: "Orders", x: 210, width: 50, align: "right" },
+      { label: "Refunds", x: 260, width: 90, align: "right" },
+      { label: "Platform fees", x: 350, width: 90, align: "right" },
+      { label: "Net payouts", x: 440, width: 110, align: "right" },
+    ];
+    const row = (values, { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+      cols.forEach((c, i) => doc.text(String(values[i]), c.x, y, { width: c.width, align: c.align || "left" }));
+      doc.y = y + 18;
+    };
+    const values = (label, t) => [label, dollars(t.grossSales), t.orders, dollars(t.refunds), dollars(t.platformFees), dollars(t.netPayouts)];
+
+    row(cols.map((c) => c.label), { bold: true });
+    for (const m of summary.months) row(values(m.month, m));
+    row(values("Total", summary.totals), { bold: true });
+
+    doc.end();
+  });
+}
+
+/**
+ * Reply with a report as JSON, CSV or PDF (`format` query param).
+ * `csv` / `pdf` build the body; formats without a builder fall back to JSON.
+ */
+export async function sendReport(res, { format, filename, data, csv, pdf }) {
+  if (format === "csv" && csv) {
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.send(csv());
+  }
+  if (format === "pdf" && pdf) {
+    const body = await pdf();
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return res.send(body);
+  }
+  return res.json({ success: true, data });
+}
+
+/**
+ * Reply with a monthly statement (see sendReport)
+ */
+export function sendStatement(res, statement, { format, artist } = {}) {
+  return sendReport(res, {
+    format,
+    filename: `immpression_statement_${statement.month}`,
+    data: statement,
+    csv: () => statementCSV(statement),
+    pdf: () => statementPDF(statement, { artist }),
+  });
+}
+
+export default {
+  dollars,
+  toCSV,
+  statementCSV,
+  statementPDF,
+  taxSummaryCSV,
+  taxSummariesCSV,
+  thresholdReportCSV,
+  taxSummaryPDF,
+  sendReport,
+  sendStatement,
+};
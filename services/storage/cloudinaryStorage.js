@@ -0,0 +1,91 @@
+// services/storage/cloudinaryStorage.js
+/**
+ * Cloudinary storage adapter
+ * Keys look like "artwork/<name>.webp"; the Cloudinary public_id is the key
+ * without its extension (the same "folder/file" form the routes used before).
+ */
+
+import cloudinary from "cloudinary";
+
+const toPublicId = (key) => String(key).replace(/\.[a-z0-9]{2,5}$/i, "");
+
+/**
+ * Cloudinary's delete results are keyed by public_id; key them by the keys
+ * we were given, as every storage driver does. Pure.
+ */
+export function deletedByKey(keys, deletedByPublicId = {}) {
+  const deleted = {};
+  for (const key of new Set((keys || []).filter(Boolean))) {
+    deleted[key] = deletedByPublicId[toPublicId(key)] === "deleted" ? "deleted" : "not_found";
+  }
+  return deleted;
+}
+
+// Credentials are read when the adapter is created, not on import: this
+// module loads before server.js has run dotenv.config()
+export function createCloudinaryStorage() {
+  const cloudName = process.env.CLOUDINARY_CLOUD;
+  cloudinary.v2.config({
+    cloud_name: cloudName,
+    api_key: process.env.CLOUDINARY_API,
+    api_secret: process.env.CLOUDINARY_SECRET,
+  });
+
+  return {
+    driver: "cloudinary",
+
+    async put(key, buffer) {
+      const publicId = toPublicId(key);
+      const result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.v2.uploader.upload_stream(
+          { public_id: publicId, resource_type: "image", overwrite: false },
+          (err, res) => (err ? reject(err) : resolve(res))
+        );
+        stream.end(buffer);
+      });
+      return { key, url: result.secure_url, bytes: result.bytes };
+    },
+
+    getUrl(key) {
+      return cloudinary.v2.url(toPublicId(key), { secure: true });
+    },
+
+    /**
+     * Delete keys in bulk. Resolves with { deleted: { [key]: "deleted" | "not_found" } }
+     */
+    async delete(keys) {
+      const publicIds = [...new Set((keys || []).filter(Boolean).map(toPublicId))];
+      if (publicIds.length === 0) return { deleted: {} };
+
+      const result = await cloudinary.v2.api.delete_resources(publicIds, {
+        type: "upload",
+        resource_type: "image",
+      });
+      return { deleted: deletedByKey(keys, result.deleted) };
+    },
+
+    // Time-limited download link for the original asset
+    signedUrl(key, { expiresInSeconds = 3600 } = {}) {
+      const format = String(key).match(/\.([a-z0-9]{2,5})$/i)?.[1] || "";
+      return cloudinary.v2.utils.private_download_url(toPublicId(key), format, {
+        type: "upload",
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+      });
+    },
+
+    // https://res.cloudinary.com/<cloud>/image/upload/v123/artwork/name.jpg → "artwork/name"
+    keyFromUrl(url) {
+      if (!this.ownsUrl(url)) return null;
+      const parts = url.split("?")[0].split("/");
+      const folder = parts[parts.length - 2];
+      const fileName = parts[parts.length - 1].split(".")[0];
+      return /^v\d+$/.test(folder) ? fileName : `${folder}/${fileName}`;
+    },
+
+    ownsUrl(url) {
+      return typeof url === "string" && url.startsWith(`https://res.cloudinary.com/${cloudName}/image/upload/`);
+    },
+  };
+}
+
+export default createCloudinaryStorage;
@@ -0,0 +1,76 @@
+// services/storage/index.js
+/**
+ * Media Storage Service
+ * One interface for every file the backend stores (artwork originals and
+ * variants, profile pictures, generated documents):
+ *
+ *   put(key, buffer, { contentType }) → { key, url, bytes }
+ *   getUrl(key)                        → public URL
+ *   delete(keys)                       → { deleted: { [key]: "deleted" | "not_found" } }
+ *   signedUrl(key, { expiresInSeconds }) → time-limited URL
+ *   keyFromUrl(url)                    → key, or null if the URL isn't ours
+ *   ownsUrl(url)                       → boolean
+ *
+ * STORAGE_DRIVER picks the backend ("cloudinary" or "local"). Without it,
+ * Cloudinary is used when its credentials are configured, local disk otherwise.
+ */
+
+import { createCloudinaryStorage } from "./cloudinaryStorage.js";
+import { createLocalStorage } from "./localStorage.js";
+
+export const STORAGE_DRIVER = {
+  CLOUDINARY: "cloudinary",
+  LOCAL: "local",
+};
+
+function resolveDriver() {
+  const configured = (process.env.STORAGE_DRIVER || "").toLowerCase();
+  if (Object.values(STORAGE_DRIVER).includes(configured)) return configured;
+  return process.env.CLOUDINARY_CLOUD && process.env.CLOUDINARY_SECRET
+    ? STORAGE_DRIVER.CLOUDINARY
+    : STORAGE_DRIVER.LOCAL;
+}
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) {
+    const driver = resolveDriver();
+    storage = driver === STORAGE_DRIVER.CLOUDINARY ? createCloudinaryStorage() : createLocalStorage();
+    console.log(`Storage: using ${driver} driver`);
+  }
+  return storage;
+}
+
+/**
+ * Delete whatever we own out of a list of URLs (external links are skipped).
+ * Never throws; failures are logged so callers can carry on with DB cleanup.
+ */
+export async function deleteStoredUrls(urls) {
+  const store = getStorage();
+  const keys = (urls || []).map((url) => store.keyFromUrl(url)).filter(Boolean);
+  if (keys.length === 0) return { deleted: {} };
+
+  try {
+    return await store.delete(keys);
+  } catch (err) {
+    console.error("Storage deletion error (continuing):", err?.message || err);
+    return { deleted: {}, error: err?.message || String(err) };
+  }
+}
+
+// Every stored file that belongs to an artwork listing (cover, gallery and their variants)
+export function artworkUrls(image) {
+  const photoUrls = (photo) => [photo?.url, ...(photo?.variants || []).map((v) => v.url)];
+  return [
+    image?.imageLink,
+    ...(image?.variants || []).map((v) => v.url),
+    ...(image?.gallery || []).flatMap(photoUrls),
+  ].filter(Boolean);
+}
+
+export default {
+  getStorage,
+  deleteStoredUrls,
+  artworkUrls,
+};
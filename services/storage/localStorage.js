@@ -0,0 +1,107 @@
+// services/storage/localStorage.js
+/**
+ * Local filesystem storage adapter
+ * Used in development and tests so nothing needs Cloudinary credentials.
+ * Files live under MEDIA_ROOT and are served by the /media route.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Keys under this prefix are only served with a valid signature
+export const PRIVATE_PREFIX = "private/";
+
+function signingSecret() {
+  return process.env.MEDIA_SIGNING_SECRET || process.env.JWT_SECRET || "";
+}
+
+function sign(key, expires) {
+  return crypto.createHmac("sha256", signingSecret()).update(`${key}:${expires}`).digest("hex");
+}
+
+/**
+ * Check a signature produced by signedUrl()
+ */
+export function verifySignature(key, expires, signature) {
+  const exp = Number(expires);
+  if (!Number.isFinite(exp) || exp < Math.floor(Date.now() / 1000)) return false;
+  if (typeof signature !== "string" || !signingSecret()) return false;
+
+  const expected = Buffer.from(sign(key, exp), "hex");
+  const given = Buffer.from(signature, "hex");
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+export function createLocalStorage({
+  root = process.env.MEDIA_ROOT || path.resolve("uploads"),
+  publicBaseUrl = process.env.MEDIA_PUBLIC_URL ||
+    `http://localhost:${process.env.BACKEND_PORT || 4000}/media`,
+} = {}) {
+  const base = publicBaseUrl.replace(/\/+$/, "");
+
+  // Resolve a key inside root; refuses anything that would escape it
+  function resolvePath(key) {
+    const clean = String(key || "").replace(/^\/+/, "");
+    const full = path.resolve(root, clean);
+    if (!clean || !full.startsWith(path.resolve(root) + path.sep)) {
+      const e = new Error("Invalid storage key");
+      e.status = 400;
+      throw e;
+    }
+    return full;
+  }
+
+  return {
+    driver: "local",
+    root,
+
+    async put(key, buffer) {
+      const full = resolvePath(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, buffer, { flag: "wx" });
+      return { key, url: this.getUrl(key), bytes: buffer.length };
+    },
+
+    getUrl(key) {
+      return `${base}/${String(key).replace(/^\/+/, "")}`;
+    },
+
+    /**
+     * Delete keys in bulk. Resolves with { deleted: { [key]: "deleted" | "not_found" } }
+     */
+    async delete(keys) {
+      const deleted = {};
+      for (const key of [...new Set((keys || []).filter(Boolean))]) {
+        try {
+          await fs.unlink(resolvePath(key));
+          deleted[key] = "deleted";
+        } catch (err) {
+          if (err.code !== "ENOENT" && err.status !== 400) throw err;
+          deleted[key] = "not_found";
+        }
+      }
+      return { deleted };
+    },
+
+    signedUrl(key, { expiresInSeconds = 3600 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      return `${this.getUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    keyFromUrl(url) {
+      if (!this.ownsUrl(url)) return null;
+      return decodeURIComponent(url.split("?")[0].slice(base.length + 1)) || null;
+    },
+
+    ownsUrl(url) {
+      return typeof url === "string" && url.startsWith(`${base}/`);
+    },
+
+    pathFor(key) {
+      return resolvePath(key);
+    },
+  };
+}
+
+export default createLocalStorage;
@@ -0,0 +1,411 @@
+// services/storeCredit.js
+/**
+ * Store Credit
+ * A buyer's balance is made of credit lots (redeemed gift cards, refunds
+ * issued as credit, admin adjustments), each with its own expiry. Credit
+ * applied to an order is taken from the lots that expire first as soon as
+ * it's applied, so it can't be spent twice; the order's PaymentIntent then
+ * charges only what's left. Cancelling the order (or removing the credit)
+ * puts it back on the same lots. Every movement is a StoreCreditEntry.
+ */
+
+import Stripe from "stripe";
+import StoreCreditEntry, { STORE_CREDIT_TYPE } from "../models/storeCreditEntry.js";
+import OrderModel, { ORDER_STATUS } from "../models/orders.js";
+import { MIN_CHARGE_CENTS } from "./coupons.js";
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Refund and admin credit expires after this many days (0 = never)
+export const STORE_CREDIT_EXPIRY_DAYS = Number(process.env.STORE_CREDIT_EXPIRY_DAYS ?? 365);
+// Credit on an order nobody paid for goes back to the buyer after this many hours
+export const ORDER_CREDIT_HOLD_HOURS = Number(process.env.STORE_CREDIT_ORDER_HOLD_HOURS || 24);
+
+const DAY = 24 * 60 * 60 * 1000;
+const posInt = (n) => Math.max(0, Math.round(Number(n || 0)));
+
+function creditError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Expiry date `days` after `from`, or null when credit doesn't expire. Pure.
+ */
+export function creditExpiryDate(from = new Date(), days = STORE_CREDIT_EXPIRY_DAYS) {
+  return days > 0 ? new Date(new Date(from).getTime() + days * DAY) : null;
+}
+
+/**
+ * Whether a credit lot can still be spent. Pure.
+ */
+export function isLotLive(lot, now = new Date()) {
+  return posInt(lot.remainingCents) > 0 && (!lot.expiresAt || new Date(lot.expiresAt) > now);
+}
+
+// Soonest expiry first; credit that never expires is spent last
+const spendOrder = (a, b) =>
+  (a.expiresAt ? new Date(a.expiresAt).getTime() : Infinity) - (b.expiresAt ? new Date(b.expiresAt).getTime() : Infinity)
+  || new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+
+/**
+ * Balance from a buyer's credit lots, with the next amount due to expire. Pure.
+ */
+export function summarizeLots(lots = [], now = new Date()) {
+  const live = lots.filter((l) => isLotLive(l, now)).sort(spendOrder);
+  const balanceCents = live.reduce((sum, l) => sum + posInt(l.remainingCents), 0);
+  const next = live.find((l) => l.expiresAt);
+  return {
+    balanceCents,
+    nextExpiry: next ? { amountCents: posInt(next.remainingCents), expiresAt: next.expiresAt } : null,
+  };
+}
+
+/**
+ * Which lots to take `amountCents` from, soonest expiry first.
+ * Returns [{ entryId, amountCents }], or null when the balance is short. Pure.
+ */
+export function planSpend(lots = [], amountCents, now = new Date()) {
+  let left = posInt(amountCents);
+  const plan = [];
+  for (const lot of lots.filter((l) => isLotLive(l, now)).sort(spendOrder)) {
+    if (left === 0) break;
+    const take = Math.min(left, posInt(lot.remainingCents));
+    plan.push({ entryId: lot._id, amountCents: take });
+    left -= take;
+  }
+  return left === 0 ? plan : null;
+}
+
+/**
+ * Store credit applied to an order. Pure.
+ */
+export function orderStoreCredit(order) {
+  return posInt(order?.storeCredit?.appliedCents);
+}
+
+/**
+ * Most credit an order can take: Stripe still has to charge its minimum. Pure.
+ */
+export function maxApplicableCredit(order) {
+  return Math.max(0, posInt(order.totalAmount) - MIN_CHARGE_CENTS);
+}
+
+/**
+ * What can still go back to the buyer's card: the part of the order they
+ * paid by card, less earlier refunds to it. Pure.
+ */
+export function cardRefundableCents(order) {
+  const charged = Math.max(0, posInt(order.totalAmount) - orderStoreCredit(order));
+  const recorded = (order.refunds || []).reduce((sum, r) => sum + posInt(r.amount), 0);
+  const toCredit = (order.refunds || []).reduce((sum, r) => sum + posInt(r.storeCreditCents), 0);
+  // refundedCents also counts refunds made outside refundOrder, which went to the card
+  const toCard = Math.max(0, posInt(order.refundedCents) - toCredit, recorded - toCredit);
+  return Math.max(0, charged - toCard);
+}
+
+async function loadLots(userId) {
+  return StoreCreditEntry.find({ userId, remainingCents: { $gt: 0 } })
+    .select("remainingCents expiresAt createdAt")
+    .lean();
+}
+
+/**
+ * A buyer's spendable balance
+ */
+export async function storeCreditBalance(userId, now = new Date()) {
+  return summarizeLots(await loadLots(userId), now);
+}
+
+/**
+ * Add a credit lot. With an `idempotencyKey`, a repeated call returns the
+ * lot created the first time.
+ */
+export async function issueStoreCredit({
+  userId,
+  amountCents,
+  type,
+  expiresAt = creditExpiryDate(),
+  orderId,
+  giftCardId,
+  note,
+  createdBy,
+  idempotencyKey,
+}) {
+  const amount = posInt(amountCents);
+  if (!amount) throw creditError("Credit amount must be a positive whole number of cents");
+
+  try {
+    return await StoreCreditEntry.create({
+      userId,
+      type,
+      amountCents: amount,
+      remainingCents: amount,
+      expiresAt: expiresAt || undefined,
+      orderId,
+      giftCardId,
+      note,
+      createdBy,
+      idempotencyKey,
+    });
+  } catch (err) {
+    if (err?.code === 11000 && idempotencyKey) return StoreCreditEntry.findOne({ idempotencyKey });
+    throw err;
+  }
+}
+
+/**
+ * Take credit from a buyer's lots and record the debit.
+ * Throws 400 when the balance is short.
+ */
+export async function spendStoreCredit(userId, amountCents, { type = STORE_CREDIT_TYPE.ORDER, orderId, note, createdBy } = {}) {
+  const amount = posInt(amountCents);
+
+  // Lots are claimed one by one with a compare-and-swap; start over when another spend got there first
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const plan = planSpend(await loadLots(userId), amount);
+    if (!plan) throw creditError("Not enough store credit.");
+
+    const taken = [];
+    for (const a of plan) {
+      const { modifiedCount } = await StoreCreditEntry.updateOne(
+        { _id: a.entryId, remainingCents: { $gte: a.amountCents } },
+        { $inc: { remainingCents: -a.amountCents } }
+      );
+      if (!modifiedCount) break;
+      taken.push(a);
+    }
+
+    if (taken.length === plan.length) {
+      return StoreCreditEntry.create({ userId, type, amountCents: -amount, allocations: plan, orderId, note, createdBy });
+    }
+    await Promise.all(taken.map((a) =>
+      StoreCreditEntry.updateOne({ _id: a.entryId }, { $inc: { remainingCents: a.amountCents } })));
+  }
+  throw creditError("Store credit is busy. Please try again.", 409);
+}
+
+/**
+ * Give a debit back to the lots it came from (once per debit)
+ */
+async function restoreDebit(debit, { note } = {}) {
+  try {
+    await StoreCreditEntry.create({
+      userId: debit.userId,
+      type: STORE_CREDIT_TYPE.ORDER_RELEASE,
+      amountCents: -debit.amountCents,
+      reversesEntryId: debit._id,
+      orderId: debit.orderId,
+      note,
+      idempotencyKey: `release_${debit._id}`,
+    });
+  } catch (err) {
+    if (err?.code === 11000) return false; // already given back
+    throw err;
+  }
+  await Promise.all((debit.allocations || []).map((a) =>
+    StoreCreditEntry.updateOne({ _id: a.entryId }, { $inc: { remainingCents: a.amountCents } })));
+  return true;
+}
+
+// Credit changes what the buyer is charged, so a PaymentIntent for the old amount can't be paid any more
+async function cancelOpenPaymentIntent(order) {
+  if (!order.paymentIntentId) return;
+  try {
+    await stripe.paymentIntents.cancel(order.paymentIntentId);
+  } catch (err) {
+    if (err?.code !== "payment_intent_unexpected_state") throw err;
+    const pi = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+    if (pi.status !== "canceled") throw creditError("Payment is already being processed.", 409);
+  }
+}
+
+/**
+ * Put an order's store credit back on the buyer's balance (order cancelled,
+ * sold out, credit removed...). Safe to call more than once.
+ */
+export async function releaseOrderCredit(order, { note = "Order cancelled" } = {}) {
+  const entryId = order.storeCredit?.entryId;
+  if (!entryId) return false;
+
+  const debit = await StoreCreditEntry.findById(entryId).lean();
+  const restored = debit ? await restoreDebit(debit, { note }) : false;
+  await OrderModel.updateOne({ _id: order._id }, { $unset: { storeCredit: 1 } });
+  order.storeCredit = undefined;
+  return restored;
+}
+
+function assertCreditable(order) {
+  if (![ORDER_STATUS.PENDING, ORDER_STATUS.FAILED].includes(order.status)) {
+    throw creditError(`Order is ${order.status}`);
+  }
+  if (order.checkoutId) throw creditError("Store credit can't be used on cart checkouts yet.", 409);
+}
+
+/**
+ * Apply store credit to an unpaid order (replacing any applied before).
+ * Omitted amount = as much as the balance and order allow.
+ */
+export async function applyStoreCredit(order, amountCents) {
+  assertCreditable(order);
+  await cancelOpenPaymentIntent(order);
+  await releaseOrderCredit(order, { note: "Replaced" });
+
+  const max = maxApplicableCredit(order);
+  const { balanceCents } = await storeCreditBalance(order.userId);
+  const requested = amountCents == null || amountCents === "" ? Math.min(balanceCents, max) : Number(amountCents);
+  if (!Number.isInteger(requested) || requested <= 0) {
+    throw creditError(balanceCents ? "Amount must be a positive whole number of cents" : "You have no store credit.");
+  }
+  if (requested > max) {
+    throw creditError(`At most ${max} cents of store credit can be used on this order.`);
+  }
+
+  const debit = await spendStoreCredit(order.userId, requested, { orderId: order._id, note: order.artName });
+  order.storeCredit = { appliedCents: requested, entryId: debit._id, appliedAt: new Date() };
+  await order.save();
+  return order;
+}
+
+export async function removeStoreCredit(order) {
+  assertCreditable(order);
+  await cancelOpenPaymentIntent(order);
+  await releaseOrderCredit(order, { note: "Removed from order" });
+  return order;
+}
+
+/**
+ * Re-check applied credit just before taking payment: a promo code applied
+ * since may have lowered the total below it. Gives it back and throws 409
+ * when it no longer fits.
+ */
+export async function revalidateOrderCredit(order) {
+  const applied = orderStoreCredit(order);
+  if (!applied || applied <= maxApplicableCredit(order)) return order;
+  await releaseOrderCredit(order, { note: "Order total changed" });
+  throw creditError("Your store credit was removed because the order total changed. Please apply it again.", 409);
+}
+
+/**
+ * Issue (part of) a refund as store credit. Idempotent per `idempotencyKey`.
+ */
+export function refundAsStoreCredit(order, amountCents, { idempotencyKey, note } = {}) {
+  return issueStoreCredit({
+    userId: order.userId,
+    amountCents,
+    type: STORE_CREDIT_TYPE.REFUND,
+    orderId: order._id,
+    note: note || `Refund for “${order.artName}”`,
+    idempotencyKey,
+  });
+}
+
+/**
+ * Expire lots past their date and give back credit held by orders that
+ * were abandoned before payment
+ */
+export async function expireStoreCredit(now = new Date()) {
+  try {
+    let expired = 0;
+    const lots = await StoreCreditEntry.find({ expiresAt: { $lte: now }, remainingCents: { $gt: 0 } })
+      .limit(500)
+      .lean();
+    for (const lot of lots) {
+      const claimed = await StoreCreditEntry.findOneAndUpdate(
+        { _id: lot._id, remainingCents: lot.remainingCents },
+        { $set: { remainingCents: 0 } }
+      );
+      if (!claimed) continue;
+      await StoreCreditEntry.create({
+        userId: lot.userId,
+        type: STORE_CREDIT_TYPE.EXPIRY,
+        amountCents: -lot.remainingCents,
+        allocations: [{ entryId: lot._id, amountCents: lot.remainingCents }],
+        note: `Expired ${lot.expiresAt.toISOString().slice(0, 10)}`,
+      });
+      expired += 1;
+    }
+
+    let released = 0;
+    const cutoff = new Date(now.getTime() - ORDER_CREDIT_HOLD_HOURS * 60 * 60 * 1000);
+    const orders = await OrderModel.find({
+      status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED] },
+      "storeCredit.appliedAt": { $lte: cutoff },
+      $or: [{ reservedUntil: { $exists: false } }, { reservedUntil: { $lte: now } }],
+    })
+      .select("storeCredit paymentIntentId userId")
+      .limit(200);
+    for (const order of orders) {
+      try {
+        await cancelOpenPaymentIntent(order);
+        if (await releaseOrderCredit(order, { note: "Order not paid" })) released += 1;
+      } catch (err) {
+        // Payment in flight: leave it for the webhook
+        if (!err.status) console.error(`Store credit: releasing order ${order._id} failed:`, err?.message || err);
+      }
+    }
+
+    return { expired, released };
+  } catch (error) {
+    console.error("Store credit expiry error:", error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Start the expiry interval
+ * Runs every hour by default
+ */
+let expiryInterval = null;
+
+export function startStoreCreditExpiry(intervalMinutes = 60) {
+  if (expiryInterval) {
+    console.log("Store Credit: Already running");
+    return;
+  }
+
+  console.log(`Store Credit: Starting with ${intervalMinutes} minute interval`);
+
+  expiryInterval = setInterval(
+    () => {
+      expireStoreCredit().then((result) => {
+        if (result.expired > 0 || result.released > 0) {
+          console.log(`Store Credit: Expired ${result.expired} lot(s), released ${result.released} unpaid order(s)`);
+        }
+      });
+    },
+    intervalMinutes * 60 * 1000
+  );
+}
+
+export function stopStoreCreditExpiry() {
+  if (expiryInterval) {
+    clearInterval(expiryInterval);
+    expiryInterval = null;
+    console.log("Store Credit: Stopped");
+  }
+}
+
+export default {
+  STORE_CREDIT_EXPIRY_DAYS,
+  ORDER_CREDIT_HOLD_HOURS,
+  creditExpiryDate,
+  isLotLive,
+  summarizeLots,
+  planSpend,
+  orderStoreCredit,
+  maxApplicableCredit,
+  cardRefundableCents,
+  storeCreditBalance,
+  issueStoreCredit,
+  spendStoreCredit,
+  releaseOrderCredit,
+  applyStoreCredit,
+  removeStoreCredit,
+  revalidateOrderCredit,
+  refundAsStoreCredit,
+  expireStoreCredit,
+  startStoreCreditExpiry,
+  stopStoreCreditExpiry,
+};
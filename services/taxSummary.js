@@ -0,0 +1,203 @@
+// services/taxSummary.js
+/**
+ * Annual Seller Tax Summaries
+ * Per-artist, per-month totals for a calendar year (UTC): gross sales,
+ * refunds, platform fees and net payouts. Built from the order ledger
+ * (services/ledger.js), which is itself derived from orders, refunds and
+ * payout transfers. Also flags artists that crossed the payment-reporting
+ * limits (1099-K style: gross sales AND number of sales).
+ */
+
+import mongoose from "mongoose";
+import LedgerEntry, { LEDGER_ACCOUNT, LEDGER_ENTRY_TYPE } from "../models/ledgerEntry.js";
+import UserModel from "../models/users.js";
+import { syncArtistLedger, syncLedgerSince } from "./ledger.js";
+
+// Defaults follow the federal 1099-K limits: more than $20,000 and more than 200 sales
+export const TAX_REPORTING_THRESHOLD_CENTS = Number(process.env.TAX_REPORTING_THRESHOLD_CENTS || 2000000);
+export const TAX_REPORTING_MIN_TRANSACTIONS = Number(process.env.TAX_REPORTING_MIN_TRANSACTIONS || 200);
+
+const emptyTotals = () => ({ grossSales: 0, orders: 0, refunds: 0, platformFees: 0, netPayouts: 0 });
+
+/**
+ * Calendar year → { start, end } (UTC), or null when malformed
+ */
+export function taxYearRange(year) {
+  const y = Number(year);
+  if (!Number.isInteger(y) || y < 2000 || y > 2100) return null;
+  return { start: new Date(Date.UTC(y, 0, 1)), end: new Date(Date.UTC(y + 1, 0, 1)) };
+}
+
+function yearError(year) {
+  const range = taxYearRange(year);
+  if (range) return { range };
+  const e = new Error("Year must be a four-digit year");
+  e.status = 400;
+  return { error: e };
+}
+
+/**
+ * Month-by-month summary from aggregated ledger rows. Pure.
+ * `rows` are { month (1-12), type, debit, credit, orders } for the artist's
+ * seller_payable lines.
+ */
+export function buildTaxSummary(year, rows = []) {
+  const months = Array.from({ length: 12 }, (_, i) => ({
+    month: `${year}-${String(i + 1).padStart(2, "0")}`,
+    ...emptyTotals(),
+  }));
+
+  for (const r of rows) {
+    const m = months[r.month - 1];
+    if (!m) continue;
+    const debit = Number(r.debit || 0);
+    const credit = Number(r.credit || 0);
+
+    switch (r.type) {
+      case LEDGER_ENTRY_TYPE.SALE:
+        m.grossSales += credit - debit;
+        m.orders += Number(r.orders || 0);
+        break;
+      case LEDGER_ENTRY_TYPE.DISCOUNT:  // artist-funded promo codes
+      case LEDGER_ENTRY_TYPE.SHIPPING:
+        m.grossSales += credit - debit;
+        break;
+      case LEDGER_ENTRY_TYPE.REFUND:
+      case LEDGER_ENTRY_TYPE.DISPUTE:
+        m.refunds += debit - credit;
+        break;
+      case LEDGER_ENTRY_TYPE.PLATFORM_FEE:
+        m.platformFees += debit - credit;
+        break;
+      case LEDGER_ENTRY_TYPE.TRANSFER:
+      case LEDGER_ENTRY_TYPE.TRANSFER_REVERSAL:
+        m.netPayouts += debit - credit;
+        break;
+      default:
+        break;
+    }
+  }
+
+  const totals = months.reduce((acc, m) => {
+    for (const k of Object.keys(acc)) acc[k] += m[k];
+    return acc;
+  }, emptyTotals());
+
+  return { year: Number(year), currency: "usd", months, totals };
+}
+
+/**
+ * Whether a year's totals crossed the reporting limits
+ */
+export function crossesReportingThreshold(totals, {
+  amountCents = TAX_REPORTING_THRESHOLD_CENTS,
+  transactions = TAX_REPORTING_MIN_TRANSACTIONS,
+} = {}) {
+  return totals.grossSales > amountCents && totals.orders > transactions;
+}
+
+// Ledger lines of the year grouped by artist, month and type
+function aggregateYear(range, match = {}) {
+  return LedgerEntry.aggregate([
+    {
+      $match: {
+        ...match,
+        account: LEDGER_ACCOUNT.SELLER_PAYABLE,
+        occurredAt: { $gte: range.start, $lt: range.end },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          artistUserId: "$artistUserId",
+          month: { $month: { date: "$occurredAt", timezone: "UTC" } },
+          type: "$type",
+        },
+        debit: { $sum: "$debit" },
+        credit: { $sum: "$credit" },
+        orderIds: { $addToSet: "$orderId" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        artistUserId: "$_id.artistUserId",
+        month: "$_id.month",
+        type: "$_id.type",
+        debit: 1,
+        credit: 1,
+        orders: { $size: "$orderIds" },
+      },
+    },
+  ]);
+}
+
+/**
+ * One artist's summary for a year
+ */
+export async function artistTaxSummary(artistUserId, year) {
+  const { range, error } = yearError(year);
+  if (error) throw error;
+
+  await syncArtistLedger(artistUserId);
+  const rows = await aggregateYear(range, { artistUserId: new mongoose.Types.ObjectId(String(artistUserId)) });
+  return buildTaxSummary(Number(year), rows);
+}
+
+/**
+ * Summaries of every artist with activity in the year, highest gross first.
+ * Resolves with [{ artist: { _id, name, email }, summary }].
+ */
+export async function allTaxSummaries(year) {
+  const { range, error } = yearError(year);
+  if (error) throw error;
+
+  // Anything booked in the year lives on an order touched since it started
+  await syncLedgerSince(range.start);
+  const rows = await aggregateYear(range);
+
+  const byArtist = new Map();
+  for (const r of rows) {
+    const k = String(r.artistUserId);
+    if (!byArtist.has(k)) byArtist.set(k, []);
+    byArtist.get(k).push(r);
+  }
+
+  const artists = await UserModel.find({ _id: { $in: [...byArtist.keys()] } }).select("name email").lean();
+  const artistById = new Map(artists.map((a) => [String(a._id), a]));
+
+  return [...byArtist]
+    .map(([id, artistRows]) => ({
+      artist: artistById.get(id) || { _id: id },
+      summary: buildTaxSummary(Number(year), artistRows),
+    }))
+    .sort((a, b) => b.summary.totals.grossSales - a.summary.totals.grossSales);
+}
+
+/**
+ * Artists whose year crossed the reporting limits
+ */
+export async function reportingThresholdReport(year, limits = {}) {
+  const amountCents = limits.amountCents ?? TAX_REPORTING_THRESHOLD_CENTS;
+  const transactions = limits.transactions ?? TAX_REPORTING_MIN_TRANSACTIONS;
+
+  const summaries = await allTaxSummaries(year);
+  return {
+    year: Number(year),
+    thresholds: { amountCents, transactions },
+    sellers: summaries
+      .filter(({ summary }) => crossesReportingThreshold(summary.totals, { amountCents, transactions }))
+      .map(({ artist, summary }) => ({ artist, totals: summary.totals })),
+  };
+}
+
+export default {
+  TAX_REPORTING_THRESHOLD_CENTS,
+  TAX_REPORTING_MIN_TRANSACTIONS,
+  taxYearRange,
+  buildTaxSummary,
+  crossesReportingThreshold,
+  artistTaxSummary,
+  allTaxSummaries,
+  reportingThresholdReport,
+};
@@ -0,0 +1,148 @@
+// services/webhookEvents.js
+/**
+ * Webhook Event Store
+ * Stripe delivers events at least once and retries anything that didn't get a
+ * 2xx in time. Every verified event is stored by id before it is handled, and
+ * the handler only runs for the delivery that claims it, so retries can't
+ * repeat side effects (notifications, refunds, transitions). Failures are
+ * recorded and wait for an admin to replay them.
+ */
+
+import WebhookEvent, { WEBHOOK_EVENT_STATUS, WEBHOOK_EVENT_RETENTION_DAYS } from "../models/webhookEvent.js";
+import { notifyAdmins } from "./adminNotify.js";
+
+// An event still PROCESSING after this long was interrupted (crash/redeploy)
+export const STUCK_PROCESSING_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+
+/**
+ * Register the function that handles events from a webhook source.
+ * Routes register theirs on import so replays can find them.
+ */
+export function registerWebhookHandler(source, handler) {
+  handlers.set(source, handler);
+}
+
+function webhookError(message, status = 400) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Whether an admin may replay an event in this state
+ */
+export function isReplayable(record, now = new Date()) {
+  if (record.status === WEBHOOK_EVENT_STATUS.FAILED) return true;
+  return (
+    record.status === WEBHOOK_EVENT_STATUS.PROCESSING &&
+    !!record.processingStartedAt &&
+    now.getTime() - new Date(record.processingStartedAt).getTime() >= STUCK_PROCESSING_MS
+  );
+}
+
+/**
+ * Run the source's handler on a claimed (PROCESSING) record and store the outcome
+ */
+async function runHandler(record, { replayedBy } = {}) {
+  const handler = handlers.get(record.source);
+  const event = JSON.parse(record.payload);
+
+  try {
+    if (!handler) throw new Error(`No webhook handler registered for "${record.source}"`);
+    await handler(event);
+
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.PROCESSED,
+          processedAt: new Date(),
+          expiresAt: new Date(Date.now() + WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        },
+        $unset: { lastError: 1 },
+        $push: { attempts: { status: WEBHOOK_EVENT_STATUS.PROCESSED, replayedBy } },
+      }
+    );
+    return { status: WEBHOOK_EVENT_STATUS.PROCESSED };
+  } catch (err) {
+    const message = err?.message || String(err);
+    console.error(`❌ Webhook ${record.eventId} (${record.type}) failed:`, err);
+
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      {
+        $set: { status: WEBHOOK_EVENT_STATUS.FAILED, lastError: message },
+        $push: { attempts: { status: WEBHOOK_EVENT_STATUS.FAILED, error: message, replayedBy } },
+      }
+    );
+    notifyAdmins("webhookFailed", {
+      eventId: record.eventId,
+      type: record.type,
+      source: record.source,
+      error: message,
+    });
+    return { status: WEBHOOK_EVENT_STATUS.FAILED, error: message };
+  }
+}
+
+/**
+ * Store a verified event and handle it unless another delivery already has.
+ * Resolves with { status, duplicate? }.
+ */
+export async function processWebhookEvent(source, event) {
+  try {
+    await WebhookEvent.create({
+      eventId: event.id,
+      source,
+      type: event.type,
+      livemode: event.livemode,
+      payload: JSON.stringify(event),
+    });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    await WebhookEvent.updateOne({ eventId: event.id }, { $inc: { deliveries: 1 } });
+  }
+
+  // Only the delivery that moves it out of RECEIVED runs the handler
+  const record = await WebhookEvent.findOneAndUpdate(
+    { eventId: event.id, status: WEBHOOK_EVENT_STATUS.RECEIVED },
+    { $set: { status: WEBHOOK_EVENT_STATUS.PROCESSING, processingStartedAt: new Date() } },
+    { new: true }
+  );
+  if (!record) {
+    const existing = await WebhookEvent.findOne({ eventId: event.id }).select("status").lean();
+    return { status: existing?.status, duplicate: true };
+  }
+
+  return runHandler(record);
+}
+
+/**
+ * Run a failed (or stuck) event's handler again with the stored payload
+ */
+export async function replayWebhookEvent(id, { adminId } = {}) {
+  const existing = await WebhookEvent.findById(id).select("status processingStartedAt").lean();
+  if (!existing) throw webhookError("Webhook event not found", 404);
+  if (!isReplayable(existing)) {
+    throw webhookError(`Event is ${existing.status}; only failed or stuck events can be replayed`, 409);
+  }
+
+  const record = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: existing.status, processingStartedAt: existing.processingStartedAt },
+    { $set: { status: WEBHOOK_EVENT_STATUS.PROCESSING, processingStartedAt: new Date() } },
+    { new: true }
+  );
+  if (!record) throw webhookError("Event is already being replayed", 409);
+
+  return runHandler(record, { replayedBy: adminId });
+}
+
+export default {
+  STUCK_PROCESSING_MS,
+  registerWebhookHandler,
+  isReplayable,
+  processWebhookEvent,
+  replayWebhookEvent,
+};
@@ -0,0 +1,145 @@
+import {
+  AUCTION_PHASE,
+  getAuctionPhase,
+  getMinimumNextBid,
+  getExtendedEndAt,
+  pickAuctionWinner,
+  resolveProxyBid,
+} from '../services/auction.js';
+
+const MINUTE = 60 * 1000;
+const now = new Date('2026-01-01T12:00:00Z');
+const at = (minutes) => new Date(now.getTime() + minutes * MINUTE);
+
+const auction = (overrides = {}) => ({
+  enabled: true,
+  status: 'open',
+  startAt: at(-60),
+  endAt: at(60),
+  startingBid: 100,
+  reservePrice: 0,
+  minIncrement: 5,
+  antiSnipeWindowMinutes: 2,
+  extensionMinutes: 2,
+  bidCount: 0,
+  ...overrides,
+});
+
+describe('getAuctionPhase', () => {
+  it('is scheduled before startAt, live in between and ended after endAt', () => {
+    expect(getAuctionPhase(auction({ startAt: at(5) }), now)).toBe(AUCTION_PHASE.SCHEDULED);
+    expect(getAuctionPhase(auction(), now)).toBe(AUCTION_PHASE.LIVE);
+    expect(getAuctionPhase(auction({ endAt: at(0) }), now)).toBe(AUCTION_PHASE.ENDED);
+  });
+
+  it('treats any non-open status as ended and ignores disabled auctions', () => {
+    expect(getAuctionPhase(auction({ status: 'sold' }), now)).toBe(AUCTION_PHASE.ENDED);
+    expect(getAuctionPhase(auction({ enabled: false }), now)).toBeNull();
+  });
+});
+
+describe('getMinimumNextBid', () => {
+  it('uses the starting bid until the first bid is placed', () => {
+    expect(getMinimumNextBid({ currentBid: 0, auction: auction() })).toBe(100);
+  });
+
+  it('adds the increment to the current bid afterwards', () => {
+    expect(getMinimumNextBid({ currentBid: 120, auction: auction({ bidCount: 3 }) })).toBe(125);
+  });
+});
+
+describe('getExtendedEndAt', () => {
+  it('does not extend outside the anti-sniping window', () => {
+    expect(getExtendedEndAt(auction({ endAt: at(10) }), now)).toBeNull();
+  });
+
+  it('pushes the end time out for a bid inside the window', () => {
+    const extended = getExtendedEndAt(auction({ endAt: at(1) }), now);
+    expect(extended.getTime()).toBe(at(2).getTime());
+  });
+
+  it('never extends when anti-sniping is disabled', () => {
+    expect(getExtendedEndAt(auction({ endAt: at(1), antiSnipeWindowMinutes: 0 }), now)).toBeNull();
+  });
+});
+
+describe('pickAuctionWinner', () => {
+  const bidder = '507f1f77bcf86cd799439011';
+
+  it('reports no bids', () => {
+    expect(pickAuctionWinner({ currentBid: 0, auction: auction() })).toEqual({ reason: 'no_bids' });
+  });
+
+  it('respects the reserve price', () => {
+    const image = { currentBid: 150, highestBidder: bidder, auction: auction({ bidCount: 2, reservePrice: 200 }) };
+    expect(pickAuctionWinner(image)).toEqual({ reason: 'reserve_not_met' });
+  });
+
+  it('returns the highest bidder when the reserve is met', () => {
+    const image = { currentBid: 250, highestBidder: bidder, auction: auction({ bidCount: 4, reservePrice: 200 }) };
+    expect(pickAuctionWinner(image)).toEqual({ winnerUserId: bidder, winningBid: 250 });
+  });
+});
+
+describe('resolveProxyBid', () => {
+  const alice = '507f1f77bcf86cd799439011';
+  const bob = '507f1f77bcf86cd799439012';
+
+  it('opens at the starting bid and keeps the maximum hidden', () => {
+    const image = { currentBid: 0, auction: auction() };
+    const result = resolveProxyBid({ image, bidderId: alice, maxAmount: 300, now });
+    expect(result.currentBid).toBe(100);
+    expect(result.leading).toBe(true);
+    expect(result.proxyBids).toHaveLength(1);
+    expect(result.proxyBids[0].maxAmount).toBe(300);
+  });
+
+  it('counter-bids automatically when the leader has the higher maximum', () => {
+    const image = { currentBid: 100, highestBidder: alice, auction: auction({ bidCount: 1 }) };
+    const proxyBids = [{ userId: alice, maxAmount: 300 }];
+    const result = resolveProxyBid({ image, proxyBids, bidderId: bob, maxAmount: 200, now });
+    expect(result.leading).toBe(false);
+    expect(String(result.highestBidder)).toBe(alice);
+    expect(result.currentBid).toBe(205);
+    expect(result.newBids.map((b) => b.isAutomatic)).toEqual([false, true]);
+  });
+
+  it('hands the lead over one increment above the old maximum and reports the outbid user', () => {
+    const image = { currentBid: 100, highestBidder: alice, auction: auction({ bidCount: 1 }) };
+    const proxyBids = [{ userId: alice, maxAmount: 300 }];
+    const result = resolveProxyBid({ image, proxyBids, bidderId: bob, maxAmount: 500, now });
+    expect(result.leading).toBe(true);
+    expect(result.currentBid).toBe(305);
+    expect(String(result.outbidUserId)).toBe(alice);
+  });
+
+  it('gives ties to the earlier bidder', () => {
+    const image = { currentBid: 100, highestBidder: alice, auction: auction({ bidCount: 1 }) };
+    const proxyBids = [{ userId: alice, maxAmount: 300 }];
+    const result = resolveProxyBid({ image, proxyBids, bidderId: bob, maxAmount: 300, now });
+    expect(result.leading).toBe(false);
+    expect(result.currentBid).toBe(300);
+  });
+
+  it('lifts the price to the reserve once a maximum covers it', () => {
+    const image = { currentBid: 0, auction: auction({ reservePrice: 250 }) };
+    const result = resolveProxyBid({ image, bidderId: alice, maxAmount: 400, now });
+    expect(result.currentBid).toBe(250);
+  });
+
+  it('lets the leader raise their maximum without moving the price', () => {
+    const image = { currentBid: 100, highestBidder: alice, auction: auction({ bidCount: 1 }) };
+    const proxyBids = [{ userId: alice, maxAmount: 300 }];
+    const result = resolveProxyBid({ image, proxyBids, bidderId: alice, maxAmount: 600, now });
+    expect(result.currentBid).toBe(100);
+    expect(result.newBids).toHaveLength(0);
+    expect(result.proxyBids[0].maxAmount).toBe(600);
+  });
+
+  it('rejects bids under the minimum', () => {
+    const image = { currentBid: 100, highestBidder: alice, auction: auction({ bidCount: 1 }) };
+    const result = resolveProxyBid({ image, bidderId: bob, maxAmount: 102, now });
+    expect(result.error).toBeDefined();
+    expect(result.minimumBid).toBe(105);
+  });
+});
@@ -0,0 +1,121 @@
+import { getCarrier, detectCarrier, CARRIER } from '../services/carriers/index.js';
+import { buildMockUpsTracking, mapUpsStatus } from '../services/carriers/ups.js';
+import { mockZone, mockTrackingStatus } from '../services/carriers/mock.js';
+import { trackShipment } from '../services/shipmentTracking.js';
+
+const request = {
+  from: { name: 'Ana', street1: '1 Main St', city: 'Brooklyn', state: 'NY', zip: '11201' },
+  to: { name: 'Ben', street1: '2 Elm St', city: 'Austin', state: 'TX', zip: '78701' },
+  parcel: { weightLb: 5, lengthIn: 20, widthIn: 16, heightIn: 4 },
+  reference: 'o1',
+};
+
+const carriers = ['ups', 'fedex', 'usps', 'dhl'];
+
+describe('carrier mock mode', () => {
+  it.each(carriers)('%s quotes the same rates every time', async (name) => {
+    const carrier = getCarrier(name, { mock: true });
+    const first = await carrier.rate(request);
+    const second = await carrier.rate(request);
+
+    expect(first.errors).toEqual([]);
+    expect(first.rates.length).toBeGreaterThan(0);
+    expect(second.rates).toEqual(first.rates);
+    for (const rate of first.rates) {
+      expect(rate.carrier).toBe(carrier.name);
+      expect(rate.amount).toBeGreaterThan(0);
+    }
+  });
+
+  it('prices further and heavier shipments higher', async () => {
+    const ups = getCarrier('ups', { mock: true });
+    const ground = async (req) => (await ups.rate({ ...req, services: ['03'] })).rates[0].amount;
+
+    const near = await ground({ ...request, to: { ...request.to, zip: '11215' } });
+    const far = await ground(request);
+    const heavy = await ground({ ...request, parcel: { ...request.parcel, weightLb: 40 } });
+    expect(mockZone('11201', '11215')).toBeLessThan(mockZone('11201', '78701'));
+    expect(near).toBeLessThan(far);
+    expect(heavy).toBeGreaterThan(far);
+  });
+
+  it('only quotes the services asked for', async () => {
+    const { rates } = await getCarrier('fedex', { mock: true }).rate({ ...request, services: ['FEDEX_2_DAY'] });
+    expect(rates.map((r) => r.serviceCode)).toEqual(['FEDEX_2_DAY']);
+  });
+
+  it.each(carriers)('%s buys the same label for the same shipment and can track it', async (name) => {
+    const carrier = getCarrier(name, { mock: true });
+    const label = await carrier.buyLabel(request);
+    const again = await carrier.buyLabel(request);
+
+    expect(again).toEqual(label);
+    expect(label.usedMock).toBe(true);
+    expect(label.serviceCode).toBeTruthy();
+    expect(label.amount).toBeGreaterThan(0);
+    expect(Buffer.from(label.label.data, 'base64').toString()).toContain(label.trackingNumber);
+
+    const tracked = await carrier.track(label.trackingNumber);
+    expect(tracked.carrier).toBe(carrier.name);
+    expect(tracked.status).toBe(mockTrackingStatus(label.trackingNumber));
+    expect(tracked.usedMock).toBe(true);
+  });
+
+  it('formats mock tracking numbers like the carrier does', async () => {
+    const number = async (name) => (await getCarrier(name, { mock: true }).buyLabel(request)).trackingNumber;
+    expect(await number('ups')).toMatch(/^1Z[0-9A-Z]{16}$/);
+    expect(await number('fedex')).toMatch(/^\d{12}$/);
+    expect(await number('usps')).toMatch(/^9400\d{18}$/);
+  });
+
+  it('validates addresses offline', async () => {
+    const usps = getCarrier('usps', { mock: true });
+    const ok = await usps.validateAddress({ street1: '2 elm st', city: 'austin', state: 'tx', zip: '78701-1234' });
+    expect(ok.valid).toBe(true);
+    expect(ok.address).toMatchObject({ street1: '2 ELM ST', city: 'AUSTIN', state: 'TX', zip: '78701', country: 'US' });
+
+    const bad = await usps.validateAddress({ street1: '2 Elm St', city: 'Austin', state: 'Texas', zip: '787' });
+    expect(bad.valid).toBe(false);
+    expect(bad.messages).toHaveLength(2);
+  });
+});
+
+describe('carrier tracking', () => {
+  it('keeps the UPS demo numbers in transit', async () => {
+    const tracked = await trackShipment('1z12345e0291980793', 'UPS', { allowMock: true });
+    expect(tracked).toMatchObject({ carrier: 'UPS', status: 'in_transit', usedMock: true });
+    expect(tracked.events).toHaveLength(3);
+    expect(tracked.events[0].datetime).toBeInstanceOf(Date);
+  });
+
+  it('maps mock UPS responses like live ones', () => {
+    const pkg = buildMockUpsTracking('1Z0', { status: 'delivered' }).trackResponse.shipment[0].package[0];
+    expect(mapUpsStatus(pkg.currentStatus)).toBe('delivered');
+  });
+
+  it('answers the EasyPost test codes without calling EasyPost', async () => {
+    await expect(trackShipment('EZ4000000004', 'USPS')).resolves.toMatchObject({ status: 'delivered', usedMock: true });
+    await expect(trackShipment('EZ6000000006', 'USPS')).resolves.toMatchObject({ status: 'exception' });
+    const dhl = await trackShipment('EZ2000000002', 'dhl');
+    expect(dhl).toMatchObject({ carrier: 'DHL', status: 'in_transit' });
+    expect(dhl.events.every((e) => e.datetime instanceof Date)).toBe(true);
+  });
+
+  it('forces mock data for any number when asked', async () => {
+    const tracked = await trackShipment('123456789012', 'FedEx', { forceMock: true });
+    expect(tracked).toMatchObject({ carrier: 'FedEx', usedMock: true });
+  });
+});
+
+describe('carrier lookup', () => {
+  it('picks the carrier from its name or the tracking number', () => {
+    expect(detectCarrier('1Z12345E0291980793')).toBe(CARRIER.UPS);
+    expect(detectCarrier('123456789012', 'fedex')).toBe(CARRIER.FEDEX);
+    expect(detectCarrier('EZ1000000001')).toBe(CARRIER.USPS);
+    expect(detectCarrier('123', 'Royal Mail')).toBeNull();
+  });
+
+  it('refuses carriers without an adapter', () => {
+    expect(() => getCarrier('royalmail')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
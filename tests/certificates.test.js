@@ -0,0 +1,69 @@
+import {
+  generateCertificateId,
+  normalizeCertificateId,
+  signCertificate,
+  isCertificateSignatureValid,
+  publicCertificateView,
+  certificatePDF,
+} from '../services/certificates.js';
+
+const secret = 'test-secret';
+
+const cert = {
+  certificateId: 'COA-ABCD-EFGH-JKMN',
+  status: 'active',
+  orderId: 'o1',
+  imageId: 'i1',
+  artistUserId: 'a1',
+  holderUserId: 'u1',
+  holderName: 'Ben',
+  artwork: {
+    title: 'Dusk',
+    artistName: 'Ana',
+    category: 'paintings',
+    dimensions: { height: 24, width: 18, length: 1 },
+    isSigned: true,
+    isFramed: false,
+  },
+  saleDate: new Date('2026-03-02T10:00:00Z'),
+  issuedAt: new Date('2026-03-02T10:00:05Z'),
+};
+
+describe('certificate ids', () => {
+  it('generates readable ids and accepts them typed loosely', () => {
+    const id = generateCertificateId();
+    expect(id).toMatch(/^COA-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(normalizeCertificateId(id.toLowerCase().replace(/-/g, ' '))).toBe(id);
+    expect(normalizeCertificateId('abcdefghjkmn')).toBe('COA-ABCD-EFGH-JKMN');
+  });
+});
+
+describe('certificate signatures', () => {
+  const signed = { ...cert, signature: signCertificate(cert, secret) };
+
+  it('accepts an untouched certificate', () => {
+    expect(isCertificateSignatureValid(signed, secret)).toBe(true);
+  });
+
+  it('rejects edited details, a different secret or a missing signature', () => {
+    expect(isCertificateSignatureValid({ ...signed, holderName: 'Eve' }, secret)).toBe(false);
+    expect(isCertificateSignatureValid({
+      ...signed,
+      artwork: { ...signed.artwork, isSigned: false },
+    }, secret)).toBe(false);
+    expect(isCertificateSignatureValid(signed, 'other-secret')).toBe(false);
+    expect(isCertificateSignatureValid({ ...signed, signature: undefined }, secret)).toBe(false);
+  });
+
+  it('keeps the holder out of the public view', () => {
+    const view = publicCertificateView(signed);
+    expect(view.artwork.title).toBe('Dusk');
+    expect(view).not.toHaveProperty('holderName');
+    expect(view).not.toHaveProperty('signature');
+  });
+
+  it('renders a PDF with its QR code', async () => {
+    const pdf = await certificatePDF(signed);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
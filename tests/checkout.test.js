@@ -0,0 +1,68 @@
+// The Stripe client is created on import; nothing here calls it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+const { allocateCents, summarizeCheckout, chargeShare } = await import('../services/checkout.js');
+
+const alice = '64b000000000000000000001';
+const bob = '64b000000000000000000002';
+
+describe('allocateCents', () => {
+  it('splits in proportion and always adds back up to the total', () => {
+    expect(allocateCents(1000, [1, 1, 1])).toEqual([334, 333, 333]);
+    expect(allocateCents(999, [20000, 10000])).toEqual([666, 333]);
+    expect(allocateCents(1, [5000, 5000, 1])).toEqual([1, 0, 0]);
+  });
+
+  it('puts everything on the first share when there is nothing to weigh by', () => {
+    expect(allocateCents(500, [0, 0])).toEqual([500, 0]);
+    expect(allocateCents(500, [])).toEqual([]);
+  });
+});
+
+describe('summarizeCheckout', () => {
+  const orders = [
+    { _id: 'o1', artistUserId: alice, artistName: 'Alice', baseAmount: 10000, shippingAmount: 600, taxAmount: 850 },
+    { _id: 'o2', artistUserId: bob, artistName: 'Bob', baseAmount: 5000, shippingAmount: 900, taxAmount: 400 },
+    {
+      _id: 'o3',
+      artistUserId: alice,
+      artistName: 'Alice',
+      baseAmount: 20000,
+      shippingAmount: 1200,
+      taxAmount: 1700,
+      discount: { amountCents: 2000, fundedBy: 'platform' },
+    },
+  ];
+
+  it('groups orders by seller and totals the discounted amounts', () => {
+    const summary = summarizeCheckout(orders);
+
+    expect(summary.sellers.map((s) => s.orderIds)).toEqual([['o1', 'o3'], ['o2']]);
+    expect(summary.sellers[0]).toMatchObject({
+      baseAmount: 30000,
+      discountAmount: 2000,
+      shippingAmount: 1800,
+      taxAmount: 2550,
+      totalAmount: 32350,
+    });
+    expect(summary).toMatchObject({ baseAmount: 35000, discountAmount: 2000, totalAmount: 32350 + 6300 });
+  });
+
+  it('keeps the shipping rate each seller picked', () => {
+    const shippingQuote = { carrier: 'UPS', amount: 1800 };
+    const { sellers } = summarizeCheckout(orders, [{ artistUserId: alice, shippingQuote }]);
+    expect(sellers[0].shippingQuote).toEqual(shippingQuote);
+    expect(sellers[1].shippingQuote).toBeUndefined();
+  });
+});
+
+describe('chargeShare', () => {
+  const bt = { amount: 40000, fee: 1190, net: 38810 };
+
+  it('gives a checkout order its part of the shared fee', () => {
+    expect(chargeShare({ checkoutId: 'c1', totalAmount: 10000 }, bt)).toEqual({ fee: 298, net: 9702 });
+  });
+
+  it('leaves orders paid on their own with the whole balance transaction', () => {
+    expect(chargeShare({ totalAmount: 40000 }, bt)).toEqual({ fee: 1190, net: 38810 });
+  });
+});
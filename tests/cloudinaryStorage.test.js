@@ -0,0 +1,19 @@
+import { deletedByKey } from '../services/storage/cloudinaryStorage.js';
+
+describe('cloudinary delete results', () => {
+  it('keys results by the keys that were passed in', () => {
+    const deleted = deletedByKey(
+      ['artwork/dusk.webp', 'artwork/dusk-800.avif', 'artwork/gone.jpg', null],
+      { 'artwork/dusk': 'deleted', 'artwork/dusk-800': 'deleted', 'artwork/gone': 'not_found' }
+    );
+    expect(deleted).toEqual({
+      'artwork/dusk.webp': 'deleted',
+      'artwork/dusk-800.avif': 'deleted',
+      'artwork/gone.jpg': 'not_found',
+    });
+  });
+
+  it('reports keys Cloudinary left out as not found', () => {
+    expect(deletedByKey(['profile/ana.png'], {})).toEqual({ 'profile/ana.png': 'not_found' });
+  });
+});
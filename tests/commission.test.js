@@ -0,0 +1,60 @@
+import { resolveCommission, commissionOnBase, orderCommission, DEFAULT_COMMISSION_BPS } from '../services/commission.js';
+
+const artist = '64b000000000000000000001';
+const at = new Date('2026-06-15T12:00:00Z');
+
+const rules = [
+  { _id: 'default', scope: 'default', rateBps: 500, createdAt: new Date('2026-01-01') },
+  { _id: 'paintings', scope: 'category', category: 'paintings', rateBps: 400 },
+  {
+    _id: 'summer',
+    scope: 'promo',
+    rateBps: 200,
+    startsAt: new Date('2026-06-01'),
+    endsAt: new Date('2026-07-01'),
+  },
+];
+
+describe('resolveCommission', () => {
+  it('falls back to the platform default when there are no rules', () => {
+    expect(resolveCommission([], { at })).toMatchObject({ rateBps: DEFAULT_COMMISSION_BPS, scope: 'default', ruleId: null });
+  });
+
+  it('prefers artist → promo → category → default', () => {
+    expect(resolveCommission(rules, { category: 'paintings', at }).ruleId).toBe('summer');
+    expect(resolveCommission(rules, { category: 'paintings', at: new Date('2026-08-01') }).ruleId).toBe('paintings');
+    expect(resolveCommission(rules, { category: 'woodwork', at: new Date('2026-08-01') }).ruleId).toBe('default');
+
+    const withArtist = [...rules, { _id: 'deal', scope: 'artist', artistUserId: artist, rateBps: 800 }];
+    expect(resolveCommission(withArtist, { artistUserId: artist, category: 'paintings', at }).ruleId).toBe('deal');
+  });
+
+  it('ignores inactive rules and promos outside their window', () => {
+    const list = [{ ...rules[2], active: false }, rules[0]];
+    expect(resolveCommission(list, { at }).ruleId).toBe('default');
+    expect(resolveCommission(rules, { at: new Date('2026-07-01') }).ruleId).toBe('default');
+  });
+
+  it('lets a grandfathered rate cap whatever else applies', () => {
+    const list = [...rules, { _id: 'old', scope: 'grandfathered', artistUserId: artist, rateBps: 300 }];
+    const later = new Date('2026-08-01');
+
+    expect(resolveCommission(list, { artistUserId: artist, at: later })).toMatchObject({ ruleId: 'old', rateBps: 300, grandfathered: true });
+    // A cheaper promo still wins
+    expect(resolveCommission(list, { artistUserId: artist, at })).toMatchObject({ ruleId: 'summer', grandfathered: false });
+    // Other artists are unaffected
+    expect(resolveCommission(list, { artistUserId: '64b000000000000000000002', at: later }).ruleId).toBe('default');
+  });
+});
+
+describe('orderCommission', () => {
+  it('uses the snapshotted rate', () => {
+    const order = { baseAmount: 12345, commission: { rateBps: 250, scope: 'promo', ruleId: 'summer' } };
+    expect(orderCommission(order)).toMatchObject({ rateBps: 250, platformHoldOnBase: 309, sellerShareOfBase: 12036 });
+  });
+
+  it('keeps the flat 3% for orders placed before rules existed', () => {
+    expect(orderCommission({ price: 10000 })).toMatchObject({ rateBps: 300, scope: 'legacy', platformHoldOnBase: 300 });
+    expect(commissionOnBase(10000, 0)).toBe(0);
+  });
+});
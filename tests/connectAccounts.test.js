@@ -0,0 +1,55 @@
+// The Stripe client is created on import; nothing here calls it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+const { accountStatus, newlyDueRequirements } = await import('../services/connectAccounts.js');
+
+describe('accountStatus', () => {
+  it('mirrors the flags and requirements of a Stripe account', () => {
+    const status = accountStatus({
+      id: 'acct_1',
+      details_submitted: true,
+      charges_enabled: true,
+      payouts_enabled: false,
+      requirements: {
+        currently_due: ['external_account'],
+        past_due: [],
+        eventually_due: ['individual.id_number'],
+        disabled_reason: 'requirements.past_due',
+        current_deadline: 1798761600,
+      },
+    });
+
+    expect(status).toEqual({
+      detailsSubmitted: true,
+      chargesEnabled: true,
+      payoutsEnabled: false,
+      requirements: {
+        currentlyDue: ['external_account'],
+        pastDue: [],
+        eventuallyDue: ['individual.id_number'],
+        disabledReason: 'requirements.past_due',
+        currentDeadline: new Date(1798761600 * 1000),
+      },
+    });
+  });
+
+  it('treats missing fields as not enabled', () => {
+    expect(accountStatus({ id: 'acct_1' })).toMatchObject({
+      detailsSubmitted: false,
+      payoutsEnabled: false,
+      requirements: { currentlyDue: [], pastDue: [] },
+    });
+  });
+});
+
+describe('newlyDueRequirements', () => {
+  it('returns only asks that were not due before', () => {
+    const before = { currentlyDue: ['external_account'], pastDue: [] };
+    const after = { currentlyDue: ['external_account', 'individual.verification.document'], pastDue: ['tos_acceptance.date'] };
+    expect(newlyDueRequirements(before, after)).toEqual(['individual.verification.document', 'tos_acceptance.date']);
+  });
+
+  it('does not re-announce a requirement that became past due', () => {
+    expect(newlyDueRequirements({ currentlyDue: ['external_account'] }, { pastDue: ['external_account'] })).toEqual([]);
+    expect(newlyDueRequirements(undefined, {})).toEqual([]);
+  });
+});
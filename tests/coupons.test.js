@@ -0,0 +1,95 @@
+import {
+  couponIneligibility,
+  isRedemptionLive,
+  reservationConflict,
+  discountFor,
+  orderDiscount,
+  refundedSubsidyCents,
+  MIN_CHARGE_CENTS,
+} from '../services/coupons.js';
+
+const now = new Date('2026-05-10T12:00:00Z');
+const coupon = {
+  code: 'SPRING20',
+  type: 'percent',
+  percentOff: 20,
+  minSpendCents: 5000,
+  expiresAt: new Date('2026-06-01T00:00:00Z'),
+  maxRedemptions: 100,
+  redemptionCount: 10,
+  maxRedemptionsPerUser: 1,
+  categories: ['paintings'],
+  artistUserIds: [],
+};
+const purchase = { baseCents: 10000, category: 'paintings', artistUserId: 'a1', now };
+
+describe('couponIneligibility', () => {
+  it('accepts a purchase that meets every condition', () => {
+    expect(couponIneligibility(coupon, purchase)).toBeNull();
+  });
+
+  it('enforces dates, limits, scope and minimum spend', () => {
+    expect(couponIneligibility(coupon, { ...purchase, now: new Date('2026-06-01T00:00:00Z') })).toMatch(/expired/);
+    expect(couponIneligibility({ ...coupon, redemptionCount: 100 }, purchase)).toMatch(/fully redeemed/);
+    expect(couponIneligibility(coupon, { ...purchase, userRedemptions: 1 })).toMatch(/already used/);
+    expect(couponIneligibility(coupon, { ...purchase, category: 'woodwork' })).toMatch(/doesn't apply/);
+    expect(couponIneligibility({ ...coupon, artistUserIds: ['a2'] }, purchase)).toMatch(/doesn't apply/);
+    expect(couponIneligibility(coupon, { ...purchase, baseCents: 4999 })).toMatch(/minimum spend of \$50\.00/);
+    expect(couponIneligibility({ ...coupon, active: false }, purchase)).toMatch(/isn't valid/);
+  });
+});
+
+describe('coupon reservations', () => {
+  const singleUse = { ...coupon, maxRedemptions: 1, redemptionCount: 0 };
+
+  it('rejects a second order once a single-use code is reserved', () => {
+    expect(reservationConflict(singleUse, { counted: true })).toBeNull();
+    // the guarded $inc no longer matches once redemptionCount reaches maxRedemptions
+    expect(reservationConflict({ ...singleUse, redemptionCount: 1 }, { counted: false })).toMatch(/fully redeemed/);
+    expect(couponIneligibility({ ...singleUse, redemptionCount: 1 }, purchase)).toMatch(/fully redeemed/);
+  });
+
+  it('rejects a buyer reserving past their own limit', () => {
+    expect(reservationConflict(coupon, { counted: true, userUses: 1 })).toBeNull();
+    expect(reservationConflict(coupon, { counted: true, userUses: 2 })).toMatch(/already used/);
+    expect(reservationConflict({ ...coupon, maxRedemptionsPerUser: undefined }, { counted: true, userUses: 5 })).toBeNull();
+  });
+
+  it('counts reservations until they lapse and paid redemptions for good', () => {
+    const later = new Date(now.getTime() + 60 * 1000);
+    expect(isRedemptionLive({ status: 'reserved', expiresAt: later }, now)).toBe(true);
+    expect(isRedemptionLive({ status: 'reserved', expiresAt: now }, now)).toBe(false);
+    expect(isRedemptionLive({ status: 'redeemed' }, now)).toBe(true);
+    expect(isRedemptionLive({}, now)).toBe(true);
+  });
+});
+
+describe('discountFor', () => {
+  it('takes a percentage or a fixed amount off, leaving a chargeable price', () => {
+    expect(discountFor(coupon, 12345)).toBe(2469);
+    expect(discountFor({ type: 'fixed', amountOffCents: 1500 }, 10000)).toBe(1500);
+    expect(discountFor({ type: 'fixed', amountOffCents: 5000 }, 3000)).toBe(3000 - MIN_CHARGE_CENTS);
+    expect(discountFor({ type: 'percent', percentOff: 100 }, 3000)).toBe(3000 - MIN_CHARGE_CENTS);
+  });
+});
+
+describe('orderDiscount', () => {
+  const order = { baseAmount: 10000, shippingAmount: 0, taxAmount: 800 };
+
+  it('keeps the artist on the full price when the platform funds it', () => {
+    const d = orderDiscount({ ...order, discount: { code: 'X', amountCents: 2000, fundedBy: 'platform' } });
+    expect(d).toMatchObject({ amount: 2000, chargedBase: 8000, sellerBase: 10000, platformFunded: 2000 });
+  });
+
+  it('lowers the artist price when they fund it', () => {
+    const d = orderDiscount({ ...order, discount: { code: 'X', amountCents: 2000, fundedBy: 'artist' } });
+    expect(d).toMatchObject({ amount: 2000, chargedBase: 8000, sellerBase: 8000, platformFunded: 0 });
+  });
+
+  it('takes back a platform-funded discount in step with refunds', () => {
+    const discounted = { ...order, discount: { amountCents: 2000, fundedBy: 'platform' } };
+    expect(refundedSubsidyCents(discounted, 4400)).toBe(1000);
+    expect(refundedSubsidyCents(discounted, 8800)).toBe(2000);
+    expect(refundedSubsidyCents({ ...discounted, discount: { amountCents: 2000, fundedBy: 'artist' } }, 8800)).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+// The Stripe client is created on import; nothing here calls it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+const { buildEvidence, pickEvidenceText } = await import('../services/disputes.js');
+
+const order = {
+  artName: 'Harbor at Dusk',
+  artistName: 'R. Ortiz',
+  userAccountName: 'Sam Buyer',
+  totalAmount: 25400,
+  createdAt: new Date('2026-02-01T10:00:00Z'),
+  printVariantLabel: '16x20',
+  deliveryDetails: { name: 'Sam Buyer', address: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'US' },
+  shipping: {
+    carrier: 'UPS',
+    trackingNumber: '1Z999AA10123456784',
+    shippedAt: new Date('2026-02-03T15:00:00Z'),
+    deliveredAt: new Date('2026-02-06T18:30:00Z'),
+    trackingEvents: [
+      { status: 'delivered', message: 'Delivered', location: 'Springfield, IL', datetime: new Date('2026-02-06T18:30:00Z') },
+      { status: 'in transit', message: 'Departed facility', location: 'Chicago, IL', datetime: new Date('2026-02-04T08:00:00Z') },
+    ],
+  },
+};
+
+describe('buildEvidence', () => {
+  it('describes the sale and the shipment', () => {
+    const evidence = buildEvidence({ order, buyer: { email: 'sam@example.com' } });
+
+    expect(evidence).toMatchObject({
+      product_description: expect.stringContaining('Harbor at Dusk by R. Ortiz. Print size: 16x20'),
+      customer_name: 'Sam Buyer',
+      customer_email_address: 'sam@example.com',
+      shipping_address: 'Sam Buyer, 1 Main St, Springfield IL 62701, US',
+      shipping_carrier: 'UPS',
+      shipping_tracking_number: '1Z999AA10123456784',
+      shipping_date: '2026-02-03',
+    });
+    // Tracking in chronological order, then the delivery confirmation
+    const text = evidence.uncategorized_text;
+    expect(text.indexOf('Departed facility')).toBeLessThan(text.indexOf('Delivered ('));
+    expect(text).toMatch(/Delivery confirmation: UPS reported the package delivered on 2026-02-06/);
+  });
+
+  it('includes offer and return messages and drops empty fields', () => {
+    const evidence = buildEvidence({
+      order: { ...order, shipping: {} },
+      offer: { history: [{ by: 'buyer', action: 'offer', message: 'Would you take $200?', at: new Date('2026-01-30') }] },
+      returns: [{ history: [{ by: 'artist', action: 'reject', message: 'Arrived intact per photos', at: new Date('2026-02-08') }] }],
+    });
+
+    expect(evidence.uncategorized_text).toMatch(/buyer \(offer\): Would you take \$200\?/);
+    expect(evidence.uncategorized_text).toMatch(/artist \(return reject\): Arrived intact per photos/);
+    expect(evidence).not.toHaveProperty('shipping_carrier');
+    expect(evidence).not.toHaveProperty('customer_email_address');
+  });
+});
+
+describe('pickEvidenceText', () => {
+  it('keeps only Stripe text fields', () => {
+    expect(pickEvidenceText({ shipping_carrier: 'UPS', receipt: 'file_123', status: 'won', refund_policy: null }))
+      .toEqual({ shipping_carrier: 'UPS', refund_policy: '' });
+  });
+});
@@ -0,0 +1,48 @@
+import { publicGallery, fullGallery, planReorder } from '../services/gallery.js';
+
+const image = {
+  imageLink: 'https://cdn.example.com/cover.jpg',
+  gallery: [
+    { _id: 'b', url: 'back.jpg', kind: 'back', caption: 'Back', position: 1, stage: 'approved' },
+    { _id: 's', url: 'signature.jpg', kind: 'signature', caption: '', position: 0, stage: 'approved' },
+    { _id: 'e', url: 'edge.jpg', kind: 'edge', caption: 'Edge', position: 2, stage: 'review' },
+    { _id: 'f', url: 'frame.jpg', kind: 'frame', caption: '', position: 3, stage: 'rejected', rejectionMessage: 'Blurry' },
+  ],
+};
+
+describe('publicGallery', () => {
+  it('puts the cover first and only shows approved photos in order', () => {
+    const gallery = publicGallery(image);
+
+    expect(gallery.map((p) => p._id)).toEqual(['cover', 's', 'b']);
+    expect(gallery[0]).toMatchObject({ isCover: true, url: image.imageLink });
+    expect(gallery[1]).not.toHaveProperty('stage');
+  });
+
+  it('works for listings without detail photos', () => {
+    expect(publicGallery({ imageLink: 'x.jpg' })).toHaveLength(1);
+  });
+});
+
+describe('fullGallery', () => {
+  it('includes every photo with its moderation state', () => {
+    const gallery = fullGallery(image);
+
+    expect(gallery.map((p) => p._id)).toEqual(['cover', 's', 'b', 'e', 'f']);
+    expect(gallery[4]).toMatchObject({ stage: 'rejected', rejectionMessage: 'Blurry' });
+  });
+});
+
+describe('planReorder', () => {
+  it('maps each photo to its new index', () => {
+    const { positions } = planReorder(image.gallery, ['f', 'e', 'b', 's']);
+    expect(positions.get('f')).toBe(0);
+    expect(positions.get('s')).toBe(3);
+  });
+
+  it('rejects missing, unknown or repeated ids', () => {
+    expect(planReorder(image.gallery, ['f', 'e', 'b']).error).toBeDefined();
+    expect(planReorder(image.gallery, ['f', 'e', 'b', 'x']).error).toBeDefined();
+    expect(planReorder(image.gallery, ['f', 'e', 'b', 'b']).error).toBeDefined();
+  });
+});
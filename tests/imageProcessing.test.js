@@ -0,0 +1,48 @@
+import sharp from 'sharp';
+import { processArtworkImage, VARIANT_WIDTHS } from '../services/imageProcessing.js';
+
+// 1200×600 JPEG that claims to be rotated 90° and carries EXIF data
+const photoWithExif = () =>
+  sharp({ create: { width: 1200, height: 600, channels: 3, background: '#c0392b' } })
+    .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Someone', Artist: 'Someone' } } })
+    .jpeg()
+    .toBuffer();
+
+describe('processArtworkImage', () => {
+  let result;
+
+  beforeAll(async () => {
+    result = await processArtworkImage(await photoWithExif());
+  }, 60000);
+
+  it('applies the EXIF orientation and records the original dimensions', () => {
+    expect(result.original.format).toBe('jpeg');
+    expect(result.original.width).toBe(600);
+    expect(result.original.height).toBe(1200);
+    expect(result.original.bytes).toBe(result.original.buffer.length);
+  });
+
+  it('strips metadata from the stored original', async () => {
+    const meta = await sharp(result.original.buffer).metadata();
+    expect(meta.exif).toBeUndefined();
+    expect(meta.orientation).toBeUndefined();
+  });
+
+  it('renders every size in WebP and AVIF without upscaling', async () => {
+    expect(result.variants).toHaveLength(Object.keys(VARIANT_WIDTHS).length * 2);
+
+    const thumb = result.variants.find((v) => v.size === 'thumb' && v.format === 'webp');
+    expect(Math.max(thumb.width, thumb.height)).toBe(VARIANT_WIDTHS.thumb);
+
+    const large = result.variants.find((v) => v.size === 'large' && v.format === 'avif');
+    expect(large.height).toBe(1200);
+
+    const meta = await sharp(large.buffer).metadata();
+    expect(meta.format).toBe('heif');
+    expect(meta.exif).toBeUndefined();
+  });
+
+  it('rejects files that are not images', async () => {
+    await expect(processArtworkImage(Buffer.from('not an image'))).rejects.toMatchObject({ status: 400 });
+  });
+});
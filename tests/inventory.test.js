@@ -0,0 +1,110 @@
+import { availableToHold, getPurchaseOption, isSoldOut, planEditionUpdate } from '../services/inventory.js';
+
+const variant = (overrides = {}) => ({
+  _id: 'v1',
+  label: '8x10',
+  price: 40,
+  editionSize: 50,
+  remaining: 50,
+  nextNumber: 1,
+  ...overrides,
+});
+
+describe('isSoldOut', () => {
+  it('uses soldStatus for one-of-a-kind pieces', () => {
+    expect(isSoldOut({ soldStatus: 'unsold' })).toBe(false);
+    expect(isSoldOut({ soldStatus: 'sold' })).toBe(true);
+  });
+
+  it('counts prints for editions and print sizes', () => {
+    expect(isSoldOut({ edition: { size: 10, remaining: 1 } })).toBe(false);
+    expect(isSoldOut({ edition: { size: 10, remaining: 0 } })).toBe(true);
+    expect(isSoldOut({ printVariants: [variant({ remaining: 0 }), variant({ _id: 'v2', remaining: 3 })] })).toBe(false);
+    expect(isSoldOut({ printVariants: [variant({ remaining: 0 })] })).toBe(true);
+  });
+});
+
+describe('getPurchaseOption', () => {
+  it('uses the listing price for one-of-a-kind pieces and editions', () => {
+    expect(getPurchaseOption({ price: 300, soldStatus: 'unsold' })).toMatchObject({ price: 300, variantId: null });
+    expect(getPurchaseOption({ price: 80, edition: { size: 25, remaining: 4 } })).toMatchObject({ price: 80, editionSize: 25 });
+  });
+
+  it('requires an available print size when the listing has sizes', () => {
+    const image = { price: 40, printVariants: [variant(), variant({ _id: 'v2', label: '16x20', price: 90, remaining: 0 })] };
+
+    expect(getPurchaseOption(image).status).toBe(400);
+    expect(getPurchaseOption(image, 'nope').status).toBe(404);
+    expect(getPurchaseOption(image, 'v2').error).toMatch(/16x20/);
+    expect(getPurchaseOption(image, 'v1')).toMatchObject({ price: 40, label: '8x10', editionSize: 50 });
+  });
+
+  it('refuses sold-out listings', () => {
+    expect(getPurchaseOption({ price: 80, edition: { size: 25, remaining: 0 } }).status).toBe(400);
+  });
+});
+
+describe('planEditionUpdate', () => {
+  it('creates a fresh edition', () => {
+    expect(planEditionUpdate({}, { editionSize: 50 })).toEqual({
+      edition: { size: 50, remaining: 50, nextNumber: 1 },
+      printVariants: undefined,
+    });
+  });
+
+  it('keeps sold prints when resizing an edition', () => {
+    const image = { edition: { size: 50, remaining: 40, nextNumber: 11 } };
+
+    expect(planEditionUpdate(image, { editionSize: 60 }).edition).toEqual({ size: 60, remaining: 50, nextNumber: 11 });
+    expect(planEditionUpdate(image, { editionSize: 5 }).error).toMatch(/already sold 10/);
+  });
+
+  it('validates print sizes and keeps their sales', () => {
+    const image = { printVariants: [variant({ remaining: 45, nextNumber: 6 })] };
+    const plan = planEditionUpdate(image, {
+      printVariants: [
+        { _id: 'v1', label: '8x10', price: 45, editionSize: 50 },
+        { label: '16x20', price: 120, editionSize: 10 },
+      ],
+    });
+
+    expect(plan.printVariants[0]).toMatchObject({ _id: 'v1', price: 45, remaining: 45, nextNumber: 6 });
+    expect(plan.printVariants[1]).toMatchObject({ label: '16x20', remaining: 10, nextNumber: 1 });
+    expect(planEditionUpdate(image, { printVariants: [{ label: 'A4', price: 30, editionSize: 5 }] }).error).toMatch(/can't be removed/);
+    expect(planEditionUpdate({}, { printVariants: [{ label: 'A4', price: 0.5, editionSize: 5 }] }).error).toMatch(/\$1/);
+  });
+
+  it('needs editionSize or printVariants', () => {
+    expect(planEditionUpdate({}, {}).error).toBeDefined();
+  });
+});
+
+describe('availableToHold', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const later = new Date('2026-01-01T12:10:00Z');
+  const earlier = new Date('2026-01-01T11:50:00Z');
+
+  it('blocks a one-of-a-kind piece while another checkout holds it', () => {
+    const image = { soldStatus: 'unsold', holds: [{ orderId: 'o1', userId: 'u1', expiresAt: later }] };
+
+    expect(availableToHold(image, { orderId: 'o2', userId: 'u2', now })).toBe(0);
+    expect(availableToHold(image, { orderId: 'o1', userId: 'u1', now })).toBe(1);
+  });
+
+  it('ignores lapsed holds and the buyer\'s own earlier hold', () => {
+    expect(availableToHold({ holds: [{ orderId: 'o1', userId: 'u1', expiresAt: earlier }] }, { orderId: 'o2', now })).toBe(1);
+    expect(availableToHold({ holds: [{ orderId: 'o1', userId: 'u1', expiresAt: later }] }, { orderId: 'o2', userId: 'u1', now })).toBe(1);
+    expect(availableToHold({ soldStatus: 'sold' }, { orderId: 'o2', now })).toBe(0);
+  });
+
+  it('counts holds against editions and each print size', () => {
+    const holds = [
+      { orderId: 'o1', userId: 'u1', variantId: 'v1', expiresAt: later },
+      { orderId: 'o2', userId: 'u2', variantId: 'v1', expiresAt: later },
+    ];
+
+    expect(availableToHold({ edition: { size: 10, remaining: 2 }, holds }, { orderId: 'o3', now })).toBe(0);
+    expect(availableToHold({ printVariants: [variant({ remaining: 3 })], holds }, { orderId: 'o3', variantId: 'v1', now })).toBe(1);
+    expect(availableToHold({ printVariants: [variant()], holds }, { orderId: 'o3', variantId: 'v9', now })).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  formatInvoiceNumber,
+  isInvoiceable,
+  invoiceSummary,
+  invoiceItemLabel,
+  invoicePDF,
+} from '../services/invoices.js';
+
+const order = {
+  _id: 'o1',
+  artName: 'Dusk',
+  artistName: 'Ana',
+  userAccountName: 'Ben',
+  printVariantLabel: '8x10',
+  editionNumber: 3,
+  editionSize: 50,
+  baseAmount: 10000,
+  shippingAmount: 1500,
+  taxAmount: 800,
+  discount: { code: 'SPRING20', amountCents: 2000 },
+  shippingQuote: { serviceName: 'Priority Mail' },
+  storeCredit: { appliedCents: 3000 },
+  paidAt: new Date('2026-03-02T10:00:00Z'),
+  chargeId: 'ch_1',
+  invoice: { number: 'INV-000007' },
+  deliveryDetails: { name: 'Ben', address: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701', country: 'US' },
+};
+
+describe('invoices', () => {
+  it('numbers invoices from the sequence', () => {
+    expect(formatInvoiceNumber(42)).toBe('INV-000042');
+    expect(formatInvoiceNumber(1234567, 'R')).toBe('R1234567');
+  });
+
+  it('only invoices paid orders', () => {
+    expect(isInvoiceable(order)).toBe(true);
+    expect(isInvoiceable({ ...order, paidAt: null })).toBe(false);
+  });
+
+  it('prints the totals and how they were paid', () => {
+    const summary = invoiceSummary({ ...order, refundedCents: 1000 });
+    expect(summary.total).toBe(10300);
+    expect(summary.lines.map((l) => [l.label, l.cents])).toEqual([
+      ['Subtotal', 10000],
+      ['Discount (SPRING20)', -2000],
+      ['Shipping (Priority Mail)', 1500],
+      ['Tax', 800],
+      ['Total', 10300],
+    ]);
+    expect(summary.payments.map((p) => [p.label, p.cents])).toEqual([
+      ['Paid with store credit', 3000],
+      ['Paid by card', 7300],
+      ['Refunded', -1000],
+    ]);
+  });
+
+  it('labels the item with its print size and edition', () => {
+    expect(invoiceItemLabel(order)).toBe('Dusk — 8x10 — Edition 3/50');
+    expect(invoiceItemLabel({ artName: 'Dusk' })).toBe('Dusk');
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await invoicePDF(order);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
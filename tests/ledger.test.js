@@ -0,0 +1,170 @@
+import {
+  buildOrderEntries,
+  summarizeSellerEntries,
+  payoutBucket,
+  monthRange,
+  buildStatement,
+} from '../services/ledger.js';
+import { statementCSV } from '../services/statements.js';
+
+const order = {
+  _id: 'o1',
+  artistUserId: 'a1',
+  artName: 'Dusk',
+  status: 'paid',
+  paidAt: new Date('2026-03-02T10:00:00Z'),
+  chargeId: 'ch_1',
+  baseAmount: 10000,
+  shippingAmount: 1500,
+  taxAmount: 800,
+  platformHoldOnBase: 300,
+  sellerDueCents: 11200,
+  sellerTransferredCents: 0,
+  refundedCents: 0,
+};
+
+// Every transaction debits and credits the same total
+function expectBalanced(entries) {
+  const byTxn = {};
+  for (const e of entries) byTxn[e.txnId] = (byTxn[e.txnId] || 0) + e.debit - e.credit;
+  Object.values(byTxn).forEach((net) => expect(net).toBe(0));
+}
+
+describe('buildOrderEntries', () => {
+  it('books the sale, shipping, tax and platform hold', () => {
+    const entries = buildOrderEntries(order);
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries)).toEqual({
+      earned: 11500, platformFees: 300, refunded: 0, paid: 0, balance: 11200,
+    });
+  });
+
+  it('debits a promo discount to whoever funds it', () => {
+    const platformFunded = {
+      ...order,
+      taxAmount: 640,
+      discount: { code: 'SPRING20', amountCents: 2000, fundedBy: 'platform' },
+    };
+    let entries = buildOrderEntries(platformFunded);
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries)).toMatchObject({ earned: 11500, balance: 11200 });
+
+    // A full refund takes the platform's top-up back from the artist too
+    entries = buildOrderEntries({
+      ...platformFunded,
+      refunds: [{ refundId: 're_1', amount: 10140, reversedCents: 0, createdAt: new Date('2026-03-10T00:00:00Z') }],
+      refundedCents: 10140,
+    });
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries).balance).toBe(0);
+
+    entries = buildOrderEntries({
+      ...order,
+      platformHoldOnBase: 240,
+      sellerDueCents: 9260,
+      discount: { code: 'ARTIST20', amountCents: 2000, fundedBy: 'artist' },
+    });
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries)).toMatchObject({ earned: 9500, platformFees: 240, balance: 9260 });
+  });
+
+  it('books store credit apart from cash without changing what the artist earns', () => {
+    const withCredit = { ...order, totalAmount: 12300, storeCredit: { appliedCents: 5000 } };
+    let entries = buildOrderEntries(withCredit);
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries)).toMatchObject({ earned: 11500, balance: 11200 });
+    const cash = entries.filter((e) => e.account === 'platform_cash').reduce((s, e) => s + e.debit, 0);
+    expect(cash).toBe(7300);
+
+    entries = buildOrderEntries({
+      ...withCredit,
+      refunds: [{ refundId: 'credit_1', amount: 2000, storeCreditCents: 2000, reversedCents: 0, createdAt: new Date('2026-03-10T00:00:00Z') }],
+      refundedCents: 2000,
+    });
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries)).toMatchObject({ refunded: 2000, balance: 9200 });
+  });
+
+  it('ignores orders that never took money', () => {
+    expect(buildOrderEntries({ ...order, paidAt: null, chargeId: null })).toEqual([]);
+  });
+
+  it('charges refunds to the artist first and books transfers and reversals', () => {
+    const paid = {
+      ...order,
+      transfers: [{ transferId: 'tr_1', amount: 11200, reversedCents: 3000, createdAt: new Date('2026-03-20T00:00:00Z') }],
+      refunds: [{ refundId: 're_1', amount: 3000, reversedCents: 3000, createdAt: new Date('2026-04-01T00:00:00Z') }],
+      refundedCents: 3000,
+      sellerTransferredCents: 8200,
+    };
+    const entries = buildOrderEntries(paid);
+    expectBalanced(entries);
+    expect(summarizeSellerEntries(entries)).toMatchObject({ refunded: 3000, paid: 8200, balance: 0 });
+  });
+
+  it('spills full refunds past the artist share into tax and the platform hold', () => {
+    const entries = buildOrderEntries({
+      ...order,
+      refunds: [{ refundId: 're_1', amount: 12300, reversedCents: 0 }],
+      refundedCents: 12300,
+    });
+    expectBalanced(entries);
+    const refundLines = entries.filter((e) => e.txnId === 'refund:re_1');
+    expect(Object.fromEntries(refundLines.filter((e) => e.debit).map((e) => [e.account, e.debit]))).toEqual({
+      seller_payable: 11200, tax_payable: 800, platform_fees: 300,
+    });
+  });
+
+  it('books lost disputes and payouts made before transfers were recorded', () => {
+    const entries = buildOrderEntries(
+      { ...order, refundedCents: 12300, sellerTransferredCents: 11200 },
+      { lostDispute: { _id: 'd1', amount: 12300, closedAt: new Date('2026-05-01T00:00:00Z') } }
+    );
+    expectBalanced(entries);
+    expect(entries.some((e) => e.txnId === 'dispute:d1' && e.type === 'dispute')).toBe(true);
+    // The artist kept the payout, so they now owe the platform their share
+    expect(summarizeSellerEntries(entries)).toMatchObject({ paid: 11200, refunded: 11200, balance: -11200 });
+  });
+
+  it('uses stable keys so re-syncing never double-books', () => {
+    const keys = buildOrderEntries(order).map((e) => e.key);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(buildOrderEntries(order).map((e) => e.key)).toEqual(keys);
+  });
+});
+
+describe('payoutBucket', () => {
+  it('splits unpaid balances into held, pending and due', () => {
+    expect(payoutBucket({ order: { status: 'disputed' } })).toBe('held');
+    expect(payoutBucket({ order, hasOpenReturn: true })).toBe('held');
+    expect(payoutBucket({ order, payout: { status: 'held' } })).toBe('held');
+    expect(payoutBucket({ order })).toBe('pending');
+    expect(payoutBucket({ order, payout: { status: 'scheduled' } })).toBe('pending');
+    expect(payoutBucket({ order, payout: { status: 'failed' } })).toBe('due');
+  });
+});
+
+describe('statements', () => {
+  it('parses months', () => {
+    expect(monthRange('2026-03')).toEqual({
+      start: new Date('2026-03-01T00:00:00Z'),
+      end: new Date('2026-04-01T00:00:00Z'),
+    });
+    expect(monthRange('2026-13')).toBeNull();
+    expect(monthRange('march')).toBeNull();
+  });
+
+  it('runs a balance from the opening balance and renders CSV', () => {
+    const seller = buildOrderEntries(order).filter((e) => e.account === 'seller_payable');
+    const statement = buildStatement({ month: '2026-03', openingBalance: 500, entries: seller });
+
+    expect(statement.closingBalance).toBe(500 + 11200);
+    expect(statement.totals).toEqual({ earned: 11500, platformFees: 300, refunded: 0, paid: 0 });
+
+    const csv = statementCSV(statement).split('\n');
+    expect(csv[0]).toBe('date,type,description,orderId,reference,amount,balance');
+    expect(csv[1]).toContain('Opening balance');
+    expect(csv.at(-1)).toBe(',Closing balance,,,,,117.00');
+    expect(csv.some((l) => l.startsWith('2026-03-02,Sale,Sale of “Dusk”,o1,,100.00'))).toBe(true);
+  });
+});
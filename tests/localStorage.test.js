@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage, verifySignature } from '../services/storage/localStorage.js';
+
+describe('local storage driver', () => {
+  let root;
+  let storage;
+
+  beforeAll(async () => {
+    process.env.MEDIA_SIGNING_SECRET = 'test-secret';
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    storage = createLocalStorage({ root, publicBaseUrl: 'http://localhost:4000/media/' });
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('stores files under the root and maps URLs back to keys', async () => {
+    const { key, url, bytes } = await storage.put('artwork/a.webp', Buffer.from('abc'));
+
+    expect(key).toBe('artwork/a.webp');
+    expect(url).toBe('http://localhost:4000/media/artwork/a.webp');
+    expect(bytes).toBe(3);
+    expect(await fs.readFile(path.join(root, 'artwork/a.webp'), 'utf8')).toBe('abc');
+
+    expect(storage.ownsUrl(url)).toBe(true);
+    expect(storage.keyFromUrl(url)).toBe('artwork/a.webp');
+    expect(storage.keyFromUrl('https://example.com/artwork/a.webp')).toBeNull();
+  });
+
+  it('reports deleted and missing keys', async () => {
+    await storage.put('artists/b.webp', Buffer.from('b'));
+    const { deleted } = await storage.delete(['artists/b.webp', 'artists/missing.webp']);
+
+    expect(deleted).toEqual({ 'artists/b.webp': 'deleted', 'artists/missing.webp': 'not_found' });
+  });
+
+  it('refuses keys that escape the root', async () => {
+    await expect(storage.put('../outside.txt', Buffer.from('x'))).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('signs URLs that verify until they expire', () => {
+    const signed = new URL(storage.signedUrl('private/c.pdf', { expiresInSeconds: 60 }));
+    const expires = signed.searchParams.get('expires');
+    const signature = signed.searchParams.get('signature');
+
+    expect(verifySignature('private/c.pdf', expires, signature)).toBe(true);
+    expect(verifySignature('private/other.pdf', expires, signature)).toBe(false);
+    expect(verifySignature('private/c.pdf', Number(expires) - 120, signature)).toBe(false);
+  });
+});
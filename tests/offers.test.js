@@ -0,0 +1,115 @@
+import Offer, { OFFER_STATUS, OFFER_PARTY } from '../models/offer.js';
+import {
+  OFFER_TTL_HOURS,
+  getOfferDeadline,
+  parseOfferAmount,
+  offerPartyOf,
+  offerUnavailableReason,
+  counterStatusFor,
+  isOfferStale,
+  offerOrderFields,
+} from '../services/offers.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-01-01T12:00:00Z');
+
+const offer = (overrides = {}) => ({
+  _id: 'of1',
+  imageId: 'i1',
+  buyerUserId: 'buyer',
+  artistUserId: 'artist',
+  amount: 80,
+  status: OFFER_STATUS.PENDING,
+  expiresAt: new Date(now.getTime() + HOUR),
+  ...overrides,
+});
+
+const image = (overrides = {}) => ({
+  _id: 'i1',
+  userId: 'artist',
+  name: 'Dusk',
+  artistName: 'Ana',
+  imageLink: 'https://example.com/dusk.jpg',
+  price: 100,
+  stage: 'approved',
+  soldStatus: 'unsold',
+  ...overrides,
+});
+
+describe('offer deadlines', () => {
+  it('gives the other side OFFER_TTL_HOURS to respond', () => {
+    expect(getOfferDeadline(now).getTime() - now.getTime()).toBe(OFFER_TTL_HOURS * HOUR);
+  });
+
+  it('treats open offers past their deadline as stale', () => {
+    expect(isOfferStale(offer(), now)).toBe(false);
+    expect(isOfferStale(offer({ expiresAt: now }), now)).toBe(true);
+    expect(isOfferStale(offer({ status: OFFER_STATUS.COUNTERED, expiresAt: new Date(now.getTime() - HOUR) }), now)).toBe(true);
+  });
+
+  it('never expires offers that are already closed', () => {
+    const past = new Date(now.getTime() - HOUR);
+    for (const status of [OFFER_STATUS.ACCEPTED, OFFER_STATUS.DECLINED, OFFER_STATUS.WITHDRAWN, OFFER_STATUS.EXPIRED]) {
+      expect(isOfferStale(offer({ status, expiresAt: past }), now)).toBe(false);
+    }
+  });
+});
+
+describe('offer turns', () => {
+  it('waits on the artist for a new offer and on the buyer after a counter', () => {
+    expect(new Offer(offer({ _id: undefined })).awaiting).toBe(OFFER_PARTY.ARTIST);
+    expect(new Offer(offer({ _id: undefined, status: OFFER_STATUS.COUNTERED })).awaiting).toBe(OFFER_PARTY.BUYER);
+    expect(new Offer(offer({ _id: undefined, status: OFFER_STATUS.ACCEPTED })).awaiting).toBeNull();
+  });
+
+  it('passes the turn to the other side on a counter', () => {
+    const countered = new Offer(offer({ _id: undefined, status: counterStatusFor(OFFER_PARTY.ARTIST) }));
+    expect(countered.awaiting).toBe(OFFER_PARTY.BUYER);
+    const recountered = new Offer(offer({ _id: undefined, status: counterStatusFor(OFFER_PARTY.BUYER) }));
+    expect(recountered.awaiting).toBe(OFFER_PARTY.ARTIST);
+  });
+
+  it('knows which side a user is on', () => {
+    expect(offerPartyOf(offer(), 'buyer')).toBe(OFFER_PARTY.BUYER);
+    expect(offerPartyOf(offer(), 'artist')).toBe(OFFER_PARTY.ARTIST);
+    expect(offerPartyOf(offer(), 'someone')).toBeNull();
+  });
+});
+
+describe('offer amounts and availability', () => {
+  it('accepts amounts of at least $1, rounded to cents', () => {
+    expect(parseOfferAmount('80.456')).toBe(80.46);
+    expect(parseOfferAmount(0.5)).toBeNull();
+    expect(parseOfferAmount('abc')).toBeNull();
+  });
+
+  it('only allows offers on approved one-of-a-kind pieces that are for sale', () => {
+    expect(offerUnavailableReason(image())).toBeNull();
+    expect(offerUnavailableReason(image({ stage: 'review' }))).toBe('Artwork not found');
+    expect(offerUnavailableReason(image({ artistPayoutsDisabled: true }))).toBe('Artwork not found');
+    expect(offerUnavailableReason(image({ soldStatus: 'sold' }))).toMatch(/sold/);
+    expect(offerUnavailableReason(image({ auction: { enabled: true } }))).toMatch(/auction/);
+    expect(offerUnavailableReason(image({ edition: { size: 10 } }))).toMatch(/editions/);
+  });
+});
+
+describe('offerOrderFields', () => {
+  it('locks the order to the accepted amount in cents', () => {
+    const fields = offerOrderFields(offer({ amount: 80.5 }), image(), {
+      artist: { stripeAccountId: 'acct_1' },
+      buyer: { name: 'Ben' },
+    });
+    expect(fields).toMatchObject({
+      price: 8050,
+      baseAmount: 8050,
+      priceLocked: true,
+      status: 'pending',
+      source: 'offer',
+      offerId: 'of1',
+      userId: 'buyer',
+      artistUserId: 'artist',
+      artistStripeId: 'acct_1',
+      userAccountName: 'Ben',
+    });
+  });
+});
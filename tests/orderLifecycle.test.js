@@ -0,0 +1,71 @@
+import {
+  canTransition,
+  canTransitionShipment,
+  transitionOrder,
+  transitionShipment,
+  buildTimeline,
+} from '../services/orderLifecycle.js';
+
+describe('order transitions', () => {
+  it('allows the payment path and blocks going backwards', () => {
+    expect(canTransition('pending', 'paid')).toBe(true);
+    expect(canTransition('failed', 'paid')).toBe(true);
+    expect(canTransition('paid', 'completed')).toBe(true);
+    expect(canTransition('completed', 'disputed')).toBe(true);
+    expect(canTransition('disputed', 'refunded')).toBe(true);
+
+    expect(canTransition('paid', 'pending')).toBe(false);
+    expect(canTransition('refunded', 'paid')).toBe(false);
+    expect(canTransition('cancelled', 'paid')).toBe(false);
+    expect(canTransition('paid', 'cancelled')).toBe(false);
+  });
+
+  it('records who changed the status', () => {
+    const order = { status: 'pending' };
+    expect(transitionOrder(order, 'paid', { actor: 'stripe', reason: 'payment_intent.succeeded' })).toBe(true);
+
+    expect(order.status).toBe('paid');
+    expect(order.statusHistory).toEqual([
+      expect.objectContaining({ field: 'status', from: 'pending', to: 'paid', actor: 'stripe', at: expect.any(Date) }),
+    ]);
+  });
+
+  it('treats repeats as no-ops and rejects illegal moves', () => {
+    const order = { status: 'refunded' };
+
+    expect(transitionOrder(order, 'refunded')).toBe(false);
+    expect(() => transitionOrder(order, 'paid')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(order.statusHistory).toBeUndefined();
+  });
+});
+
+describe('shipment transitions', () => {
+  it('tolerates carrier noise but never leaves delivered except as a return', () => {
+    expect(canTransitionShipment('in_transit', 'shipped')).toBe(true);
+    expect(canTransitionShipment('exception', 'out_for_delivery')).toBe(true);
+    expect(canTransitionShipment('delivered', 'in_transit')).toBe(false);
+    expect(canTransitionShipment('delivered', 'returned')).toBe(true);
+    expect(canTransitionShipment('returned', 'delivered')).toBe(false);
+  });
+
+  it('completes a paid order on delivery', () => {
+    const order = { status: 'paid', shipping: { shipmentStatus: 'in_transit' } };
+    transitionShipment(order, 'delivered', { actor: 'carrier' });
+
+    expect(order.status).toBe('completed');
+    expect(order.statusHistory.map((h) => `${h.field}:${h.to}`)).toEqual(['shipmentStatus:delivered', 'status:completed']);
+  });
+});
+
+describe('buildTimeline', () => {
+  it('starts with the order being placed', () => {
+    const timeline = buildTimeline({
+      source: 'auction',
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      statusHistory: [{ field: 'status', from: 'pending', to: 'paid', actor: 'stripe', at: new Date('2026-01-02T00:00:00Z') }],
+    });
+
+    expect(timeline[0]).toMatchObject({ to: 'pending', actor: 'system', reason: 'Order placed' });
+    expect(timeline[1]).toMatchObject({ to: 'paid' });
+  });
+});
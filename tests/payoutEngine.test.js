@@ -0,0 +1,51 @@
+// The Stripe client is created on import; nothing here calls it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+const { payoutRemainingCents, payoutBlocker, retryDelayMs } = await import('../services/payoutEngine.js');
+
+const HOUR = 60 * 60 * 1000;
+const artist = { stripeAccountId: 'acct_1', stripeOnboardingCompleted: true };
+const order = { status: 'completed', chargeId: 'ch_1', sellerDueCents: 9700, sellerTransferredCents: 0, refundedCents: 0 };
+
+describe('payoutRemainingCents', () => {
+  it('pays the seller share less refunds and earlier transfers', () => {
+    expect(payoutRemainingCents(order)).toBe(9700);
+    expect(payoutRemainingCents({ ...order, refundedCents: 2000, sellerTransferredCents: 5000 })).toBe(2700);
+    expect(payoutRemainingCents({ ...order, sellerTransferredCents: 9700 })).toBe(0);
+  });
+
+  it('owes nothing on a fully refunded order with a platform-funded discount', () => {
+    const discounted = {
+      ...order,
+      baseAmount: 10000,
+      taxAmount: 0,
+      discount: { amountCents: 2000, fundedBy: 'platform' },
+      refundedCents: 8000,
+    };
+    expect(payoutRemainingCents(discounted)).toBe(0);
+  });
+});
+
+describe('payoutBlocker', () => {
+  it('lets a delivered, undisputed order through', () => {
+    expect(payoutBlocker({ order, artist, hasOpenReturn: false })).toBeNull();
+  });
+
+  it('holds for disputes, returns and unfinished onboarding', () => {
+    expect(payoutBlocker({ order: { ...order, status: 'disputed' }, artist })).toMatchObject({ reason: expect.any(String) });
+    expect(payoutBlocker({ order: { ...order, payoutHold: { since: new Date(), reason: 'Dispute dp_1' } }, artist }).reason).toBe('Dispute dp_1');
+    expect(payoutBlocker({ order, artist, hasOpenReturn: true }).reason).toMatch(/Return/);
+    expect(payoutBlocker({ order, artist: { stripeAccountId: 'acct_1' } }).reason).toMatch(/onboarding/);
+    expect(payoutBlocker({ order, artist, hasOpenReturn: true }).cancel).toBeUndefined();
+  });
+
+  it('cancels orders that will never be payable', () => {
+    expect(payoutBlocker({ order: { ...order, status: 'refunded' }, artist }).cancel).toBe(true);
+    expect(payoutBlocker({ order: null, artist }).cancel).toBe(true);
+  });
+});
+
+describe('retryDelayMs', () => {
+  it('doubles up to a day', () => {
+    expect([1, 2, 3, 6, 10].map(retryDelayMs)).toEqual([HOUR, 2 * HOUR, 4 * HOUR, 24 * HOUR, 24 * HOUR]);
+  });
+});
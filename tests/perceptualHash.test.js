@@ -0,0 +1,42 @@
+import sharp from 'sharp';
+import { computePerceptualHash, hammingDistance } from '../services/perceptualHash.js';
+
+// Left-to-right gradient with a dark block, so the picture has some structure
+const artwork = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBlock = x > width * 0.3 && x < width * 0.6 && y > height * 0.2 && y < height * 0.7;
+      const value = inBlock ? 20 : Math.round((x / width) * 255);
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+};
+
+describe('hammingDistance', () => {
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('00000000000000f0', '0000000000000010')).toBe(3);
+  });
+});
+
+describe('computePerceptualHash', () => {
+  it('returns 16 hex characters', async () => {
+    const hash = await computePerceptualHash(await artwork(400, 300).png().toBuffer());
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('matches a resized, re-compressed copy', async () => {
+    const original = await computePerceptualHash(await artwork(800, 600).png().toBuffer());
+    const copy = await computePerceptualHash(await artwork(800, 600).resize(300).jpeg({ quality: 40 }).toBuffer());
+    expect(hammingDistance(original, copy)).toBeLessThanOrEqual(4);
+  });
+
+  it('tells different pictures apart', async () => {
+    const original = await computePerceptualHash(await artwork(800, 600).png().toBuffer());
+    const other = await computePerceptualHash(await artwork(800, 600).flop().png().toBuffer());
+    expect(hammingDistance(original, other)).toBeGreaterThan(20);
+  });
+});
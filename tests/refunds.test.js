@@ -0,0 +1,58 @@
+// The Stripe client is created on import; nothing here calls it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+const { validateRefundAmount, planTransferReversals } = await import('../services/refunds.js');
+const { returnUnavailableReason, returnWindowEndsAt, RETURN_WINDOW_DAYS } = await import('../services/returns.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('validateRefundAmount', () => {
+  const order = { totalAmount: 10000, refundedCents: 2500 };
+
+  it('defaults to whatever is left and accepts partial amounts', () => {
+    expect(validateRefundAmount(order)).toEqual({ amountCents: 7500 });
+    expect(validateRefundAmount(order, 1200)).toEqual({ amountCents: 1200 });
+  });
+
+  it('rejects amounts over the balance or not in whole cents', () => {
+    expect(validateRefundAmount(order, 7501).error).toMatch(/exceeds/);
+    expect(validateRefundAmount(order, 12.5).error).toMatch(/whole number/);
+    expect(validateRefundAmount(order, 0).error).toMatch(/positive/);
+    expect(validateRefundAmount({ totalAmount: 5000, refundedCents: 5000 }).error).toMatch(/nothing left/);
+  });
+});
+
+describe('planTransferReversals', () => {
+  it('claws back from the newest transfer first', () => {
+    const transfers = [
+      { transferId: 'tr_old', amount: 5000, reversedCents: 0, createdAt: new Date('2026-01-01') },
+      { transferId: 'tr_new', amount: 3000, reversedCents: 1000, createdAt: new Date('2026-01-05') },
+    ];
+
+    expect(planTransferReversals(transfers, 4000)).toEqual([
+      { transferId: 'tr_new', amount: 2000 },
+      { transferId: 'tr_old', amount: 2000 },
+    ]);
+  });
+
+  it('never reverses more than was transferred', () => {
+    const transfers = [{ transferId: 'tr_1', amount: 1500, reversedCents: 0 }];
+    expect(planTransferReversals(transfers, 9000)).toEqual([{ transferId: 'tr_1', amount: 1500 }]);
+    expect(planTransferReversals([], 9000)).toEqual([]);
+  });
+});
+
+describe('return window', () => {
+  const deliveredAt = new Date('2026-03-01T12:00:00Z');
+  const order = { status: 'completed', shipping: { shipmentStatus: 'delivered', deliveredAt } };
+
+  it('opens on delivery and closes after the window', () => {
+    expect(returnWindowEndsAt(order)).toEqual(new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * DAY));
+    expect(returnUnavailableReason(order, new Date(deliveredAt.getTime() + DAY))).toBeNull();
+    expect(returnUnavailableReason(order, new Date(deliveredAt.getTime() + (RETURN_WINDOW_DAYS + 1) * DAY))).toMatch(/within/);
+  });
+
+  it('is closed before delivery and on refunded orders', () => {
+    expect(returnUnavailableReason({ status: 'paid', shipping: { shipmentStatus: 'in_transit' } })).toMatch(/delivered/);
+    expect(returnUnavailableReason({ ...order, status: 'refunded' })).toMatch(/can't be returned/);
+  });
+});
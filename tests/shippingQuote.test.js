@@ -0,0 +1,43 @@
+import jwt from 'jsonwebtoken';
+import { signShippingQuote, verifyShippingQuote } from '../services/shippingQuote.js';
+
+process.env.SHIPPING_QUOTE_SECRET = 'test-quote-secret';
+
+const rate = {
+  orderId: 'order-1',
+  toZip: '10001',
+  carrier: 'UPS',
+  serviceCode: '03',
+  serviceName: 'UPS Ground',
+  amount: 18.37,
+  estBusinessDays: 4,
+};
+
+describe('shipping quotes', () => {
+  it('round-trips a rate in cents for the same order and ZIP', () => {
+    const token = signShippingQuote(rate);
+    const { quote, error } = verifyShippingQuote(token, { orderId: 'order-1', toZip: '10001' });
+
+    expect(error).toBeUndefined();
+    expect(quote).toMatchObject({ amountCents: 1837, serviceCode: '03', carrier: 'UPS', estBusinessDays: 4 });
+  });
+
+  it('rejects quotes for another order or destination', () => {
+    const token = signShippingQuote(rate);
+
+    expect(verifyShippingQuote(token, { orderId: 'order-2', toZip: '10001' }).error).toMatch(/another order/);
+    expect(verifyShippingQuote(token, { orderId: 'order-1', toZip: '94105' }).error).toMatch(/address changed/);
+  });
+
+  it('rejects tampered, foreign and expired tokens', () => {
+    const token = signShippingQuote(rate);
+    const [header, , signature] = token.split('.');
+    const payload = Buffer.from(JSON.stringify({ ...jwt.decode(token), amountCents: 1 })).toString('base64url');
+
+    expect(verifyShippingQuote(`${header}.${payload}.${signature}`, { orderId: 'order-1', toZip: '10001' }).error).toBe('Invalid shipping quote.');
+    expect(verifyShippingQuote(jwt.sign({ _id: 'user' }, 'test-quote-secret'), { orderId: 'order-1', toZip: '10001' }).error).toBe('Invalid shipping quote.');
+
+    const expired = jwt.sign({ ...jwt.decode(token), exp: Math.floor(Date.now() / 1000) - 60 }, 'test-quote-secret');
+    expect(verifyShippingQuote(expired, { orderId: 'order-1', toZip: '10001' }).error).toMatch(/expired/);
+  });
+});
@@ -0,0 +1,75 @@
+// The Stripe client is created on import; nothing here calls it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+const {
+  creditExpiryDate,
+  summarizeLots,
+  planSpend,
+  maxApplicableCredit,
+  cardRefundableCents,
+} = await import('../services/storeCredit.js');
+const { normalizeGiftCardCode, generateGiftCardCode, giftCardView } = await import('../services/giftCards.js');
+
+const now = new Date('2026-05-01T00:00:00Z');
+const lots = [
+  { _id: 'never', remainingCents: 1000, expiresAt: null, createdAt: new Date('2026-01-01T00:00:00Z') },
+  { _id: 'late', remainingCents: 2000, expiresAt: new Date('2026-12-01T00:00:00Z'), createdAt: new Date('2026-02-01T00:00:00Z') },
+  { _id: 'soon', remainingCents: 500, expiresAt: new Date('2026-06-01T00:00:00Z'), createdAt: new Date('2026-03-01T00:00:00Z') },
+  { _id: 'gone', remainingCents: 900, expiresAt: new Date('2026-04-01T00:00:00Z'), createdAt: new Date('2026-01-15T00:00:00Z') },
+];
+
+describe('store credit lots', () => {
+  it('sums live lots and reports the next expiry', () => {
+    expect(summarizeLots(lots, now)).toEqual({
+      balanceCents: 3500,
+      nextExpiry: { amountCents: 500, expiresAt: lots[2].expiresAt },
+    });
+    expect(summarizeLots([], now)).toEqual({ balanceCents: 0, nextExpiry: null });
+  });
+
+  it('spends the soonest-expiring credit first and never-expiring credit last', () => {
+    expect(planSpend(lots, 3000, now)).toEqual([
+      { entryId: 'soon', amountCents: 500 },
+      { entryId: 'late', amountCents: 2000 },
+      { entryId: 'never', amountCents: 500 },
+    ]);
+    expect(planSpend(lots, 3501, now)).toBeNull();
+  });
+
+  it('dates expiry from the issue date, or not at all for 0 days', () => {
+    expect(creditExpiryDate(now, 30)).toEqual(new Date('2026-05-31T00:00:00Z'));
+    expect(creditExpiryDate(now, 0)).toBeNull();
+  });
+});
+
+describe('store credit on orders', () => {
+  it('leaves Stripe its minimum charge', () => {
+    expect(maxApplicableCredit({ totalAmount: 12000 })).toBe(11950);
+    expect(maxApplicableCredit({ totalAmount: 40 })).toBe(0);
+  });
+
+  it('refunds to the card only what the card paid', () => {
+    const order = { totalAmount: 10000, storeCredit: { appliedCents: 4000 }, refundedCents: 0, refunds: [] };
+    expect(cardRefundableCents(order)).toBe(6000);
+    expect(cardRefundableCents({
+      ...order,
+      refundedCents: 7000,
+      refunds: [
+        { amount: 5000, storeCreditCents: 0 },
+        { amount: 2000, storeCreditCents: 2000 },
+      ],
+    })).toBe(1000);
+  });
+});
+
+describe('gift card codes', () => {
+  it('normalizes typed codes and only shows the code to the purchaser once paid', () => {
+    const code = generateGiftCardCode();
+    expect(code).toMatch(/^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+    expect(normalizeGiftCardCode(code.toLowerCase().replace(/-/g, ' '))).toBe(code);
+
+    const card = { _id: 'g1', code, status: 'active', purchaserUserId: 'u1', amountCents: 2500 };
+    expect(giftCardView(card, 'u1').code).toBe(code);
+    expect(giftCardView(card, 'u2').code).toBeUndefined();
+    expect(giftCardView({ ...card, status: 'pending' }, 'u1').code).toBeUndefined();
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  buildTaxSummary,
+  crossesReportingThreshold,
+  taxYearRange,
+} from '../services/taxSummary.js';
+import { taxSummaryCSV, taxSummariesCSV } from '../services/statements.js';
+
+// Aggregated seller_payable ledger rows: { month, type, debit, credit, orders }
+const rows = [
+  { month: 1, type: 'sale', credit: 10000, debit: 0, orders: 2 },
+  { month: 1, type: 'shipping', credit: 1500, debit: 0, orders: 2 },
+  { month: 1, type: 'platform_fee', credit: 0, debit: 300, orders: 2 },
+  { month: 2, type: 'refund', credit: 0, debit: 2000, orders: 1 },
+  { month: 2, type: 'transfer', credit: 0, debit: 9200, orders: 2 },
+  { month: 3, type: 'transfer_reversal', credit: 500, debit: 0, orders: 1 },
+];
+
+describe('buildTaxSummary', () => {
+  it('totals gross sales, refunds, fees and net payouts by month', () => {
+    const summary = buildTaxSummary(2026, rows);
+
+    expect(summary.months).toHaveLength(12);
+    expect(summary.months[0]).toEqual({
+      month: '2026-01', grossSales: 11500, orders: 2, refunds: 0, platformFees: 300, netPayouts: 0,
+    });
+    expect(summary.months[1]).toMatchObject({ refunds: 2000, netPayouts: 9200, orders: 0 });
+    expect(summary.months[2].netPayouts).toBe(-500);
+    expect(summary.totals).toEqual({ grossSales: 11500, orders: 2, refunds: 2000, platformFees: 300, netPayouts: 8700 });
+  });
+});
+
+describe('crossesReportingThreshold', () => {
+  it('needs both the amount and the number of sales', () => {
+    const limits = { amountCents: 2000000, transactions: 200 };
+    expect(crossesReportingThreshold({ grossSales: 2500000, orders: 250 }, limits)).toBe(true);
+    expect(crossesReportingThreshold({ grossSales: 2500000, orders: 150 }, limits)).toBe(false);
+    expect(crossesReportingThreshold({ grossSales: 2000000, orders: 250 }, limits)).toBe(false);
+    expect(crossesReportingThreshold({ grossSales: 70000, orders: 1 }, { amountCents: 60000, transactions: 0 })).toBe(true);
+  });
+});
+
+describe('taxYearRange', () => {
+  it('accepts four-digit years only', () => {
+    expect(taxYearRange('2026')).toEqual({
+      start: new Date('2026-01-01T00:00:00Z'),
+      end: new Date('2027-01-01T00:00:00Z'),
+    });
+    expect(taxYearRange('26')).toBeNull();
+    expect(taxYearRange('abc')).toBeNull();
+  });
+});
+
+describe('tax summary CSV', () => {
+  it('renders months and a total in dollars', () => {
+    const csv = taxSummaryCSV(buildTaxSummary(2026, rows)).split('\n');
+    expect(csv[0]).toBe('month,grossSales,orders,refunds,platformFees,netPayouts');
+    expect(csv[1]).toBe('2026-01,115.00,2,0.00,3.00,0.00');
+    expect(csv.at(-1)).toBe('Total,115.00,2,20.00,3.00,87.00');
+  });
+
+  it('skips quiet months in the bulk export', () => {
+    const csv = taxSummariesCSV([
+      { artist: { _id: 'a1', name: 'Ada', email: 'ada@example.com' }, summary: buildTaxSummary(2026, rows) },
+    ]).split('\n');
+    expect(csv).toHaveLength(1 + 3 + 1);
+    expect(csv[4]).toBe('a1,Ada,ada@example.com,Total,115.00,2,20.00,3.00,87.00');
+  });
+});
@@ -0,0 +1,20 @@
+import { isReplayable, STUCK_PROCESSING_MS } from '../services/webhookEvents.js';
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+describe('isReplayable', () => {
+  it('replays failed events', () => {
+    expect(isReplayable({ status: 'failed' }, now)).toBe(true);
+  });
+
+  it('replays events stuck in processing, not ones still running', () => {
+    const started = (ms) => new Date(now.getTime() - ms);
+    expect(isReplayable({ status: 'processing', processingStartedAt: started(STUCK_PROCESSING_MS) }, now)).toBe(true);
+    expect(isReplayable({ status: 'processing', processingStartedAt: started(60 * 1000) }, now)).toBe(false);
+  });
+
+  it('never replays events that already ran', () => {
+    expect(isReplayable({ status: 'processed' }, now)).toBe(false);
+    expect(isReplayable({ status: 'received' }, now)).toBe(false);
+  });
+});
@@ -3,6 +3,7 @@ import UserModel from '../models/users.js';
 import AdminUserModel from '../models/admin-users.js';
 import dotenv from 'dotenv';
 import rateLimit from 'express-rate-limit';
+import { getStorage } from '../services/storage/index.js';
 
 dotenv.config();
 
@@ -183,6 +184,16 @@ export const isAdminAuthorized = async (req, res, next) => {
   }
 };
 
+// Buyers/artists or admins: admin tokens carry `id` and `role`, user tokens `_id`
+export const isUserOrAdminAuthorized = (req, res, next) => {
+  const token = getAuthToken(req.headers);
+  const data = token ? jwt.decode(token) : null;
+  if (data && typeof data === 'object' && data.id && data.role) {
+    return isAdminAuthorized(req, res, next);
+  }
+  return isUserAuthorized(req, res, next);
+};
+
 export const validatePrice = (price) => {
   const price_val = Number.parseFloat(price);
   return Number.isNaN(price_val) || !Number.isFinite(price_val)
@@ -194,7 +205,8 @@ export const validateImageLink = (imageLink) => {
   const urlRegex = new RegExp(
     '^https?://res.cloudinary.com/dttomxwev/image/upload(/(.*))?/(v[0-9]+)/?(artwork)?/(.+)(.[a-z]{3,4})'
   );
-  return !urlRegex.test(imageLink) ? null : imageLink;
+  // Links to files we stored ourselves (any storage driver) are accepted too
+  return urlRegex.test(imageLink) || getStorage().ownsUrl(imageLink) ? imageLink : null;
 };
 
 export const isValidEmail = (email) => {
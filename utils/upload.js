@@ -0,0 +1,22 @@
+// utils/upload.js
+// Multer middleware shared by the routes that take file uploads
+
+/**
+ * Run `upload` (a multer instance) for `field` and turn its errors into JSON
+ * responses. With `maxCount` the field takes up to that many files
+ * (req.files); otherwise a single one (req.file).
+ */
+export function receiveUpload(upload, field, tooLargeMessage, { maxCount, tooManyMessage } = {}) {
+  const handler = maxCount ? upload.array(field, maxCount) : upload.single(field);
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+      const error =
+        err.code === "LIMIT_FILE_SIZE" ? tooLargeMessage :
+        maxCount && (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE")
+          ? tooManyMessage || `At most ${maxCount} files`
+          : err.message;
+      return res.status(err.status || 400).json({ success: false, error });
+    });
+  };
+}